@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const CONVERSATION_TTL_DAYS = parseInt(process.env.CHAT_CONVERSATION_TTL_DAYS) || 7;
+
+const messageSchema = new mongoose.Schema({
+    role: { type: String, enum: ['user', 'model'], required: true },
+    text: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+    conversationId: { type: String, unique: true, index: true },
+    tokenHash: { type: String, required: true },
+
+    // Client info
+    lang: String,
+
+    // Linked /api/demo/diagnose result (DemoData.sessionId)
+    demoSessionId: String,
+
+    messages: [messageSchema],
+
+    // Refreshed on every turn; documents expire after inactivity
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + CONVERSATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+}, {
+    timestamps: true,
+    collection: '00_landing-chat-conversations'
+});
+
+conversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+conversationSchema.statics.TTL_DAYS = CONVERSATION_TTL_DAYS;
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -10,6 +10,9 @@ const demoDataSchema = new mongoose.Schema({
     sessionId: { type: String, unique: true, index: true },
     timestamp: { type: Date, default: Date.now },
 
+    // GET /api/demo/result/:sessionId stops serving the result after this date
+    resultExpiresAt: Date,
+
     // Client info
     age: Number,
     gender: String,
@@ -25,6 +28,9 @@ const demoDataSchema = new mongoose.Schema({
         eye: colorSchema,
         lip: colorSchema,
         neck: colorSchema,
+        // White-balance references (eye whites, teeth)
+        sclera: colorSchema,
+        teeth: colorSchema,
         background: { rgb: { r: Number, g: Number, b: Number } }
     },
 
@@ -32,7 +38,13 @@ const demoDataSchema = new mongoose.Schema({
     faceProportions: {
         foreheadRatio: Number,
         jawRatio: Number,
-        heightRatio: Number
+        heightRatio: Number,
+        jawAngle: Number,
+        chinPointedness: Number,
+        cheekboneProminence: Number,
+        midfaceRatio: Number,
+        lowerFaceRatio: Number,
+        symmetry: Number
     },
     bodyProportions: {
         shoulderHipRatio: Number,
@@ -53,6 +65,8 @@ const demoDataSchema = new mongoose.Schema({
     diagnosis: {
         personalColor: String,
         seasonGroup: String,
+        warmCool: String,
+        warmCoolScore: Number,
         personalColorDetail: String,
         faceShape: String,
         faceShapeDetail: String,
@@ -60,9 +74,63 @@ const demoDataSchema = new mongoose.Schema({
         bodyTypeDetail: String,
         bestColors: [String],
         avoidColors: [String],
-        stylingTip: String
+        // Catalogue color ids (apl-color-classifier/data/paletteCatalogue.json)
+        palette: {
+            source: String,
+            key: String,
+            best: [String],
+            avoid: [String]
+        },
+        paletteExplanation: String,
+        stylingTip: String,
+        // Classifier reconciliation (services/reconciliation)
+        subType: String,
+        // apl-color-classifier explainPersonalColor() for subType (localized on read)
+        typeExplanation: mongoose.Schema.Types.Mixed,
+        disagreements: [String],
+        decidedBy: {
+            personalColor: String,
+            seasonGroup: String,
+            warmCool: String,
+            faceShape: String,
+            bodyType: String
+        }
+    },
+
+    // Classifier variant and parameter versions this record was classified with
+    // (services/experiments, config/classifierVariants.json)
+    classifierConfig: {
+        experiment: String,
+        variant: String,
+        assignment: String,
+        versions: {
+            aplColorClassifier: Number,
+            warmCoolClassifier: Number
+        },
+        // Trained season model mixed into the season scores (null = rules only)
+        seasonModel: {
+            version: Number,
+            weight: Number
+        }
+    },
+
+    // Photo quality gate verdict (apl-color-classifier assessQuality), issue codes only
+    quality: {
+        status: String,
+        issues: [String]
     },
 
+    // Several captures combined into one measurement (apl-color-classifier aggregateCaptures)
+    captures: {
+        total: Number,
+        used: [Number],
+        consistency: Number
+    },
+
+    // Proportions and contrast computed server-side from raw landmarks
+    // (apl-color-classifier faceGeometry, data/geometry/vN.json); absent = client-computed
+    geometryVersion: Number,
+
     segmentationUsed: Boolean
 }, {
     timestamps: true,
@@ -71,5 +139,10 @@ const demoDataSchema = new mongoose.Schema({
 
 demoDataSchema.index({ timestamp: -1 });
 demoDataSchema.index({ 'diagnosis.personalColor': 1 });
+demoDataSchema.index({ 'classifierConfig.experiment': 1, 'classifierConfig.variant': 1 });
+
+// DEMO-<timestamp>-<128-bit random, base64url> — the random part makes
+// result links unguessable; the timestamp keeps ids sortable in the DB
+demoDataSchema.statics.SESSION_ID_PATTERN = /^DEMO-\d{17}-[A-Za-z0-9_-]{22}$/;
 
 module.exports = mongoose.model('DemoData', demoDataSchema);
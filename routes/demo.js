@@ -5,26 +5,56 @@
  *
  * Flow:
  *   1. Internal classifier determines type deterministically (LAB-based rules)
- *   2. Gemini 3.1 Flash Lite writes professional description text
+ *   2. LLM provider (Gemini by default) writes professional description text;
+ *      offline templates take over when no provider is configured or it fails
  *   3. Combined result returned to client
  */
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const DemoData = require('../models/DemoData');
-const { fullDiagnosis, labUtils } = require('../services/apl-color-classifier');
-const { classify: classifyWarmCoolModule } = require('../services/warm-cool-classifier');
-
-// ─── Gemini setup ───
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-let genAI = null;
-
-if (GEMINI_API_KEY && GEMINI_API_KEY !== 'YOUR_GEMINI_API_KEY_HERE') {
-    genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-    console.log('Gemini API initialized (gemini-2.5-flash-lite)');
-} else {
-    console.warn('GEMINI_API_KEY not set. Demo diagnosis disabled.');
-}
+const {
+    fullDiagnosis,
+    applyWhiteBalance,
+    assessQuality,
+    assessCaptureQuality,
+    formatQuality,
+    formatExplanation,
+    faceAnalysisFromLandmarks,
+    validateLandmarks,
+    validateStabilityOptions,
+    selectPalette,
+    getPaletteColor,
+    labUtils
+} = require('../services/apl-color-classifier');
+const { classify: classifyWarmCoolModule, loadSeasonModel } = require('../services/warm-cool-classifier');
+const {
+    getProvider,
+    generateStructured,
+    completeStructured,
+    generateStreamWithFallback,
+    createJsonFieldStream,
+    HYBRID_SCHEMA,
+    FULL_SCHEMA
+} = require('../services/llm');
+const { langCode, getLangInstruction, getSectionLabels } = require('../services/i18n');
+const { openEventStream } = require('../services/sse');
+const { buildCardModel, renderSvg, renderPng } = require('../services/result-card');
+const { reconcile, ENGINES } = require('../services/reconciliation');
+const { getVariants, assignVariant, PACKAGES } = require('../services/experiments');
+
+// ─── LLM setup ───
+const DESCRIPTION_MODEL = 'gemini-2.5-flash-lite';
+const llm = getProvider();
+console.log(`Demo description provider: ${llm.name}${llm.available ? '' : ' (not configured, offline templates)'}`);
+
+// ─── Classifier variants (A/B) ───
+const classifierVariants = getVariants();
+console.log(`Classifier variants (${classifierVariants.experiment}): ${classifierVariants.variants
+    .map(v => `${v.name} ${Math.round(v.weight / classifierVariants.totalWeight * 100)}% [apl v${v.versions.aplColorClassifier}, warm-cool v${v.versions.warmCoolClassifier}` +
+        `${v.seasonModel ? `, season model v${v.seasonModel.version} × ${v.seasonModel.weight}` : ''}]`)
+    .join(', ')}`);
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
 
 // ─── Rate limiter ───
 const rateLimitMap = new Map();
@@ -48,7 +78,7 @@ setInterval(() => {
     for (const [ip, record] of rateLimitMap) {
         if (now - record.windowStart > RATE_LIMIT_WINDOW) rateLimitMap.delete(ip);
     }
-}, 10 * 60 * 1000);
+}, 10 * 60 * 1000).unref(); // housekeeping only — never keeps the process alive
 
 // ─── Helpers ───
 function timezoneToRegion(tz) {
@@ -64,45 +94,94 @@ function timezoneToRegion(tz) {
     return 'Other';
 }
 
+const { SESSION_ID_PATTERN } = DemoData;
+const RESULT_TTL_DAYS = parseInt(process.env.DEMO_RESULT_TTL_DAYS) || 30;
+// Share cards are cached for at most a day, and never past the result's expiry
+const CARD_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// Monte Carlo stability samples per /diagnose (0 = off); results that flip under
+// sensor noise lower the strategy toward the LLM
+const DIAGNOSE_STABILITY_SAMPLES = parseInt(process.env.DIAGNOSE_STABILITY_SAMPLES) || 0;
+const MAX_STABILITY_SAMPLES = 1000;
+
+// faceAnalysis may be an array of captures of the same person
+const MAX_CAPTURES = 5;
+
+// faceAnalysis colors whose lab reaches a classifier
+const COLOR_PARTS = ['skinColor', 'hairColor', 'eyeColor', 'eyebrowColor', 'lipColor',
+    'backgroundColor', 'neckColor', 'scleraColor', 'teethColor'];
+
 function generateSessionId() {
     const now = new Date();
     const ts = now.toISOString().replace(/[-:T.Z]/g, '').slice(0, 17);
-    const rand = Math.random().toString(36).slice(2, 8);
+    const rand = crypto.randomBytes(16).toString('base64url');
     return `DEMO-${ts}-${rand}`;
 }
 
-function getLangInstruction(lang) {
-    if (!lang) return 'Respond in English.';
-    const code = lang.toLowerCase().slice(0, 2);
-    switch (code) {
-        case 'ko': return 'Respond entirely in Korean (\ud55c\uad6d\uc5b4).';
-        case 'ja': return 'Respond entirely in Japanese (\u65e5\u672c\u8a9e).';
-        case 'zh': return 'Respond entirely in Chinese (\u4e2d\u6587).';
-        default: return 'Respond in English.';
-    }
-}
-
-function getSectionLabels(lang) {
-    const code = lang ? lang.toLowerCase().slice(0, 2) : 'en';
-    switch (code) {
-        case 'ko': return { measurements: '측정값 (Lab)', description: '설명', skin: '피부', hair: '머리카락', eyebrow: '눈썹', eye: '눈동자', lip: '입술', neck: '목' };
-        case 'ja': return { measurements: '測定値 (Lab)', description: '説明', skin: '肌', hair: '髪', eyebrow: '眉', eye: '瞳', lip: '唇', neck: '首' };
-        case 'zh': return { measurements: '测量值 (Lab)', description: '说明', skin: '皮肤', hair: '头发', eyebrow: '眉毛', eye: '瞳孔', lip: '嘴唇', neck: '脖子' };
-        default: return { measurements: 'Measurements (Lab)', description: 'Description', skin: 'Skin', hair: 'Hair', eyebrow: 'Eyebrow', eye: 'Eye', lip: 'Lip', neck: 'Neck' };
-    }
-}
-
 function labStr(color) {
     if (color && color.lab) return `LAB(${color.lab.l}, ${color.lab.a}, ${color.lab.b})`;
     if (color && color.rgb) return `RGB(${color.rgb.r}, ${color.rgb.g}, ${color.rgb.b})`;
     return 'N/A';
 }
 
+// ─── Palette: chosen from the catalogue, the LLM only explains it ───
+function paletteSection(palette) {
+    if (!palette) return '';
+    const list = colors => colors.map(c => `${c.name} (${c.hex})`).join(', ');
+    return `\n\n## Color Palette (FIXED — do NOT add, remove or rename colors)
+- Best Colors: ${list(palette.best)}
+- Colors to Avoid: ${list(palette.avoid)}
+Explain in "paletteExplanation" why these best colors flatter the customer and why the avoid colors do not, referring to the measurements. Do not suggest other colors.\n`;
+}
+
+// Landmark-derived face metrics (optional; classifyFaceShape scores them when present)
+const FACE_METRICS = ['jawAngle', 'chinPointedness', 'cheekboneProminence', 'midfaceRatio', 'lowerFaceRatio', 'symmetry'];
+
+function faceMetricsStr(faceProportions) {
+    return FACE_METRICS
+        .filter(key => faceProportions[key] != null)
+        .map(key => `${key}=${faceProportions[key]}`)
+        .join(', ');
+}
+
+function seasonScoresStr(scores) {
+    return ['Spring', 'Summer', 'Autumn', 'Winter'].map(s => `${s}=${Math.round(scores[s] * 100)}%`).join(', ');
+}
+
+/**
+ * Prompt note when the two classifier engines disagreed on the season
+ */
+function borderlineNote(reconciliation) {
+    const conflict = reconciliation.disagreements.find(d => d.field === 'season');
+    if (!conflict) return '';
+    const other = Object.values(conflict.values).find(v => v !== reconciliation.season);
+    return `- Note: borderline between ${reconciliation.season} and ${other}. Keep ${reconciliation.season} as the result, but mention that some ${other} colors may also work.\n`;
+}
+
+/**
+ * The 14-type engine's "why this type" — only when the reconciled sub-type is
+ * the engine's own pick, otherwise its reasons explain a different result
+ */
+function typeExplanationFor(internalResult, reconciliation) {
+    if (!internalResult || !internalResult.explanation || !reconciliation) return null;
+    return internalResult.explanation.type === reconciliation.subType ? internalResult.explanation : null;
+}
+
+/**
+ * Prompt section with the engine's reasons, without sub-type names
+ */
+function reasonsSection(explanation) {
+    if (!explanation) return '';
+    const { lines } = formatExplanation(explanation, 'en', { typeNames: false });
+    return `\n## Why the Engine Decided This (FIXED — base your reasons on these, do NOT invent others)
+${lines.map(l => `- ${l}`).join('\n')}\n`;
+}
+
 // ─── Hybrid Prompt: Internal type decided, Gemini writes description only ───
-function buildHybridPrompt(internalResult, faceAnalysis, bodyAnalysis, age, gender, lang, warmCoolModule) {
+function buildHybridPrompt(internalResult, faceAnalysis, bodyAnalysis, age, gender, lang, warmCoolModule, reconciliation, palette) {
     const pc = internalResult.personalColor;
-    const bgCorr = internalResult.backgroundCorrection;
-    const face = internalResult.faceShape;
+    const wb = internalResult.whiteBalance;
+    const face = internalResult.faceShape && internalResult.faceShape.type ? internalResult.faceShape : null;
     const body = internalResult.bodyType;
 
     let prompt = `# APL Personal Color Diagnosis — Description Writer
@@ -116,16 +195,16 @@ IMPORTANT: Do NOT mention or determine specific personal color sub-types (e.g. S
 ## Analysis Results (FIXED — do NOT change these)
 `;
 
-    if (warmCoolModule) {
+    if (warmCoolModule && reconciliation && reconciliation.season) {
         const wc = warmCoolModule.warmCool;
-        const ss = warmCoolModule.season;
         const warmPct = Math.round(wc.score * 100);
         const coolPct = 100 - warmPct;
         prompt += `- Warm/Cool: ${wc.tendency}
 - Warm/Cool Score: Warm ${warmPct}% / Cool ${coolPct}%
-- Season: ${ss.primary}
-- Season Scores: Spring=${Math.round(ss.scores.Spring * 100)}%, Summer=${Math.round(ss.scores.Summer * 100)}%, Autumn=${Math.round(ss.scores.Autumn * 100)}%, Winter=${Math.round(ss.scores.Winter * 100)}%
+- Season: ${reconciliation.season}
+- Season Scores: ${seasonScoresStr(reconciliation.seasonScores)}
 `;
+        prompt += borderlineNote(reconciliation);
     }
 
     if (face) {
@@ -143,9 +222,10 @@ IMPORTANT: Do NOT mention or determine specific personal color sub-types (e.g. S
     if (faceAnalysis.lipColor) prompt += `Lip Color: ${labStr(faceAnalysis.lipColor)}\n`;
     if (faceAnalysis.neckColor) prompt += `Neck Color: ${labStr(faceAnalysis.neckColor)}\n`;
 
-    if (bgCorr && bgCorr.adjustments) {
-        prompt += `\nBackground Correction Applied: dL=${bgCorr.adjustments.dL}, dA=${bgCorr.adjustments.dA}, dB=${bgCorr.adjustments.dB}\n`;
-        prompt += `Corrected Skin: LAB(${bgCorr.corrected.l}, ${bgCorr.corrected.a}, ${bgCorr.corrected.b})\n`;
+    if (wb && wb.method !== 'none') {
+        const skin = applyWhiteBalance({ skinColor: faceAnalysis.skinColor }, wb).skinColor.lab;
+        prompt += `\nWhite Balance Applied: estimated light ${wb.cct}K (${wb.method}, reliability ${wb.reliability})\n`;
+        prompt += `Corrected Skin: LAB(${skin.l}, ${skin.a}, ${skin.b})\n`;
     }
 
     if (faceAnalysis.contrast) {
@@ -157,6 +237,8 @@ IMPORTANT: Do NOT mention or determine specific personal color sub-types (e.g. S
 
     if (faceAnalysis.faceProportions) {
         prompt += `\nFace Proportions: forehead=${faceAnalysis.faceProportions.foreheadRatio}, jaw=${faceAnalysis.faceProportions.jawRatio}, height=${faceAnalysis.faceProportions.heightRatio}\n`;
+        const metrics = faceMetricsStr(faceAnalysis.faceProportions);
+        if (metrics) prompt += `Face Metrics: ${metrics}\n`;
     }
 
     if (bodyAnalysis && bodyAnalysis.bodyProportions) {
@@ -166,6 +248,11 @@ IMPORTANT: Do NOT mention or determine specific personal color sub-types (e.g. S
     if (age) prompt += `\nAge: ${age}`;
     if (gender) prompt += `\nGender: ${gender}`;
 
+    const reasons = reasonsSection(typeExplanationFor(internalResult, reconciliation));
+    prompt += reasons;
+
+    prompt += paletteSection(palette);
+
     const sl = getSectionLabels(lang);
 
     prompt += `\n\n${getLangInstruction(lang)}
@@ -174,7 +261,7 @@ IMPORTANT: Do NOT mention or determine specific personal color sub-types (e.g. S
 
 Write professional descriptions based on the analysis results and measurement data.
 IMPORTANT: Do NOT mention specific personal color sub-types (e.g. Spring Light, Summer Mute, Autumn Deep, Spring Soft, etc.). Describe only using the warm/cool tendency, warm/cool score, season, and season scores provided above, along with the LAB measurement data.
-
+${reasons ? 'When explaining why the result fits, use only the reasons listed under "Why the Engine Decided This".\n' : ''}
 The "personalColorDetail" field MUST follow this EXACT format:
 Section 1: "◼︎ ${sl.measurements}" followed by line break, then each color on its own line with L*/a*/b* values separated by " / "
 Section 2: After two line breaks, "◼︎ ${sl.description}" followed by line break, then professional explanation
@@ -185,8 +272,7 @@ IMPORTANT: Respond ONLY with pure JSON. No code blocks, no markdown.
   "personalColorDetail": "◼︎ ${sl.measurements}\\n- ${sl.skin}: ...\\n- ${sl.hair}: ...\\n...\\n\\n◼︎ ${sl.description}\\n...",
   "faceShapeDetail": "...",
   "bodyTypeDetail": "..." or null,
-  "bestColors": ["Color1", "Color2", "Color3", "Color4", "Color5"],
-  "avoidColors": ["Color1", "Color2", "Color3", "Color4"],
+  "paletteExplanation": "Why the best colors suit and the avoid colors do not, referring to the measurements.",
   "stylingTip": "A brief 1-2 sentence recommendation."
 }`;
 
@@ -194,7 +280,7 @@ IMPORTANT: Respond ONLY with pure JSON. No code blocks, no markdown.
 }
 
 // ─── Full Prompt: Gemini decides everything (fallback for low confidence) ───
-function buildFullPrompt(faceAnalysis, bodyAnalysis, age, gender, lang, warmCoolModule) {
+function buildFullPrompt(faceAnalysis, bodyAnalysis, age, gender, lang, warmCoolModule, reconciliation, palette) {
     let prompt = DEMO_DIAGNOSIS_PROMPT;
 
     prompt += '\n\n## Client Measurement Data (all colors in CIELAB)\n';
@@ -213,6 +299,8 @@ function buildFullPrompt(faceAnalysis, bodyAnalysis, age, gender, lang, warmCool
     prompt += `- Forehead ratio: ${faceAnalysis.faceProportions.foreheadRatio}\n`;
     prompt += `- Jaw ratio: ${faceAnalysis.faceProportions.jawRatio}\n`;
     prompt += `- Height ratio: ${faceAnalysis.faceProportions.heightRatio}\n`;
+    const faceMetrics = faceMetricsStr(faceAnalysis.faceProportions);
+    if (faceMetrics) prompt += `- Metrics: ${faceMetrics}\n`;
 
     if (faceAnalysis.contrast) {
         prompt += `\nContrast (Euclidean RGB distance):\n`;
@@ -229,22 +317,26 @@ function buildFullPrompt(faceAnalysis, bodyAnalysis, age, gender, lang, warmCool
         prompt += '\n\nNo body measurement data provided. Set bodyType and bodyTypeDetail to null.\n';
     }
 
-    if (warmCoolModule) {
+    if (warmCoolModule && reconciliation && reconciliation.season) {
         const wc = warmCoolModule.warmCool;
-        const ss = warmCoolModule.season;
         const warmPct = Math.round(wc.score * 100);
         const coolPct = 100 - warmPct;
         prompt += `\n## Warm/Cool & Season Analysis (LAB-based, 359 records optimized)
 - Warm/Cool: ${wc.tendency} (5-level: Warm / Neutral Warm / Neutral / Neutral Cool / Cool)
 - Warm/Cool Score: Warm ${warmPct}% / Cool ${coolPct}%
-- Season: ${ss.primary} (confidence: ${ss.confidence})
-- Season Scores: Spring=${Math.round(ss.scores.Spring * 100)}%, Summer=${Math.round(ss.scores.Summer * 100)}%, Autumn=${Math.round(ss.scores.Autumn * 100)}%, Winter=${Math.round(ss.scores.Winter * 100)}%
+- Season: ${reconciliation.season} (confidence: ${warmCoolModule.season.confidence})
+- Season Scores: ${seasonScoresStr(reconciliation.seasonScores)}
 Use this data as a reference when determining the personal color type.\n`;
+        prompt += borderlineNote(reconciliation);
     }
 
     if (age) prompt += `\nCustomer age: ${age}`;
     if (gender) prompt += `\nCustomer gender: ${gender}`;
 
+    prompt += palette
+        ? paletteSection(palette)
+        : '\n\nNo color palette is provided. Set paletteExplanation to null.\n';
+
     const sl = getSectionLabels(lang);
     prompt += `\n\n${getLangInstruction(lang)}`;
     prompt += `\nIMPORTANT: In the "personalColorDetail" field, use "◼︎ ${sl.measurements}" for the first section header and "◼︎ ${sl.description}" for the second section header. Use "${sl.skin}", "${sl.hair}", "${sl.eyebrow}", "${sl.eye}", "${sl.lip}", "${sl.neck}" as color labels.`;
@@ -275,10 +367,12 @@ All colors are provided in CIELAB (L*, a*, b*) color space:
 - lipColor: LAB averaged from 4 lip landmark points
 - neckColor: LAB from 3 horizontal points below chin
 - backgroundColor: RGB from background region (top + sides, body-filtered)
+- scleraColor / teethColor: LAB of the eye whites / teeth (if visible), white references for the lighting
 - faceProportions: Ratios normalized to cheekbone width (1.0)
   - foreheadRatio: forehead width / cheekbone width
   - jawRatio: jaw width / cheekbone width
   - heightRatio: face height / cheekbone width
+  - jawAngle, chinPointedness (0-1), cheekboneProminence, midfaceRatio / lowerFaceRatio (share of face height), symmetry (0-1) \u2014 if available
 - contrast: Euclidean RGB distance
   - skinHair: skin \u2194 hair contrast
   - skinEye: skin \u2194 eye contrast
@@ -311,14 +405,16 @@ All colors are provided in CIELAB (L*, a*, b*) color space:
 - Winter Deep: Cool deep tone (L*<50, a*<5), deep strong eyes
 - Winter Soft: Soft cool tone (low a*, low b*), subtle brown-gray eyes
 
-## Face Shape \u2014 7 Types (use faceProportions)
+## Face Shape \u2014 9 Types (use faceProportions)
 1. Oval: heightRatio 1.3-1.5, foreheadRatio ~0.85-0.95, jawRatio ~0.75-0.85
-2. Round: heightRatio <1.3, foreheadRatio ~0.9, jawRatio ~0.85-0.95
-3. Square: heightRatio 1.2-1.4, jawRatio >0.9 (wide jaw)
-4. Oblong: heightRatio >1.5
-5. Heart: foreheadRatio >0.95, jawRatio <0.7
-6. Diamond: foreheadRatio <0.8, jawRatio <0.8 (widest at cheekbones)
-7. Inverted Triangle: foreheadRatio >1.0, jawRatio <0.75
+2. Round: heightRatio <1.3, foreheadRatio ~0.9, jawRatio ~0.85-0.95, soft jaw (jawAngle >135)
+3. Square: heightRatio 1.0-1.3, jawRatio >0.9, angular jaw (jawAngle <125), broad chin
+4. Rectangle: heightRatio >1.4, jawRatio >0.9, angular jaw (jawAngle <125)
+5. Oblong: heightRatio >1.5, tapering jaw (jawAngle >130), long midface/lower face
+6. Heart: foreheadRatio >0.95, jawRatio <0.7, pointed chin
+7. Diamond: foreheadRatio <0.8, jawRatio <0.8 (widest at cheekbones, cheekboneProminence >1.15)
+8. Inverted Triangle: foreheadRatio >1.0, jawRatio <0.75, foreheadRatio/jawRatio >1.6
+9. Triangle: foreheadRatio <0.85, jawRatio >0.95 (jaw wider than forehead, pear shape)
 
 ## Body Type \u2014 5 Types (use bodyProportions)
 1. Straight: shoulderHipRatio >1.1
@@ -357,8 +453,7 @@ IMPORTANT formatting rules:
   "faceShapeDetail": "...",
   "bodyType": "Wave",
   "bodyTypeDetail": "...",
-  "bestColors": ["Peach", "Coral", "Ivory", "Light Beige", "Soft Yellow"],
-  "avoidColors": ["Black", "Cool Gray", "Neon", "Dark Brown"],
+  "paletteExplanation": "Why the provided best colors suit and the avoid colors do not.",
   "stylingTip": "A brief 1-2 sentence styling recommendation."
 }
 
@@ -366,211 +461,606 @@ If no body measurement data is provided, set bodyType and bodyTypeDetail to null
 Reference the actual measured values in your explanations to show data-backed reasoning.
 `;
 
+// ─── Diagnosis pipeline steps (shared by JSON and streaming endpoints) ───
+function buildClassifierInput(faceAnalysis, bodyAnalysis) {
+    if (Array.isArray(faceAnalysis)) {
+        return faceAnalysis.map(capture => buildClassifierInput(capture || {}, bodyAnalysis));
+    }
+
+    const classifierInput = {
+        skinColor: faceAnalysis.skinColor || null,
+        hairColor: faceAnalysis.hairColor || null,
+        eyeColor: faceAnalysis.eyeColor || null,
+        eyebrowColor: faceAnalysis.eyebrowColor || null,
+        lipColor: faceAnalysis.lipColor || null,
+        contrast: faceAnalysis.contrast || null,
+        backgroundColor: faceAnalysis.backgroundColor || null,
+        neckColor: faceAnalysis.neckColor || null,
+        scleraColor: faceAnalysis.scleraColor || null,
+        teethColor: faceAnalysis.teethColor || null,
+        faceProportions: faceAnalysis.faceProportions || null,
+        bodyProportions: bodyAnalysis ? bodyAnalysis.bodyProportions : null
+    };
+
+    return classifierInput;
+}
+
 /**
- * POST /api/demo/diagnose
- * Hybrid: Internal classifier + Gemini 3.1 Flash Lite description
+ * Landmark mode: captures that send faceAnalysis.landmarks (raw Face Landmarker
+ * points and sampled pixels) are measured here, so proportions, jaw angle and
+ * contrast do not depend on the client version
+ * @returns {Object|null} { faceAnalysis } in the regular shape, or null when a response was already sent
  */
-router.post('/diagnose', async (req, res) => {
-    try {
-        const clientIP = req.ip || req.connection.remoteAddress;
-        if (!checkRateLimit(clientIP)) {
-            return res.status(429).json({ success: false, message: 'Too many requests. Please try again later.' });
+function resolveLandmarks(req, res) {
+    const { faceAnalysis } = req.body;
+    const several = Array.isArray(faceAnalysis);
+    const captures = several ? faceAnalysis : [faceAnalysis];
+    for (const [index, capture] of captures.entries()) {
+        if (!capture || !capture.landmarks) continue;
+        const problem = validateLandmarks(capture.landmarks);
+        if (problem) {
+            res.status(400).json({ success: false, message: `faceAnalysis${several ? `[${index}]` : ''}.${problem}.` });
+            return null;
         }
+    }
+    const resolved = captures.map(c => (c && c.landmarks ? faceAnalysisFromLandmarks(c) : c));
+    return { faceAnalysis: several ? resolved : resolved[0] };
+}
 
-        if (!genAI) {
-            return res.status(503).json({ success: false, message: 'AI service is not configured.' });
+/**
+ * Measured colors must carry numeric L*a*b*: strings such as "66" would pass
+ * the range comparisons by coercion and classify a different value than sent
+ * @returns {string|null} error message for the first invalid lab, or null
+ */
+function invalidLabMessage(faceAnalysis) {
+    const several = Array.isArray(faceAnalysis);
+    const captures = several ? faceAnalysis : [faceAnalysis];
+    for (const [index, capture] of captures.entries()) {
+        if (!capture) continue;
+        for (const part of COLOR_PARTS) {
+            const lab = capture[part] && capture[part].lab;
+            if (lab == null) continue;
+            if (!['l', 'a', 'b'].every(k => typeof lab[k] === 'number' && Number.isFinite(lab[k]))) {
+                return `faceAnalysis${several ? `[${index}]` : ''}.${part}.lab must have numeric l, a and b.`;
+            }
         }
+    }
+    return null;
+}
 
-        const { faceAnalysis, bodyAnalysis, age, gender, timezone, lang } = req.body;
-
-        if (!faceAnalysis || faceAnalysis.error) {
-            return res.status(400).json({ success: false, message: 'Face analysis data is required.' });
+/**
+ * Colors sent only as sRGB must be three numbers from 0 to 255 to be converted
+ * @returns {string|null} error message for the first unusable rgb, or null
+ */
+function invalidRgbMessage(faceAnalysis) {
+    const several = Array.isArray(faceAnalysis);
+    const captures = several ? faceAnalysis : [faceAnalysis];
+    for (const [index, capture] of captures.entries()) {
+        if (!capture) continue;
+        for (const part of COLOR_PARTS) {
+            const color = capture[part];
+            if (!color || color.lab != null || color.rgb == null) continue;
+            if (!['r', 'g', 'b'].every(k => typeof color.rgb[k] === 'number' && color.rgb[k] >= 0 && color.rgb[k] <= 255)) {
+                return `faceAnalysis${several ? `[${index}]` : ''}.${part}.rgb must have r, g and b from 0 to 255.`;
+            }
         }
+    }
+    return null;
+}
 
-        console.log(`Demo diagnosis from ${clientIP} (hybrid mode, age: ${age || 'N/A'}, gender: ${gender || 'N/A'}, lang: ${lang || 'N/A'})`);
+/**
+ * Colors sent only as sRGB get their L*a*b* here, so RGB-only clients are
+ * classified like LAB ones (a sent lab is kept as is)
+ */
+function withLabFromRgb(faceAnalysis) {
+    if (Array.isArray(faceAnalysis)) return faceAnalysis.map(withLabFromRgb);
+    if (!faceAnalysis) return faceAnalysis;
+    const converted = { ...faceAnalysis };
+    for (const part of COLOR_PARTS) {
+        const color = converted[part];
+        if (color && color.lab == null && color.rgb) {
+            const { r, g, b } = color.rgb;
+            converted[part] = { ...color, lab: labUtils.rgbToLab(r, g, b) };
+        }
+    }
+    return converted;
+}
 
-        // ──────────────────────────────────────────────
-        // STEP 1: Internal classifier (deterministic)
-        // ──────────────────────────────────────────────
-        const classifierInput = {
-            skinColor: faceAnalysis.skinColor || null,
-            hairColor: faceAnalysis.hairColor || null,
-            eyeColor: faceAnalysis.eyeColor || null,
-            eyebrowColor: faceAnalysis.eyebrowColor || null,
-            contrast: faceAnalysis.contrast || null,
-            backgroundColor: faceAnalysis.backgroundColor || null,
-            neckColor: faceAnalysis.neckColor || null,
-            faceProportions: faceAnalysis.faceProportions || null,
-            bodyProportions: bodyAnalysis ? bodyAnalysis.bodyProportions : null
-        };
+/**
+ * Server-side measurements of landmark-mode captures (null for client-measured ones)
+ */
+function geometryReport(faceAnalysis) {
+    const report = capture => (capture && capture.geometry ? {
+        ...capture.geometry,
+        faceProportions: capture.faceProportions,
+        contrast: capture.contrast
+    } : null);
+    return Array.isArray(faceAnalysis) ? faceAnalysis.map(report) : report(faceAnalysis);
+}
 
-        // Convert background RGB to LAB if only RGB is available
-        if (classifierInput.backgroundColor && !classifierInput.backgroundColor.lab && classifierInput.backgroundColor.rgb) {
-            const { r, g, b } = classifierInput.backgroundColor.rgb;
-            classifierInput.backgroundColor = { lab: labUtils.rgbToLab(r, g, b), rgb: classifierInput.backgroundColor.rgb };
+/**
+ * Several captures: prompts, descriptions and the saved record use the combined
+ * measurement the classifier saw (the first usable capture if classification failed)
+ */
+function bodyForCaptures(body, internalResult, quality) {
+    if (!Array.isArray(body.faceAnalysis)) return body;
+    const captures = body.faceAnalysis;
+    const faceAnalysis = internalResult && internalResult.captures
+        ? {
+            ...internalResult.captures.combined,
+            segmentationUsed: captures.some(c => c && c.segmentationUsed),
+            geometry: (captures.find(c => c && c.geometry) || {}).geometry
         }
+        : captures[quality && quality.usable ? quality.usable[0] : 0];
+    return { ...body, faceAnalysis };
+}
+
+/**
+ * Hair / eye / eyebrow / lip / neck LAB for the 97-module (only the measured ones;
+ * eyebrow is read by the trained season model only)
+ */
+function warmCoolExtra(classifierInput) {
+    const extra = {};
+    for (const [key, color] of [
+        ['hair', classifierInput.hairColor],
+        ['eye', classifierInput.eyeColor],
+        ['eyebrow', classifierInput.eyebrowColor],
+        ['lip', classifierInput.lipColor],
+        ['neck', classifierInput.neckColor]
+    ]) {
+        if (color && color.lab) extra[key] = color.lab;
+    }
+    return extra;
+}
+
+/**
+ * Measured parts each 97-module stage used, e.g. { warmCool: ['skin', 'hair'], season: ['skin', 'hair'] }
+ */
+function dataSources(warmCoolModule) {
+    if (!warmCoolModule) return null;
+    return { warmCool: warmCoolModule.warmCool.dataSource, season: warmCoolModule.season.dataSource };
+}
+
+/**
+ * Classifier variant for this request: body.variant forces one by name,
+ * otherwise the visitor id (body.visitorId, else client IP) picks it
+ * @returns {Object|null} assignVariant() result, null for an unknown body.variant
+ */
+function classifierVariantFor(req) {
+    const { visitorId, variant } = req.body;
+    const visitor = typeof visitorId === 'string' && VISITOR_ID_PATTERN.test(visitorId)
+        ? visitorId
+        : (req.ip || req.connection.remoteAddress);
+    return assignVariant(visitor, { requested: variant });
+}
+
+/**
+ * STEP 1: Internal classifier (deterministic) + 97-module warm/cool, reconciled
+ * @param {Object|Object[]} classifierInput - buildClassifierInput() result (array for several captures)
+ * @param {Object} [classifierConfig] - variant: { versions: { aplColorClassifier, warmCoolClassifier }, seasonModel }
+ * @param {Object} [quality] - checkPhotoQuality() result; captures it excluded are left out
+ * @returns {Object} { internalResult, warmCoolModule, reconciliation } (any may be null)
+ */
+function runClassifiers(classifierInput, classifierConfig = {}, quality = null) {
+    const versions = classifierConfig.versions || {};
+    const seasonModel = classifierConfig.seasonModel;
+    let internalResult = null;
+    let warmCoolModule = null;
+    try {
+        internalResult = fullDiagnosis(classifierInput, {
+            parametersVersion: versions.aplColorClassifier,
+            stability: DIAGNOSE_STABILITY_SAMPLES > 0 ? { samples: DIAGNOSE_STABILITY_SAMPLES } : false,
+            excludeCaptures: quality && quality.excluded ? quality.excluded : undefined
+        });
+        const captures = internalResult.captures;
+        console.log(`Internal classifier: ${internalResult.personalColor.type} (confidence: ${internalResult.personalColor.confidence}` +
+            `${internalResult.stability ? `, stability: ${internalResult.stability.overall}` : ''}), strategy: ${internalResult.strategy}` +
+            `${captures ? `, captures: ${captures.used.length}/${captures.total} used, consistency ${captures.consistency.score}` : ''}`);
+    } catch (classifyError) {
+        console.warn('Internal classifier failed, falling back to Gemini-only:', classifyError.message);
+    }
 
-        let internalResult = null;
-        let warmCoolModule = null;
+    // 97-module: 웜/쿨 5단계 + 4계절 점수 (14-type 엔진과 같은 화이트밸런스 보정값 사용)
+    const balancedInput = !internalResult ? classifierInput
+        : internalResult.captures ? internalResult.captures.combined
+            : applyWhiteBalance(classifierInput, internalResult.whiteBalance);
+    const skinLab = balancedInput.skinColor ? balancedInput.skinColor.lab : null;
+    if (skinLab) {
         try {
-            internalResult = fullDiagnosis(classifierInput);
-            console.log(`Internal classifier: ${internalResult.personalColor.type} (confidence: ${internalResult.personalColor.confidence}), strategy: ${internalResult.strategy}`);
-        } catch (classifyError) {
-            console.warn('Internal classifier failed, falling back to Gemini-only:', classifyError.message);
+            warmCoolModule = classifyWarmCoolModule(skinLab, warmCoolExtra(balancedInput), {
+                parametersVersion: versions.warmCoolClassifier,
+                seasonModel: seasonModel ? loadSeasonModel(seasonModel.version) : undefined,
+                modelWeight: seasonModel ? seasonModel.weight : undefined
+            });
+            if (internalResult) internalResult.warmCoolModule = warmCoolModule;
+            console.log(`Warm/Cool module: ${warmCoolModule.warmCool.tendency} (score: ${warmCoolModule.warmCool.score}), season: ${warmCoolModule.season.primary}, sources: ${warmCoolModule.warmCool.dataSource.join('+')}`);
+        } catch (wcErr) {
+            console.warn('Warm/Cool module error:', wcErr.message);
         }
+    }
 
-        // 97-module: 웜/쿨 5단계 + 4계절 점수
-        const skinLab = classifierInput.skinColor ? classifierInput.skinColor.lab : null;
-        if (skinLab) {
-            try {
-                warmCoolModule = classifyWarmCoolModule(skinLab);
-                if (internalResult) internalResult.warmCoolModule = warmCoolModule;
-                console.log(`Warm/Cool module: ${warmCoolModule.warmCool.tendency} (score: ${warmCoolModule.warmCool.score}), season: ${warmCoolModule.season.primary}`);
-            } catch (wcErr) {
-                console.warn('Warm/Cool module error:', wcErr.message);
-            }
-        }
+    const reconciliation = reconcile(internalResult, warmCoolModule);
+    if (reconciliation && !reconciliation.agreement) {
+        console.log(`Classifier disagreement: ${reconciliation.disagreements.map(d => d.message).join(' | ')}`);
+    }
 
-        // ──────────────────────────────────────────────
-        // STEP 2: Gemini 3.1 Flash Lite (description writer)
-        // ──────────────────────────────────────────────
-        let prompt;
-        const useInternalType = internalResult && internalResult.strategy !== 'gemini';
+    return { internalResult, warmCoolModule, reconciliation };
+}
 
-        if (useInternalType) {
-            prompt = buildHybridPrompt(internalResult, faceAnalysis, bodyAnalysis, age, gender, lang, warmCoolModule);
-        } else {
-            prompt = buildFullPrompt(faceAnalysis, bodyAnalysis, age, gender, lang, warmCoolModule);
+/**
+ * STEP 2 input: hybrid prompt when the internal type is trusted, full prompt otherwise
+ */
+function prepareDescription(body, internalResult, warmCoolModule, reconciliation) {
+    const { faceAnalysis, bodyAnalysis, age, gender, lang } = body;
+    const useInternalType = !!(internalResult && internalResult.strategy !== 'gemini');
+    const palette = choosePalette(reconciliation, useInternalType, lang);
+
+    const prompt = useInternalType
+        ? buildHybridPrompt(internalResult, faceAnalysis, bodyAnalysis, age, gender, lang, warmCoolModule, reconciliation, palette)
+        : buildFullPrompt(faceAnalysis, bodyAnalysis, age, gender, lang, warmCoolModule, reconciliation, palette);
+
+    return {
+        prompt,
+        schema: useInternalType ? HYBRID_SCHEMA : FULL_SCHEMA,
+        useInternalType,
+        palette,
+        options: {
+            model: DESCRIPTION_MODEL,
+            lang,
+            context: { internalResult, warmCoolModule, reconciliation, faceAnalysis, palette, lang }
         }
+    };
+}
 
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
-        const result = await model.generateContent(prompt);
-        const rawResponse = result.response.text();
-        console.log(`Gemini response: ${rawResponse.length} chars (mode: ${useInternalType ? 'hybrid' : 'full'})`);
+/**
+ * Best/avoid colors from the palette catalogue — reconciled season and sub-type.
+ * Null when only the LLM can decide the season (full mode without the 97-module);
+ * mergeDiagnosis() then picks by the LLM's seasonGroup.
+ */
+function choosePalette(reconciliation, useInternalType, lang) {
+    const season = engineSeason(reconciliation, useInternalType);
+    if (!season) return null;
+    return selectPalette({ type: reconciliation.subType, season }, langCode(lang));
+}
 
-        // Parse JSON
-        let geminiDiagnosis;
-        try {
-            geminiDiagnosis = JSON.parse(rawResponse);
-        } catch (parseError) {
-            let jsonMatch = rawResponse.match(/```json\s*([\s\S]*?)\s*```/);
-            if (!jsonMatch) jsonMatch = rawResponse.match(/```\s*([\s\S]*?)\s*```/);
-            if (!jsonMatch) jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-
-            if (jsonMatch) {
-                const jsonString = jsonMatch[1] || jsonMatch[0];
-                try {
-                    geminiDiagnosis = JSON.parse(jsonString);
-                } catch (e) {
-                    throw new Error(`JSON parse failed: ${parseError.message}`);
-                }
-            } else {
-                throw new Error(`JSON parse failed: ${parseError.message}`);
-            }
-        }
+/**
+ * Season the classifier engines are trusted to report, or null when the LLM decides
+ * (full mode only trusts the 14-type engine together with the 97-module)
+ */
+function engineSeason(reconciliation, useInternalType) {
+    if (!reconciliation || !reconciliation.season) return null;
+    if (!useInternalType && reconciliation.decidedBy.season === ENGINES.TYPE) return null;
+    return reconciliation.season;
+}
 
-        // ──────────────────────────────────────────────
-        // STEP 3: Merge internal + Gemini results
-        // ──────────────────────────────────────────────
-        const diagnosis = {};
-
-        if (useInternalType) {
-            // 웜/쿨 + 시즌 (모듈 결과 사용)
-            if (warmCoolModule) {
-                diagnosis.personalColor = warmCoolModule.warmCool.tendency + ' / ' + warmCoolModule.season.primary;
-            } else {
-                diagnosis.personalColor = internalResult.personalColor.season;
-            }
-            diagnosis.faceShape = internalResult.faceShape ? internalResult.faceShape.type : geminiDiagnosis.faceShape;
-            diagnosis.bodyType = internalResult.bodyType ? internalResult.bodyType.type : (geminiDiagnosis.bodyType || null);
-        } else {
-            if (warmCoolModule) {
-                diagnosis.personalColor = warmCoolModule.warmCool.tendency + ' / ' + warmCoolModule.season.primary;
-            } else {
-                diagnosis.personalColor = geminiDiagnosis.personalColor;
-            }
-            diagnosis.faceShape = geminiDiagnosis.faceShape;
-            diagnosis.bodyType = geminiDiagnosis.bodyType || null;
-        }
+function logGeneration(generation, useInternalType) {
+    console.log(`${generation.provider} response (mode: ${useInternalType ? 'hybrid' : 'full'})` +
+        (generation.repairedFields.length ? `, repaired: ${generation.repairedFields.join(',')}` : '') +
+        (generation.fallbackFields.length ? `, fallback: ${generation.fallbackFields.join(',')}` : '') +
+        (generation.droppedKeys.length ? `, dropped: ${generation.droppedKeys.join(',')}` : ''));
+}
+
+/**
+ * STEP 3: Merge internal + LLM results
+ * diagnosis.decidedBy records the engine behind each classified field
+ * (apl-color-classifier | warm-cool-classifier | reconciled | llm).
+ */
+function mergeDiagnosis(internalResult, reconciliation, useInternalType, geminiDiagnosis, palette, lang) {
+    const diagnosis = {};
+    const decidedBy = {};
+
+    // Season + warm/cool: reconciled across both engines (see services/reconciliation)
+    const season = engineSeason(reconciliation, useInternalType);
+    if (season) {
+        const fromModule = reconciliation.decidedBy.warmCool === ENGINES.WARM_COOL;
+        diagnosis.personalColor = fromModule ? reconciliation.warmCool.tendency + ' / ' + season : season;
+        diagnosis.seasonGroup = season;
+        diagnosis.subType = reconciliation.subType;
+        diagnosis.typeExplanation = useInternalType ? typeExplanationFor(internalResult, reconciliation) : null;
+        diagnosis.warmCool = reconciliation.warmCool.tendency;
+        if (fromModule) diagnosis.warmCoolScore = reconciliation.warmCool.score;
+        decidedBy.personalColor = reconciliation.decidedBy.season;
+        decidedBy.seasonGroup = reconciliation.decidedBy.season;
+        decidedBy.warmCool = reconciliation.decidedBy.warmCool;
+    } else {
+        diagnosis.personalColor = geminiDiagnosis.personalColor;
+        diagnosis.seasonGroup = geminiDiagnosis.seasonGroup || null;
+        diagnosis.subType = null;
+        diagnosis.typeExplanation = null;
+        diagnosis.warmCool = null;
+        decidedBy.personalColor = ENGINES.LLM;
+        decidedBy.seasonGroup = diagnosis.seasonGroup ? ENGINES.LLM : null;
+        decidedBy.warmCool = null;
+    }
+    diagnosis.disagreements = reconciliation ? reconciliation.disagreements.map(d => d.field) : [];
+
+    // An undetermined face shape (no ratios measured) is left to the LLM like a missing one
+    const face = useInternalType && internalResult.faceShape && internalResult.faceShape.type ? internalResult.faceShape : null;
+    const body = useInternalType && internalResult.bodyType;
+    diagnosis.faceShape = face ? face.type : (geminiDiagnosis.faceShape || null);
+    diagnosis.bodyType = body ? body.type : (geminiDiagnosis.bodyType || null);
+    decidedBy.faceShape = face ? ENGINES.TYPE : ENGINES.LLM;
+    decidedBy.bodyType = body ? ENGINES.TYPE : (diagnosis.bodyType ? ENGINES.LLM : null);
+    diagnosis.decidedBy = decidedBy;
+
+    // Description text always from the LLM provider
+    diagnosis.personalColorDetail = geminiDiagnosis.personalColorDetail;
+    diagnosis.faceShapeDetail = geminiDiagnosis.faceShapeDetail;
+    diagnosis.bodyTypeDetail = geminiDiagnosis.bodyTypeDetail || null;
+    diagnosis.stylingTip = geminiDiagnosis.stylingTip;
+
+    // Best/avoid colors always from the catalogue; the LLM only explains them
+    if (!palette) {
+        palette = selectPalette({ type: geminiDiagnosis.personalColor, season: diagnosis.seasonGroup }, langCode(lang));
+    }
+    if (palette) {
+        diagnosis.palette = {
+            source: palette.source,
+            key: palette.key,
+            best: palette.best.map(c => c.id),
+            avoid: palette.avoid.map(c => c.id)
+        };
+        diagnosis.bestColors = palette.best.map(c => c.name);
+        diagnosis.avoidColors = palette.avoid.map(c => c.name);
+        diagnosis.paletteExplanation = geminiDiagnosis.paletteExplanation || null;
+    } else {
+        diagnosis.palette = null;
+        diagnosis.bestColors = [];
+        diagnosis.avoidColors = [];
+        diagnosis.paletteExplanation = null;
+    }
+
+    console.log(`Demo result: ${diagnosis.personalColor}, ${diagnosis.faceShape}${diagnosis.bodyType ? ', ' + diagnosis.bodyType : ''} (${useInternalType ? 'internal' : 'gemini'})`);
+
+    return diagnosis;
+}
+
+/**
+ * Stored palette ids → { source, key, best: [{ id, hex, lab, name }], avoid: [...] }
+ */
+function resolvePalette(palette, lang) {
+    if (!palette || !palette.best) return null;
+    const code = langCode(lang);
+    return {
+        source: palette.source,
+        key: palette.key,
+        best: palette.best.map(id => getPaletteColor(id, code)).filter(Boolean),
+        avoid: palette.avoid.map(id => getPaletteColor(id, code)).filter(Boolean)
+    };
+}
+
+function toClientDiagnosis(diagnosis, lang) {
+    return {
+        personalColor: diagnosis.personalColor,
+        seasonGroup: diagnosis.seasonGroup,
+        warmCool: diagnosis.warmCool,
+        personalColorDetail: diagnosis.personalColorDetail,
+        personalColorCharacteristics: diagnosis.personalColorCharacteristics,
+        faceShape: diagnosis.faceShape,
+        faceShapeDetail: diagnosis.faceShapeDetail,
+        bodyType: diagnosis.bodyType,
+        bodyTypeDetail: diagnosis.bodyTypeDetail,
+        bestColors: diagnosis.bestColors,
+        avoidColors: diagnosis.avoidColors,
+        palette: resolvePalette(diagnosis.palette, lang),
+        paletteExplanation: diagnosis.paletteExplanation,
+        stylingTip: diagnosis.stylingTip,
+        subType: diagnosis.subType || null,
+        // Localized "why this type" lines ({ summary, axes, decisive, flip, lines })
+        typeExplanation: diagnosis.typeExplanation ? formatExplanation(diagnosis.typeExplanation, langCode(lang)) : null,
+        disagreements: diagnosis.disagreements || [],
+        decidedBy: diagnosis.decidedBy || null
+    };
+}
+
+function colorRecord(color) {
+    return color ? { rgb: color.rgb, hsl: color.hsl, lab: color.lab } : undefined;
+}
+
+/**
+ * Save to MongoDB
+ * @returns {Promise} resolves with the created document
+ */
+function saveDemoData(sessionId, body, diagnosis, internalResult, classifierConfig, quality) {
+    const { faceAnalysis, bodyAnalysis, age, gender, timezone, lang } = body;
+
+    return DemoData.create({
+        sessionId,
+        resultExpiresAt: new Date(Date.now() + RESULT_TTL_DAYS * 24 * 60 * 60 * 1000),
+        age: age ? parseInt(age) : null,
+        gender: gender || null,
+        timezone: timezone || null,
+        region: timezoneToRegion(timezone),
+        lang: lang || null,
+        colors: {
+            skin: colorRecord(faceAnalysis.skinColor),
+            hair: colorRecord(faceAnalysis.hairColor),
+            eyebrow: colorRecord(faceAnalysis.eyebrowColor),
+            eye: colorRecord(faceAnalysis.eyeColor),
+            lip: colorRecord(faceAnalysis.lipColor),
+            neck: colorRecord(faceAnalysis.neckColor),
+            sclera: colorRecord(faceAnalysis.scleraColor),
+            teeth: colorRecord(faceAnalysis.teethColor),
+            background: faceAnalysis.backgroundColor ? { rgb: faceAnalysis.backgroundColor.rgb } : undefined
+        },
+        faceProportions: faceAnalysis.faceProportions || undefined,
+        bodyProportions: bodyAnalysis ? bodyAnalysis.bodyProportions : undefined,
+        contrast: faceAnalysis.contrast || undefined,
+        diagnosis: {
+            personalColor: diagnosis.personalColor,
+            seasonGroup: diagnosis.seasonGroup,
+            warmCool: diagnosis.warmCool,
+            warmCoolScore: diagnosis.warmCoolScore,
+            personalColorDetail: diagnosis.personalColorDetail,
+            faceShape: diagnosis.faceShape,
+            faceShapeDetail: diagnosis.faceShapeDetail,
+            bodyType: diagnosis.bodyType,
+            bodyTypeDetail: diagnosis.bodyTypeDetail,
+            bestColors: diagnosis.bestColors,
+            avoidColors: diagnosis.avoidColors,
+            palette: diagnosis.palette || undefined,
+            paletteExplanation: diagnosis.paletteExplanation,
+            stylingTip: diagnosis.stylingTip,
+            subType: diagnosis.subType,
+            typeExplanation: diagnosis.typeExplanation || undefined,
+            disagreements: diagnosis.disagreements,
+            decidedBy: diagnosis.decidedBy
+        },
+        internalClassification: internalResult ? {
+            personalColor: internalResult.personalColor,
+            faceShape: internalResult.faceShape,
+            bodyType: internalResult.bodyType,
+            whiteBalance: internalResult.whiteBalance,
+            confidence: internalResult.confidence,
+            strategy: internalResult.strategy
+        } : null,
+        classifierConfig,
+        quality: quality ? { status: quality.status, issues: quality.issues.map(i => i.code) } : undefined,
+        captures: internalResult && internalResult.captures ? {
+            total: internalResult.captures.total,
+            used: internalResult.captures.used,
+            consistency: internalResult.captures.consistency.score
+        } : undefined,
+        geometryVersion: faceAnalysis.geometry ? faceAnalysis.geometry.version : undefined,
+        segmentationUsed: faceAnalysis.segmentationUsed || false
+    });
+}
+
+/**
+ * Save and return the session id, or null when saving failed
+ * (the diagnosis is still returned; it just cannot be reloaded)
+ */
+async function persistDiagnosis(body, diagnosis, internalResult, classifierConfig, quality) {
+    const sessionId = generateSessionId();
+    try {
+        await saveDemoData(sessionId, body, diagnosis, internalResult, classifierConfig, quality);
+        console.log('Demo data saved to MongoDB');
+        return sessionId;
+    } catch (err) {
+        console.error('MongoDB save failed:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Shared request guard for /diagnose and /diagnose/stream
+ * Landmark-mode captures are measured and RGB-only colors converted to LAB here;
+ * the result replaces req.body.faceAnalysis.
+ * @returns {Object|boolean} the request's classifier variant, or false when a response was already sent
+ */
+function checkDiagnoseRequest(req, res) {
+    const clientIP = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIP)) {
+        res.status(429).json({ success: false, message: 'Too many requests. Please try again later.' });
+        return false;
+    }
+
+    const { faceAnalysis, age, gender, lang } = req.body;
+    if (!faceAnalysis || faceAnalysis.error) {
+        res.status(400).json({ success: false, message: 'Face analysis data is required.' });
+        return false;
+    }
+    if (Array.isArray(faceAnalysis) && (faceAnalysis.length < 1 || faceAnalysis.length > MAX_CAPTURES)) {
+        res.status(400).json({ success: false, message: `faceAnalysis must be one capture or an array of 1 to ${MAX_CAPTURES} captures.` });
+        return false;
+    }
+    const measured = resolveLandmarks(req, res);
+    if (!measured) return false;
+    const colorProblem = invalidRgbMessage(measured.faceAnalysis) || invalidLabMessage(measured.faceAnalysis);
+    if (colorProblem) {
+        res.status(400).json({ success: false, message: colorProblem });
+        return false;
+    }
+    req.body.faceAnalysis = withLabFromRgb(measured.faceAnalysis);
+
+    const classifierConfig = classifierVariantFor(req);
+    if (!classifierConfig) {
+        res.status(400).json({ success: false, message: `variant must be one of: ${classifierVariants.variants.map(v => v.name).join(', ')}.` });
+        return false;
+    }
+
+    console.log(`Demo diagnosis from ${clientIP} (hybrid mode, age: ${age || 'N/A'}, gender: ${gender || 'N/A'}, lang: ${lang || 'N/A'}, variant: ${classifierConfig.variant})`);
+    return classifierConfig;
+}
+
+/**
+ * Photo quality gate for /diagnose and /diagnose/stream: unusable measurements
+ * get 422 with localized retake guidance instead of a low-confidence diagnosis.
+ * Of several captures only the unusable ones are left out.
+ * @returns {Object|null} assessQuality() / assessCaptureQuality() result, or null when a response was already sent
+ */
+function checkPhotoQuality(req, res, classifierInput) {
+    const quality = Array.isArray(classifierInput) ? assessCaptureQuality(classifierInput) : assessQuality(classifierInput);
+    if (quality.issues.length) {
+        console.log(`Photo quality ${quality.status}: ${quality.issues.map(i => `${i.code} (${i.severity})`).join(', ')}`);
+    }
+    if (quality.pass) return quality;
 
-        // Description text always from Gemini
-        diagnosis.personalColorDetail = geminiDiagnosis.personalColorDetail;
-        diagnosis.faceShapeDetail = geminiDiagnosis.faceShapeDetail;
-        diagnosis.bodyTypeDetail = geminiDiagnosis.bodyTypeDetail || null;
-        diagnosis.bestColors = geminiDiagnosis.bestColors;
-        diagnosis.avoidColors = geminiDiagnosis.avoidColors;
-        diagnosis.stylingTip = geminiDiagnosis.stylingTip;
+    const guidance = formatQuality(quality, langCode(req.body.lang));
+    res.status(422).json({ success: false, message: guidance.headline, quality: guidance });
+    return null;
+}
+
+/**
+ * POST /api/demo/diagnose
+ * Hybrid: Internal classifier + LLM description
+ * The classifier parameter versions come from the visitor's variant
+ * (config/classifierVariants.json): body.visitorId — a stable id the client
+ * keeps, e.g. in localStorage — always maps to the same variant; body.variant
+ * forces one by name. The variant is returned and saved as classifierConfig.
+ * Unusable photos are rejected with 422 { quality: retake guidance };
+ * usable ones with minor problems carry the same guidance in "quality".
+ * body.faceAnalysis may be an array of captures of the same person: they are
+ * combined into one measurement and "captures" reports how consistent they were.
+ * A capture may send landmarks instead of its own proportions and contrast:
+ *   faceAnalysis.landmarks = { points: 478 × [x, y, z] (normalized Face Landmarker output),
+ *     imageWidth, imageHeight, samples?: { skin, hair, eye, ...: [[r, g, b], ...] }, geometryVersion? }
+ * The server computes them ("geometry" reports the values and the derivation version).
+ */
+router.post('/diagnose', async (req, res) => {
+    try {
+        const classifierConfig = checkDiagnoseRequest(req, res);
+        if (!classifierConfig) return;
+
+        const { faceAnalysis, bodyAnalysis } = req.body;
+        const classifierInput = buildClassifierInput(faceAnalysis, bodyAnalysis);
+        const quality = checkPhotoQuality(req, res, classifierInput);
+        if (!quality) return;
+
+        // STEP 1: Internal classifier (deterministic)
+        const { internalResult, warmCoolModule, reconciliation } = runClassifiers(classifierInput, classifierConfig, quality);
+        const body = bodyForCaptures(req.body, internalResult, quality);
+
+        // STEP 2: LLM description writer
+        const { prompt, schema, useInternalType, palette, options } = prepareDescription(body, internalResult, warmCoolModule, reconciliation);
+        const generation = await generateStructured(prompt, schema, options);
+        logGeneration(generation, useInternalType);
 
-        console.log(`Demo result: ${diagnosis.personalColor}, ${diagnosis.faceShape}${diagnosis.bodyType ? ', ' + diagnosis.bodyType : ''} (${useInternalType ? 'internal' : 'gemini'})`);
+        // STEP 3: Merge internal + LLM results
+        const diagnosis = mergeDiagnosis(internalResult, reconciliation, useInternalType, generation.data, palette, req.body.lang);
+
+        // Save first so the client gets a session id it can reload/share
+        const sessionId = await persistDiagnosis(body, diagnosis, internalResult, classifierConfig, quality);
 
-        // Send response
         res.json({
             success: true,
-            diagnosis: {
-                personalColor: diagnosis.personalColor,
-                seasonGroup: diagnosis.seasonGroup,
-                personalColorDetail: diagnosis.personalColorDetail,
-                personalColorCharacteristics: diagnosis.personalColorCharacteristics,
-                faceShape: diagnosis.faceShape,
-                faceShapeDetail: diagnosis.faceShapeDetail,
-                bodyType: diagnosis.bodyType,
-                bodyTypeDetail: diagnosis.bodyTypeDetail,
-                bestColors: diagnosis.bestColors,
-                avoidColors: diagnosis.avoidColors,
-                stylingTip: diagnosis.stylingTip
-            },
+            sessionId,
+            diagnosis: toClientDiagnosis(diagnosis, req.body.lang),
             isDemo: true,
             classificationSource: useInternalType ? 'internal' : 'gemini',
-            confidence: internalResult ? internalResult.confidence.overall : null
-        });
-
-        // Save to MongoDB asynchronously (non-blocking)
-        DemoData.create({
-            sessionId: generateSessionId(),
-            age: age ? parseInt(age) : null,
-            gender: gender || null,
-            timezone: timezone || null,
-            region: timezoneToRegion(timezone),
-            lang: lang || null,
-            colors: {
-                skin: faceAnalysis.skinColor ? { rgb: faceAnalysis.skinColor.rgb, hsl: faceAnalysis.skinColor.hsl, lab: faceAnalysis.skinColor.lab } : undefined,
-                hair: faceAnalysis.hairColor ? { rgb: faceAnalysis.hairColor.rgb, hsl: faceAnalysis.hairColor.hsl, lab: faceAnalysis.hairColor.lab } : undefined,
-                eyebrow: faceAnalysis.eyebrowColor ? { rgb: faceAnalysis.eyebrowColor.rgb, hsl: faceAnalysis.eyebrowColor.hsl, lab: faceAnalysis.eyebrowColor.lab } : undefined,
-                eye: faceAnalysis.eyeColor ? { rgb: faceAnalysis.eyeColor.rgb, hsl: faceAnalysis.eyeColor.hsl, lab: faceAnalysis.eyeColor.lab } : undefined,
-                lip: faceAnalysis.lipColor ? { rgb: faceAnalysis.lipColor.rgb, hsl: faceAnalysis.lipColor.hsl, lab: faceAnalysis.lipColor.lab } : undefined,
-                neck: faceAnalysis.neckColor ? { rgb: faceAnalysis.neckColor.rgb, hsl: faceAnalysis.neckColor.hsl, lab: faceAnalysis.neckColor.lab } : undefined,
-                background: faceAnalysis.backgroundColor ? { rgb: faceAnalysis.backgroundColor.rgb } : undefined
-            },
-            faceProportions: faceAnalysis.faceProportions || undefined,
-            bodyProportions: bodyAnalysis ? bodyAnalysis.bodyProportions : undefined,
-            contrast: faceAnalysis.contrast || undefined,
-            diagnosis: {
-                personalColor: diagnosis.personalColor,
-                seasonGroup: diagnosis.seasonGroup,
-                personalColorDetail: diagnosis.personalColorDetail,
-                faceShape: diagnosis.faceShape,
-                faceShapeDetail: diagnosis.faceShapeDetail,
-                bodyType: diagnosis.bodyType,
-                bodyTypeDetail: diagnosis.bodyTypeDetail,
-                bestColors: diagnosis.bestColors,
-                avoidColors: diagnosis.avoidColors,
-                stylingTip: diagnosis.stylingTip
+            reconciliation,
+            dataSources: dataSources(warmCoolModule),
+            classifierConfig,
+            descriptionProvider: generation.provider,
+            descriptionRepair: {
+                repaired: generation.repairedFields,
+                fallback: generation.fallbackFields
             },
-            internalClassification: internalResult ? {
-                personalColor: internalResult.personalColor,
-                faceShape: internalResult.faceShape,
-                bodyType: internalResult.bodyType,
-                backgroundCorrection: internalResult.backgroundCorrection,
-                confidence: internalResult.confidence,
-                strategy: internalResult.strategy
-            } : null,
-            segmentationUsed: faceAnalysis.segmentationUsed || false
-        }).then(() => {
-            console.log('Demo data saved to MongoDB');
-        }).catch(err => {
-            console.error('MongoDB save failed:', err.message);
+            confidence: internalResult ? internalResult.confidence.overall : null,
+            quality: formatQuality(quality, langCode(req.body.lang)),
+            captures: internalResult ? internalResult.captures : null,
+            geometry: geometryReport(faceAnalysis)
         });
-
     } catch (error) {
         console.error('Demo diagnosis error:', error.message);
         res.status(500).json({
@@ -581,42 +1071,203 @@ router.post('/diagnose', async (req, res) => {
 });
 
 /**
- * POST /api/demo/classify
- * Internal classification only (no Gemini) — lightweight, fast, for testing
+ * POST /api/demo/diagnose/stream
+ * Same pipeline as /diagnose, delivered as Server-Sent Events:
+ *   event: classification — { classification: fullDiagnosis result, warmCool: 97-module result, reconciliation, dataSources, classifierConfig, palette, classificationSource, quality, geometry }
+ *   event: field          — { field, value } each description field as soon as it is complete
+ *   event: diagnosis      — { diagnosis, descriptionProvider, descriptionRepair, confidence } validated final result
+ *   event: done           — { sessionId, saved }
+ *   event: error          — { message }
+ * Closing the connection cancels the upstream LLM request.
+ * Unusable photos are rejected with a plain 422 JSON response before the stream opens.
  */
-router.post('/classify', (req, res) => {
+router.post('/diagnose/stream', async (req, res) => {
+    let stream = null;
+
     try {
+        const classifierConfig = checkDiagnoseRequest(req, res);
+        if (!classifierConfig) return;
+
         const { faceAnalysis, bodyAnalysis } = req.body;
+        const classifierInput = buildClassifierInput(faceAnalysis, bodyAnalysis);
+        const quality = checkPhotoQuality(req, res, classifierInput);
+        if (!quality) return;
+
+        stream = openEventStream(req, res);
+
+        // STEP 1: Internal classifier — sent before any LLM text
+        const { internalResult, warmCoolModule, reconciliation } = runClassifiers(classifierInput, classifierConfig, quality);
+        const body = bodyForCaptures(req.body, internalResult, quality);
+        const { prompt, schema, useInternalType, palette, options } = prepareDescription(body, internalResult, warmCoolModule, reconciliation);
+
+        stream.send('classification', {
+            classification: internalResult,
+            warmCool: warmCoolModule,
+            reconciliation,
+            dataSources: dataSources(warmCoolModule),
+            classifierConfig,
+            palette,
+            classificationSource: useInternalType ? 'internal' : 'gemini',
+            quality: formatQuality(quality, langCode(req.body.lang)),
+            geometry: geometryReport(faceAnalysis)
+        });
+
+        // STEP 2: Stream description fields as they complete
+        const streamOptions = { ...options, signal: stream.signal };
+        const upstream = generateStreamWithFallback(prompt, streamOptions);
+        const fields = createJsonFieldStream();
+
+        for await (const chunk of upstream.chunks) {
+            for (const [field, value] of fields.push(chunk)) {
+                if (field in schema) stream.send('field', { field, value });
+            }
+        }
+        if (stream.closed) return;
 
-        if (!faceAnalysis || !faceAnalysis.skinColor || !faceAnalysis.skinColor.lab) {
-            return res.status(400).json({ success: false, message: 'faceAnalysis.skinColor.lab is required.' });
+        // Validate the streamed answer; repaired/fallback fields are re-sent
+        const generation = await completeStructured(prompt, { text: fields.text(), provider: upstream.provider }, schema, streamOptions);
+        logGeneration(generation, useInternalType);
+        for (const field of [...generation.repairedFields, ...generation.fallbackFields]) {
+            stream.send('field', { field, value: generation.data[field] });
         }
 
-        const classifierInput = {
-            skinColor: faceAnalysis.skinColor || null,
-            hairColor: faceAnalysis.hairColor || null,
-            eyeColor: faceAnalysis.eyeColor || null,
-            eyebrowColor: faceAnalysis.eyebrowColor || null,
-            contrast: faceAnalysis.contrast || null,
-            backgroundColor: faceAnalysis.backgroundColor || null,
-            neckColor: faceAnalysis.neckColor || null,
-            faceProportions: faceAnalysis.faceProportions || null,
-            bodyProportions: bodyAnalysis ? bodyAnalysis.bodyProportions : null
-        };
+        // STEP 3: Merge + final result
+        const diagnosis = mergeDiagnosis(internalResult, reconciliation, useInternalType, generation.data, palette, req.body.lang);
+        stream.send('diagnosis', {
+            diagnosis: toClientDiagnosis(diagnosis, req.body.lang),
+            isDemo: true,
+            descriptionProvider: generation.provider,
+            descriptionRepair: {
+                repaired: generation.repairedFields,
+                fallback: generation.fallbackFields
+            },
+            confidence: internalResult ? internalResult.confidence.overall : null
+        });
+
+        // Saved before the final event so the session id is usable
+        const sessionId = await persistDiagnosis(body, diagnosis, internalResult, classifierConfig, quality);
+        stream.send('done', { sessionId, saved: !!sessionId });
+    } catch (error) {
+        if (!stream) {
+            // Failed before the stream opened — a plain JSON error like /diagnose
+            console.error('Demo diagnosis stream error:', error.message);
+            res.status(500).json({ success: false, message: 'AI diagnosis failed. Please try again.' });
+        } else if (stream.signal.aborted) {
+            console.log('Demo diagnosis stream cancelled by client');
+        } else {
+            console.error('Demo diagnosis stream error:', error.message);
+            stream.send('error', { message: 'AI diagnosis failed. Please try again.' });
+        }
+    } finally {
+        if (stream) stream.end();
+    }
+});
+
+/**
+ * POST /api/demo/classify
+ * Internal classification only (no Gemini) — lightweight, fast, for testing
+ * Optional body.metric ('cie76' | 'cie94' | 'ciede2000') switches the deltaE
+ * used for the season centroid distance, the white-balance skin-neck check and
+ * the capture outlier distance, to compare results near classification
+ * boundaries.
+ * Optional body.variant (configured variant name) or body.parametersVersion
+ * ({ aplColorClassifier, warmCoolClassifier }) selects the parameter
+ * versions; default is the latest of each. Unknown variants, packages or
+ * versions and non-numeric lab values get 400.
+ * Colors may be sent as lab or rgb only (converted to lab); rgb outside 0-255 gets 400.
+ * Optional body.lang localizes result.explanationText ("why this type").
+ * Optional body.stability (true or { samples, bounds: { lab: { skin, ... }, ratio }, seed })
+ * adds result.stability: how often type, season, face and body survive sensor noise.
+ * Bounds must be non-negative numbers (ratio below 1) and seed an integer, else 400.
+ * result.quality is the photo quality gate's verdict and guidance (never blocks here).
+ * faceAnalysis may be an array of captures (result.captures: used, outliers, consistency).
+ * faceAnalysis.landmarks (raw Face Landmarker points + sampled pixels, see /diagnose)
+ * is measured server-side; result.geometry reports the values and the derivation version.
+ */
+router.post('/classify', (req, res) => {
+    try {
+        const { bodyAnalysis, metric, variant, parametersVersion, lang, stability } = req.body;
 
-        // Convert background RGB to LAB if needed
-        if (classifierInput.backgroundColor && !classifierInput.backgroundColor.lab && classifierInput.backgroundColor.rgb) {
-            const { r, g, b } = classifierInput.backgroundColor.rgb;
-            classifierInput.backgroundColor = { lab: labUtils.rgbToLab(r, g, b), rgb: classifierInput.backgroundColor.rgb };
+        const requested = Array.isArray(req.body.faceAnalysis) ? req.body.faceAnalysis : [req.body.faceAnalysis];
+        if (requested.length < 1 || requested.length > MAX_CAPTURES) {
+            return res.status(400).json({ success: false, message: `faceAnalysis must be one capture or an array of 1 to ${MAX_CAPTURES} captures.` });
+        }
+        const measured = resolveLandmarks(req, res);
+        if (!measured) return;
+        const colorProblem = invalidRgbMessage(measured.faceAnalysis) || invalidLabMessage(measured.faceAnalysis);
+        if (colorProblem) {
+            return res.status(400).json({ success: false, message: colorProblem });
+        }
+        const faceAnalysis = withLabFromRgb(measured.faceAnalysis);
+        const captures = Array.isArray(faceAnalysis) ? faceAnalysis : [faceAnalysis];
+        if (!captures.some(c => c && c.skinColor && c.skinColor.lab)) {
+            return res.status(400).json({ success: false, message: 'faceAnalysis.skinColor.lab or .rgb is required.' });
+        }
+        if (metric && !labUtils.DELTA_E_METRICS[metric]) {
+            return res.status(400).json({ success: false, message: `metric must be one of: ${Object.keys(labUtils.DELTA_E_METRICS).join(', ')}.` });
+        }
+        if (stability && stability.samples != null &&
+            !(Number.isInteger(stability.samples) && stability.samples > 0 && stability.samples <= MAX_STABILITY_SAMPLES)) {
+            return res.status(400).json({ success: false, message: `stability.samples must be an integer from 1 to ${MAX_STABILITY_SAMPLES}.` });
+        }
+        const stabilityProblem = stability && stability !== true ? validateStabilityOptions(stability) : null;
+        if (stabilityProblem) {
+            return res.status(400).json({ success: false, message: `${stabilityProblem}.` });
         }
 
-        const result = fullDiagnosis(classifierInput);
+        let versions = {};
+        let seasonModel = null;
+        if (variant) {
+            const assigned = assignVariant(null, { requested: variant });
+            if (!assigned) {
+                return res.status(400).json({ success: false, message: `variant must be one of: ${classifierVariants.variants.map(v => v.name).join(', ')}.` });
+            }
+            versions = assigned.versions;
+            seasonModel = assigned.seasonModel;
+        } else if (parametersVersion != null) {
+            if (typeof parametersVersion !== 'object' || Array.isArray(parametersVersion)) {
+                return res.status(400).json({ success: false, message: `parametersVersion must be an object with ${Object.keys(PACKAGES).join(' and/or ')}.` });
+            }
+            const unknownPackage = Object.keys(parametersVersion).find(pkg => !Object.prototype.hasOwnProperty.call(PACKAGES, pkg));
+            if (unknownPackage) {
+                return res.status(400).json({ success: false, message: `parametersVersion.${unknownPackage} is not a classifier; use ${Object.keys(PACKAGES).join(' or ')}.` });
+            }
+            for (const [pkg, listVersions] of Object.entries(PACKAGES)) {
+                const wanted = parametersVersion[pkg];
+                if (wanted != null && !listVersions().includes(wanted)) {
+                    return res.status(400).json({ success: false, message: `parametersVersion.${pkg} must be one of: ${listVersions().join(', ')}.` });
+                }
+                versions[pkg] = wanted;
+            }
+        }
 
-        // 97-module: 웜/쿨 5단계 + 4계절 점수 추가
-        const skinLab = classifierInput.skinColor ? classifierInput.skinColor.lab : null;
+        const classifierInput = buildClassifierInput(faceAnalysis, bodyAnalysis);
+        const result = fullDiagnosis(classifierInput, {
+            metric,
+            parametersVersion: versions.aplColorClassifier,
+            stability: stability === true || (stability && typeof stability === 'object') ? stability : false
+        });
+        result.explanationText = formatExplanation(result.explanation, langCode(lang));
+        result.quality = formatQuality(
+            Array.isArray(classifierInput) ? assessCaptureQuality(classifierInput) : assessQuality(classifierInput),
+            langCode(lang)
+        );
+
+        // 97-module: 웜/쿨 5단계 + 4계절 점수 추가 (화이트밸런스 보정값)
+        const balancedInput = result.captures ? result.captures.combined : applyWhiteBalance(classifierInput, result.whiteBalance);
+        const skinLab = balancedInput.skinColor ? balancedInput.skinColor.lab : null;
         if (skinLab) {
-            result.warmCoolModule = classifyWarmCoolModule(skinLab);
+            const distance = metric ? labUtils.getDeltaE(metric) : undefined;
+            result.warmCoolModule = classifyWarmCoolModule(skinLab, warmCoolExtra(balancedInput), {
+                distance,
+                parametersVersion: versions.warmCoolClassifier,
+                seasonModel: seasonModel ? loadSeasonModel(seasonModel.version) : undefined,
+                modelWeight: seasonModel ? seasonModel.weight : undefined
+            });
         }
+        result.reconciliation = reconcile(result, result.warmCoolModule || null);
+        result.dataSources = dataSources(result.warmCoolModule);
+        result.geometry = geometryReport(faceAnalysis);
 
         res.json({ success: true, result });
     } catch (error) {
@@ -625,14 +1276,99 @@ router.post('/classify', (req, res) => {
     }
 });
 
+/**
+ * Load a saved result that has not expired yet
+ * Sends 404 / 410 itself and resolves with null in that case.
+ */
+async function findActiveResult(req, res, projection) {
+    const { sessionId } = req.params;
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+        res.status(404).json({ success: false, message: 'Result not found.' });
+        return null;
+    }
+
+    const record = await DemoData.findOne({ sessionId }, projection).lean();
+    if (!record) {
+        res.status(404).json({ success: false, message: 'Result not found.' });
+        return null;
+    }
+    if (!record.resultExpiresAt || record.resultExpiresAt < new Date()) {
+        res.status(410).json({ success: false, message: 'This result has expired.' });
+        return null;
+    }
+    return record;
+}
+
+/**
+ * GET /api/demo/result/:sessionId
+ * Stored diagnosis for reload / bookmark / share links.
+ * Client info (age, gender, region) and raw measurements are not returned.
+ * Results expire after DEMO_RESULT_TTL_DAYS (default 30) — the record itself
+ * is kept for statistics.
+ */
+router.get('/result/:sessionId', async (req, res) => {
+    try {
+        const record = await findActiveResult(req, res, { sessionId: 1, timestamp: 1, resultExpiresAt: 1, lang: 1, diagnosis: 1 });
+        if (!record) return;
+
+        res.json({
+            success: true,
+            sessionId: record.sessionId,
+            createdAt: record.timestamp,
+            expiresAt: record.resultExpiresAt,
+            lang: record.lang,
+            diagnosis: toClientDiagnosis(record.diagnosis, record.lang)
+        });
+    } catch (e) {
+        console.error('Result fetch error:', e.message);
+        res.status(500).json({ success: false, message: 'Failed to read result.' });
+    }
+});
+
+/**
+ * GET /api/demo/result/:sessionId/card.svg
+ * GET /api/demo/result/:sessionId/card.png
+ * Shareable 1200×630 result card. ?lang= overrides the record language.
+ * The PNG font is ASCII-only: PNG in any language but English answers 406
+ * (use card.svg, or card.png?lang=en).
+ * Cached privately, and never past the result's expiry.
+ */
+router.get('/result/:sessionId/card.:format(svg|png)', async (req, res) => {
+    try {
+        const record = await findActiveResult(req, res, { resultExpiresAt: 1, lang: 1, diagnosis: 1, colors: 1 });
+        if (!record) return;
+
+        const model = buildCardModel(record, req.query.lang);
+        if (req.params.format === 'png' && model.lang !== 'en') {
+            return res.status(406).json({
+                success: false,
+                message: 'PNG cards are only available in English. Use card.svg or card.png?lang=en.'
+            });
+        }
+
+        const secondsLeft = Math.floor((new Date(record.resultExpiresAt) - Date.now()) / 1000);
+        res.set('Cache-Control', `private, max-age=${Math.max(0, Math.min(CARD_MAX_AGE_SECONDS, secondsLeft))}`);
+        if (req.params.format === 'png') {
+            res.type('image/png').send(renderPng(model));
+        } else {
+            res.type('image/svg+xml').send(renderSvg(model));
+        }
+    } catch (e) {
+        console.error('Result card error:', e.message);
+        res.status(500).json({ success: false, message: 'Failed to render result card.' });
+    }
+});
+
 /**
  * GET /api/demo/status
  */
 router.get('/status', (req, res) => {
     res.json({
         success: true,
-        available: !!genAI,
-        model: 'gemini-2.5-flash-lite',
+        available: true,
+        provider: llm.name,
+        providerConfigured: llm.available,
+        model: llm.name === 'gemini' ? DESCRIPTION_MODEL : llm.defaultModel,
         mode: 'hybrid'
     });
 });
@@ -655,17 +1391,37 @@ router.get('/stats', async (req, res) => {
             { $sort: { count: -1 } }
         ]);
 
+        const byBestColor = await DemoData.aggregate([
+            { $unwind: '$diagnosis.palette.best' },
+            { $group: { _id: '$diagnosis.palette.best', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+        ]);
+
         const byRegion = await DemoData.aggregate([
             { $group: { _id: '$region', count: { $sum: 1 } } },
             { $sort: { count: -1 } }
         ]);
 
+        // Per variant of the current experiment, split by the type it produced
+        const byVariant = await DemoData.aggregate([
+            { $match: { 'classifierConfig.experiment': classifierVariants.experiment } },
+            { $group: { _id: { variant: '$classifierConfig.variant', personalColor: '$diagnosis.personalColor' }, count: { $sum: 1 } } }
+        ]);
+        const variants = {};
+        for (const { _id, count } of byVariant) {
+            const v = variants[_id.variant] || (variants[_id.variant] = { total: 0, byColor: {} });
+            v.total += count;
+            v.byColor[_id.personalColor || 'unknown'] = count;
+        }
+
         res.json({
             success: true,
             total,
             byColor: Object.fromEntries(byColor.map(i => [i._id || 'unknown', i.count])),
             byFaceShape: Object.fromEntries(byFaceShape.map(i => [i._id || 'unknown', i.count])),
-            byRegion: Object.fromEntries(byRegion.map(i => [i._id || 'unknown', i.count]))
+            byBestColor: Object.fromEntries(byBestColor.map(i => [i._id, i.count])),
+            byRegion: Object.fromEntries(byRegion.map(i => [i._id || 'unknown', i.count])),
+            experiment: { name: classifierVariants.experiment, variants }
         });
     } catch (e) {
         console.error('Stats error:', e.message);
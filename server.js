@@ -25,8 +25,8 @@ app.use(cors({
         if (origin.endsWith('.apls.kr')) return callback(null, true);
         callback(new Error('Blocked by CORS policy.'));
     },
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type'],
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'X-Conversation-Token'],
     credentials: true
 }));
 app.use(express.json({ limit: '20mb' }));
@@ -6,7 +6,8 @@
  *
  * Usage:
  *   const { classifyPersonalColor, classifyFaceShape, classifyBodyType,
- *           neutralizeBackground, calculateConfidence, labUtils } = require('./apl-color-classifier');
+ *           estimateIlluminant, calculateConfidence, generatePalette,
+ *           matchPrototypes, labUtils } = require('./apl-color-classifier');
  *
  *   const colorResult = classifyPersonalColor({
  *     skinColor: { lab: { l: 72.5, a: 8.2, b: 18.3 } },
@@ -16,6 +17,23 @@
  *     contrast: { skinHair: 268, skinEye: 262 }
  *   });
  *   // → { type: 'Spring Light', season: 'Spring', confidence: 0.82, ... }
+ *
+ *   const palette = generatePalette(measurements, colorResult, { lang: 'ko' });
+ *   // → { best: [{ hex, lab, score, reason, ... }], avoid: [...] }
+ *
+ *   const second = matchPrototypes(measurements, { explain: [colorResult.type] });
+ *   // → { type, score, ranking, explanations: { 'Spring Light': { fits, conflicts } } }
+ *
+ *   const why = explainPersonalColor(measurements);
+ *   formatExplanation(why, 'ko').lines;
+ *   // → ['Spring Light: 0.86점 — 차순위 ...', '피부 명도(L*) 72.5 — ...', ...]
+ *
+ *   const { faceProportions, contrast } = faceAnalysisFromLandmarks({ landmarks: { points, imageWidth, imageHeight, samples } });
+ *   // → { foreheadRatio, jawRatio, heightRatio, jawAngle, ... }, { skinHair, ... } (validateLandmarks first)
+ *
+ *   const quality = assessQuality(measurements); // before classifying
+ *   if (!quality.pass) formatQuality(quality, 'en').issues;
+ *   // → [{ code: 'colored_background', problem: '...', action: 'Move away from the yellow wall ...' }]
  */
 
 const {
@@ -26,64 +44,90 @@ const {
   determineHueAngle,
   COLOR_TYPES,
   SEASON_MAP,
-  HUE_BASELINE
+  HUE_BASELINE,
+  PARAMETERS
 } = require('./lib/colorClassifier');
-const { classifyFaceShape, FACE_REFERENCE } = require('./lib/faceClassifier');
+const { classifyFaceShape, FACE_REFERENCE, FACE_RULES } = require('./lib/faceClassifier');
 const { classifyBodyType, BODY_REFERENCE } = require('./lib/bodyClassifier');
 const { neutralizeBackground, detectContamination } = require('./lib/backgroundNeutralizer');
+const { estimateIlluminant, applyWhiteBalance, correlatedColorTemperature } = require('./lib/colorConstancy');
+const { assessQuality, assessCaptureQuality, formatQuality, QUALITY_LANGS } = require('./lib/qualityGate');
+const { aggregateCaptures } = require('./lib/captureAggregator');
+const { faceAnalysisFromLandmarks, measureLandmarks, validateLandmarks, loadGeometry, listGeometryVersions } = require('./lib/faceGeometry');
 const { calculateConfidence, determineStrategy } = require('./lib/confidenceScorer');
+const { matchPrototypes, prototypeAgreement, COLOR_REFERENCE } = require('./lib/prototypeMatcher');
+const { explainPersonalColor, formatExplanation, EXPLANATION_LANGS } = require('./lib/typeExplainer');
+const { typeProbabilities, seasonProbabilities, DEFAULT_CALIBRATION } = require('./lib/probability');
+const { assessStability, validateStabilityOptions, DEFAULT_BOUNDS } = require('./lib/stability');
+const { selectPalette, getPaletteColor, PALETTE_CATALOGUE } = require('./lib/paletteCatalogue');
+const { generatePalette } = require('./lib/paletteGenerator');
+const { loadParameters, listParameterVersions } = require('./lib/parameters');
 const labUtils = require('./lib/labUtils');
 
 /**
- * Full diagnosis pipeline — runs all classifiers with background correction
+ * Full diagnosis pipeline — runs all classifiers on white-balanced measurements
  *
- * @param {Object} input
+ * @param {Object|Object[]} input - one capture, or several captures of the same person
+ *   (white-balanced one by one, outliers rejected, combined by median — lib/captureAggregator.js)
  * @param {Object} input.skinColor - { lab: { l, a, b } }
  * @param {Object} input.hairColor - { lab: { l, a, b } } (optional)
  * @param {Object} input.eyeColor - { lab: { l, a, b } } (optional)
  * @param {Object} input.eyebrowColor - { lab: { l, a, b } } (optional)
  * @param {Object} input.contrast - { skinHair, skinEye } (optional)
+ * @param {Object} input.lipColor - { lab: { l, a, b } } (optional)
  * @param {Object} input.backgroundColor - { lab: { l, a, b } } (optional)
  * @param {Object} input.neckColor - { lab: { l, a, b } } (optional)
- * @param {Object} input.faceProportions - { foreheadRatio, jawRatio, heightRatio } (optional)
+ * @param {Object} input.scleraColor - { lab: { l, a, b } } eye white (optional)
+ * @param {Object} input.teethColor - { lab: { l, a, b } } (optional)
+ * @param {Object} input.faceProportions - { foreheadRatio, jawRatio, heightRatio, jawAngle?, chinPointedness?,
+ *   cheekboneProminence?, midfaceRatio?, lowerFaceRatio?, symmetry? } (optional)
  * @param {Object} input.bodyProportions - { shoulderHipRatio, waistHipRatio, torsoLegRatio } (optional)
+ * @param {Object} [options]
+ * @param {string} [options.metric='cie76'] - deltaE for the white-balance skin-neck check and the
+ *   capture outlier distance: cie76 | cie94 | ciede2000 (the 14-type and prototype scores are
+ *   per-axis range fits and use no color difference)
+ * @param {Object} [options.params] - 14-type parameter set (default: latest data/parameters version)
+ * @param {number} [options.parametersVersion] - data/parameters version to load when no params are given
+ * @param {boolean|Object} [options.uncertainty=true] - measurement-noise credible intervals
+ *   (personalColor.uncertainty); false skips the noise sampling
+ * @param {boolean|Object} [options.stability] - Monte Carlo stability mode: true, or
+ *   { samples, bounds, seed } (lib/stability.js); the result feeds determineStrategy
+ * @param {number[]} [options.excludeCaptures] - capture indices to leave out (several captures only)
  * @returns {Object} Complete diagnosis result
  */
-function fullDiagnosis(input) {
-  const {
-    skinColor,
-    hairColor,
-    eyeColor,
-    eyebrowColor,
-    contrast,
-    backgroundColor,
-    neckColor,
-    faceProportions,
-    bodyProportions
-  } = input;
-
-  // Step 1: Background neutralization
-  let backgroundResult = null;
-  let effectiveSkinLab = skinColor.lab;
-
-  if (backgroundColor && backgroundColor.lab) {
-    backgroundResult = neutralizeBackground(
-      skinColor.lab,
-      backgroundColor.lab,
-      neckColor ? neckColor.lab : null
-    );
-    effectiveSkinLab = backgroundResult.corrected;
-  }
+function fullDiagnosis(input, options = {}) {
+  // Step 0: Several captures — combined into one white-balanced measurement
+  const aggregation = Array.isArray(input)
+    ? aggregateCaptures(input, { metric: options.metric, exclude: options.excludeCaptures })
+    : null;
 
-  // Step 2: Personal color classification (using corrected skin values)
+  // Step 1: White balance — estimate the illuminant, adapt every LAB value to D65
+  const whiteBalance = aggregation ? aggregation.whiteBalance : estimateIlluminant(input, { metric: options.metric });
+  const balanced = aggregation ? aggregation.input : applyWhiteBalance(input, whiteBalance);
+  const { skinColor, hairColor, eyeColor, eyebrowColor, contrast, faceProportions, bodyProportions } = balanced;
+
+  // Step 2: Personal color classification (using corrected values)
   const colorMeasurements = {
-    skinColor: { lab: effectiveSkinLab },
+    skinColor,
     hairColor,
     eyeColor,
     eyebrowColor,
     contrast
   };
-  const colorResult = classifyPersonalColor(colorMeasurements);
+  const colorResult = classifyPersonalColor(colorMeasurements, {
+    params: options.params,
+    parametersVersion: options.parametersVersion,
+    uncertainty: options.uncertainty === undefined ? true : options.uncertainty
+  });
+
+  // Step 2b: Prototype second opinion (reference ranges per body part)
+  const prototypeResult = matchPrototypes(colorMeasurements, { explain: [colorResult.type] });
+
+  // Step 2c: Why this type — decisive axes, range margins, what flips it
+  const explanation = explainPersonalColor(colorMeasurements, {
+    params: options.params,
+    parametersVersion: options.parametersVersion
+  });
 
   // Step 3: Face shape classification (if proportions available)
   let faceResult = null;
@@ -102,19 +146,57 @@ function fullDiagnosis(input) {
     colorResult,
     faceResult,
     bodyResult,
-    backgroundResult,
-    measurements: input
+    whiteBalance,
+    measurements: balanced,
+    prototypeResult
   });
 
-  const strategy = determineStrategy(confidence.overall);
+  // Step 6: Stability under sensor noise (optional), then strategy
+  const stability = options.stability
+    ? assessStability(
+      aggregation ? balanced : input,
+      perturbed => classifyLabels(perturbed, { ...options, balanced: !!aggregation }),
+      options.stability === true ? {} : options.stability
+    )
+    : null;
+
+  const strategy = determineStrategy(confidence.overall, stability ? stability.overall : undefined);
 
   return {
     personalColor: colorResult,
+    prototypeMatch: prototypeResult,
+    explanation, // explainPersonalColor(); formatExplanation(explanation, lang) for text
     faceShape: faceResult,
     bodyType: bodyResult,
-    backgroundCorrection: backgroundResult,
+    whiteBalance, // estimateIlluminant(); measurements were corrected with whiteBalance.gains
+    captures: aggregation ? aggregation.report : null, // several captures: used / outliers / consistency
     confidence,
-    strategy // 'internal' | 'hybrid' | 'gemini'
+    stability, // null unless options.stability
+    strategy, // 'internal' | 'hybrid' | 'gemini'
+    metric: options.metric || 'cie76',
+    parametersVersion: colorResult.debug.parametersVersion
+  };
+}
+
+/**
+ * Labels only — the classification steps of fullDiagnosis, for stability sampling
+ * (options.balanced: the input is already white-balanced, e.g. combined captures)
+ */
+function classifyLabels(input, options = {}) {
+  const balanced = options.balanced ? input : applyWhiteBalance(input, estimateIlluminant(input, { metric: options.metric }));
+  const color = classifyPersonalColor({
+    skinColor: balanced.skinColor,
+    hairColor: balanced.hairColor,
+    eyeColor: balanced.eyeColor,
+    eyebrowColor: balanced.eyebrowColor,
+    contrast: balanced.contrast
+  }, { params: options.params, parametersVersion: options.parametersVersion });
+
+  return {
+    personalColor: color.type,
+    season: color.season,
+    faceShape: input.faceProportions ? classifyFaceShape(input.faceProportions).type : null,
+    bodyType: input.bodyProportions ? classifyBodyType(input.bodyProportions).type : null
   };
 }
 
@@ -122,18 +204,51 @@ module.exports = {
   // Main pipeline
   fullDiagnosis,
 
+  // Photo quality gate (run before fullDiagnosis; localized via formatQuality)
+  assessQuality,
+  assessCaptureQuality,
+  formatQuality,
+
+  // Several captures of the same person (fullDiagnosis accepts an array)
+  aggregateCaptures,
+
+  // Raw Face Landmarker points + sampled pixels → faceProportions, colors, contrast
+  // (versioned derivation, data/geometry/v*.json)
+  faceAnalysisFromLandmarks,
+  measureLandmarks,
+  validateLandmarks,
+  loadGeometry,
+  listGeometryVersions,
+
   // Individual classifiers
   classifyPersonalColor,
   classifyFaceShape,
   classifyBodyType,
 
-  // Background correction
+  // White balance (fullDiagnosis); neutralizeBackground is the former skin-only heuristic
+  estimateIlluminant,
+  applyWhiteBalance,
+  correlatedColorTemperature,
   neutralizeBackground,
   detectContamination,
 
   // Confidence scoring
   calculateConfidence,
   determineStrategy,
+  assessStability,
+  validateStabilityOptions,
+
+  // Prototype second opinion (data/colorReferenceData.json)
+  matchPrototypes,
+  prototypeAgreement,
+
+  // Calibrated probabilities (personalColor.probabilities / .uncertainty)
+  typeProbabilities,
+  seasonProbabilities,
+
+  // "Why this type" explanations (localized via formatExplanation)
+  explainPersonalColor,
+  formatExplanation,
 
   // Color classifier internals (for testing/debugging)
   determineSkinLightness,
@@ -141,13 +256,30 @@ module.exports = {
   determineElementChroma,
   determineHueAngle,
 
+  // Palettes
+  selectPalette,
+  getPaletteColor,
+  generatePalette,
+
   // LAB utilities
   labUtils,
 
+  // Tunable parameters (data/parameters/v*.json)
+  loadParameters,
+  listParameterVersions,
+
   // Reference data
   COLOR_TYPES,
   SEASON_MAP,
   HUE_BASELINE,
+  PARAMETERS,
   FACE_REFERENCE,
-  BODY_REFERENCE
+  FACE_RULES,
+  BODY_REFERENCE,
+  PALETTE_CATALOGUE,
+  COLOR_REFERENCE,
+  EXPLANATION_LANGS,
+  QUALITY_LANGS,
+  DEFAULT_CALIBRATION,
+  DEFAULT_BOUNDS
 };
@@ -6,7 +6,7 @@
  * Solution: Detect background color influence and adjust skin LAB values.
  */
 
-const { labChroma, deltaE76 } = require('./labUtils');
+const { labChroma, getDeltaE } = require('./labUtils');
 
 /**
  * Neutralize background color influence on skin measurements
@@ -14,9 +14,11 @@ const { labChroma, deltaE76 } = require('./labUtils');
  * @param {Object} skinLab - Measured skin LAB { l, a, b }
  * @param {Object} backgroundLab - Detected background LAB { l, a, b } (nullable)
  * @param {Object} neckLab - Measured neck LAB { l, a, b } (nullable)
- * @returns {Object} - { original, corrected, adjustments, reason, confidence }
+ * @param {Object} [options]
+ * @param {string} [options.metric='cie76'] - skin-neck distance: cie76 | cie94 | ciede2000
+ * @returns {Object} - { original, corrected, adjustments, reason, confidence, metric }
  */
-function neutralizeBackground(skinLab, backgroundLab, neckLab) {
+function neutralizeBackground(skinLab, backgroundLab, neckLab, options = {}) {
   if (!skinLab) {
     throw new Error('skinLab is required');
   }
@@ -26,8 +28,10 @@ function neutralizeBackground(skinLab, backgroundLab, neckLab) {
     corrected: { ...skinLab },
     adjustments: { dL: 0, dA: 0, dB: 0 },
     reasons: [],
-    confidence: 'none' // none | low | medium | high
+    confidence: 'none', // none | low | medium | high
+    metric: options.metric || 'cie76'
   };
+  const deltaE = getDeltaE(options.metric);
 
   // No background data — return as-is
   if (!backgroundLab) {
@@ -96,7 +100,7 @@ function neutralizeBackground(skinLab, backgroundLab, neckLab) {
   // --- Check 5: Neck-skin consistency validation ---
   // If neck and skin have very different colors, lighting may be uneven
   if (neckLab) {
-    const skinNeckDelta = deltaE76(skinLab, neckLab);
+    const skinNeckDelta = deltaE(skinLab, neckLab);
 
     if (skinNeckDelta > 10) {
       // Large difference — trust neck color more (less direct lighting influence)
@@ -114,7 +118,7 @@ function neutralizeBackground(skinLab, backgroundLab, neckLab) {
       result.adjustments.dA = blendedA - skinLab.a;
       result.adjustments.dB = blendedB - skinLab.b;
 
-      result.reasons.push(`Skin-neck blending (weight: ${(blendWeight * 100).toFixed(0)}%, deltaE: ${skinNeckDelta.toFixed(1)})`);
+      result.reasons.push(`Skin-neck blending (weight: ${(blendWeight * 100).toFixed(0)}%, ${result.metric}: ${skinNeckDelta.toFixed(1)})`);
       totalAdjustment += skinNeckDelta * blendWeight;
     }
   }
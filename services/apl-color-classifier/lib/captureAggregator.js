@@ -0,0 +1,201 @@
+/**
+ * Capture Aggregator — one diagnosis from several photos of the same person
+ *
+ * A single selfie under a single light is the largest source of error.
+ * aggregateCaptures() combines several captures:
+ *   1. white-balances each capture on its own (every photo has its own light)
+ *   2. takes the per-part component-wise median as the robust center
+ *   3. rejects captures whose deltaE from that median is far beyond the rest
+ *      (median + 3 × scaled MAD, never below a just-noticeable 4 ΔE)
+ *   4. combines the remaining captures by median again
+ * and reports how consistent the captures were.
+ */
+
+const { getDeltaE, round, median } = require('./labUtils');
+const { estimateIlluminant, applyWhiteBalance } = require('./colorConstancy');
+
+const COLOR_PARTS = [
+  'skinColor', 'hairColor', 'eyeColor', 'eyebrowColor', 'lipColor',
+  'neckColor', 'backgroundColor', 'scleraColor', 'teethColor'
+];
+const NUMERIC_PARTS = ['contrast', 'faceProportions', 'bodyProportions'];
+
+// The person, not the scene, decides whether a capture is an outlier
+const DISTANCE_WEIGHTS = { skinColor: 3, hairColor: 1, eyeColor: 1, eyebrowColor: 1, lipColor: 1, neckColor: 1 };
+
+const MIN_CAPTURES_TO_REJECT = 3;
+const MIN_REJECT_DELTA_E = 4;
+const MAD_K = 3;
+const MAD_SCALE = 1.4826; // MAD → standard deviation for normal noise
+const CONSISTENCY_SCALE = 10; // mean ΔE at which consistency reaches 0
+
+function medianLab(labs) {
+  return {
+    l: round(median(labs.map(c => c.l)), 1),
+    a: round(median(labs.map(c => c.a)), 1),
+    b: round(median(labs.map(c => c.b)), 1)
+  };
+}
+
+/**
+ * Component-wise median of every color part and numeric field
+ */
+function combine(captures) {
+  const out = {};
+  for (const part of COLOR_PARTS) {
+    const labs = captures.map(c => c[part] && c[part].lab).filter(Boolean);
+    if (labs.length) out[part] = { lab: medianLab(labs) };
+  }
+  for (const part of NUMERIC_PARTS) {
+    const objects = captures.map(c => c[part]).filter(Boolean);
+    if (!objects.length) continue;
+    const fields = {};
+    for (const key of new Set(objects.flatMap(Object.keys))) {
+      const values = objects.map(o => o[key]).filter(v => typeof v === 'number' && Number.isFinite(v));
+      if (values.length) fields[key] = round(median(values), 4);
+    }
+    if (Object.keys(fields).length) out[part] = fields;
+  }
+  return out;
+}
+
+/**
+ * Weighted mean deltaE of a capture's person parts from a center
+ */
+function distanceFrom(capture, center, deltaE) {
+  let sum = 0;
+  let weight = 0;
+  for (const [part, w] of Object.entries(DISTANCE_WEIGHTS)) {
+    if (!capture[part] || !capture[part].lab || !center[part]) continue;
+    sum += deltaE(capture[part].lab, center[part].lab) * w;
+    weight += w;
+  }
+  return weight > 0 ? sum / weight : 0;
+}
+
+/**
+ * White-balance summary over the used captures (fullDiagnosis "whiteBalance")
+ */
+function summarizeWhiteBalance(used) {
+  const estimated = used.filter(c => c.whiteBalance.method !== 'none');
+  if (!estimated.length) {
+    return {
+      method: 'none',
+      illuminant: null,
+      cct: null,
+      gains: [1, 1, 1],
+      degree: 0,
+      reliability: 0,
+      confidence: 'none',
+      reasons: ['No capture had a background, sclera or teeth sample to estimate the light from']
+    };
+  }
+  const reliability = round(estimated.reduce((s, c) => s + c.whiteBalance.reliability, 0) / estimated.length);
+  const ccts = estimated.map(c => c.whiteBalance.cct);
+  return {
+    method: 'perCapture',
+    illuminant: null,
+    cct: Math.round(median(ccts)),
+    cctRange: [Math.min(...ccts), Math.max(...ccts)],
+    gains: [1, 1, 1], // already applied per capture
+    degree: 1,
+    reliability,
+    confidence: reliability >= 0.75 ? 'high' : reliability >= 0.5 ? 'medium' : 'low',
+    reasons: [`${estimated.length} of ${used.length} capture(s) white-balanced on their own`]
+  };
+}
+
+/**
+ * Combine several captures of the same person into one fullDiagnosis input
+ *
+ * @param {Object[]} inputs - fullDiagnosis inputs, one per capture
+ * @param {Object} [options]
+ * @param {string} [options.metric='cie76'] - deltaE for the outlier distance and each capture's
+ *   skin-neck check: cie76 | cie94 | ciede2000
+ * @param {number[]} [options.exclude] - capture indices to leave out (e.g. failed the quality gate)
+ * @returns {Object} {
+ *   input: combined, white-balanced fullDiagnosis input,
+ *   whiteBalance: summary over the used captures,
+ *   report: {
+ *     total, used: [index], rejected: [index],
+ *     captures: [{ index, status: 'used' | 'outlier' | 'excluded' | 'missing', deltaE, whiteBalance: { method, cct, reliability } }],
+ *     threshold: outlier deltaE (null with fewer than 3 captures),
+ *     consistency: { score (0..1), level, medianDeltaE, maxDeltaE, parts: { [part]: median deltaE } },
+ *     combined: the classified measurements ({ skinColor: { lab }, ..., contrast, faceProportions })
+ *   }
+ * }
+ */
+function aggregateCaptures(inputs, options = {}) {
+  if (!Array.isArray(inputs) || !inputs.length) throw new Error('captures must be a non-empty array');
+  const deltaE = getDeltaE(options.metric);
+  const exclude = new Set(options.exclude || []);
+
+  const captures = inputs.map((input, index) => {
+    if (exclude.has(index)) return { index, status: 'excluded' };
+    if (!input || !input.skinColor || !input.skinColor.lab) return { index, status: 'missing' };
+    const whiteBalance = estimateIlluminant(input, { metric: options.metric });
+    return { index, status: 'used', whiteBalance, balanced: applyWhiteBalance(input, whiteBalance) };
+  });
+  const candidates = captures.filter(c => c.status === 'used');
+  if (!candidates.length) throw new Error('No usable capture: every capture lacks skinColor.lab or was excluded');
+
+  // Robust center and outlier rejection
+  const center = combine(candidates.map(c => c.balanced));
+  for (const c of candidates) c.deltaE = distanceFrom(c.balanced, center, deltaE);
+
+  let threshold = null;
+  if (candidates.length >= MIN_CAPTURES_TO_REJECT) {
+    const distances = candidates.map(c => c.deltaE);
+    const mid = median(distances);
+    const mad = median(distances.map(d => Math.abs(d - mid)));
+    threshold = Math.max(MIN_REJECT_DELTA_E, mid + MAD_K * MAD_SCALE * mad);
+    for (const c of candidates) {
+      if (c.deltaE > threshold) c.status = 'outlier';
+    }
+  }
+  const used = candidates.filter(c => c.status === 'used');
+
+  // Combine what is left, then measure the spread around it
+  const combined = combine(used.map(c => c.balanced));
+  const distances = candidates.map(c => distanceFrom(c.balanced, combined, deltaE));
+  const parts = {};
+  for (const part of Object.keys(DISTANCE_WEIGHTS)) {
+    const spreads = used
+      .filter(c => c.balanced[part] && c.balanced[part].lab && combined[part])
+      .map(c => deltaE(c.balanced[part].lab, combined[part].lab));
+    if (spreads.length) parts[part.replace('Color', '')] = round(median(spreads));
+  }
+  const meanDistance = distances.reduce((s, d) => s + d, 0) / distances.length;
+  const score = round(Math.max(0, 1 - meanDistance / CONSISTENCY_SCALE) * (used.length / candidates.length));
+
+  return {
+    input: combined,
+    whiteBalance: summarizeWhiteBalance(used),
+    report: {
+      total: inputs.length,
+      used: used.map(c => c.index),
+      rejected: captures.filter(c => c.status !== 'used').map(c => c.index),
+      captures: captures.map(c => ({
+        index: c.index,
+        status: c.status,
+        deltaE: c.deltaE == null ? null : round(c.deltaE),
+        whiteBalance: c.whiteBalance
+          ? { method: c.whiteBalance.method, cct: c.whiteBalance.cct, reliability: c.whiteBalance.reliability }
+          : null
+      })),
+      threshold: threshold == null ? null : round(threshold),
+      consistency: {
+        score,
+        level: score >= 0.75 ? 'high' : score >= 0.5 ? 'medium' : 'low',
+        medianDeltaE: round(median(distances)),
+        maxDeltaE: round(Math.max(...distances)),
+        parts
+      },
+      combined
+    }
+  };
+}
+
+module.exports = {
+  aggregateCaptures
+};
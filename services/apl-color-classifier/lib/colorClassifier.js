@@ -13,34 +13,53 @@
  */
 
 const { labChroma, labHueAngle } = require('./labUtils');
+const { loadParameters, validateParameters } = require('./parameters');
+const { describeProbabilities, calibrationOf, propagateNoise } = require('./probability');
 
 // ─── 14 Personal Color Type Definitions ───
 // Each type: target ranges for [skinL, skinChroma, elemChroma] + hue tendency
 // Paired types have identical 3-axis ranges, distinguished only by hue
-const COLOR_TYPES = {
+// Ranges and the hue baseline are loaded from data/parameters (lib/parameters.js)
+const TYPE_TRAITS = {
   // Spring (Warm)
-  'Spring Light':  { skinL: [66, 76], skinC: [8, 14],  elemC: [4, 9],   hue: 'warm', pair: 'Summer Light' },
-  'Spring Bright': { skinL: [66, 76], skinC: [18, 26], elemC: [14, 25], hue: 'warm', pair: 'Summer Bright' },
-  'Spring Clear':  { skinL: [66, 76], skinC: [8, 14],  elemC: [14, 25], hue: 'warm', pair: 'Winter Clear' },
-  'Spring Soft':   { skinL: [60, 68], skinC: [12, 18], elemC: [4, 9],   hue: 'neutral', pair: null },
+  'Spring Light':  { hue: 'warm', pair: 'Summer Light' },
+  'Spring Bright': { hue: 'warm', pair: 'Summer Bright' },
+  'Spring Clear':  { hue: 'warm', pair: 'Winter Clear' },
+  'Spring Soft':   { hue: 'neutral', pair: null },
 
   // Summer (Cool)
-  'Summer Light':  { skinL: [66, 76], skinC: [8, 14],  elemC: [4, 9],   hue: 'cool', pair: 'Spring Light' },
-  'Summer Bright': { skinL: [66, 76], skinC: [18, 26], elemC: [14, 25], hue: 'cool', pair: 'Spring Bright' },
-  'Summer Mute':   { skinL: [50, 58], skinC: [12, 18], elemC: [4, 9],   hue: 'cool', pair: 'Autumn Mute' },
+  'Summer Light':  { hue: 'cool', pair: 'Spring Light' },
+  'Summer Bright': { hue: 'cool', pair: 'Spring Bright' },
+  'Summer Mute':   { hue: 'cool', pair: 'Autumn Mute' },
 
   // Autumn (Warm)
-  'Autumn Mute':   { skinL: [50, 58], skinC: [12, 18], elemC: [4, 9],   hue: 'warm', pair: 'Summer Mute' },
-  'Autumn Deep':   { skinL: [48, 54], skinC: [18, 26], elemC: [14, 25], hue: 'warm', pair: 'Winter Deep' },
-  'Autumn Strong': { skinL: [52, 58], skinC: [18, 26], elemC: [14, 25], hue: 'warm', pair: 'Winter Strong' },
+  'Autumn Mute':   { hue: 'warm', pair: 'Summer Mute' },
+  'Autumn Deep':   { hue: 'warm', pair: 'Winter Deep' },
+  'Autumn Strong': { hue: 'warm', pair: 'Winter Strong' },
 
   // Winter (Cool)
-  'Winter Clear':  { skinL: [66, 76], skinC: [8, 14],  elemC: [14, 25], hue: 'cool', pair: 'Spring Clear' },
-  'Winter Deep':   { skinL: [48, 54], skinC: [18, 26], elemC: [14, 25], hue: 'cool', pair: 'Autumn Deep' },
-  'Winter Strong': { skinL: [52, 58], skinC: [18, 26], elemC: [14, 25], hue: 'cool', pair: 'Autumn Strong' },
-  'Winter Soft':   { skinL: [50, 58], skinC: [12, 18], elemC: [9, 14],  hue: 'neutral', pair: null }
+  'Winter Clear':  { hue: 'cool', pair: 'Spring Clear' },
+  'Winter Deep':   { hue: 'cool', pair: 'Autumn Deep' },
+  'Winter Strong': { hue: 'cool', pair: 'Autumn Strong' },
+  'Winter Soft':   { hue: 'neutral', pair: null }
 };
 
+/**
+ * Type definitions ({ skinL, skinC, elemC, hue, pair }) for a parameter set
+ */
+function buildColorTypes(params) {
+  validateParameters(params);
+  const types = {};
+  for (const [name, traits] of Object.entries(TYPE_TRAITS)) {
+    const { skinL, skinC, elemC } = params.colorTypes[name];
+    types[name] = { skinL, skinC, elemC, ...traits };
+  }
+  return types;
+}
+
+const PARAMETERS = loadParameters();
+const COLOR_TYPES = buildColorTypes(PARAMETERS);
+
 const SEASON_MAP = {
   Spring: ['Spring Light', 'Spring Bright', 'Spring Clear', 'Spring Soft'],
   Summer: ['Summer Light', 'Summer Bright', 'Summer Mute'],
@@ -51,7 +70,7 @@ const SEASON_MAP = {
 // Hue angle baseline for warm/cool distinction
 // Human skin hue angle atan2(b*, a*) typically 50-80 degrees
 // Above baseline = warm (yellow-leaning), below = cool (pink-leaning)
-const HUE_BASELINE = 57;
+const HUE_BASELINE = PARAMETERS.hueBaseline;
 
 // ─── Axis Calculators ───
 
@@ -121,16 +140,21 @@ function determineElementChroma(hairLab, eyebrowLab, eyeLab) {
  * Hue angle for warm/cool determination
  * atan2(b*, a*) in degrees. Higher = warmer (yellow). Lower = cooler (pink).
  */
-function determineHueAngle(skinLab) {
-  const angle = labHueAngle(skinLab.a, skinLab.b);
+function determineHueAngle(skinLab, baseline = HUE_BASELINE) {
+  return hueFromAngle(labHueAngle(skinLab.a, skinLab.b), baseline);
+}
 
+/**
+ * Warm/cool tendency and scores for a given hue angle
+ */
+function hueFromAngle(angle, baseline = HUE_BASELINE) {
   let tendency;
-  if (angle > HUE_BASELINE + 5) tendency = 'warm';
-  else if (angle < HUE_BASELINE - 5) tendency = 'cool';
+  if (angle > baseline + 5) tendency = 'warm';
+  else if (angle < baseline - 5) tendency = 'cool';
   else tendency = 'neutral';
 
   // Map angle to warm probability (0..1)
-  const warmScore = Math.min(1, Math.max(0, (angle - (HUE_BASELINE - 15)) / 30));
+  const warmScore = Math.min(1, Math.max(0, (angle - (baseline - 15)) / 30));
   const coolScore = 1 - warmScore;
 
   return { angle, tendency, warmScore, coolScore };
@@ -152,8 +176,8 @@ function scoreRange(value, min, max) {
 /**
  * Score how well measurements match a specific color type.
  */
-function scoreTypeMatch(typeName, skinL, skinChromaVal, elemChromaVal, hue) {
-  const t = COLOR_TYPES[typeName];
+function scoreTypeMatch(typeName, skinL, skinChromaVal, elemChromaVal, hue, types = COLOR_TYPES) {
+  const t = types[typeName];
   if (!t) return { score: 0, detail: {} };
 
   const s1 = scoreRange(skinL, t.skinL[0], t.skinL[1]);
@@ -181,6 +205,19 @@ function scoreTypeMatch(typeName, skinL, skinChromaVal, elemChromaVal, hue) {
   };
 }
 
+/**
+ * Match scores of all 14 types for raw L*a*b* values, best first
+ */
+function scoreAllTypes(labs, types, baseline) {
+  const axis1 = determineSkinLightness(labs.skin);
+  const axis2 = determineSkinChroma(labs.skin);
+  const axis3 = determineElementChroma(labs.hair, labs.eyebrow, labs.eye);
+  const hue = determineHueAngle(labs.skin, baseline);
+  return Object.keys(types)
+    .map(name => ({ type: name, ...scoreTypeMatch(name, axis1.value, axis2.value, axis3.value, hue, types) }))
+    .sort((a, b) => b.score - a.score);
+}
+
 // ─── Main Classifier ───
 
 /**
@@ -192,9 +229,14 @@ function scoreTypeMatch(typeName, skinL, skinChromaVal, elemChromaVal, hue) {
  * @param {Object} m.eyeColor     - { lab: { l, a, b } }  (optional)
  * @param {Object} m.eyebrowColor - { lab: { l, a, b } }  (optional)
  * @param {Object} m.contrast     - { skinHair }           (optional, for compatibility)
+ * @param {Object} [options]
+ * @param {Object} [options.params] - parameter set (default: latest data/parameters version)
+ * @param {number} [options.parametersVersion] - load this data/parameters version instead
+ * @param {boolean|Object} [options.uncertainty] - propagate measurement noise into credible
+ *   intervals: true, or { samples, level, noise, seed } (see lib/probability.js propagateNoise)
  * @returns {Object} classification result
  */
-function classifyPersonalColor(m) {
+function classifyPersonalColor(m, options = {}) {
   const { skinColor, hairColor, eyeColor, eyebrowColor, contrast } = m;
 
   if (!skinColor || !skinColor.lab) {
@@ -210,14 +252,13 @@ function classifyPersonalColor(m) {
   const axis1 = determineSkinLightness(skinLab);
   const axis2 = determineSkinChroma(skinLab);
   const axis3 = determineElementChroma(hairLab, browLab, eyeLab);
-  const hue = determineHueAngle(skinLab);
+  const params = options.params || loadParameters(options.parametersVersion);
+  const types = params === PARAMETERS ? COLOR_TYPES : buildColorTypes(params);
+  const hue = determineHueAngle(skinLab, params.hueBaseline);
 
   // Score all 14 types
-  const scores = Object.keys(COLOR_TYPES).map(name => {
-    const r = scoreTypeMatch(name, axis1.value, axis2.value, axis3.value, hue);
-    return { type: name, ...r };
-  });
-  scores.sort((a, b) => b.score - a.score);
+  const labs = { skin: skinLab, hair: hairLab, eye: eyeLab, eyebrow: browLab };
+  const scores = scoreAllTypes(labs, types, params.hueBaseline);
 
   // Primary type & season
   const primary = scores[0];
@@ -226,6 +267,16 @@ function classifyPersonalColor(m) {
     if (types.includes(primary.type)) { season = s; break; }
   }
 
+  // Calibrated probabilities (+ credible intervals under measurement noise)
+  const calibration = calibrationOf(params);
+  const probabilities = describeProbabilities(scores, calibration);
+  const uncertainty = options.uncertainty
+    ? propagateNoise(labs, noisy => scoreAllTypes(noisy, types, params.hueBaseline), calibration, {
+      ...(options.uncertainty === true ? {} : options.uncertainty),
+      type: primary.type
+    })
+    : null;
+
   // Alternates
   const alternates = scores.slice(1, 4).map(s => ({ type: s.type, confidence: s.score }));
 
@@ -243,6 +294,12 @@ function classifyPersonalColor(m) {
     season,
     confidence: primary.score,
     alternates,
+    // All 14 match scores, best first (0..1, not probabilities)
+    typeScores: scores.map(s => ({ type: s.type, score: s.score })),
+    // Calibrated distribution: { types, seasons, entropy, effectiveTypes, calibration }
+    probabilities,
+    // Credible intervals under measurement noise (options.uncertainty), else null
+    uncertainty,
     characteristics: {
       hue: hueLabel,
       hueScore: Math.round(hue.warmScore * 100) / 100,
@@ -269,7 +326,8 @@ function classifyPersonalColor(m) {
       hueTendency: hue.tendency,
       warmScore: Math.round(hue.warmScore * 100) / 100,
       coolScore: Math.round(hue.coolScore * 100) / 100,
-      allScores: scores.slice(0, 5).map(s => ({ type: s.type, score: s.score }))
+      allScores: scores.slice(0, 5).map(s => ({ type: s.type, score: s.score })),
+      parametersVersion: params.version
     }
   };
 }
@@ -280,8 +338,13 @@ module.exports = {
   determineSkinChroma,
   determineElementChroma,
   determineHueAngle,
+  hueFromAngle,
   scoreRange,
+  scoreTypeMatch,
+  scoreAllTypes,
+  buildColorTypes,
   COLOR_TYPES,
   SEASON_MAP,
-  HUE_BASELINE
+  HUE_BASELINE,
+  PARAMETERS
 };
@@ -0,0 +1,308 @@
+/**
+ * Color Constancy — illuminant estimation and white balance
+ *
+ * The client converts camera pixels to LAB as if the scene were lit by D65.
+ * Under a warm bulb or a blue window every measurement shifts together, so
+ * the skin, hair and eye values are corrected as one scene:
+ *   1. Estimate the illuminant from surfaces whose true color is known
+ *      - gray-world:  the reference surfaces average to their canonical color
+ *                     (background ≈ neutral, sclera / teeth ≈ off-white)
+ *      - white-patch: the brightest unclipped white reference is the light itself
+ *      - combined:    geometric mean of both, white-patch weighted higher
+ *   2. Adapt every measured LAB value from that illuminant to D65 with the
+ *      Bradford transform (von Kries scaling in Bradford cone space)
+ *
+ * Only chromaticity is corrected: the illuminant is normalized to Y = 100, so
+ * exposure (overall L*) is left to the quality checks. Near-black references
+ * carry no usable chromaticity (a few 8-bit code values decide a* and b*), so
+ * they are skipped like clipped whites, and gains no real light produces fall
+ * back to no correction.
+ *
+ * The neck is skin, not a gray surface — using it as a reference would pull
+ * every undertone towards the population average. It checks instead that the
+ * face is lit evenly: a corrected skin far from the corrected neck means mixed
+ * light, which no single illuminant explains.
+ */
+
+const { labToXyz, xyzToLab, labChroma, getDeltaE, round } = require('./labUtils');
+
+// Bradford cone response matrix (XYZ → "LMS") and its inverse
+const BRADFORD = [
+  [0.8951, 0.2664, -0.1614],
+  [-0.7502, 1.7135, 0.0367],
+  [0.0389, -0.0685, 1.0296]
+];
+const BRADFORD_INVERSE = [
+  [0.9869929, -0.1470543, 0.1599627],
+  [0.4323053, 0.5183603, 0.0492912],
+  [-0.0085287, 0.0400428, 0.9684867]
+];
+
+const D65_WHITE = { x: 95.047, y: 100.0, z: 108.883 };
+
+// Canonical a*/b* of each reference surface under D65 (L* is taken as measured)
+const REFERENCES = {
+  backgroundColor: { name: 'background', a: 0, b: 0, white: false, weight: 1 },
+  scleraColor: { name: 'sclera', a: 1, b: 6, white: true, weight: 2 },
+  teethColor: { name: 'teeth', a: 0, b: 10, white: true, weight: 1 }
+};
+
+// Every LAB value fullDiagnosis reads, corrected together
+const MEASURED_PARTS = [
+  'skinColor', 'hairColor', 'eyeColor', 'eyebrowColor', 'lipColor',
+  'neckColor', 'backgroundColor', 'scleraColor', 'teethColor'
+];
+
+const WHITE_MIN_L = 80;         // a background this bright may serve as a white patch
+const CLIPPED_L = 98;           // overexposed whites have lost their chromaticity
+const DARK_L = 20;              // below: too dark to tell the color of the light
+const GAIN_RANGE = [0.25, 4];   // cone gains beyond this are not a light source (illuminant A ≈ 0.31 S)
+const SATURATED_BACKGROUND = 20; // chroma above which a wall is likely colored, not lit
+const CCT_RANGE = [2500, 9000]; // plausible indoor / daylight range
+const UNEVEN_LIGHTING_DELTA_E = 10;
+const FULL_ADAPTATION_RELIABILITY = 0.75; // below: correct only part of the way
+const ESTIMATE_WEIGHTS = { grayWorld: 1, whitePatch: 2 };
+
+function multiply(matrix, v) {
+  return matrix.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+function labToCone(lab) {
+  const { x, y, z } = labToXyz(lab.l, lab.a, lab.b);
+  return multiply(BRADFORD, [x, y, z]);
+}
+
+const D65_CONE = multiply(BRADFORD, [D65_WHITE.x, D65_WHITE.y, D65_WHITE.z]);
+
+/**
+ * Cone gains → illuminant { xyz (Y = 100), xy, cct }, gains rescaled to match
+ */
+function illuminantOf(gains) {
+  const [x, y, z] = multiply(BRADFORD_INVERSE, gains.map((g, i) => g * D65_CONE[i]));
+  const scale = 100 / y;
+  const sum = x + y + z;
+  const xy = { x: x / sum, y: y / sum };
+  return {
+    gains: gains.map(g => g * scale),
+    xyz: { x: round(x * scale, 3), y: 100, z: round(z * scale, 3) },
+    xy: { x: round(xy.x, 4), y: round(xy.y, 4) },
+    cct: correlatedColorTemperature(xy)
+  };
+}
+
+/**
+ * McCamy's approximation of the correlated color temperature (K)
+ */
+function correlatedColorTemperature(xy) {
+  const n = (xy.x - 0.3320) / (0.1858 - xy.y);
+  return Math.round(449 * n * n * n + 3525 * n * n + 6823.3 * n + 5520.33);
+}
+
+/**
+ * Gray-world: weighted sum of observed cone responses over the expected ones
+ */
+function grayWorld(references) {
+  const observed = [0, 0, 0];
+  const expected = [0, 0, 0];
+  for (const ref of references) {
+    for (let i = 0; i < 3; i++) {
+      observed[i] += ref.observed[i] * ref.weight;
+      expected[i] += ref.expected[i] * ref.weight;
+    }
+  }
+  return observed.map((o, i) => o / expected[i]);
+}
+
+/**
+ * White-patch: per-channel maximum of the whites over the expected maximum
+ */
+function whitePatch(whites) {
+  const observed = [0, 1, 2].map(i => Math.max(...whites.map(w => w.observed[i])));
+  const expected = [0, 1, 2].map(i => Math.max(...whites.map(w => w.expected[i])));
+  return observed.map((o, i) => o / expected[i]);
+}
+
+function describeEstimate(gains, references) {
+  const { xy, cct } = illuminantOf(gains);
+  return { xy, cct, references: references.map(r => r.name) };
+}
+
+function xyDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Adapt one LAB value with cone gains (observed / D65)
+ */
+function adaptLab(lab, gains) {
+  const cone = labToCone(lab);
+  const [x, y, z] = multiply(BRADFORD_INVERSE, cone.map((c, i) => c / gains[i]));
+  const out = xyzToLab(x, y, z);
+  return { l: round(out.l, 1), a: round(out.a, 1), b: round(out.b, 1) };
+}
+
+function plausibleGains(gains) {
+  return gains.every(g => Number.isFinite(g) && g >= GAIN_RANGE[0] && g <= GAIN_RANGE[1]);
+}
+
+function noCorrection(reasons) {
+  return {
+    method: 'none',
+    illuminant: null,
+    cct: null,
+    estimates: { grayWorld: null, whitePatch: null },
+    gains: [1, 1, 1],
+    degree: 0,
+    reliability: 0,
+    confidence: 'none',
+    reasons
+  };
+}
+
+/**
+ * Estimate the scene illuminant and the white-balance correction
+ *
+ * @param {Object} input - fullDiagnosis input; reads backgroundColor, scleraColor,
+ *   teethColor (references), skinColor and neckColor (lighting evenness)
+ * @param {Object} [options]
+ * @param {string} [options.metric='cie76'] - skin-neck distance: cie76 | cie94 | ciede2000
+ * @returns {Object} {
+ *   method: 'combined' | 'grayWorld' | 'whitePatch' | 'none',
+ *   illuminant: { xyz, xy, cct } | null, cct (K) | null,
+ *   estimates: { grayWorld, whitePatch }: { xy, cct, references } | null,
+ *   gains: [L, M, S] applied to every measurement (1 = unchanged),
+ *   degree: share of the correction applied (0..1),
+ *   reliability: 0..1, confidence: 'high' | 'medium' | 'low' | 'none', reasons: string[]
+ * }
+ */
+function estimateIlluminant(input, options = {}) {
+  const reasons = [];
+  const references = [];
+  for (const [key, ref] of Object.entries(REFERENCES)) {
+    const color = input[key];
+    if (!color || !color.lab) continue;
+    const lab = color.lab;
+    if (lab.l >= CLIPPED_L) {
+      reasons.push(`${ref.name} is overexposed (L* ${round(lab.l, 1)}), not used`);
+      continue;
+    }
+    if (lab.l < DARK_L) {
+      reasons.push(`${ref.name} is too dark (L* ${round(lab.l, 1)}), not used`);
+      continue;
+    }
+    references.push({
+      ...ref,
+      lab,
+      observed: labToCone(lab),
+      expected: labToCone({ l: lab.l, a: ref.a, b: ref.b })
+    });
+  }
+
+  if (!references.length) {
+    return noCorrection(reasons.concat('No usable background, sclera or teeth sample to estimate the light from'));
+  }
+
+  const whites = references.filter(r => r.white || r.lab.l >= WHITE_MIN_L);
+
+  const grayGains = grayWorld(references);
+  const whiteGains = whites.length ? whitePatch(whites) : null;
+  if (!plausibleGains(grayGains) || (whiteGains && !plausibleGains(whiteGains))) {
+    return noCorrection(reasons.concat('The reference colors imply no plausible light source, not corrected'));
+  }
+  const estimates = {
+    grayWorld: describeEstimate(grayGains, references),
+    whitePatch: whiteGains ? describeEstimate(whiteGains, whites) : null
+  };
+
+  // Whites only: both estimates see the same surfaces, keep the white-patch one
+  let method = 'grayWorld';
+  let gains = grayGains;
+  if (whiteGains && whites.length === references.length) {
+    method = 'whitePatch';
+    gains = whiteGains;
+  } else if (whiteGains) {
+    method = 'combined';
+    const total = ESTIMATE_WEIGHTS.grayWorld + ESTIMATE_WEIGHTS.whitePatch;
+    gains = grayGains.map((g, i) => Math.exp(
+      (Math.log(g) * ESTIMATE_WEIGHTS.grayWorld + Math.log(whiteGains[i]) * ESTIMATE_WEIGHTS.whitePatch) / total
+    ));
+  }
+  const illuminant = illuminantOf(gains);
+
+  // --- Reliability ---
+  const knownWhites = references.filter(r => r.white);
+  let reliability = knownWhites.length ? 0.85 : 0.5;
+  reasons.push(knownWhites.length
+    ? `Known white reference (${knownWhites.map(r => r.name).join(', ')})`
+    : 'No eye or teeth white — background assumed neutral');
+
+  if (method === 'combined') {
+    const disagreement = xyDistance(estimates.grayWorld.xy, estimates.whitePatch.xy);
+    const factor = Math.max(0.4, 1 - disagreement / 0.04);
+    reliability *= factor;
+    if (factor < 0.75) {
+      reasons.push(`Gray-world (${estimates.grayWorld.cct}K) and white-patch (${estimates.whitePatch.cct}K) disagree`);
+    }
+  }
+
+  const background = references.find(r => r.name === 'background');
+  if (background && !knownWhites.length && labChroma(background.lab.a, background.lab.b) > SATURATED_BACKGROUND) {
+    reliability *= 0.6;
+    reasons.push('Saturated background may be a colored wall rather than colored light');
+  }
+
+  if (illuminant.cct < CCT_RANGE[0] || illuminant.cct > CCT_RANGE[1]) {
+    reliability *= 0.7;
+    reasons.push(`Estimated ${illuminant.cct}K is outside the usual ${CCT_RANGE[0]}–${CCT_RANGE[1]}K`);
+  }
+
+  if (input.skinColor && input.skinColor.lab && input.neckColor && input.neckColor.lab) {
+    const skinNeck = getDeltaE(options.metric)(adaptLab(input.skinColor.lab, illuminant.gains), adaptLab(input.neckColor.lab, illuminant.gains));
+    if (skinNeck > UNEVEN_LIGHTING_DELTA_E) {
+      reliability *= Math.max(0.5, 1 - (skinNeck - UNEVEN_LIGHTING_DELTA_E) / 30);
+      reasons.push(`Skin and neck differ by ΔE ${round(skinNeck, 1)} — uneven or mixed lighting`);
+    }
+  }
+
+  reliability = round(reliability);
+  const degree = round(Math.min(1, reliability / FULL_ADAPTATION_RELIABILITY));
+  if (degree < 1) reasons.push(`Correction applied at ${Math.round(degree * 100)}% for limited reliability`);
+
+  return {
+    method,
+    illuminant: { xyz: illuminant.xyz, xy: illuminant.xy, cct: illuminant.cct },
+    cct: illuminant.cct,
+    estimates,
+    gains: illuminant.gains.map(g => round(Math.min(GAIN_RANGE[1], Math.max(GAIN_RANGE[0], Math.pow(g, degree))), 4)),
+    degree,
+    reliability,
+    confidence: reliability >= 0.75 ? 'high' : reliability >= 0.5 ? 'medium' : 'low',
+    reasons
+  };
+}
+
+/**
+ * Copy of a fullDiagnosis input with every measured LAB value white-balanced
+ *
+ * @param {Object} input - fullDiagnosis input
+ * @param {Object} whiteBalance - estimateIlluminant() result
+ * @returns {Object} input with corrected { lab } (other color fields kept)
+ */
+function applyWhiteBalance(input, whiteBalance) {
+  const out = { ...input };
+  if (!whiteBalance || whiteBalance.gains.every(g => g === 1)) return out;
+  for (const key of MEASURED_PARTS) {
+    const color = input[key];
+    if (!color || !color.lab) continue;
+    out[key] = { ...color, lab: adaptLab(color.lab, whiteBalance.gains) };
+  }
+  return out;
+}
+
+module.exports = {
+  estimateIlluminant,
+  applyWhiteBalance,
+  adaptLab,
+  correlatedColorTemperature,
+  MEASURED_PARTS
+};
@@ -3,6 +3,8 @@
  * Evaluates overall diagnosis reliability based on multiple factors
  */
 
+const { prototypeAgreement } = require('./prototypeMatcher');
+
 /**
  * Calculate overall confidence score for a complete diagnosis
  *
@@ -10,8 +12,9 @@
  * @param {Object} params.colorResult - From classifyPersonalColor()
  * @param {Object} params.faceResult - From classifyFaceShape() (nullable)
  * @param {Object} params.bodyResult - From classifyBodyType() (nullable)
- * @param {Object} params.backgroundResult - From neutralizeBackground() (nullable)
+ * @param {Object} params.whiteBalance - From estimateIlluminant() (nullable)
  * @param {Object} params.measurements - Original input measurements
+ * @param {Object} params.prototypeResult - From matchPrototypes() (nullable)
  * @returns {Object} - { overall, factors, recommendation }
  */
 function calculateConfidence(params) {
@@ -19,8 +22,9 @@ function calculateConfidence(params) {
     colorResult,
     faceResult,
     bodyResult,
-    backgroundResult,
-    measurements
+    whiteBalance,
+    measurements,
+    prototypeResult
   } = params;
 
   const factors = [];
@@ -40,38 +44,51 @@ function calculateConfidence(params) {
     totalWeight += 4;
   }
 
-  // Factor 2: Color type margin (distance from 2nd best)
-  if (colorResult && colorResult.alternates && colorResult.alternates.length > 0) {
-    const margin = colorResult.confidence - colorResult.alternates[0].confidence;
-    const marginScore = Math.min(1, margin / 0.15); // 0.15 gap = full score
+  // Factor 2: Type certainty — entropy of the calibrated 14-type distribution,
+  // scored as 1 / effective number of types (1 type → 1, two tied → 0.5)
+  if (colorResult && colorResult.probabilities) {
+    const { entropy, effectiveTypes } = colorResult.probabilities;
+    const entropyScore = 1 / effectiveTypes;
+    factors.push({
+      name: 'typeEntropy',
+      score: Math.round(entropyScore * 100) / 100,
+      weight: 2,
+      status: entropyScore > 0.6 ? 'good' : entropyScore > 0.3 ? 'moderate' : 'low',
+      detail: `Entropy ${entropy.types} bits (~${effectiveTypes} equally likely types)`
+    });
+    totalScore += entropyScore * 2;
+    totalWeight += 2;
+  }
+
+  // Factor 2b: Agreement with the reference prototypes (second opinion)
+  if (colorResult && prototypeResult) {
+    const agreement = prototypeAgreement(colorResult, prototypeResult);
+    const chosen = prototypeResult.explanations[colorResult.type];
+    const majorConflicts = chosen ? chosen.conflicts.filter(c => c.severity === 'major').length : 0;
     factors.push({
-      name: 'typeMargin',
-      score: Math.round(marginScore * 100) / 100,
+      name: 'prototypeAgreement',
+      score: agreement.score,
       weight: 2,
-      status: marginScore > 0.6 ? 'good' : marginScore > 0.3 ? 'moderate' : 'low',
-      detail: `Gap to alternate: ${Math.round(margin * 100)}%`
+      status: agreement.score > 0.9 ? 'good' : agreement.score > 0.7 ? 'moderate' : 'low',
+      detail: agreement.sameType || agreement.chosenScore >= agreement.bestScore
+        ? `Prototypes agree (fit ${Math.round(agreement.chosenScore * 100)}%${majorConflicts ? `, ${majorConflicts} conflicting feature(s)` : ''})`
+        : `Prototypes prefer ${prototypeResult.type} (fit ${Math.round(agreement.bestScore * 100)}% vs ${Math.round(agreement.chosenScore * 100)}%)`
     });
-    totalScore += marginScore * 2;
+    totalScore += agreement.score * 2;
     totalWeight += 2;
   }
 
-  // Factor 3: Background quality
-  if (backgroundResult) {
-    let bgScore;
-    switch (backgroundResult.confidence) {
-      case 'high': bgScore = 1.0; break;
-      case 'medium': bgScore = 0.7; break;
-      case 'low': bgScore = 0.4; break;
-      case 'none': bgScore = 0.8; break; // No correction needed = good
-      default: bgScore = 0.5;
-    }
+  // Factor 3: White balance reliability (skipped when nothing to estimate the light from)
+  if (whiteBalance && whiteBalance.method !== 'none') {
+    const wbScore = whiteBalance.reliability;
     factors.push({
-      name: 'backgroundQuality',
-      score: bgScore,
+      name: 'whiteBalance',
+      score: wbScore,
       weight: 2,
-      status: bgScore > 0.7 ? 'good' : bgScore > 0.4 ? 'moderate' : 'low'
+      status: wbScore >= 0.75 ? 'good' : wbScore >= 0.5 ? 'moderate' : 'low',
+      detail: `${whiteBalance.cct}K (${whiteBalance.method})`
     });
-    totalScore += bgScore * 2;
+    totalScore += wbScore * 2;
     totalWeight += 2;
   }
 
@@ -123,8 +140,8 @@ function calculateConfidence(params) {
     totalWeight += 2;
   }
 
-  // Factor 6: Face classification (if available)
-  if (faceResult) {
+  // Factor 6: Face classification (if available and determined)
+  if (faceResult && faceResult.type) {
     const score = faceResult.confidence || 0;
     factors.push({
       name: 'faceClassification',
@@ -170,12 +187,18 @@ function calculateConfidence(params) {
   };
 }
 
+// Share of the confidence kept by a result that never survives perturbation
+const STABILITY_FLOOR = 0.6;
+
 /**
  * Determine whether to trust internal classification or defer to Gemini
  * @param {number} confidence - Overall confidence score (0-1)
+ * @param {number} [stability] - Monte Carlo stability (0-1, lib/stability.js); scales the
+ *   confidence from 60% (never stable) to 100% (always stable) before the thresholds
  * @returns {string} - 'internal' | 'hybrid' | 'gemini'
  */
-function determineStrategy(confidence) {
+function determineStrategy(confidence, stability) {
+  if (stability != null) confidence *= STABILITY_FLOOR + (1 - STABILITY_FLOOR) * stability;
   if (confidence >= 0.75) return 'internal';   // Trust internal classification
   if (confidence >= 0.50) return 'hybrid';     // Use internal + verify with Gemini
   return 'gemini';                              // Defer type decision to Gemini
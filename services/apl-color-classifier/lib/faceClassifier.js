@@ -1,63 +1,186 @@
 /**
  * Deterministic Face Shape Classifier
- * Rules-based 7-type face shape classification
+ * Rules-based 9-type face shape classification
  *
  * Face Types:
  * 1. Oval (타원형)
  * 2. Round (둥근형)
  * 3. Square (사각형)
- * 4. Oblong (긴형)
- * 5. Heart (하트형)
- * 6. Diamond (다이아몬드형)
- * 7. Inverted Triangle (역삼각형)
+ * 4. Rectangle (직사각형)
+ * 5. Oblong (긴형)
+ * 6. Heart (하트형)
+ * 7. Diamond (다이아몬드형)
+ * 8. Inverted Triangle (역삼각형)
+ * 9. Triangle (삼각형 / 배형)
+ *
+ * Widths are normalized to the cheekbone width (1.0). Besides the three width /
+ * height ratios, landmark-derived metrics refine the score when the client sends them:
+ *   jawAngle            — gonial angle in degrees (sharp ≈ 110, soft ≈ 145)
+ *   chinPointedness     — 0 (broad, flat chin) … 1 (narrow, pointed chin)
+ *   cheekboneProminence — cheekbone width / wider of forehead and jaw
+ *                         (or derived from cheekboneWidth)
+ *   midfaceRatio        — brow → nose base, share of the face height (≈ 1/3)
+ *   lowerFaceRatio      — nose base → chin, share of the face height (≈ 1/3)
+ *   symmetry            — 0..1 left/right landmark agreement; it does not pick a
+ *                         shape but lowers the confidence (a turned head skews widths)
  */
 
-// Reference ranges for each face shape
+const { round } = require('./labUtils');
+
+// Reference ranges for each face shape (metrics without a range are not scored)
 const FACE_REFERENCE = {
   Oval: {
     heightRatio: [1.3, 1.5],
     foreheadRatio: [0.85, 0.95],
     jawRatio: [0.75, 0.85],
+    jawAngle: [120, 135],
+    chinPointedness: [0.4, 0.6],
+    cheekboneProminence: [1.05, 1.18],
+    lowerFaceRatio: [0.31, 0.36],
     description: 'Balanced proportions, slightly longer than wide, gentle jaw curve'
   },
   Round: {
     heightRatio: [1.0, 1.3],
     foreheadRatio: [0.85, 1.0],
     jawRatio: [0.85, 1.0],
+    jawAngle: [132, 150],
+    chinPointedness: [0.2, 0.4],
+    cheekboneProminence: [1.0, 1.12],
+    midfaceRatio: [0.30, 0.34],
+    lowerFaceRatio: [0.28, 0.33],
     description: 'Nearly equal width and height, soft rounded jaw'
   },
   Square: {
     heightRatio: [1.0, 1.3],
     foreheadRatio: [0.90, 1.05],
     jawRatio: [0.90, 1.05],
+    jawAngle: [105, 125],
+    chinPointedness: [0.05, 0.3],
+    cheekboneProminence: [0.95, 1.08],
+    lowerFaceRatio: [0.30, 0.35],
     description: 'Strong angular jaw, forehead and jaw similar width'
   },
+  Rectangle: {
+    heightRatio: [1.4, 1.8],
+    foreheadRatio: [0.90, 1.05],
+    jawRatio: [0.90, 1.05],
+    jawAngle: [105, 125],
+    chinPointedness: [0.05, 0.3],
+    cheekboneProminence: [0.95, 1.08],
+    midfaceRatio: [0.34, 0.40],
+    lowerFaceRatio: [0.34, 0.40],
+    description: 'Longer than wide with a straight, angular jaw as wide as the forehead'
+  },
   Oblong: {
     heightRatio: [1.5, 2.0],
     foreheadRatio: [0.80, 0.95],
     jawRatio: [0.75, 0.90],
+    jawAngle: [122, 138],
+    chinPointedness: [0.35, 0.6],
+    cheekboneProminence: [1.05, 1.2],
+    midfaceRatio: [0.34, 0.40],
+    lowerFaceRatio: [0.34, 0.40],
     description: 'Noticeably longer than wide, balanced forehead and jaw'
   },
   Heart: {
     heightRatio: [1.2, 1.6],
     foreheadRatio: [0.95, 1.15],
     jawRatio: [0.60, 0.75],
+    jawAngle: [122, 140],
+    chinPointedness: [0.6, 0.85],
+    cheekboneProminence: [0.87, 1.05],
+    lowerFaceRatio: [0.30, 0.35],
     description: 'Wide forehead, narrow pointed chin'
   },
   Diamond: {
     heightRatio: [1.2, 1.6],
     foreheadRatio: [0.70, 0.85],
     jawRatio: [0.65, 0.80],
+    jawAngle: [120, 135],
+    chinPointedness: [0.55, 0.8],
+    cheekboneProminence: [1.15, 1.4],
+    lowerFaceRatio: [0.32, 0.37],
     description: 'Narrow forehead and jaw, widest at cheekbones'
   },
   'Inverted Triangle': {
     heightRatio: [1.1, 1.5],
     foreheadRatio: [1.0, 1.2],
     jawRatio: [0.60, 0.78],
+    jawAngle: [120, 140],
+    chinPointedness: [0.65, 0.95],
+    cheekboneProminence: [0.83, 1.0],
+    lowerFaceRatio: [0.29, 0.34],
     description: 'Very wide forehead, very narrow jaw'
+  },
+  Triangle: {
+    heightRatio: [1.1, 1.45],
+    foreheadRatio: [0.70, 0.85],
+    jawRatio: [0.95, 1.15],
+    jawAngle: [110, 130],
+    chinPointedness: [0.1, 0.35],
+    cheekboneProminence: [0.87, 1.0],
+    lowerFaceRatio: [0.33, 0.38],
+    description: 'Narrow forehead, jaw wider than the cheekbones (pear shape)'
   }
 };
 
+// Metric weights; only metrics that are measured and have a reference range count
+const METRIC_WEIGHTS = {
+  heightRatio: 0.35,
+  jawRatio: 0.35,
+  foreheadRatio: 0.30,
+  jawAngle: 0.25,
+  chinPointedness: 0.20,
+  cheekboneProminence: 0.15,
+  midfaceRatio: 0.10,
+  lowerFaceRatio: 0.10
+};
+
+/**
+ * Disambiguation rules between shapes that share most ranges
+ *
+ * When the best shape is one of `between` and the other one scores at least
+ * RULE_MIN_SCORE, the metric decides: a value inside `favors[shape]` makes that
+ * shape the result. Metrics are the classifier metrics plus foreheadJawRatio.
+ */
+const FACE_RULES = [
+  {
+    between: ['Square', 'Round'],
+    metric: 'jawAngle',
+    favors: { Square: [0, 125], Round: [140, 180] },
+    reason: 'Similar width and height — the jaw angle separates angular from soft'
+  },
+  {
+    between: ['Rectangle', 'Oblong'],
+    metric: 'jawAngle',
+    favors: { Rectangle: [0, 125], Oblong: [132, 180] },
+    reason: 'Both long — the jaw angle separates a straight from a tapering jaw'
+  },
+  {
+    between: ['Heart', 'Inverted Triangle'],
+    metric: 'foreheadJawRatio',
+    favors: { 'Inverted Triangle': [1.6, Infinity], Heart: [0, 1.4] },
+    reason: 'Heart tapers gradually; Inverted Triangle is more extreme'
+  },
+  {
+    between: ['Heart', 'Diamond'],
+    metric: 'cheekboneProminence',
+    favors: { Diamond: [1.15, Infinity], Heart: [0, 1.05] },
+    reason: 'Both have a narrow chin — widest at the cheekbones is Diamond'
+  },
+  {
+    between: ['Triangle', 'Square'],
+    metric: 'foreheadJawRatio',
+    favors: { Triangle: [0, 0.85], Square: [0.92, Infinity] },
+    reason: 'Both have a wide jaw — a narrower forehead makes it Triangle'
+  }
+];
+
+const CORE_RATIOS = ['foreheadRatio', 'jawRatio', 'heightRatio'];
+const DEFAULT_RATIOS = { foreheadRatio: 0.9, jawRatio: 0.8, heightRatio: 1.35 };
+const RULE_MIN_SCORE = 0.5;
+const MIN_SYMMETRY = 0.9; // below: the widths are probably skewed by a turned head
+
 /**
  * Score how well proportions fit a face shape reference range
  * @param {number} value - Measured value
@@ -80,102 +203,161 @@ function scoreRange(value, range) {
   }
 }
 
+function measured(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * faceProportions → classifier metrics (null when not measured)
+ */
+function faceMetrics(faceProportions) {
+  // A missing ratio (undefined or null) falls back to a typical value
+  const [foreheadRatio, jawRatio, heightRatio] = CORE_RATIOS.map(key => {
+    const value = measured(faceProportions[key]);
+    return value == null ? DEFAULT_RATIOS[key] : value;
+  });
+
+  const cheekboneWidth = measured(faceProportions.cheekboneWidth);
+  let cheekboneProminence = measured(faceProportions.cheekboneProminence);
+  if (cheekboneProminence == null && cheekboneWidth != null) {
+    cheekboneProminence = cheekboneWidth / Math.max(foreheadRatio, jawRatio);
+  }
+
+  return {
+    foreheadRatio,
+    jawRatio,
+    heightRatio,
+    jawAngle: measured(faceProportions.jawAngle),
+    chinPointedness: measured(faceProportions.chinPointedness),
+    cheekboneProminence,
+    midfaceRatio: measured(faceProportions.midfaceRatio),
+    lowerFaceRatio: measured(faceProportions.lowerFaceRatio),
+    foreheadJawRatio: foreheadRatio / jawRatio,
+    symmetry: measured(faceProportions.symmetry)
+  };
+}
+
+/**
+ * Weighted fit of the metrics to one reference; unmeasured metrics are left out
+ */
+function scoreShape(metrics, ref) {
+  let sum = 0;
+  let weight = 0;
+  const detail = {};
+  for (const [metric, w] of Object.entries(METRIC_WEIGHTS)) {
+    if (metrics[metric] == null || !ref[metric]) continue;
+    const score = scoreRange(metrics[metric], ref[metric]);
+    detail[metric] = round(score);
+    sum += score * w;
+    weight += w;
+  }
+  return { score: weight > 0 ? sum / weight : 0, detail };
+}
+
+/**
+ * First FACE_RULES entry that moves another shape ahead of the best one
+ */
+function applyRules(scores, metrics) {
+  const primary = scores[0];
+  for (const rule of FACE_RULES) {
+    if (!rule.between.includes(primary.type)) continue;
+    const other = rule.between.find(type => type !== primary.type);
+    const otherIdx = scores.findIndex(s => s.type === other);
+    const value = metrics[rule.metric];
+    if (otherIdx <= 0 || scores[otherIdx].score < RULE_MIN_SCORE || value == null) continue;
+
+    const [min, max] = rule.favors[other];
+    if (value >= min && value <= max) {
+      scores[0] = scores[otherIdx];
+      scores[otherIdx] = primary;
+      return {
+        from: primary.type,
+        to: other,
+        metric: rule.metric,
+        value: round(value),
+        reason: rule.reason
+      };
+    }
+  }
+  return null;
+}
+
 /**
  * Classify face shape from proportions
- * @param {Object} faceProportions - { foreheadRatio, jawRatio, heightRatio, cheekboneWidth?, jawAngle? }
- *   foreheadRatio: forehead width / face max width (0.6-1.2)
- *   jawRatio: jaw width / face max width (0.5-1.1)
- *   heightRatio: face height / face width (0.9-2.0)
- * @returns {Object} - { type, confidence, alternates, proportions }
+ * @param {Object} faceProportions - { foreheadRatio, jawRatio, heightRatio, jawAngle?, chinPointedness?,
+ *     cheekboneProminence?, cheekboneWidth?, midfaceRatio?, lowerFaceRatio?, symmetry? }
+ *   foreheadRatio: forehead width / cheekbone width (0.6-1.2)
+ *   jawRatio: jaw width / cheekbone width (0.5-1.1)
+ *   heightRatio: face height / cheekbone width (0.9-2.0)
+ *   other metrics: see the module comment
+ * @returns {Object} - { type, confidence, alternates, proportions, disambiguation, symmetry }
+ *   proportions: every metric that was measured; disambiguation: the FACE_RULES swap or null.
+ *   Without any of the three ratios: { type: null, confidence: 0, undetermined: true, reason }
  */
 function classifyFaceShape(faceProportions) {
   if (!faceProportions) {
     throw new Error('faceProportions is required');
   }
 
-  const {
-    foreheadRatio = 0.9,
-    jawRatio = 0.8,
-    heightRatio = 1.35
-  } = faceProportions;
+  if (!CORE_RATIOS.some(key => measured(faceProportions[key]) != null)) {
+    return {
+      type: null,
+      confidence: 0,
+      alternates: [],
+      proportions: {},
+      disambiguation: null,
+      symmetry: null,
+      undetermined: true,
+      reason: 'No forehead, jaw or height ratio was measured'
+    };
+  }
+
+  const metrics = faceMetrics(faceProportions);
 
   // Score each face type
-  const scores = [];
-
-  for (const [type, ref] of Object.entries(FACE_REFERENCE)) {
-    const heightScore = scoreRange(heightRatio, ref.heightRatio);
-    const foreheadScore = scoreRange(foreheadRatio, ref.foreheadRatio);
-    const jawScore = scoreRange(jawRatio, ref.jawRatio);
-
-    // Height ratio is most discriminating, then jaw, then forehead
-    const totalScore = heightScore * 0.35 + jawScore * 0.35 + foreheadScore * 0.30;
-
-    scores.push({
-      type,
-      score: totalScore,
-      detail: {
-        heightScore: Math.round(heightScore * 100) / 100,
-        foreheadScore: Math.round(foreheadScore * 100) / 100,
-        jawScore: Math.round(jawScore * 100) / 100
-      }
-    });
-  }
+  const scores = Object.entries(FACE_REFERENCE).map(([type, ref]) => ({ type, ...scoreShape(metrics, ref) }));
 
   // Sort by score descending
   scores.sort((a, b) => b.score - a.score);
 
-  const primary = scores[0];
+  // Close shapes are decided by the rule metric, not by a fraction of a point
+  const disambiguation = applyRules(scores, metrics);
+
+  // A turned or tilted head narrows one side — trust the widths less
+  const symmetryFactor = metrics.symmetry != null && metrics.symmetry < MIN_SYMMETRY
+    ? Math.max(0.5, metrics.symmetry / MIN_SYMMETRY)
+    : 1;
+
+  const finalPrimary = scores[0];
   const alternates = scores.slice(1, 3).map(s => ({
     type: s.type,
-    confidence: Math.round(s.score * 100) / 100
+    confidence: round(s.score)
   }));
 
-  // Apply Square vs Round disambiguation
-  // Both have similar height ratios but jaw shape differs
-  if (primary.type === 'Square' || primary.type === 'Round') {
-    const jawAngle = faceProportions.jawAngle;
-    if (jawAngle != null) {
-      // Sharp jaw angle (< 125°) favors Square
-      // Soft jaw angle (> 140°) favors Round
-      if (jawAngle < 125 && primary.type === 'Round') {
-        // Swap if jaw is actually angular
-        const squareIdx = scores.findIndex(s => s.type === 'Square');
-        if (squareIdx > 0 && scores[squareIdx].score > 0.5) {
-          scores[0] = scores[squareIdx];
-          scores[squareIdx] = primary;
-        }
-      }
-    }
+  // Report what was measured, not the typical values missing ratios fell back to
+  const defaulted = CORE_RATIOS.filter(key => measured(faceProportions[key]) == null);
+  if (defaulted.includes('foreheadRatio') || defaulted.includes('jawRatio')) defaulted.push('foreheadJawRatio');
+  const proportions = {};
+  for (const [metric, value] of Object.entries(metrics)) {
+    if (value != null && !defaulted.includes(metric)) proportions[metric] = round(value, metric === 'jawAngle' ? 1 : 2);
   }
 
-  // Apply Heart vs Inverted Triangle disambiguation
-  if (primary.type === 'Heart' || primary.type === 'Inverted Triangle') {
-    // Heart has a more gradual taper; Inverted Triangle is more extreme
-    const ratio = foreheadRatio / jawRatio;
-    if (ratio > 1.6 && primary.type === 'Heart') {
-      const invIdx = scores.findIndex(s => s.type === 'Inverted Triangle');
-      if (invIdx > 0) {
-        scores[0] = scores[invIdx];
-        scores[invIdx] = primary;
-      }
-    }
-  }
-
-  const finalPrimary = scores[0];
-
   return {
     type: finalPrimary.type,
-    confidence: Math.round(finalPrimary.score * 100) / 100,
+    confidence: round(finalPrimary.score * symmetryFactor),
     alternates,
-    proportions: {
-      foreheadRatio: Math.round(foreheadRatio * 100) / 100,
-      jawRatio: Math.round(jawRatio * 100) / 100,
-      heightRatio: Math.round(heightRatio * 100) / 100
+    proportions,
+    disambiguation,
+    symmetry: metrics.symmetry == null ? null : {
+      score: round(metrics.symmetry),
+      confidenceFactor: round(symmetryFactor)
     },
     debug: {
+      metricsUsed: Object.keys(finalPrimary.detail),
+      detail: finalPrimary.detail,
       allScores: scores.slice(0, 5).map(s => ({
         type: s.type,
-        score: Math.round(s.score * 100) / 100
+        score: round(s.score)
       }))
     }
   };
@@ -183,5 +365,7 @@ function classifyFaceShape(faceProportions) {
 
 module.exports = {
   classifyFaceShape,
-  FACE_REFERENCE
+  faceMetrics,
+  FACE_REFERENCE,
+  FACE_RULES
 };
@@ -0,0 +1,317 @@
+/**
+ * Face Geometry — proportions, jaw angle and contrast from raw landmarks
+ *
+ * Clients may send the raw MediaPipe Face Landmarker output (478 normalized
+ * points) and the pixel colors they sampled instead of their own ratios, so
+ * every client version gets the same derivation. Which landmarks mean what
+ * lives in versioned JSON files (data/geometry/v1.json, ...); the highest
+ * version is used unless the client asks for another, and the version is
+ * returned with the measurement.
+ *
+ * Widths are normalized to the cheekbone width (1.0), as classifyFaceShape expects:
+ *   foreheadRatio / jawRatio — forehead / jaw width over cheekbone width
+ *   heightRatio              — top of the forehead landmark → menton over cheekbone width
+ *   jawAngle                 — angle at the jaw corner between the ramus and the menton (both sides, mean)
+ *   chinPointedness          — chin width over jaw width, mapped from flatRatio (0) to pointedRatio (1)
+ *   midfaceRatio / lowerFaceRatio — glabella → nose base / nose base → menton over the
+ *                              face height, with the hairline estimated one midface above the glabella
+ *   symmetry                 — 1 − mean left/right distance difference from the midline
+ * Colors are the per-channel median of each part's samples; contrast is the
+ * Euclidean RGB distance from the skin, like the client computed it.
+ */
+
+const path = require('path');
+const { createVersionedLoader } = require('../../versioned-data');
+const { rgbToLab, rgbDistance, round, median } = require('./labUtils');
+
+const GEOMETRY_DIR = path.join(__dirname, '..', 'data', 'geometry');
+
+// Sample group → fullDiagnosis color field
+const SAMPLE_PARTS = {
+  skin: 'skinColor',
+  hair: 'hairColor',
+  eye: 'eyeColor',
+  eyebrow: 'eyebrowColor',
+  lip: 'lipColor',
+  neck: 'neckColor',
+  background: 'backgroundColor',
+  sclera: 'scleraColor',
+  teeth: 'teethColor'
+};
+
+const MAX_SAMPLES_PER_PART = 1000;
+const MIN_FACE_PX = 20;        // smaller faces (or coinciding points) cannot be measured
+const MIN_CHEEK_SPREAD = 0.5;  // cheekbones off the midline, share of their width (frontal ≈ 1)
+
+const loader = createVersionedLoader({ dir: GEOMETRY_DIR, name: 'face geometry' });
+
+/**
+ * Available geometry versions, ascending
+ */
+function listGeometryVersions() {
+  return loader.listVersions();
+}
+
+/**
+ * Load a geometry version (default: the latest)
+ *
+ * @param {number} [version]
+ * @returns {Object} { package, version, landmarkCount, landmarks, chinPointedness, symmetryPairs, ... }
+ */
+function loadGeometry(version) {
+  return loader.load(version);
+}
+
+/**
+ * [x, y, z] or { x, y, z } → [x, y] (null when not numeric)
+ */
+function pointOf(p) {
+  const x = Array.isArray(p) ? p[0] : p && p.x;
+  const y = Array.isArray(p) ? p[1] : p && p.y;
+  return Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null;
+}
+
+/**
+ * [r, g, b] or { r, g, b } → { r, g, b } (null when not 0-255)
+ */
+function rgbOf(s) {
+  const [r, g, b] = Array.isArray(s) ? s : s ? [s.r, s.g, s.b] : [];
+  return [r, g, b].every(c => Number.isFinite(c) && c >= 0 && c <= 255) ? { r, g, b } : null;
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Check a landmarks payload before measuring it
+ *
+ * @param {Object} landmarks - { points, imageWidth, imageHeight, samples?, geometryVersion? }
+ * @returns {string|null} what is wrong, or null when it can be measured
+ */
+function validateLandmarks(landmarks) {
+  if (!landmarks || typeof landmarks !== 'object') return 'landmarks must be an object';
+
+  const versions = listGeometryVersions();
+  if (landmarks.geometryVersion != null && !versions.includes(landmarks.geometryVersion)) {
+    return `landmarks.geometryVersion must be one of: ${versions.join(', ')}`;
+  }
+  const geometry = loadGeometry(landmarks.geometryVersion);
+
+  const { points } = landmarks;
+  if (!Array.isArray(points) || points.length !== geometry.landmarkCount) {
+    return `landmarks.points must be the ${geometry.landmarkCount} Face Landmarker points`;
+  }
+  if (!points.every(pointOf)) return 'landmarks.points must be [x, y, z] or { x, y, z } numbers';
+  if (!isPositive(landmarks.imageWidth) || !isPositive(landmarks.imageHeight)) {
+    return 'landmarks.imageWidth and landmarks.imageHeight must be positive numbers';
+  }
+  const degenerate = degenerateFace(pixelPoints(landmarks), geometry);
+  if (degenerate) return degenerate;
+
+  const samples = landmarks.samples;
+  if (samples == null) return null;
+  if (typeof samples !== 'object' || Array.isArray(samples)) return 'landmarks.samples must be an object';
+  for (const [part, values] of Object.entries(samples)) {
+    if (!SAMPLE_PARTS[part]) return `landmarks.samples.${part} is not one of: ${Object.keys(SAMPLE_PARTS).join(', ')}`;
+    if (!Array.isArray(values) || !values.length || values.length > MAX_SAMPLES_PER_PART) {
+      return `landmarks.samples.${part} must hold 1 to ${MAX_SAMPLES_PER_PART} pixels`;
+    }
+    if (!values.every(rgbOf)) return `landmarks.samples.${part} must be [r, g, b] or { r, g, b } values from 0 to 255`;
+  }
+  return null;
+}
+
+// ─── Geometry (pixel space, so the image aspect ratio does not skew widths) ───
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function angleAt(vertex, a, b) {
+  const v1 = [a[0] - vertex[0], a[1] - vertex[1]];
+  const v2 = [b[0] - vertex[0], b[1] - vertex[1]];
+  const cos = (v1[0] * v2[0] + v1[1] * v2[1]) / (Math.hypot(...v1) * Math.hypot(...v2));
+  return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+/**
+ * Signed length of the projection of from → to onto a unit axis
+ */
+function along(from, to, axis) {
+  return (to[0] - from[0]) * axis[0] + (to[1] - from[1]) * axis[1];
+}
+
+/**
+ * Distance of a point from the line through a and b
+ */
+function fromLine(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  return Math.abs(dy * p[0] - dx * p[1] + b[0] * a[1] - b[1] * a[0]) / Math.hypot(dx, dy);
+}
+
+/**
+ * Normalized points → pixel-space accessor by landmark index
+ */
+function pixelPoints(landmarks) {
+  return index => {
+    const [x, y] = pointOf(landmarks.points[index]);
+    return [x * landmarks.imageWidth, y * landmarks.imageHeight];
+  };
+}
+
+/**
+ * Why the points cannot be a measurable frontal face (null when they can):
+ * coinciding or collinear points give zero widths, NaN ratios and a 180° jaw
+ */
+function degenerateFace(pt, geometry) {
+  const lm = geometry.landmarks;
+  const top = pt(lm.top);
+  const menton = pt(lm.menton);
+  const faceHeight = distance(top, menton);
+  const cheekboneWidth = distance(pt(lm.cheekbone[0]), pt(lm.cheekbone[1]));
+  if (faceHeight < MIN_FACE_PX || cheekboneWidth < MIN_FACE_PX) {
+    return `landmarks describe a face under ${MIN_FACE_PX} px high or wide (coinciding points?)`;
+  }
+  const spread = fromLine(pt(lm.cheekbone[0]), top, menton) + fromLine(pt(lm.cheekbone[1]), top, menton);
+  if (spread < MIN_CHEEK_SPREAD * cheekboneWidth) {
+    return 'landmarks do not describe a frontal face (the cheekbones lie on the midline)';
+  }
+  const proportions = measureProportions(pt, geometry);
+  const invalid = Object.keys(proportions).filter(key => !Number.isFinite(proportions[key]));
+  if (invalid.length || proportions.midfaceRatio <= 0 || proportions.lowerFaceRatio <= 0) {
+    return `landmarks give no valid ${invalid.length ? invalid.join(', ') : 'face thirds'}`;
+  }
+  return null;
+}
+
+/**
+ * faceProportions from the landmarks (classifyFaceShape input)
+ */
+function measureProportions(pt, geometry) {
+  const lm = geometry.landmarks;
+  const width = pair => distance(pt(pair[0]), pt(pair[1]));
+
+  const cheekboneWidth = width(lm.cheekbone);
+  const jawWidth = width(lm.jaw);
+  const top = pt(lm.top);
+  const menton = pt(lm.menton);
+  const faceHeight = distance(top, menton);
+
+  // Jaw corner: ramus above, menton in front — mean of both sides
+  const jawAngle = (angleAt(pt(lm.jaw[0]), pt(lm.ramus[0]), menton) + angleAt(pt(lm.jaw[1]), pt(lm.ramus[1]), menton)) / 2;
+
+  const { flatRatio, pointedRatio } = geometry.chinPointedness;
+  const chinRatio = width(lm.chin) / jawWidth;
+  const chinPointedness = Math.max(0, Math.min(1, (flatRatio - chinRatio) / (flatRatio - pointedRatio)));
+
+  // Thirds along the face's own vertical axis (head roll does not shorten them)
+  const axis = [(menton[0] - top[0]) / faceHeight, (menton[1] - top[1]) / faceHeight];
+  const midface = along(pt(lm.glabella), pt(lm.noseBase), axis);
+  const lowerFace = along(pt(lm.noseBase), menton, axis);
+  const thirdsHeight = 2 * midface + lowerFace;
+
+  const asymmetry = geometry.symmetryPairs.map(([left, right]) => {
+    const dl = fromLine(pt(left), top, menton);
+    const dr = fromLine(pt(right), top, menton);
+    return dl + dr > 0 ? Math.abs(dl - dr) / (dl + dr) : 0;
+  });
+
+  return {
+    foreheadRatio: round(width(lm.forehead) / cheekboneWidth, 3),
+    jawRatio: round(jawWidth / cheekboneWidth, 3),
+    heightRatio: round(faceHeight / cheekboneWidth, 3),
+    jawAngle: round(jawAngle, 1),
+    chinPointedness: round(chinPointedness, 2),
+    midfaceRatio: round(midface / thirdsHeight, 3),
+    lowerFaceRatio: round(lowerFace / thirdsHeight, 3),
+    symmetry: round(1 - asymmetry.reduce((s, a) => s + a, 0) / asymmetry.length, 3)
+  };
+}
+
+/**
+ * Median color of one part's pixel samples → { rgb, lab }
+ */
+function sampleColor(values) {
+  const pixels = values.map(rgbOf);
+  const rgb = {
+    r: Math.round(median(pixels.map(p => p.r))),
+    g: Math.round(median(pixels.map(p => p.g))),
+    b: Math.round(median(pixels.map(p => p.b)))
+  };
+  const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
+  return { rgb, lab: { l: round(lab.l, 1), a: round(lab.a, 1), b: round(lab.b, 1) } };
+}
+
+/**
+ * Skin contrast of every measured part (Euclidean RGB distance)
+ */
+function measureContrast(colors, geometry) {
+  const skin = colors.skinColor && colors.skinColor.rgb;
+  if (!skin) return null;
+  const contrast = {};
+  for (const [key, part] of Object.entries(geometry.contrastParts)) {
+    const color = colors[part];
+    if (color && color.rgb) contrast[key] = Math.round(rgbDistance(skin, color.rgb));
+  }
+  return Object.keys(contrast).length ? contrast : null;
+}
+
+/**
+ * Measure a validated landmarks payload
+ *
+ * @param {Object} landmarks - { points: 478 × [x, y, z] normalized, imageWidth, imageHeight,
+ *   samples?: { skin, hair, eye, eyebrow, lip, neck, background, sclera, teeth: [[r, g, b], ...] },
+ *   geometryVersion? }
+ * @returns {Object} { faceProportions, colors: { skinColor: { rgb, lab }, ... },
+ *   geometry: { version, landmarkCount, imageWidth, imageHeight } }
+ */
+function measureLandmarks(landmarks) {
+  const geometry = loadGeometry(landmarks.geometryVersion);
+  const pt = pixelPoints(landmarks);
+
+  const colors = {};
+  for (const [part, values] of Object.entries(landmarks.samples || {})) {
+    colors[SAMPLE_PARTS[part]] = sampleColor(values);
+  }
+
+  return {
+    faceProportions: measureProportions(pt, geometry),
+    colors,
+    geometry: {
+      version: geometry.version,
+      landmarkCount: geometry.landmarkCount,
+      imageWidth: landmarks.imageWidth,
+      imageHeight: landmarks.imageHeight
+    }
+  };
+}
+
+/**
+ * Landmark-mode faceAnalysis → the regular faceAnalysis shape
+ *
+ * faceProportions and contrast are always computed here (client values are
+ * ignored); sampled parts replace the client's colors, unsampled ones are kept.
+ *
+ * @param {Object} faceAnalysis - { landmarks, ...optional client colors }
+ * @returns {Object} faceAnalysis without landmarks, plus geometry: { version, ... }
+ */
+function faceAnalysisFromLandmarks(faceAnalysis) {
+  const { landmarks, ...rest } = faceAnalysis;
+  const measured = measureLandmarks(landmarks);
+  const out = { ...rest, ...measured.colors, faceProportions: measured.faceProportions };
+  out.contrast = measureContrast(out, loadGeometry(measured.geometry.version));
+  out.geometry = measured.geometry;
+  return out;
+}
+
+module.exports = {
+  faceAnalysisFromLandmarks,
+  measureLandmarks,
+  validateLandmarks,
+  loadGeometry,
+  listGeometryVersions,
+  SAMPLE_PARTS,
+  GEOMETRY_DIR
+};
@@ -26,6 +26,25 @@ function labToXyz(l, a, b) {
   };
 }
 
+/**
+ * Convert XYZ (D65, Y = 100 for white) to CIE LAB
+ */
+function xyzToLab(x, y, z) {
+  const epsilon = 216 / 24389;
+  const kappa = 24389 / 27;
+  const f = t => (t > epsilon ? Math.cbrt(t) : (kappa * t + 16) / 116);
+
+  const fx = f(x / 95.047);
+  const fy = f(y / 100.0);
+  const fz = f(z / 108.883);
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
 /**
  * Convert XYZ to linear sRGB
  */
@@ -114,6 +133,129 @@ function deltaE76(lab1, lab2) {
   return Math.sqrt(dL * dL + dA * dA + dB * dB);
 }
 
+/**
+ * CIE94 Delta E
+ * Chroma/hue differences weighted by the reference chroma — smaller
+ * distances for saturated colors than deltaE76. Not symmetric: lab1 is
+ * the reference.
+ *
+ * @param {Object} lab1 - reference { l, a, b }
+ * @param {Object} lab2 - sample { l, a, b }
+ * @param {Object} [options] - { application: 'graphicArts' | 'textiles' }
+ */
+function deltaE94(lab1, lab2, options = {}) {
+  const textiles = options.application === 'textiles';
+  const kL = textiles ? 2 : 1;
+  const K1 = textiles ? 0.048 : 0.045;
+  const K2 = textiles ? 0.014 : 0.015;
+
+  const c1 = labChroma(lab1.a, lab1.b);
+  const c2 = labChroma(lab2.a, lab2.b);
+  const dL = lab1.l - lab2.l;
+  const dC = c1 - c2;
+  const dA = lab1.a - lab2.a;
+  const dB = lab1.b - lab2.b;
+  // ΔH² can go slightly negative from rounding
+  const dH2 = Math.max(0, dA * dA + dB * dB - dC * dC);
+
+  const sL = 1;
+  const sC = 1 + K1 * c1;
+  const sH = 1 + K2 * c1;
+
+  const tL = dL / (kL * sL);
+  const tC = dC / sC;
+  return Math.sqrt(tL * tL + tC * tC + dH2 / (sH * sH));
+}
+
+/**
+ * CIEDE2000 Delta E (Sharma, Wu & Dalal 2005)
+ * Current CIE recommendation — corrects CIE94 in the blue region and for
+ * near-neutral colors. Symmetric.
+ *
+ * @param {Object} lab1 - { l, a, b }
+ * @param {Object} lab2 - { l, a, b }
+ * @param {Object} [options] - { kL, kC, kH } parametric factors (default 1)
+ */
+function deltaE2000(lab1, lab2, options = {}) {
+  const kL = options.kL || 1;
+  const kC = options.kC || 1;
+  const kH = options.kH || 1;
+  const rad = Math.PI / 180;
+
+  // a* rescaled so near-neutral colors get a fairer hue
+  const cBar = (labChroma(lab1.a, lab1.b) + labChroma(lab2.a, lab2.b)) / 2;
+  const cBar7 = Math.pow(cBar, 7);
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+  const a1 = (1 + g) * lab1.a;
+  const a2 = (1 + g) * lab2.a;
+
+  const c1 = labChroma(a1, lab1.b);
+  const c2 = labChroma(a2, lab2.b);
+  const h1 = c1 === 0 ? 0 : labHueAngle(a1, lab1.b);
+  const h2 = c2 === 0 ? 0 : labHueAngle(a2, lab2.b);
+
+  const dL = lab2.l - lab1.l;
+  const dC = c2 - c1;
+  let dh = 0;
+  if (c1 * c2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(c1 * c2) * Math.sin(dh * rad / 2);
+
+  const lBar = (lab1.l + lab2.l) / 2;
+  const cBarP = (c1 + c2) / 2;
+  let hBar = h1 + h2;
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) hBar /= 2;
+    else hBar = h1 + h2 < 360 ? (hBar + 360) / 2 : (hBar - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos((hBar - 30) * rad)
+    + 0.24 * Math.cos(2 * hBar * rad)
+    + 0.32 * Math.cos((3 * hBar + 6) * rad)
+    - 0.20 * Math.cos((4 * hBar - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hBar - 275) / 25, 2));
+  const cBarP7 = Math.pow(cBarP, 7);
+  const rC = 2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7)));
+  const lBar50 = (lBar - 50) * (lBar - 50);
+  const sL = 1 + (0.015 * lBar50) / Math.sqrt(20 + lBar50);
+  const sC = 1 + 0.045 * cBarP;
+  const sH = 1 + 0.015 * cBarP * t;
+  const rT = -Math.sin(2 * dTheta * rad) * rC;
+
+  const tL = dL / (kL * sL);
+  const tC = dC / (kC * sC);
+  const tH = dH / (kH * sH);
+  return Math.sqrt(tL * tL + tC * tC + tH * tH + rT * tC * tH);
+}
+
+// ─── Metric selection ───
+
+const DELTA_E_METRICS = {
+  cie76: deltaE76,
+  cie94: deltaE94,
+  ciede2000: deltaE2000
+};
+
+/**
+ * Resolve a metric name to its distance function
+ *
+ * @param {string|Function} [metric] - 'cie76' | 'cie94' | 'ciede2000' or a
+ *   custom (lab1, lab2) => number; default 'cie76'
+ * @returns {Function} (lab1, lab2) => number
+ */
+function getDeltaE(metric) {
+  if (typeof metric === 'function') return metric;
+  const fn = DELTA_E_METRICS[metric || 'cie76'];
+  if (!fn) {
+    throw new Error(`Unknown deltaE metric: ${metric} (expected ${Object.keys(DELTA_E_METRICS).join(', ')})`);
+  }
+  return fn;
+}
+
 /**
  * Euclidean distance in RGB space (for contrast measurement)
  */
@@ -141,13 +283,37 @@ function labHueAngle(a, b) {
   return h;
 }
 
+/**
+ * Round to a number of decimals
+ */
+function round(value, decimals = 2) {
+  const f = Math.pow(10, decimals);
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Median of a list of numbers (mean of the middle two for even lengths)
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 module.exports = {
   labToRgb,
   labToCssColor,
   rgbToLab,
   labToXyz,
+  xyzToLab,
   deltaE76,
+  deltaE94,
+  deltaE2000,
+  getDeltaE,
+  DELTA_E_METRICS,
   rgbDistance,
   labChroma,
-  labHueAngle
+  labHueAngle,
+  round,
+  median
 };
@@ -0,0 +1,73 @@
+/**
+ * Palette Catalogue
+ *
+ * Curated best/avoid colors for each of the 14 personal color types and
+ * the 4 seasons (data/paletteCatalogue.json). Every color has a stable id,
+ * hex and LAB values and names in en / ko / ja / zh, so results can be
+ * rendered as swatches and aggregated by id.
+ *
+ * Selection is deterministic: the 14-type palette when the type belongs to
+ * the reported season, otherwise the season palette.
+ */
+
+const catalogue = require('../data/paletteCatalogue.json');
+
+const PALETTE_LANGS = ['en', 'ko', 'ja', 'zh'];
+
+/**
+ * Resolve a color id to a catalogue entry
+ *
+ * @param {string} id
+ * @param {string} [lang] - en | ko | ja | zh (default en)
+ * @returns {Object|null} { id, hex, lab, name }
+ */
+function getPaletteColor(id, lang) {
+  const color = catalogue.colors[id];
+  if (!color) return null;
+  const code = PALETTE_LANGS.includes(lang) ? lang : 'en';
+  return { id, hex: color.hex, lab: color.lab, name: color.names[code] };
+}
+
+/**
+ * Choose the palette for a classification result
+ *
+ * @param {Object} result
+ * @param {string} [result.type] - one of COLOR_TYPES (e.g. 'Autumn Deep')
+ * @param {string} [result.season] - Spring | Summer | Autumn | Winter
+ * @param {string} [lang] - en | ko | ja | zh (default en)
+ * @returns {Object|null} {
+ *   source: 'type' | 'season',
+ *   key: type or season name,
+ *   best: [{ id, hex, lab, name }],
+ *   avoid: [{ id, hex, lab, name }]
+ * } — null when neither type nor season is known
+ */
+function selectPalette({ type, season } = {}, lang) {
+  const typeMatches = type && catalogue.types[type] && (!season || type.startsWith(season + ' '));
+
+  let source, key;
+  if (typeMatches) {
+    source = 'type';
+    key = type;
+  } else if (season && catalogue.seasons[season]) {
+    source = 'season';
+    key = season;
+  } else {
+    return null;
+  }
+
+  const entry = source === 'type' ? catalogue.types[key] : catalogue.seasons[key];
+  return {
+    source,
+    key,
+    best: entry.best.map(id => getPaletteColor(id, lang)),
+    avoid: entry.avoid.map(id => getPaletteColor(id, lang))
+  };
+}
+
+module.exports = {
+  selectPalette,
+  getPaletteColor,
+  PALETTE_CATALOGUE: catalogue,
+  PALETTE_LANGS
+};
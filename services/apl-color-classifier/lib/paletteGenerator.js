@@ -0,0 +1,296 @@
+/**
+ * Personal Palette Generator
+ *
+ * Builds a per-person palette from measured skin / hair / eye LAB and the
+ * classified type, instead of a fixed list per type.
+ *
+ * Candidates are sampled on an LCh grid (in sRGB gamut) and scored on:
+ *   lightness  — fits the type's value band (Light/Deep/...)
+ *   chroma     — fits the type's chroma band (Bright/Mute/...)
+ *   undertone  — yellow-based hues for warm types, blue-based for cool
+ *   contrast   — deltaE to skin close to the person's own skin↔hair contrast
+ *   echo       — hue repeats the hair or eye hue (natural harmony)
+ *
+ * Best colors are the highest scores, spread out so no two are closer than
+ * MIN_SPACING deltaE and no hue family dominates. Avoid colors are the lowest-scoring saturated ones.
+ * Every color carries its score, factor breakdown and a reason (en/ko/ja/zh).
+ * Type undertones come from the same parameter version the classification used.
+ */
+
+const { labToRgb, rgbToLab, deltaE76, getDeltaE, labChroma, labHueAngle, round } = require('./labUtils');
+const { buildColorTypes, COLOR_TYPES, SEASON_MAP, PARAMETERS } = require('./colorClassifier');
+const { loadParameters } = require('./parameters');
+const { PALETTE_LANGS } = require('./paletteCatalogue');
+const catalogue = require('../data/paletteCatalogue.json');
+
+// Value / chroma bands by type modifier
+const MODIFIER_PROFILES = {
+  Light:  { l: [72, 90], c: [15, 35] },
+  Bright: { l: [55, 78], c: [45, 75] },
+  Clear:  { l: [45, 85], c: [40, 70] },
+  Soft:   { l: [55, 75], c: [12, 30] },
+  Mute:   { l: [45, 68], c: [10, 28] },
+  Deep:   { l: [20, 45], c: [25, 50] },
+  Strong: { l: [30, 58], c: [40, 65] }
+};
+
+const FACTOR_WEIGHTS = { lightness: 3, chroma: 3, undertone: 3, contrast: 2, echo: 1 };
+
+const WARM_AXIS = 70;      // yellow-orange hue angle (degrees)
+const MIN_SPACING = 18;    // deltaE between chosen colors
+const HUE_SECTOR = 45;     // degrees per hue family
+const MAX_PER_HUE = 2;
+const GRID = {
+  hueStep: 15,
+  l: [25, 35, 45, 55, 65, 75, 85, 92],
+  c: [10, 20, 30, 40, 50, 60, 70]
+};
+
+// [suits, does not suit] per factor; separator joins the two strongest
+const FACTOR_REASONS = {
+  en: {
+    separator: '; ',
+    lightness: ['lightness fits your value level', 'lightness is off for your value level'],
+    chroma: ['saturation matches your coloring', 'saturation clashes with your coloring'],
+    undertone: ['undertone matches your skin', 'undertone fights your skin'],
+    contrast: ['contrast against skin matches your natural contrast', 'contrast against skin is far from your natural contrast'],
+    echo: ['repeats the hue of your hair or eyes', 'unrelated to your hair and eye hues']
+  },
+  ko: {
+    separator: ', ',
+    lightness: ['명도가 내 명도 단계에 어울림', '명도가 내 명도 단계와 어긋남'],
+    chroma: ['채도가 내 컬러와 어울림', '채도가 내 컬러와 충돌함'],
+    undertone: ['언더톤이 피부와 맞음', '언더톤이 피부와 부딪힘'],
+    contrast: ['피부와의 대비가 타고난 대비와 비슷함', '피부와의 대비가 타고난 대비와 동떨어짐'],
+    echo: ['모발이나 눈동자의 색상을 반복함', '모발·눈동자 색상과 관련 없음']
+  },
+  ja: {
+    separator: '、',
+    lightness: ['明度があなたの明度レベルに合う', '明度があなたの明度レベルから外れる'],
+    chroma: ['彩度があなたの色味に合う', '彩度があなたの色味とぶつかる'],
+    undertone: ['アンダートーンが肌に合う', 'アンダートーンが肌と反発する'],
+    contrast: ['肌とのコントラストが生まれつきのコントラストに近い', '肌とのコントラストが生まれつきのコントラストから遠い'],
+    echo: ['髪や瞳の色相を繰り返す', '髪や瞳の色相と関係がない']
+  },
+  zh: {
+    separator: '；',
+    lightness: ['明度符合你的明度层次', '明度偏离你的明度层次'],
+    chroma: ['饱和度与你的色彩相配', '饱和度与你的色彩冲突'],
+    undertone: ['底调与肤色相配', '底调与肤色相冲'],
+    contrast: ['与肤色的对比接近你天生的对比度', '与肤色的对比远离你天生的对比度'],
+    echo: ['呼应你头发或眼睛的色相', '与头发和眼睛的色相无关']
+  }
+};
+
+function lchToLab(l, c, h) {
+  const rad = h * Math.PI / 180;
+  return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) };
+}
+
+function bandScore(value, [min, max]) {
+  if (value >= min && value <= max) return 1;
+  const margin = Math.max((max - min) * 0.6, 8);
+  const distance = value < min ? min - value : value - max;
+  return Math.max(0, 1 - distance / margin);
+}
+
+function hueDistance(h1, h2) {
+  const d = Math.abs(h1 - h2) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Profile of the classified type: value/chroma bands and undertone
+ */
+function typeProfile(type, types) {
+  const def = types[type];
+  const modifier = type.split(' ')[1];
+  const season = Object.keys(SEASON_MAP).find(s => SEASON_MAP[s].includes(type));
+  let undertone = def.hue;
+  // Neutral types lean toward their season
+  if (undertone === 'neutral') undertone = season === 'Spring' || season === 'Autumn' ? 'neutral-warm' : 'neutral-cool';
+  return { type, season, undertone, ...MODIFIER_PROFILES[modifier] };
+}
+
+/**
+ * In-gamut LCh grid
+ */
+function sampleCandidates() {
+  const candidates = [];
+  for (let h = 0; h < 360; h += GRID.hueStep) {
+    for (const l of GRID.l) {
+      for (const c of GRID.c) {
+        const lab = lchToLab(l, c, h);
+        const rgb = labToRgb(lab.l, lab.a, lab.b);
+        const back = rgbToLab(rgb.r, rgb.g, rgb.b);
+        if (deltaE76(lab, back) > 2) continue; // clipped — outside sRGB
+        candidates.push({ lab, rgb, l, c, h });
+      }
+    }
+  }
+  return candidates;
+}
+
+const CANDIDATES = sampleCandidates();
+
+function undertoneScore(h, c, undertone) {
+  // +1 on the yellow axis, -1 on the blue axis; weak for near-grays
+  const warmth = Math.cos((h - WARM_AXIS) * Math.PI / 180) * Math.min(1, c / 20);
+  switch (undertone) {
+    case 'warm': return (1 + warmth) / 2;
+    case 'cool': return (1 - warmth) / 2;
+    case 'neutral-warm': return 1 - Math.abs(warmth - 0.3) / 1.3;
+    case 'neutral-cool': return 1 - Math.abs(warmth + 0.3) / 1.3;
+    default: return 1 - Math.abs(warmth) / 2;
+  }
+}
+
+function scoreCandidate(candidate, profile, context) {
+  const factors = {
+    lightness: bandScore(candidate.l, profile.l),
+    chroma: bandScore(candidate.c, profile.c),
+    undertone: undertoneScore(candidate.h, candidate.c, profile.undertone),
+    contrast: Math.max(0, 1 - Math.abs(context.deltaE(candidate.lab, context.skinLab) - context.contrast) / context.contrast),
+    echo: context.echoHues.length
+      ? Math.max(...context.echoHues.map(h => Math.max(0, 1 - hueDistance(candidate.h, h) / 60)))
+      : 0.5
+  };
+
+  let total = 0, weights = 0;
+  for (const [name, weight] of Object.entries(FACTOR_WEIGHTS)) {
+    total += factors[name] * weight;
+    weights += weight;
+  }
+  return { score: total / weights, factors };
+}
+
+/**
+ * Strongest (best) or weakest (avoid) factors as a sentence
+ */
+function buildReason(factors, positive, lang) {
+  const ranked = Object.entries(factors)
+    .filter(([name]) => name !== 'echo' || factors.echo !== 0.5)
+    .sort((a, b) => positive
+      ? b[1] * FACTOR_WEIGHTS[b[0]] - a[1] * FACTOR_WEIGHTS[a[0]]
+      : a[1] * FACTOR_WEIGHTS[a[0]] - b[1] * FACTOR_WEIGHTS[b[0]]);
+  const text = FACTOR_REASONS[lang];
+  return ranked.slice(0, 2).map(([name]) => text[name][positive ? 0 : 1]).join(text.separator);
+}
+
+function nearestCatalogueColor(lab, deltaE, lang) {
+  let best = null;
+  for (const [id, color] of Object.entries(catalogue.colors)) {
+    const d = deltaE(lab, color.lab);
+    if (!best || d < best.deltaE) best = { id, name: color.names[lang], deltaE: round(d, 1) };
+  }
+  return best;
+}
+
+/**
+ * Greedy pick in score order, skipping colors too close to an earlier pick
+ * and hue families that already have MAX_PER_HUE picks
+ */
+function pickSpread(sorted, count, deltaE) {
+  const picked = [];
+  for (const item of sorted) {
+    const sector = Math.floor(item.candidate.h / HUE_SECTOR);
+    const sameHue = picked.filter(p => Math.floor(p.candidate.h / HUE_SECTOR) === sector).length;
+    if (sameHue < MAX_PER_HUE && picked.every(p => deltaE(p.candidate.lab, item.candidate.lab) >= MIN_SPACING)) {
+      picked.push(item);
+      if (picked.length === count) break;
+    }
+  }
+  return picked;
+}
+
+function formatColor(item, positive, deltaE, lang) {
+  const { lab, rgb, l, c, h } = item.candidate;
+  return {
+    hex: toHex(rgb),
+    lab: { l: round(lab.l, 1), a: round(lab.a, 1), b: round(lab.b, 1) },
+    lch: { l, c, h },
+    score: Math.round(item.score * 100) / 100,
+    factors: Object.fromEntries(Object.entries(item.factors).map(([k, v]) => [k, Math.round(v * 100) / 100])),
+    reason: buildReason(item.factors, positive, lang),
+    nearest: nearestCatalogueColor(lab, deltaE, lang)
+  };
+}
+
+/**
+ * Generate a personal palette
+ *
+ * @param {Object} measurements
+ * @param {Object} measurements.skinColor - { lab: { l, a, b } } (required)
+ * @param {Object} measurements.hairColor - { lab } (optional)
+ * @param {Object} measurements.eyeColor - { lab } (optional)
+ * @param {Object} colorResult - classifyPersonalColor() result ({ type, season })
+ * @param {Object} [options]
+ * @param {number} [options.bestCount=8]
+ * @param {number} [options.avoidCount=5]
+ * @param {string} [options.metric='cie76'] - deltaE metric: cie76 | cie94 | ciede2000
+ * @param {string} [options.lang='en'] - reasons and catalogue names: en | ko | ja | zh (others fall back to en)
+ * @param {Object} [options.params] - parameter set the classification used (default: latest data/parameters version)
+ * @param {number} [options.parametersVersion] - load this data/parameters version instead
+ * @returns {Object} {
+ *   type, season, undertone,
+ *   best:  [{ hex, lab, lch, score, factors, reason, nearest: { id, name, deltaE } }],
+ *   avoid: [...same shape, lowest scores first]
+ * }
+ */
+function generatePalette(measurements, colorResult, options = {}) {
+  const { skinColor, hairColor, eyeColor } = measurements;
+  if (!skinColor || !skinColor.lab) {
+    throw new Error('skinColor.lab is required for palette generation');
+  }
+  const params = options.params || loadParameters(options.parametersVersion);
+  const types = params === PARAMETERS ? COLOR_TYPES : buildColorTypes(params);
+  if (!colorResult || !types[colorResult.type]) {
+    throw new Error('a classifyPersonalColor() result is required for palette generation');
+  }
+
+  const lang = PALETTE_LANGS.includes(options.lang) ? options.lang : 'en';
+  const deltaE = getDeltaE(options.metric);
+  const bestCount = options.bestCount || 8;
+  const avoidCount = options.avoidCount || 5;
+  const profile = typeProfile(colorResult.type, types);
+  const skinLab = skinColor.lab;
+  const hairLab = hairColor ? hairColor.lab : null;
+  const eyeLab = eyeColor ? eyeColor.lab : null;
+
+  // Personal contrast: skin↔hair deltaE, typical range when hair is unknown
+  const contrast = Math.max(15, hairLab ? deltaE(skinLab, hairLab) : 40);
+
+  // Hues worth echoing — only from elements with visible color
+  const echoHues = [hairLab, eyeLab]
+    .filter(lab => lab && labChroma(lab.a, lab.b) >= 5)
+    .map(lab => labHueAngle(lab.a, lab.b));
+
+  const context = { skinLab, contrast, echoHues, deltaE };
+  const scored = CANDIDATES.map(candidate => ({ candidate, ...scoreCandidate(candidate, profile, context) }));
+
+  const best = pickSpread([...scored].sort((a, b) => b.score - a.score), bestCount, deltaE);
+  // Avoid list: clearly colored candidates only — grays are rarely "wrong"
+  const avoid = pickSpread(
+    scored.filter(s => s.candidate.c >= 30).sort((a, b) => a.score - b.score),
+    avoidCount,
+    deltaE
+  );
+
+  return {
+    type: profile.type,
+    season: profile.season,
+    undertone: profile.undertone,
+    best: best.map(item => formatColor(item, true, deltaE, lang)),
+    avoid: avoid.map(item => formatColor(item, false, deltaE, lang))
+  };
+}
+
+module.exports = {
+  generatePalette,
+  MODIFIER_PROFILES,
+  FACTOR_WEIGHTS
+};
@@ -0,0 +1,81 @@
+/**
+ * Classifier Parameters
+ *
+ * The tunable values of the 14-type classifier — hue baseline and the
+ * skinL / skinC / elemC range of every type — live in versioned JSON files
+ * (data/parameters/v1.json, v2.json, ...). The highest version is loaded at
+ * startup; every version is validated when it is first loaded. New versions
+ * are fitted from labeled data by services/evaluation/scripts/optimize.js.
+ */
+
+const path = require('path');
+const { createVersionedLoader } = require('../../versioned-data');
+const { calibrationOf } = require('./probability');
+
+const PARAMETERS_DIR = path.join(__dirname, '..', 'data', 'parameters');
+const RANGE_KEYS = ['skinL', 'skinC', 'elemC'];
+
+// Every parameter set needs ranges for all 14 types
+const TYPE_NAMES = [
+  'Spring Light', 'Spring Bright', 'Spring Clear', 'Spring Soft',
+  'Summer Light', 'Summer Bright', 'Summer Mute',
+  'Autumn Mute', 'Autumn Deep', 'Autumn Strong',
+  'Winter Clear', 'Winter Deep', 'Winter Strong', 'Winter Soft'
+];
+
+/**
+ * Throws when a parameter set cannot drive the classifier
+ *
+ * @param {Object} params
+ * @param {string[]} [typeNames] - types that need ranges (default: all 14)
+ * @returns {Object} params
+ */
+function validateParameters(params, typeNames = TYPE_NAMES) {
+  if (!params || typeof params.hueBaseline !== 'number') {
+    throw new Error('Parameters need a numeric hueBaseline');
+  }
+  for (const type of typeNames) {
+    const ranges = params.colorTypes && params.colorTypes[type];
+    if (!ranges) throw new Error(`Parameters are missing color type "${type}"`);
+    for (const key of RANGE_KEYS) {
+      const range = ranges[key];
+      if (!Array.isArray(range) || range.length !== 2 || !(range[0] <= range[1])) {
+        throw new Error(`Invalid ${key} range for "${type}"`);
+      }
+    }
+  }
+  calibrationOf(params);
+  return params;
+}
+
+const loader = createVersionedLoader({
+  dir: PARAMETERS_DIR,
+  name: 'apl-color-classifier parameter',
+  validate: params => validateParameters(params)
+});
+
+/**
+ * Available parameter versions, ascending
+ */
+function listParameterVersions() {
+  return loader.listVersions();
+}
+
+/**
+ * Load a parameter version (default: the latest)
+ *
+ * @param {number} [version]
+ * @returns {Object} { package, version, createdAt, source, hueBaseline, colorTypes, ... }
+ */
+function loadParameters(version) {
+  return loader.load(version);
+}
+
+module.exports = {
+  loadParameters,
+  listParameterVersions,
+  validateParameters,
+  PARAMETERS_DIR,
+  RANGE_KEYS,
+  TYPE_NAMES
+};
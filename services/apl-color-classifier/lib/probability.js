@@ -0,0 +1,223 @@
+/**
+ * Type Probabilities — calibrated distribution over the 14 types
+ *
+ * scoreTypeMatch scores are range fits, not probabilities: several types can
+ * score 1.0 at once. This module turns the 14 scores into a distribution:
+ *   temperature  p(type) ∝ exp(score / T)
+ *   platt        p(type) ∝ sigmoid(a · score + b)
+ * The method and its constants come from the parameter file ("calibration",
+ * fitted by services/evaluation/scripts/calibrate.js); without one the
+ * temperature 0.08 is used. Season probabilities are sums over their types;
+ * they describe the distribution and do not pick the type (the classified type
+ * is the top scorer, and Spring/Winter sum four types to Summer/Autumn's three).
+ *
+ * Measurement noise is propagated by re-scoring jittered copies of the input
+ * (seeded, so the same input always gives the same interval).
+ */
+
+const { round } = require('./labUtils');
+
+const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
+
+const DEFAULT_CALIBRATION = { method: 'temperature', temperature: 0.08 };
+
+// L*a*b* standard deviation per part (camera + sampling noise)
+const DEFAULT_NOISE = { skin: 1.5, hair: 3, eye: 3, eyebrow: 3 };
+const DEFAULT_SAMPLES = 200;
+const DEFAULT_LEVEL = 0.9;
+
+function seasonOf(type) {
+  return SEASONS.find(s => type.startsWith(s)) || null;
+}
+
+/**
+ * Calibration constants of a parameter set (without its fit report), checked
+ */
+function calibrationOf(params) {
+  const c = (params && params.calibration) || DEFAULT_CALIBRATION;
+  if (c.method === 'temperature' && c.temperature > 0) return { method: c.method, temperature: c.temperature };
+  if (c.method === 'platt' && Number.isFinite(c.a) && Number.isFinite(c.b)) return { method: c.method, a: c.a, b: c.b };
+  throw new Error(`Invalid calibration in parameters v${params && params.version}`);
+}
+
+/**
+ * 14 match scores → { [type]: probability } (sum = 1)
+ *
+ * @param {Object[]} scores - [{ type, score }]
+ * @param {Object} [calibration] - { method: 'temperature', temperature } | { method: 'platt', a, b }
+ */
+function typeProbabilities(scores, calibration = DEFAULT_CALIBRATION) {
+  const raw = {};
+  if (calibration.method === 'platt') {
+    for (const { type, score } of scores) raw[type] = 1 / (1 + Math.exp(-(calibration.a * score + calibration.b)));
+  } else {
+    const top = Math.max(...scores.map(s => s.score));
+    for (const { type, score } of scores) raw[type] = Math.exp((score - top) / calibration.temperature);
+  }
+  const total = Object.values(raw).reduce((s, v) => s + v, 0);
+  const probs = {};
+  for (const type of Object.keys(raw)) probs[type] = total > 0 ? raw[type] / total : 1 / scores.length;
+  return probs;
+}
+
+function seasonProbabilities(typeProbs) {
+  const seasons = { Spring: 0, Summer: 0, Autumn: 0, Winter: 0 };
+  for (const [type, p] of Object.entries(typeProbs)) seasons[seasonOf(type)] += p;
+  return seasons;
+}
+
+/**
+ * Shannon entropy in bits
+ */
+function entropy(dist) {
+  return Object.values(dist).reduce((h, p) => (p > 0 ? h - p * Math.log2(p) : h), 0);
+}
+
+/**
+ * Distribution summary for a classifier result
+ *
+ * @returns {Object} {
+ *   types: [{ type, probability }] best first,
+ *   seasons: { Spring, Summer, Autumn, Winter },
+ *   entropy: { types, seasons } (bits),
+ *   effectiveTypes: 2^entropy — how many equally likely types it amounts to,
+ *   calibration
+ * }
+ */
+function describeProbabilities(scores, calibration) {
+  const typeProbs = typeProbabilities(scores, calibration);
+  const seasons = seasonProbabilities(typeProbs);
+  const typeEntropy = entropy(typeProbs);
+  const roundedSeasons = {};
+  for (const [season, p] of Object.entries(seasons)) roundedSeasons[season] = round(p, 3);
+
+  return {
+    types: Object.entries(typeProbs)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, probability]) => ({ type, probability: round(probability, 3) })),
+    seasons: roundedSeasons,
+    entropy: { types: round(typeEntropy, 3), seasons: round(entropy(seasons), 3) },
+    effectiveTypes: round(Math.pow(2, typeEntropy), 2),
+    calibration
+  };
+}
+
+// ─── Noise propagation ───
+
+/**
+ * Seeded PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  const u = Math.max(random(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function jitter(lab, sigma, random) {
+  if (!lab) return null;
+  return { l: lab.l + sigma * gaussian(random), a: lab.a + sigma * gaussian(random), b: lab.b + sigma * gaussian(random) };
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function interval(values, level) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const tail = (1 - level) / 2;
+  return {
+    mean: round(values.reduce((s, v) => s + v, 0) / values.length, 3),
+    low: round(quantile(sorted, tail), 3),
+    high: round(quantile(sorted, 1 - tail), 3)
+  };
+}
+
+/**
+ * Credible intervals of the type / season probabilities under measurement noise
+ *
+ * @param {Object} labs - { skin, hair, eye, eyebrow } L*a*b* (missing parts null)
+ * @param {Function} scoreLabs - labs → [{ type, score }] for all 14 types
+ * @param {Object} calibration
+ * @param {Object} [options]
+ * @param {number} [options.samples=200]
+ * @param {number} [options.level=0.9] - central interval mass
+ * @param {Object|number} [options.noise] - L*a*b* σ per part, or one σ for all
+ * @param {number} [options.seed=1]
+ * @param {string} [options.type] - the classified type (stability reference)
+ * @returns {Object} {
+ *   level, samples, noise,
+ *   typeStability: share of samples whose top type is options.type,
+ *   seasonStability: share whose top type is in that type's season (summed season
+ *     probabilities favor the 4-type seasons, so they are reported, not used here),
+ *   types: [{ type, mean, low, high }] (types that reach 1% anywhere, best mean first),
+ *   seasons: { Spring: { mean, low, high }, ... }
+ * }
+ */
+function propagateNoise(labs, scoreLabs, calibration, options = {}) {
+  const samples = options.samples || DEFAULT_SAMPLES;
+  const level = options.level || DEFAULT_LEVEL;
+  const noise = typeof options.noise === 'number'
+    ? { skin: options.noise, hair: options.noise, eye: options.noise, eyebrow: options.noise }
+    : { ...DEFAULT_NOISE, ...(options.noise || {}) };
+  const random = createRandom(options.seed || 1);
+  const refSeason = options.type ? seasonOf(options.type) : null;
+
+  const typeDraws = {};
+  const seasonDraws = { Spring: [], Summer: [], Autumn: [], Winter: [] };
+  let sameType = 0;
+  let sameSeason = 0;
+
+  for (let i = 0; i < samples; i++) {
+    const noisy = {};
+    for (const part of Object.keys(labs)) noisy[part] = jitter(labs[part], noise[part] || 0, random);
+    const probs = typeProbabilities(scoreLabs(noisy), calibration);
+    const seasons = seasonProbabilities(probs);
+
+    for (const [type, p] of Object.entries(probs)) (typeDraws[type] || (typeDraws[type] = [])).push(p);
+    for (const [season, p] of Object.entries(seasons)) seasonDraws[season].push(p);
+
+    const topType = Object.keys(probs).reduce((a, b) => (probs[b] > probs[a] ? b : a));
+    if (topType === options.type) sameType++;
+    if (seasonOf(topType) === refSeason) sameSeason++;
+  }
+
+  const seasonIntervals = {};
+  for (const [season, values] of Object.entries(seasonDraws)) seasonIntervals[season] = interval(values, level);
+
+  return {
+    level,
+    samples,
+    noise,
+    typeStability: round(sameType / samples, 3),
+    seasonStability: round(sameSeason / samples, 3),
+    types: Object.entries(typeDraws)
+      .map(([type, values]) => ({ type, ...interval(values, level) }))
+      .filter(t => t.high >= 0.01)
+      .sort((a, b) => b.mean - a.mean),
+    seasons: seasonIntervals
+  };
+}
+
+module.exports = {
+  typeProbabilities,
+  seasonProbabilities,
+  describeProbabilities,
+  calibrationOf,
+  entropy,
+  propagateNoise,
+  DEFAULT_CALIBRATION,
+  DEFAULT_NOISE
+};
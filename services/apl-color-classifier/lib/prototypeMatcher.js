@@ -0,0 +1,227 @@
+/**
+ * Prototype Matcher — second opinion from reference ranges
+ *
+ * data/colorReferenceData.json describes each of the 14 types with expected
+ * skin / hair / eye L*a*b* ranges and a skin↔hair contrast range. This
+ * matcher scores every type on every measured feature:
+ *   inside the range  → fit 1
+ *   outside           → Gaussian fall-off with the distance to the nearest
+ *                       range edge (tolerance = half the range width, min 3)
+ * A type's score is the weighted mean fit over the measured features, so it
+ * works with skin alone and sharpens as hair / eye / contrast are added.
+ * Ties (several types fitting everything) are broken by centrality: how
+ * close the values sit to the middle of each range.
+ *
+ * Unlike classifyPersonalColor (3 axes + hue) it looks at raw a* and b* of
+ * every part, so it can say *why* a type fits or not, e.g.
+ * "hair L* too dark for Spring Light (18, expected 20–45)".
+ */
+
+const reference = require('../data/colorReferenceData.json');
+const { round } = require('./labUtils');
+
+const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
+
+// part → reference key, measurement key, weight per channel
+const PARTS = {
+  skin: { ref: 'skinLab', input: 'skinColor', weight: 1.5 },
+  hair: { ref: 'hairLab', input: 'hairColor', weight: 1 },
+  eye: { ref: 'eyeLab', input: 'eyeColor', weight: 0.75 }
+};
+const CONTRAST_WEIGHT = 1;
+const MIN_TOLERANCE = 3;
+const CONFLICT_FIT = 0.5; // below → conflict, between → near
+
+// How a value below / above the range reads, per channel
+const DIRECTION_WORDS = {
+  l: ['too dark', 'too light'],
+  a: ['not red enough', 'too red'],
+  b: ['too cool (not yellow enough)', 'too yellow'],
+  skinHair: ['too low', 'too high']
+};
+const CHANNEL_LABELS = { l: 'L*', a: 'a*', b: 'b*', skinHair: 'skin↔hair contrast' };
+
+function seasonOf(type) {
+  return SEASONS.find(s => type.startsWith(s)) || null;
+}
+
+/**
+ * Fit of one value to one [min, max] range
+ */
+function rangeFit(value, [min, max]) {
+  const tolerance = Math.max((max - min) / 2, MIN_TOLERANCE);
+  const centrality = Math.max(0, 1 - Math.abs(value - (min + max) / 2) / tolerance);
+  if (value >= min && value <= max) return { fit: 1, direction: null, distance: 0, centrality };
+  const below = value < min;
+  const distance = below ? min - value : value - max;
+  return {
+    fit: Math.exp(-0.5 * Math.pow(distance / tolerance, 2)),
+    direction: below ? 'low' : 'high',
+    distance,
+    centrality
+  };
+}
+
+/**
+ * Measured features as { part, channel, value }
+ */
+function collectFeatures(m) {
+  const features = [];
+  for (const [part, def] of Object.entries(PARTS)) {
+    const lab = m[def.input] && m[def.input].lab;
+    if (!lab) continue;
+    for (const channel of ['l', 'a', 'b']) {
+      if (lab[channel] != null) features.push({ part, channel, value: lab[channel], weight: def.weight });
+    }
+  }
+  if (m.contrast && m.contrast.skinHair != null) {
+    features.push({ part: 'contrast', channel: 'skinHair', value: m.contrast.skinHair, weight: CONTRAST_WEIGHT });
+  }
+  return features;
+}
+
+function featureMessage(type, f, range) {
+  const label = f.part === 'contrast' ? CHANNEL_LABELS.skinHair : `${f.part} ${CHANNEL_LABELS[f.channel]}`;
+  const expected = `expected ${range[0]}–${range[1]}`;
+  if (!f.direction) return `${label} fits ${type} (${round(f.value, 1)}, ${expected})`;
+  const words = DIRECTION_WORDS[f.channel][f.direction === 'low' ? 0 : 1];
+  return `${label} ${words} for ${type} (${round(f.value, 1)}, ${expected})`;
+}
+
+/**
+ * Score one type on the measured features
+ */
+function scoreType(type, features) {
+  const ref = reference[type];
+  const details = [];
+  const parts = {};
+  let centralitySum = 0;
+
+  for (const f of features) {
+    const range = f.part === 'contrast'
+      ? ref.contrast && ref.contrast.skinHair
+      : ref[PARTS[f.part].ref] && ref[PARTS[f.part].ref][f.channel];
+    if (!range) continue;
+
+    const { fit, direction, distance, centrality } = rangeFit(f.value, range);
+    const detail = {
+      part: f.part,
+      channel: f.channel,
+      value: round(f.value, 1),
+      range,
+      fit: round(fit),
+      status: fit === 1 ? 'fit' : fit >= CONFLICT_FIT ? 'near' : 'conflict',
+      direction,
+      distance: round(distance, 1),
+      weight: f.weight
+    };
+    detail.message = featureMessage(type, { ...f, direction }, range);
+    details.push(detail);
+    centralitySum += centrality * f.weight;
+
+    const p = parts[f.part] || (parts[f.part] = { sum: 0, weight: 0 });
+    p.sum += fit * f.weight;
+    p.weight += f.weight;
+  }
+
+  const totalWeight = details.reduce((s, d) => s + d.weight, 0);
+  const score = totalWeight > 0 ? details.reduce((s, d) => s + d.fit * d.weight, 0) / totalWeight : 0;
+  const centrality = totalWeight > 0 ? centralitySum / totalWeight : 0;
+  const partScores = {};
+  for (const [part, p] of Object.entries(parts)) partScores[part] = round(p.sum / p.weight);
+
+  return { type, season: seasonOf(type), score: round(score, 3), centrality: round(centrality, 3), parts: partScores, details };
+}
+
+function explanation(scored) {
+  const byFit = (a, b) => a.fit - b.fit;
+  return {
+    type: scored.type,
+    score: scored.score,
+    parts: scored.parts,
+    fits: scored.details.filter(d => d.status === 'fit').map(d => d.message),
+    conflicts: scored.details.filter(d => d.status !== 'fit').sort(byFit).map(d => ({
+      part: d.part,
+      channel: d.channel,
+      severity: d.status === 'conflict' ? 'major' : 'minor',
+      direction: d.direction,
+      value: d.value,
+      range: d.range,
+      message: d.message
+    }))
+  };
+}
+
+/**
+ * Match measurements against the 14 reference prototypes
+ *
+ * @param {Object} m - same shape as classifyPersonalColor input
+ * @param {Object} m.skinColor - { lab: { l, a, b } } (required)
+ * @param {Object} [m.hairColor] / [m.eyeColor] - { lab }
+ * @param {Object} [m.contrast] - { skinHair } (Euclidean RGB distance)
+ * @param {Object} [options]
+ * @param {string[]} [options.explain] - also explain these types (e.g. the classifier's pick)
+ * @returns {Object} {
+ *   type, season, score,
+ *   ranking: [{ type, season, score, centrality, parts: { skin, hair, eye, contrast } }] (all 14, best first),
+ *   seasonScores: { Spring, ... } (best type score per season),
+ *   features: measured features used,
+ *   explanations: { [type]: { score, parts, fits: [message], conflicts: [{ severity, message, ... }] } }
+ * }
+ */
+function matchPrototypes(m, options = {}) {
+  if (!m || !m.skinColor || !m.skinColor.lab) {
+    throw new Error('skinColor.lab is required for prototype matching');
+  }
+  const features = collectFeatures(m);
+  const scored = Object.keys(reference).map(type => scoreType(type, features));
+  scored.sort((a, b) => b.score - a.score || b.centrality - a.centrality);
+
+  const seasonScores = {};
+  for (const season of SEASONS) {
+    seasonScores[season] = Math.max(...scored.filter(s => s.season === season).map(s => s.score));
+  }
+
+  const explained = new Set([scored[0].type, ...(options.explain || []).filter(t => reference[t])]);
+  const explanations = {};
+  for (const type of explained) explanations[type] = explanation(scored.find(s => s.type === type));
+
+  return {
+    type: scored[0].type,
+    season: scored[0].season,
+    score: scored[0].score,
+    ranking: scored.map(({ type, season, score, centrality, parts }) => ({ type, season, score, centrality, parts })),
+    seasonScores,
+    features: features.map(f => `${f.part}.${f.channel}`),
+    explanations
+  };
+}
+
+/**
+ * How well the prototypes back a classifier result (0..1)
+ *   fit of the classifier's type relative to the best prototype fit,
+ *   reduced when the prototypes prefer another season
+ *
+ * @param {Object} colorResult - classifyPersonalColor() result
+ * @param {Object} prototypeResult - matchPrototypes() result
+ * @returns {Object} { score, sameType, sameSeason, chosenScore, bestScore }
+ */
+function prototypeAgreement(colorResult, prototypeResult) {
+  const chosen = prototypeResult.ranking.find(r => r.type === colorResult.type);
+  const chosenScore = chosen ? chosen.score : 0;
+  const bestScore = prototypeResult.score;
+  const sameType = prototypeResult.type === colorResult.type;
+  const sameSeason = prototypeResult.season === colorResult.season;
+
+  let score = bestScore > 0 ? chosenScore / bestScore : 0;
+  if (!sameSeason) score *= 0.8;
+
+  return { score: round(score), sameType, sameSeason, chosenScore, bestScore };
+}
+
+module.exports = {
+  matchPrototypes,
+  prototypeAgreement,
+  rangeFit,
+  COLOR_REFERENCE: reference
+};
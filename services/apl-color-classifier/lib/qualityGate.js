@@ -0,0 +1,361 @@
+/**
+ * Quality Gate — is this photo usable at all?
+ *
+ * calculateConfidence() only lowers the score of implausible measurements.
+ * assessQuality() runs before classification and decides whether a diagnosis
+ * should be attempted: every problem found is an issue with a severity
+ *   reject — the measurements cannot be trusted, ask for a retake
+ *   warn   — diagnose, but a retake would improve accuracy
+ * formatQuality() turns the issues into localized retake guidance
+ * ("move away from the yellow wall", "face the window").
+ *
+ * Checks run on the raw client measurements (before white balance):
+ * missing key regions, over- / underexposure, strong color casts (estimated
+ * light, colored background), skin–neck inconsistency, implausible hair and
+ * eye readings.
+ */
+
+const { labChroma, labHueAngle, deltaE76, round } = require('./labUtils');
+const { estimateIlluminant } = require('./colorConstancy');
+
+const THRESHOLDS = {
+  skinL: { reject: [30, 88], warn: [38, 82] }, // [too dark, too bright]
+  skinB: [0, 35],               // skin b* outside: the light, not the skin, sets the hue
+  cct: { reject: [3000, 9000], warn: [3800, 7500] },
+  minCastReliability: 0.5,      // trust the estimated light from here
+  backgroundChroma: 20,
+  skinNeck: { warn: 12, reject: 20 },
+  hairSkin: 10,                 // hair closer to skin than this: the sample hit skin
+  hairBackground: 6,
+  hairMaxL: 80,                 // brighter: glare (platinum blond reads ~75)
+  eyeMaxL: 65,                  // brighter: glare or the sample hit the sclera
+  eyeMaxChroma: 40              // more colorful: reflection or colored lenses
+};
+
+function labOf(color) {
+  return color && color.lab ? color.lab : null;
+}
+
+/**
+ * Color name of a saturated background from its LAB hue angle
+ */
+function backgroundColorName(lab) {
+  const h = labHueAngle(lab.a, lab.b);
+  if (h < 35 || h >= 345) return 'red';
+  if (h < 70) return 'orange';
+  if (h < 105) return 'yellow';
+  if (h < 200) return 'green';
+  if (h < 290) return 'blue';
+  return 'purple';
+}
+
+function range(value, [low, high]) {
+  return value < low ? 'low' : value > high ? 'high' : null;
+}
+
+/**
+ * Assess whether the measurements are good enough to classify
+ *
+ * @param {Object} input - fullDiagnosis input (skinColor, hairColor, eyeColor, eyebrowColor,
+ *   neckColor, backgroundColor, scleraColor, teethColor; LAB values)
+ * @returns {Object} {
+ *   status: 'ok' | 'warn' | 'reject', pass: status !== 'reject',
+ *   issues: [{ code, severity: 'reject' | 'warn', part, data }],
+ *   illuminant: { cct, reliability, method } | null
+ * }
+ */
+function assessQuality(input) {
+  const issues = [];
+  const add = (code, severity, part, data = {}) => issues.push({ code, severity, part, data });
+
+  const skin = labOf(input.skinColor);
+  const hair = labOf(input.hairColor);
+  const eye = labOf(input.eyeColor);
+  const eyebrow = labOf(input.eyebrowColor);
+  const neck = labOf(input.neckColor);
+  const background = labOf(input.backgroundColor);
+
+  // --- Missing key regions ---
+  if (!skin) add('missing_skin', 'reject', 'skin');
+  if (!hair) add('missing_hair', 'warn', 'hair');
+  if (!eye && !eyebrow) add('missing_eyes', 'warn', 'eye');
+
+  // --- Exposure ---
+  if (skin) {
+    const rejected = range(skin.l, THRESHOLDS.skinL.reject);
+    const warned = range(skin.l, THRESHOLDS.skinL.warn);
+    const level = rejected || warned;
+    if (level) {
+      add(level === 'high' ? 'overexposed' : 'underexposed', rejected ? 'reject' : 'warn', 'skin', { l: round(skin.l, 1) });
+    }
+  }
+
+  // --- Color casts: the skin itself, the estimated light, the background ---
+  const castSkin = skin ? range(skin.b, THRESHOLDS.skinB) : null;
+  if (castSkin) add(castSkin === 'high' ? 'warm_cast' : 'cool_cast', 'reject', 'skin', { b: round(skin.b, 1) });
+
+  let illuminant = null;
+  const wb = skin ? estimateIlluminant(input) : null;
+  if (wb && wb.method !== 'none') {
+    illuminant = { cct: wb.cct, reliability: wb.reliability, method: wb.method };
+    const rejected = range(wb.cct, THRESHOLDS.cct.reject);
+    const warned = range(wb.cct, THRESHOLDS.cct.warn);
+    const level = rejected || warned;
+    if (!castSkin && level && wb.reliability >= THRESHOLDS.minCastReliability) {
+      add(level === 'low' ? 'warm_cast' : 'cool_cast', rejected ? 'reject' : 'warn', 'light', { cct: wb.cct });
+    }
+  }
+
+  if (background && labChroma(background.a, background.b) > THRESHOLDS.backgroundChroma) {
+    add('colored_background', 'warn', 'background', { color: backgroundColorName(background) });
+  }
+
+  // --- Even lighting: face and neck are the same skin ---
+  if (skin && neck) {
+    const d = deltaE76(skin, neck);
+    if (d > THRESHOLDS.skinNeck.warn) {
+      add('uneven_lighting', d > THRESHOLDS.skinNeck.reject ? 'reject' : 'warn', 'neck', { deltaE: round(d, 1) });
+    }
+  }
+
+  // --- Implausible readings (sampling hit the wrong region, glare) ---
+  if (hair) {
+    let reason = null;
+    if (hair.l > THRESHOLDS.hairMaxL) reason = 'glare';
+    else if (skin && deltaE76(hair, skin) < THRESHOLDS.hairSkin) reason = 'skin';
+    else if (background && deltaE76(hair, background) < THRESHOLDS.hairBackground) reason = 'background';
+    if (reason) add('implausible_hair', 'warn', 'hair', { reason });
+  }
+  if (eye && (eye.l > THRESHOLDS.eyeMaxL || labChroma(eye.a, eye.b) > THRESHOLDS.eyeMaxChroma)) {
+    add('implausible_eye', 'warn', 'eye', { l: round(eye.l, 1), chroma: round(labChroma(eye.a, eye.b), 1) });
+  }
+
+  const status = issues.some(i => i.severity === 'reject') ? 'reject' : issues.length ? 'warn' : 'ok';
+  // Rejections first, so the guidance starts with what must change
+  issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'reject' ? -1 : 1));
+
+  return { status, pass: status !== 'reject', issues, illuminant };
+}
+
+/**
+ * Quality of several captures of the same person: a capture that would be
+ * rejected on its own is left out; the set is rejected only when none is usable
+ *
+ * @param {Object[]} inputs - fullDiagnosis inputs, one per capture
+ * @returns {Object} assessQuality() shape with issues tagged by capture index, plus
+ *   { captures: [status per capture], usable: [index], excluded: [index] }
+ */
+function assessCaptureQuality(inputs) {
+  const results = inputs.map(input => assessQuality(input || {}));
+  const usable = [];
+  const excluded = [];
+  results.forEach((r, index) => (r.pass ? usable : excluded).push(index));
+
+  // Problems of left-out captures only matter when nothing is left
+  const reported = usable.length ? usable : excluded;
+  const issues = reported.flatMap(index => results[index].issues.map(issue => ({ ...issue, capture: index })));
+  const status = !usable.length ? 'reject' : issues.length || excluded.length ? 'warn' : 'ok';
+  if (usable.length && excluded.length) {
+    issues.push({ code: 'captures_excluded', severity: 'warn', part: 'capture', data: { excluded: excluded.map(i => i + 1) } });
+  }
+  issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'reject' ? -1 : 1));
+
+  return {
+    status,
+    pass: usable.length > 0,
+    issues,
+    illuminant: null,
+    captures: results.map(r => r.status),
+    usable,
+    excluded
+  };
+}
+
+// ─── Localized guidance ───
+
+const TEXT = {
+  en: {
+    headline: {
+      reject: 'This photo cannot be diagnosed reliably. Please retake it:',
+      rejectCaptures: 'None of these photos can be diagnosed reliably. Please retake them:',
+      warn: 'A diagnosis is possible, but a retake would make it more accurate:'
+    },
+    colors: { red: 'red', orange: 'orange', yellow: 'yellow', green: 'green', blue: 'blue', purple: 'purple' },
+    hairReason: { glare: 'glare', skin: 'skin', background: 'the background' },
+    problem: {
+      missing_skin: () => 'Your skin color could not be measured.',
+      missing_hair: () => 'Your hair color could not be measured.',
+      missing_eyes: () => 'Your eyes and eyebrows could not be measured.',
+      overexposed: d => `Your face is overexposed (skin L* ${d.l}).`,
+      underexposed: d => `Your face is too dark (skin L* ${d.l}).`,
+      warm_cast: d => (d.cct ? `Warm lighting (about ${d.cct}K) tints every color.` : 'A strong yellow/orange tint covers the skin.'),
+      cool_cast: d => (d.cct ? `Cold lighting (about ${d.cct}K) tints every color.` : 'A strong blue/green tint covers the skin.'),
+      colored_background: (d, t) => `A strongly ${t.colors[d.color]} background reflects onto your skin.`,
+      uneven_lighting: d => `Your face and neck are lit differently (ΔE ${d.deltaE}).`,
+      implausible_hair: (d, t) => `The hair reading looks like ${t.hairReason[d.reason]}, not hair.`,
+      implausible_eye: () => 'The eye reading is too bright or too colorful (glare or colored lenses).',
+      captures_excluded: d => `Photo ${d.excluded.join(', ')} could not be used and was left out.`
+    },
+    action: {
+      missing_skin: () => 'Keep your whole face in the frame, uncovered by hair, hands or a mask.',
+      missing_hair: () => 'Keep some of your hair in the frame and take off hats.',
+      missing_eyes: () => 'Look straight at the camera without glasses or sunglasses.',
+      overexposed: () => 'Step out of direct sunlight or away from the lamp, and turn off the flash.',
+      underexposed: () => 'Face the window or a bright light.',
+      warm_cast: () => 'Turn off warm lamps and face the window in daylight.',
+      cool_cast: () => 'Move out of the shade and away from screens; face the window in daylight.',
+      colored_background: (d, t) => `Move away from the ${t.colors[d.color]} wall and stand in front of a white or gray one.`,
+      uneven_lighting: () => 'Face the light directly so your face and neck are lit evenly; avoid light from the side.',
+      implausible_hair: () => 'Keep your hair visible against a plain background, without strong light behind you.',
+      implausible_eye: () => 'Take out colored contact lenses and avoid reflections in your eyes.',
+      captures_excluded: () => 'The other photos were enough; retake the left-out ones for a more reliable result.'
+    }
+  },
+  ko: {
+    headline: {
+      reject: '이 사진으로는 정확한 진단이 어렵습니다. 다시 촬영해 주세요:',
+      rejectCaptures: '어느 사진으로도 정확한 진단이 어렵습니다. 다시 촬영해 주세요:',
+      warn: '진단은 가능하지만, 다시 촬영하면 더 정확해집니다:'
+    },
+    colors: { red: '빨간색', orange: '주황색', yellow: '노란색', green: '초록색', blue: '파란색', purple: '보라색' },
+    hairReason: { glare: '빛 반사', skin: '피부', background: '배경' },
+    problem: {
+      missing_skin: () => '피부색을 측정하지 못했습니다.',
+      missing_hair: () => '머리카락 색을 측정하지 못했습니다.',
+      missing_eyes: () => '눈과 눈썹을 측정하지 못했습니다.',
+      overexposed: d => `얼굴이 너무 밝게 찍혔습니다 (피부 L* ${d.l}).`,
+      underexposed: d => `얼굴이 너무 어둡게 찍혔습니다 (피부 L* ${d.l}).`,
+      warm_cast: d => (d.cct ? `따뜻한 조명(약 ${d.cct}K)이 모든 색을 물들이고 있습니다.` : '피부 전체에 강한 노란빛/주황빛이 돕니다.'),
+      cool_cast: d => (d.cct ? `차가운 조명(약 ${d.cct}K)이 모든 색을 물들이고 있습니다.` : '피부 전체에 강한 푸른빛/초록빛이 돕니다.'),
+      colored_background: (d, t) => `채도가 높은 ${t.colors[d.color]} 배경이 피부에 반사되고 있습니다.`,
+      uneven_lighting: d => `얼굴과 목에 비치는 빛이 다릅니다 (ΔE ${d.deltaE}).`,
+      implausible_hair: (d, t) => `머리카락 측정값이 머리카락이 아니라 ${t.hairReason[d.reason]}에 가깝습니다.`,
+      implausible_eye: () => '눈동자 측정값이 너무 밝거나 채도가 높습니다 (빛 반사 또는 컬러 렌즈).',
+      captures_excluded: d => `${d.excluded.join(', ')}번째 사진은 사용할 수 없어 제외했습니다.`
+    },
+    action: {
+      missing_skin: () => '머리카락, 손, 마스크에 가리지 않도록 얼굴 전체가 화면에 나오게 해 주세요.',
+      missing_hair: () => '모자를 벗고 머리카락이 일부라도 화면에 나오게 해 주세요.',
+      missing_eyes: () => '안경이나 선글라스를 벗고 카메라를 정면으로 바라봐 주세요.',
+      overexposed: () => '직사광선이나 조명에서 조금 떨어지고, 플래시를 꺼 주세요.',
+      underexposed: () => '창문이나 밝은 조명을 바라보고 촬영해 주세요.',
+      warm_cast: () => '노란 조명을 끄고 낮에 창문을 바라보고 촬영해 주세요.',
+      cool_cast: () => '그늘이나 화면 빛에서 벗어나, 낮에 창문을 바라보고 촬영해 주세요.',
+      colored_background: (d, t) => `${t.colors[d.color]} 벽에서 떨어져 흰색이나 회색 벽 앞에서 촬영해 주세요.`,
+      uneven_lighting: () => '옆에서 오는 빛을 피하고, 얼굴과 목이 고르게 밝도록 빛을 정면으로 받아 주세요.',
+      implausible_hair: () => '뒤에서 강한 빛이 비치지 않게 하고, 단색 배경 앞에서 머리카락이 보이게 해 주세요.',
+      implausible_eye: () => '컬러 렌즈를 빼고 눈에 빛이 반사되지 않게 해 주세요.',
+      captures_excluded: () => '나머지 사진으로 진단했습니다. 제외된 사진을 다시 찍으면 결과가 더 정확해집니다.'
+    }
+  },
+  ja: {
+    headline: {
+      reject: 'この写真では正確に診断できません。撮り直してください：',
+      rejectCaptures: 'どの写真でも正確に診断できません。撮り直してください：',
+      warn: '診断はできますが、撮り直すとより正確になります：'
+    },
+    colors: { red: '赤', orange: 'オレンジ', yellow: '黄色', green: '緑', blue: '青', purple: '紫' },
+    hairReason: { glare: '光の反射', skin: '肌', background: '背景' },
+    problem: {
+      missing_skin: () => '肌の色を測定できませんでした。',
+      missing_hair: () => '髪の色を測定できませんでした。',
+      missing_eyes: () => '目と眉を測定できませんでした。',
+      overexposed: d => `顔が明るすぎます（肌 L* ${d.l}）。`,
+      underexposed: d => `顔が暗すぎます（肌 L* ${d.l}）。`,
+      warm_cast: d => (d.cct ? `暖色の照明（約${d.cct}K）がすべての色に影響しています。` : '肌全体に強い黄色・オレンジがかりがあります。'),
+      cool_cast: d => (d.cct ? `寒色の照明（約${d.cct}K）がすべての色に影響しています。` : '肌全体に強い青・緑がかりがあります。'),
+      colored_background: (d, t) => `鮮やかな${t.colors[d.color]}の背景が肌に映り込んでいます。`,
+      uneven_lighting: d => `顔と首の光の当たり方が違います（ΔE ${d.deltaE}）。`,
+      implausible_hair: (d, t) => `髪の測定値が髪ではなく${t.hairReason[d.reason]}に近い値です。`,
+      implausible_eye: () => '瞳の測定値が明るすぎるか鮮やかすぎます（光の反射またはカラーコンタクト）。',
+      captures_excluded: d => `${d.excluded.join('、')}枚目の写真は使用できないため除外しました。`
+    },
+    action: {
+      missing_skin: () => '髪・手・マスクで隠れないよう、顔全体を画面に入れてください。',
+      missing_hair: () => '帽子を外し、髪の一部が画面に入るようにしてください。',
+      missing_eyes: () => 'メガネやサングラスを外し、カメラを正面から見てください。',
+      overexposed: () => '直射日光や照明から少し離れ、フラッシュをオフにしてください。',
+      underexposed: () => '窓や明るい照明のほうを向いてください。',
+      warm_cast: () => '暖色の照明を消し、日中に窓のほうを向いて撮影してください。',
+      cool_cast: () => '日陰や画面の光から離れ、日中に窓のほうを向いて撮影してください。',
+      colored_background: (d, t) => `${t.colors[d.color]}の壁から離れ、白かグレーの壁の前で撮影してください。`,
+      uneven_lighting: () => '横からの光を避け、顔と首に均一に光が当たるよう正面から光を受けてください。',
+      implausible_hair: () => '後ろから強い光が当たらないようにし、無地の背景の前で髪が見えるようにしてください。',
+      implausible_eye: () => 'カラーコンタクトを外し、目に光が映り込まないようにしてください。',
+      captures_excluded: () => '残りの写真で診断しました。除外した写真を撮り直すと、より正確になります。'
+    }
+  },
+  zh: {
+    headline: {
+      reject: '这张照片无法准确诊断，请重新拍摄：',
+      rejectCaptures: '这些照片都无法准确诊断，请重新拍摄：',
+      warn: '可以诊断，但重新拍摄会更准确：'
+    },
+    colors: { red: '红色', orange: '橙色', yellow: '黄色', green: '绿色', blue: '蓝色', purple: '紫色' },
+    hairReason: { glare: '反光', skin: '皮肤', background: '背景' },
+    problem: {
+      missing_skin: () => '无法测量您的肤色。',
+      missing_hair: () => '无法测量您的发色。',
+      missing_eyes: () => '无法测量您的眼睛和眉毛。',
+      overexposed: d => `脸部过亮（皮肤 L* ${d.l}）。`,
+      underexposed: d => `脸部过暗（皮肤 L* ${d.l}）。`,
+      warm_cast: d => (d.cct ? `暖色光（约${d.cct}K）让所有颜色都偏色了。` : '皮肤整体明显偏黄/偏橙。'),
+      cool_cast: d => (d.cct ? `冷色光（约${d.cct}K）让所有颜色都偏色了。` : '皮肤整体明显偏蓝/偏绿。'),
+      colored_background: (d, t) => `鲜艳的${t.colors[d.color]}背景反射到了皮肤上。`,
+      uneven_lighting: d => `脸部和脖子的光照不同（ΔE ${d.deltaE}）。`,
+      implausible_hair: (d, t) => `头发的测量值更像${t.hairReason[d.reason]}，而不是头发。`,
+      implausible_eye: () => '瞳孔的测量值过亮或过于鲜艳（反光或彩色隐形眼镜）。',
+      captures_excluded: d => `第${d.excluded.join('、')}张照片无法使用，已被排除。`
+    },
+    action: {
+      missing_skin: () => '请让整张脸出现在画面中，不要被头发、手或口罩遮挡。',
+      missing_hair: () => '请摘下帽子，让部分头发出现在画面中。',
+      missing_eyes: () => '请摘下眼镜或墨镜，正视镜头。',
+      overexposed: () => '请避开阳光直射或远离灯光，并关闭闪光灯。',
+      underexposed: () => '请面向窗户或明亮的光源。',
+      warm_cast: () => '请关闭暖色灯，白天面向窗户拍摄。',
+      cool_cast: () => '请离开阴影处和屏幕光，白天面向窗户拍摄。',
+      colored_background: (d, t) => `请远离${t.colors[d.color]}的墙，站在白色或灰色的墙前。`,
+      uneven_lighting: () => '请避免侧光，正面迎光，让脸部和脖子受光均匀。',
+      implausible_hair: () => '请避免强烈背光，在纯色背景前露出头发。',
+      implausible_eye: () => '请摘下彩色隐形眼镜，避免眼睛反光。',
+      captures_excluded: () => '已使用其余照片进行诊断；重新拍摄被排除的照片可使结果更可靠。'
+    }
+  }
+};
+
+const QUALITY_LANGS = Object.keys(TEXT);
+
+/**
+ * Localized retake guidance for an assessQuality() result
+ *
+ * @param {Object} quality - assessQuality() result
+ * @param {string} [lang='en'] - en | ko | ja | zh (others fall back to en)
+ * @returns {Object} { status, pass, headline (null when ok),
+ *   issues: [{ code, severity, part, capture (several captures only), problem, action }] }
+ */
+function formatQuality(quality, lang = 'en') {
+  const t = TEXT[QUALITY_LANGS.includes(lang) ? lang : 'en'];
+  return {
+    status: quality.status,
+    pass: quality.pass,
+    headline: quality.status === 'ok' ? null
+      : t.headline[quality.status === 'reject' && quality.captures ? 'rejectCaptures' : quality.status],
+    issues: quality.issues.map(issue => ({
+      code: issue.code,
+      severity: issue.severity,
+      part: issue.part,
+      ...(issue.capture == null ? {} : { capture: issue.capture }),
+      problem: t.problem[issue.code](issue.data, t),
+      action: t.action[issue.code](issue.data, t)
+    }))
+  };
+}
+
+module.exports = {
+  assessQuality,
+  assessCaptureQuality,
+  formatQuality,
+  QUALITY_LANGS,
+  THRESHOLDS
+};
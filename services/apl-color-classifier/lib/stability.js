@@ -0,0 +1,191 @@
+/**
+ * Stability — Monte Carlo robustness of a diagnosis
+ *
+ * Client-side sampling (MediaPipe landmarks + pixel averages) is noisy, and a
+ * shift of a couple of L* units can move a result across a type boundary.
+ * assessStability() perturbs the input uniformly within sensor-noise bounds,
+ * re-runs the classifiers many times and reports how often each result
+ * survives. The overall stability then tempers the confidence used by
+ * determineStrategy().
+ *
+ * Bounds:
+ *   lab   — ± L*, a*, b* units per part (uniform, independent per channel)
+ *   ratio — ± relative change of every face / body proportion (0.03 = 3%)
+ */
+
+const { round } = require('./labUtils');
+
+const DEFAULT_BOUNDS = {
+  lab: { skin: 2, hair: 4, eye: 4, eyebrow: 4, neck: 2, background: 3, sclera: 3, teeth: 3 },
+  ratio: 0.03
+};
+const DEFAULT_SAMPLES = 100;
+
+// How much each result counts towards the overall stability
+const FIELD_WEIGHTS = { personalColor: 2, season: 2, faceShape: 1, bodyType: 1 };
+
+const LAB_PARTS = {
+  skinColor: 'skin',
+  hairColor: 'hair',
+  eyeColor: 'eye',
+  eyebrowColor: 'eyebrow',
+  neckColor: 'neck',
+  backgroundColor: 'background',
+  scleraColor: 'sclera',
+  teethColor: 'teeth'
+};
+
+/**
+ * Seeded PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function uniform(random, bound) {
+  return (random() * 2 - 1) * bound;
+}
+
+/**
+ * One perturbed copy of a fullDiagnosis input
+ */
+function perturbInput(input, bounds, random) {
+  const out = { ...input };
+  for (const [key, part] of Object.entries(LAB_PARTS)) {
+    const color = input[key];
+    if (!color || !color.lab) continue;
+    const bound = bounds.lab[part] || 0;
+    out[key] = {
+      ...color,
+      lab: {
+        l: color.lab.l + uniform(random, bound),
+        a: color.lab.a + uniform(random, bound),
+        b: color.lab.b + uniform(random, bound)
+      }
+    };
+  }
+  for (const key of ['faceProportions', 'bodyProportions']) {
+    if (!input[key]) continue;
+    const scaled = {};
+    for (const [name, value] of Object.entries(input[key])) {
+      scaled[name] = typeof value === 'number' ? value * (1 + uniform(random, bounds.ratio)) : value;
+    }
+    out[key] = scaled;
+  }
+  return out;
+}
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check stability options before sampling (non-numeric bounds would turn
+ * every perturbed value into NaN)
+ *
+ * @param {Object} options - { samples?, bounds?, seed? }
+ * @returns {string|null} what is wrong, or null when they can be used
+ */
+function validateStabilityOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) return 'stability must be true or an object';
+  const { samples, bounds, seed } = options;
+  if (samples != null && !(Number.isInteger(samples) && samples > 0)) return 'stability.samples must be a positive integer';
+  if (seed != null && !Number.isInteger(seed)) return 'stability.seed must be an integer';
+  if (bounds == null) return null;
+  if (typeof bounds !== 'object' || Array.isArray(bounds)) return 'stability.bounds must be an object';
+  if (bounds.lab != null) {
+    if (typeof bounds.lab !== 'object' || Array.isArray(bounds.lab)) return 'stability.bounds.lab must be an object';
+    for (const [part, bound] of Object.entries(bounds.lab)) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_BOUNDS.lab, part)) {
+        return `stability.bounds.lab.${part} is not one of: ${Object.keys(DEFAULT_BOUNDS.lab).join(', ')}`;
+      }
+      if (!isNonNegative(bound)) return `stability.bounds.lab.${part} must be a non-negative number`;
+    }
+  }
+  if (bounds.ratio != null && !(isNonNegative(bounds.ratio) && bounds.ratio < 1)) {
+    return 'stability.bounds.ratio must be a number from 0 to below 1';
+  }
+  return null;
+}
+
+function mergeBounds(bounds = {}) {
+  return {
+    lab: { ...DEFAULT_BOUNDS.lab, ...(bounds.lab || {}) },
+    ratio: bounds.ratio == null ? DEFAULT_BOUNDS.ratio : bounds.ratio
+  };
+}
+
+/**
+ * Monte Carlo stability of the classifications
+ *
+ * @param {Object} input - fullDiagnosis input
+ * @param {Function} classifyOnce - input → { personalColor, season, faceShape, bodyType } (labels, null when absent)
+ * @param {Object} [options]
+ * @param {number} [options.samples=100]
+ * @param {Object} [options.bounds] - { lab: { skin, hair, eye, eyebrow, neck, background, sclera, teeth }, ratio }
+ * @param {number} [options.seed=1]
+ * @returns {Object} {
+ *   samples, bounds,
+ *   fields: { personalColor, season, faceShape, bodyType }:
+ *     { value, stability (share of samples agreeing), distribution: { [label]: share } } | null,
+ *   overall: weighted mean stability (0..1)
+ * }
+ */
+function assessStability(input, classifyOnce, options = {}) {
+  const problem = validateStabilityOptions(options);
+  if (problem) throw new Error(problem);
+  const samples = options.samples || DEFAULT_SAMPLES;
+  const bounds = mergeBounds(options.bounds);
+  const random = createRandom(options.seed || 1);
+
+  const reference = classifyOnce(input);
+  const counts = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) counts[field] = {};
+
+  for (let i = 0; i < samples; i++) {
+    const result = classifyOnce(perturbInput(input, bounds, random));
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      const label = result[field];
+      if (label != null) counts[field][label] = (counts[field][label] || 0) + 1;
+    }
+  }
+
+  const fields = {};
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    if (reference[field] == null) {
+      fields[field] = null;
+      continue;
+    }
+    const distribution = {};
+    for (const [label, count] of Object.entries(counts[field]).sort((a, b) => b[1] - a[1])) {
+      distribution[label] = round(count / samples, 3);
+    }
+    const stability = round((counts[field][reference[field]] || 0) / samples, 3);
+    fields[field] = { value: reference[field], stability, distribution };
+    weighted += stability * weight;
+    totalWeight += weight;
+  }
+
+  return {
+    samples,
+    bounds,
+    fields,
+    overall: totalWeight > 0 ? round(weighted / totalWeight, 3) : null
+  };
+}
+
+module.exports = {
+  assessStability,
+  validateStabilityOptions,
+  perturbInput,
+  DEFAULT_BOUNDS
+};
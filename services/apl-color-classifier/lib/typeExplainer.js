@@ -0,0 +1,333 @@
+/**
+ * Type Explainer — "why this type" for classifyPersonalColor
+ *
+ * Re-runs the 14-type scoring on the same measurements and reports, per
+ * decisive axis (skin L*, skin chroma, element chroma, hue angle):
+ *   - the measured value and the chosen type's range
+ *   - how far the value sits inside (or outside) the nearest range edge
+ *   - how much of the score gap to the runner-up that axis accounts for
+ * plus the smallest single-axis change that would make the runner-up win.
+ *
+ * The flip search moves one axis at a time and re-ranks all 14 types, so it
+ * answers "what would have to be different", not "what will change if the
+ * photo is retaken" — in a real face skin chroma and hue move together.
+ *
+ * formatExplanation() turns the result into localized sentences (en/ko/ja/zh)
+ * that the hybrid prompt and the UI can show as-is.
+ */
+
+const {
+  determineSkinLightness,
+  determineSkinChroma,
+  determineElementChroma,
+  determineHueAngle,
+  hueFromAngle,
+  scoreTypeMatch,
+  buildColorTypes,
+  SEASON_MAP,
+  COLOR_TYPES,
+  PARAMETERS
+} = require('./colorClassifier');
+const { loadParameters } = require('./parameters');
+const { round } = require('./labUtils');
+
+// Flip search: valid values per axis and how far from the measurement to look
+const AXES = [
+  { axis: 'skinL', limits: [0, 100], reach: 40 },
+  { axis: 'skinC', limits: [0, 60], reach: 40 },
+  { axis: 'elemC', limits: [0, 60], reach: 40 },
+  { axis: 'hue', limits: [-180, 180], reach: 45 }
+];
+const FLIP_STEP = 0.1;
+const DECISIVE_MIN = 0.005; // score share below this is not worth naming
+
+function seasonOf(type) {
+  return Object.keys(SEASON_MAP).find(s => SEASON_MAP[s].includes(type)) || null;
+}
+
+/**
+ * All 14 types ranked exactly like classifyPersonalColor
+ */
+function rankTypes(values, types, baseline) {
+  const hue = hueFromAngle(values.hue, baseline);
+  return Object.keys(types)
+    .map(type => ({ type, ...scoreTypeMatch(type, values.skinL, values.skinC, values.elemC, hue, types) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Weighted share of the total score each axis contributes for one type
+ * (weights as in scoreTypeMatch: 3 / 2 / 2 / hue weight)
+ */
+function axisShares(match) {
+  const d = match.detail;
+  const total = 3 + 2 + 2 + d.hueWeight;
+  return {
+    skinL: d.skinLScore * 3 / total,
+    skinC: d.skinChromaScore * 2 / total,
+    elemC: d.elemChromaScore * 2 / total,
+    hue: d.hueScore * d.hueWeight / total
+  };
+}
+
+/**
+ * Signed distance to the nearest range edge: > 0 inside, < 0 outside
+ */
+function edgeMargin(value, [min, max]) {
+  if (value < min) return value - min;
+  if (value > max) return max - value;
+  return Math.min(value - min, max - value);
+}
+
+/**
+ * Hue position relative to the type's undertone: degrees past the baseline
+ * toward the expected side (> 0 agrees), null for neutral types
+ */
+function hueMargin(angle, expected, baseline) {
+  if (expected === 'warm') return angle - baseline;
+  if (expected === 'cool') return baseline - angle;
+  return null;
+}
+
+/**
+ * Smallest change of one axis that puts the runner-up first
+ */
+function findFlip(values, def, runnerUp, types, baseline) {
+  const from = values[def.axis];
+  for (let step = 1; step * FLIP_STEP <= def.reach; step++) {
+    for (const sign of [1, -1]) {
+      const to = from + sign * step * FLIP_STEP;
+      if (to < def.limits[0] || to > def.limits[1]) continue;
+      const ranked = rankTypes({ ...values, [def.axis]: to }, types, baseline);
+      if (ranked[0].type === runnerUp) {
+        return { axis: def.axis, from: round(from, 1), to: round(to, 1), delta: round(to - from, 1) };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Explain a classifyPersonalColor result
+ *
+ * @param {Object} m - same measurements classifyPersonalColor received
+ * @param {Object} [options]
+ * @param {Object} [options.params] - parameter set (default: latest data/parameters version)
+ * @param {number} [options.parametersVersion] - load this data/parameters version instead
+ * @returns {Object} {
+ *   type, season, score, runnerUp: { type, season, score }, parametersVersion,
+ *   axes: [{ axis, value, measured, range, inRange, margin, runnerUpRange, share, runnerUpShare, advantage }],
+ *   decisive: [axis] (largest advantage first),
+ *   flip: { axis, from, to, delta } | null (smallest single-axis change),
+ *   flips: [{ axis, from, to, delta }] (every axis that can flip, smallest first)
+ * }
+ */
+function explainPersonalColor(m, options = {}) {
+  if (!m || !m.skinColor || !m.skinColor.lab) {
+    throw new Error('skinColor.lab is required for explanation');
+  }
+  const skinLab = m.skinColor.lab;
+  const lab = part => (m[part] ? m[part].lab : null);
+
+  const params = options.params || loadParameters(options.parametersVersion);
+  const types = params === PARAMETERS ? COLOR_TYPES : buildColorTypes(params);
+  const baseline = params.hueBaseline;
+  const elem = determineElementChroma(lab('hairColor'), lab('eyebrowColor'), lab('eyeColor'));
+  const values = {
+    skinL: determineSkinLightness(skinLab).value,
+    skinC: determineSkinChroma(skinLab).value,
+    elemC: elem.value,
+    hue: determineHueAngle(skinLab, baseline).angle
+  };
+
+  const ranked = rankTypes(values, types, baseline);
+  const [top, second] = ranked;
+  const shares = axisShares(top);
+  const secondShares = axisShares(second);
+  const chosen = types[top.type];
+  const rival = types[second.type];
+
+  const axes = AXES.map(def => {
+    const value = values[def.axis];
+    const entry = {
+      axis: def.axis,
+      value: round(value, 1),
+      measured: def.axis !== 'elemC' || elem.count > 0,
+      share: round(shares[def.axis], 3),
+      runnerUpShare: round(secondShares[def.axis], 3),
+      advantage: round(shares[def.axis] - secondShares[def.axis], 3)
+    };
+    if (def.axis === 'hue') {
+      const margin = hueMargin(value, chosen.hue, baseline);
+      return {
+        ...entry,
+        baseline,
+        expected: chosen.hue,
+        runnerUpExpected: rival.hue,
+        inRange: margin == null ? true : margin > 5,
+        margin: margin == null ? null : round(margin, 1)
+      };
+    }
+    const margin = edgeMargin(value, chosen[def.axis]);
+    return {
+      ...entry,
+      range: chosen[def.axis],
+      inRange: margin >= 0,
+      margin: round(margin, 1),
+      runnerUpRange: rival[def.axis]
+    };
+  });
+
+  const decisive = axes
+    .filter(a => a.measured && a.advantage >= DECISIVE_MIN)
+    .sort((a, b) => b.advantage - a.advantage)
+    .map(a => a.axis);
+
+  const flips = AXES
+    .filter(def => def.axis !== 'elemC' || elem.count > 0)
+    .map(def => findFlip(values, def, second.type, types, baseline))
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(a.delta) - Math.abs(b.delta));
+
+  return {
+    type: top.type,
+    season: seasonOf(top.type),
+    score: top.score,
+    runnerUp: { type: second.type, season: seasonOf(second.type), score: second.score },
+    parametersVersion: params.version,
+    axes,
+    decisive,
+    flip: flips[0] || null,
+    flips
+  };
+}
+
+// ─── Localized text ───
+
+const TEXT = {
+  en: {
+    axis: { skinL: 'Skin lightness (L*)', skinC: 'Skin chroma', elemC: 'Hair/brow/eye chroma', hue: 'Skin hue angle' },
+    undertone: { warm: 'warm', cool: 'cool' },
+    expected: 'expected',
+    thisType: 'this type',
+    summary: (type, score, runner, runnerScore) => `${type} scored ${score}, ahead of ${runner} (${runnerScore}).`,
+    tie: (type, score, runner) => `${type} and ${runner} both scored ${score}; ${type} comes first in the type order.`,
+    inside: (label, v, who, [min, max], margin) => `${label} ${v} is inside the ${who} range ${min}–${max} (${margin} from the nearest edge).`,
+    below: (label, v, who, [min, max], d) => `${label} ${v} is ${d} below the ${who} range ${min}–${max}.`,
+    above: (label, v, who, [min, max], d) => `${label} ${v} is ${d} above the ${who} range ${min}–${max}.`,
+    hue: (label, v, base, above, d, tone) => `${label} ${v}° is ${d}° ${above ? 'above' : 'below'} the baseline ${base}°, which reads as ${tone}.`,
+    hueNeutral: (label, v, who) => `${label} ${v}°: ${who} does not depend on undertone.`,
+    notMeasured: label => `${label} was not measured.`,
+    decisive: labels => `Decisive: ${labels.join(', ')}.`,
+    flip: (label, from, to, runner) => `${label} ${from} → ${to} would make it ${runner}.`,
+    noFlip: runner => `No single measurement change within reach would make it ${runner}.`
+  },
+  ko: {
+    axis: { skinL: '피부 명도(L*)', skinC: '피부 채도', elemC: '모발·눈썹·눈동자 채도', hue: '피부 색상각' },
+    undertone: { warm: '웜', cool: '쿨' },
+    expected: '기준',
+    thisType: '타입',
+    summary: (type, score, runner, runnerScore) => `${type}: ${score}점 — 차순위 ${runner}(${runnerScore}점)보다 높습니다.`,
+    tie: (type, score, runner) => `${type}와(과) ${runner} 모두 ${score}점 — 타입 순서에 따라 ${type}이(가) 선택되었습니다.`,
+    inside: (label, v, who, [min, max], margin) => `${label} ${v} — ${who} 범위 ${min}–${max} 안쪽입니다 (가장 가까운 경계까지 ${margin}).`,
+    below: (label, v, who, [min, max], d) => `${label} ${v} — ${who} 범위 ${min}–${max}보다 ${d} 낮습니다.`,
+    above: (label, v, who, [min, max], d) => `${label} ${v} — ${who} 범위 ${min}–${max}보다 ${d} 높습니다.`,
+    hue: (label, v, base, above, d, tone) => `${label} ${v}° — 기준 ${base}°보다 ${d}° ${above ? '높아' : '낮아'} ${tone} 톤으로 판단됩니다.`,
+    hueNeutral: (label, v, who) => `${label} ${v}° — 언더톤의 영향을 받지 않는 ${who}입니다.`,
+    notMeasured: label => `${label}: 측정되지 않았습니다.`,
+    decisive: labels => `결정적 요인: ${labels.join(', ')}.`,
+    flip: (label, from, to, runner) => `${label} 값이 ${from}에서 ${to}(으)로 바뀌면 ${runner} 타입이 됩니다.`,
+    noFlip: runner => `측정값 하나만 바꿔서는 ${runner} 타입이 되지 않습니다.`
+  },
+  ja: {
+    axis: { skinL: '肌の明度(L*)', skinC: '肌の彩度', elemC: '髪・眉・瞳の彩度', hue: '肌の色相角' },
+    undertone: { warm: 'ウォーム', cool: 'クール' },
+    expected: '想定',
+    thisType: 'このタイプ',
+    summary: (type, score, runner, runnerScore) => `${type}のスコアは${score}で、次点の${runner}（${runnerScore}）を上回りました。`,
+    tie: (type, score, runner) => `${type}と${runner}はどちらも${score}で、タイプ順により${type}が選ばれました。`,
+    inside: (label, v, who, [min, max], margin) => `${label} ${v} は${who}の範囲 ${min}–${max} の内側です（最も近い境界まで ${margin}）。`,
+    below: (label, v, who, [min, max], d) => `${label} ${v} は${who}の範囲 ${min}–${max} より ${d} 低い値です。`,
+    above: (label, v, who, [min, max], d) => `${label} ${v} は${who}の範囲 ${min}–${max} より ${d} 高い値です。`,
+    hue: (label, v, base, above, d, tone) => `${label} ${v}° は基準 ${base}° より ${d}° ${above ? '高く' : '低く'}、${tone}と判断されます。`,
+    hueNeutral: (label, v, who) => `${label} ${v}°：${who}はアンダートーンに左右されません。`,
+    notMeasured: label => `${label}は測定されていません。`,
+    decisive: labels => `決め手：${labels.join('、')}。`,
+    flip: (label, from, to, runner) => `${label}が ${from} → ${to} なら${runner}になります。`,
+    noFlip: runner => `測定値を一つ変えるだけでは${runner}にはなりません。`
+  },
+  zh: {
+    axis: { skinL: '皮肤明度(L*)', skinC: '皮肤彩度', elemC: '头发·眉毛·瞳孔彩度', hue: '皮肤色相角' },
+    undertone: { warm: '暖', cool: '冷' },
+    expected: '预期',
+    thisType: '该类型',
+    summary: (type, score, runner, runnerScore) => `${type}得分${score}，高于次选${runner}（${runnerScore}）。`,
+    tie: (type, score, runner) => `${type}与${runner}均为${score}分，按类型顺序选择了${type}。`,
+    inside: (label, v, who, [min, max], margin) => `${label} ${v} 位于${who}范围 ${min}–${max} 之内（距最近边界 ${margin}）。`,
+    below: (label, v, who, [min, max], d) => `${label} ${v} 比${who}范围 ${min}–${max} 低 ${d}。`,
+    above: (label, v, who, [min, max], d) => `${label} ${v} 比${who}范围 ${min}–${max} 高 ${d}。`,
+    hue: (label, v, base, above, d, tone) => `${label} ${v}° 比基准 ${base}° ${above ? '高' : '低'} ${d}°，判断为${tone}调。`,
+    hueNeutral: (label, v, who) => `${label} ${v}°：${who}不受底调影响。`,
+    notMeasured: label => `${label}未测量。`,
+    decisive: labels => `决定因素：${labels.join('、')}。`,
+    flip: (label, from, to, runner) => `${label}从 ${from} 变为 ${to} 时将变为${runner}。`,
+    noFlip: runner => `仅改变单项测量值不会变为${runner}。`
+  }
+};
+
+const EXPLANATION_LANGS = Object.keys(TEXT);
+
+/**
+ * Localized sentences for an explainPersonalColor() result
+ *
+ * @param {Object} explanation - explainPersonalColor() result
+ * @param {string} [lang='en'] - en | ko | ja | zh (others fall back to en)
+ * @param {Object} [options]
+ * @param {boolean} [options.typeNames=true] - false: no sub-type names (summary and flip are omitted)
+ * @returns {Object} { summary, axes: [line], decisive, flip, lines: [all non-null lines in order] }
+ */
+function formatExplanation(explanation, lang = 'en', options = {}) {
+  const t = TEXT[EXPLANATION_LANGS.includes(lang) ? lang : 'en'];
+  const typeNames = options.typeNames !== false;
+  const rangeOwner = typeNames ? explanation.type : t.expected;
+  const label = axis => t.axis[axis];
+  const runner = explanation.runnerUp;
+
+  const axes = explanation.axes.map(a => {
+    if (!a.measured) return t.notMeasured(label(a.axis));
+    if (a.axis === 'hue') {
+      if (a.margin == null) return t.hueNeutral(label('hue'), a.value, typeNames ? explanation.type : t.thisType);
+      const above = a.value >= a.baseline;
+      return t.hue(label('hue'), a.value, a.baseline, above, round(Math.abs(a.value - a.baseline), 1), t.undertone[above ? 'warm' : 'cool']);
+    }
+    if (a.inRange) return t.inside(label(a.axis), a.value, rangeOwner, a.range, a.margin);
+    return (a.value < a.range[0] ? t.below : t.above)(label(a.axis), a.value, rangeOwner, a.range, round(Math.abs(a.margin), 1));
+  });
+
+  const decisive = explanation.decisive.length ? t.decisive(explanation.decisive.map(label)) : null;
+
+  let summary = null;
+  let flip = null;
+  if (typeNames) {
+    summary = explanation.score === runner.score
+      ? t.tie(explanation.type, explanation.score, runner.type)
+      : t.summary(explanation.type, explanation.score, runner.type, runner.score);
+    flip = explanation.flip
+      ? t.flip(label(explanation.flip.axis), explanation.flip.from, explanation.flip.to, runner.type)
+      : t.noFlip(runner.type);
+  }
+
+  return {
+    summary,
+    axes,
+    decisive,
+    flip,
+    lines: [summary, ...axes, decisive, flip].filter(Boolean)
+  };
+}
+
+module.exports = {
+  explainPersonalColor,
+  formatExplanation,
+  EXPLANATION_LANGS
+};
@@ -0,0 +1,50 @@
+/**
+ * MAD outlier rejection across several captures
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { aggregateCaptures } = require('../lib/captureAggregator');
+
+function capture(l, a, b) {
+  return {
+    skinColor: { lab: { l, a, b } },
+    hairColor: { lab: { l: 20, a: 3, b: 5 } }
+  };
+}
+
+const CONSISTENT = [
+  capture(65, 10, 15),
+  capture(66, 10.5, 15.5),
+  capture(64.5, 9.5, 14.5),
+  capture(65.5, 10, 16)
+];
+
+test('a capture far from the median is rejected and left out of the result', () => {
+  const { input, report } = aggregateCaptures([...CONSISTENT, capture(50, 18, 28)]);
+  assert.deepEqual(report.used, [0, 1, 2, 3]);
+  assert.deepEqual(report.rejected, [4]);
+  // median + 3 × scaled MAD is below the just-noticeable floor
+  assert.equal(report.threshold, 4);
+  assert.equal(report.captures[4].status, 'outlier');
+  assert.equal(report.captures[4].deltaE, 15.83);
+  assert.deepEqual(input.skinColor.lab, { l: 65.3, a: 10, b: 15.3 });
+  assert.deepEqual(input.hairColor.lab, { l: 20, a: 3, b: 5 });
+});
+
+test('close captures are all used', () => {
+  const { report } = aggregateCaptures(CONSISTENT.slice(0, 3));
+  assert.deepEqual(report.rejected, []);
+  assert.equal(report.threshold, 4);
+});
+
+test('two captures are too few to tell which one is off', () => {
+  const { input, report } = aggregateCaptures([capture(65, 10, 15), capture(50, 18, 28)]);
+  assert.equal(report.threshold, null);
+  assert.deepEqual(report.rejected, []);
+  assert.deepEqual(input.skinColor.lab, { l: 57.5, a: 14, b: 21.5 });
+});
+
+test('no captures is an error', () => {
+  assert.throws(() => aggregateCaptures([]), /non-empty array/);
+});
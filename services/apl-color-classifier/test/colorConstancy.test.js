@@ -0,0 +1,109 @@
+/**
+ * Bradford adaptation and illuminant estimation against independently
+ * computed values (Bradford cone matrix, Lindbloom's A → D65 matrix)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  estimateIlluminant,
+  adaptLab,
+  correlatedColorTemperature
+} = require('../lib/colorConstancy');
+const { xyzToLab } = require('../lib/labUtils');
+
+const BRADFORD = [
+  [0.8951, 0.2664, -0.1614],
+  [-0.7502, 1.7135, 0.0367],
+  [0.0389, -0.0685, 1.0296]
+];
+const ILLUMINANT_A = [109.850, 100, 35.585];
+const D65 = [95.047, 100, 108.883];
+
+function cone(xyz) {
+  return BRADFORD.map(row => row[0] * xyz[0] + row[1] * xyz[1] + row[2] * xyz[2]);
+}
+
+function assertLab(actual, expected, tolerance = 0.05) {
+  for (const key of ['l', 'a', 'b']) {
+    assert.ok(Math.abs(actual[key] - expected[key]) <= tolerance,
+      `${key}: got ${actual[key]}, expected ${expected[key]}`);
+  }
+}
+
+// Cone response gains of illuminant A relative to D65
+const gainsA = cone(ILLUMINANT_A).map((c, i) => c / cone(D65)[i]);
+
+test('adaptLab maps illuminant A white to D65 white', () => {
+  assertLab(adaptLab(xyzToLab(...ILLUMINANT_A), gainsA), { l: 100, a: 0, b: 0 });
+});
+
+test('adaptLab matches the published Bradford A → D65 matrix', () => {
+  // Lindbloom: M · (40, 35, 10) → L*a*b* (65.33, 2.99, 9.52)
+  assertLab(adaptLab(xyzToLab(40, 35, 10), gainsA), { l: 65.3, a: 3, b: 9.5 });
+});
+
+test('adaptLab leaves colors alone with unit gains', () => {
+  assertLab(adaptLab({ l: 65, a: 12, b: 25 }, [1, 1, 1]), { l: 65, a: 12, b: 25 });
+});
+
+function chromaticity([x, y, z]) {
+  return { x: x / (x + y + z), y: y / (x + y + z) };
+}
+
+test('correlatedColorTemperature is within a kelvin of the published 6504 K and 2856 K', () => {
+  assert.ok(Math.abs(correlatedColorTemperature(chromaticity(D65)) - 6504) <= 1);
+  assert.ok(Math.abs(correlatedColorTemperature(chromaticity(ILLUMINANT_A)) - 2856) <= 1);
+});
+
+test('estimateIlluminant finds illuminant A from a gray background under it', () => {
+  const background = xyzToLab(ILLUMINANT_A[0] * 0.6, 60, ILLUMINANT_A[2] * 0.6);
+  const result = estimateIlluminant({
+    skinColor: { lab: { l: 65, a: 12, b: 25 } },
+    backgroundColor: { lab: background }
+  });
+  assert.equal(result.method, 'whitePatch');
+  assert.equal(result.cct, 2857);
+  assert.deepEqual(result.illuminant.xy, { x: 0.4476, y: 0.4074 });
+  // a saturated background is only partly trusted
+  assert.ok(result.degree > 0 && result.degree < 1);
+});
+
+test('estimateIlluminant without a reference applies no correction', () => {
+  const result = estimateIlluminant({ skinColor: { lab: { l: 65, a: 12, b: 25 } } });
+  assert.equal(result.method, 'none');
+  assert.equal(result.cct, null);
+  assert.deepEqual(result.gains, [1, 1, 1]);
+  assert.equal(result.degree, 0);
+});
+
+test('the skin-neck lighting check uses the chosen deltaE metric', () => {
+  const input = {
+    skinColor: { lab: { l: 65, a: 12, b: 25 } },
+    neckColor: { lab: { l: 58, a: 20, b: 12 } },
+    backgroundColor: { lab: { l: 60, a: 1, b: 3 } }
+  };
+  assert.ok(estimateIlluminant(input).reasons.includes('Skin and neck differ by ΔE 17 — uneven or mixed lighting'));
+  const ciede2000 = estimateIlluminant(input, { metric: 'ciede2000' });
+  assert.ok(ciede2000.reasons.includes('Skin and neck differ by ΔE 14.4 — uneven or mixed lighting'));
+  assert.throws(() => estimateIlluminant(input, { metric: 'cie2001' }), /Unknown deltaE metric/);
+});
+
+test('near-black references are skipped instead of dividing by zero', () => {
+  const skinColor = { lab: { l: 65, a: 12, b: 25 } };
+  for (const lab of [{ l: 0, a: 0, b: 0 }, { l: 0.5, a: 2, b: -3 }]) {
+    const result = estimateIlluminant({ skinColor, backgroundColor: { lab } });
+    assert.equal(result.method, 'none');
+    assert.deepEqual(result.gains, [1, 1, 1]);
+    assert.equal(result.reasons[0], `background is too dark (L* ${lab.l}), not used`);
+  }
+});
+
+test('gains no light source produces are not applied', () => {
+  const result = estimateIlluminant({
+    skinColor: { lab: { l: 65, a: 12, b: 25 } },
+    backgroundColor: { lab: { l: 30, a: -60, b: 70 } }
+  });
+  assert.equal(result.method, 'none');
+  assert.deepEqual(result.gains, [1, 1, 1]);
+});
@@ -0,0 +1,51 @@
+/**
+ * Face shape reference ranges, the symmetry discount and undetermined input
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyFaceShape } = require('../lib/faceClassifier');
+
+test('classic oval proportions', () => {
+  const result = classifyFaceShape({
+    heightRatio: 1.4, foreheadRatio: 0.9, jawRatio: 0.8,
+    jawAngle: 128, chinPointedness: 0.5, cheekboneProminence: 1.1, lowerFaceRatio: 0.33
+  });
+  assert.equal(result.type, 'Oval');
+  assert.equal(result.confidence, 1);
+});
+
+test('the jaw angle separates Square from Round', () => {
+  const proportions = { heightRatio: 1.15, foreheadRatio: 0.95, jawRatio: 0.95 };
+  assert.equal(classifyFaceShape({ ...proportions, jawAngle: 115 }).type, 'Square');
+  assert.equal(classifyFaceShape({ ...proportions, jawAngle: 145 }).type, 'Round');
+});
+
+test('a narrow forehead over a wide jaw is Triangle', () => {
+  const result = classifyFaceShape({ heightRatio: 1.25, foreheadRatio: 0.78, jawRatio: 1.0, jawAngle: 120 });
+  assert.equal(result.type, 'Triangle');
+});
+
+test('partial proportions still classify and report only what was measured', () => {
+  const result = classifyFaceShape({ heightRatio: 1.4, foreheadRatio: 0.9 });
+  assert.equal(result.type, 'Oval');
+  assert.equal(result.proportions.jawRatio, undefined);
+});
+
+test('an asymmetric face lowers confidence', () => {
+  const result = classifyFaceShape({ heightRatio: 1.4, foreheadRatio: 0.9, jawRatio: 0.8, symmetry: 0.7 });
+  assert.equal(result.type, 'Oval');
+  assert.equal(result.confidence, 0.78);
+});
+
+test('no core ratio leaves the shape undetermined', () => {
+  const result = classifyFaceShape({ jawAngle: 120 });
+  assert.equal(result.type, null);
+  assert.equal(result.confidence, 0);
+  assert.equal(result.undetermined, true);
+  assert.deepEqual(result.proportions, {});
+});
+
+test('missing input is an error', () => {
+  assert.throws(() => classifyFaceShape(), /faceProportions is required/);
+});
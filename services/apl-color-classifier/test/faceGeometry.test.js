@@ -0,0 +1,110 @@
+/**
+ * faceProportions from synthetic Face Landmarker points: a frontal face of
+ * known pixel widths, the same face in another aspect ratio and rolled, and
+ * the degenerate payloads validateLandmarks must refuse
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { measureLandmarks, validateLandmarks, faceAnalysisFromLandmarks } = require('../lib/faceGeometry');
+
+const WIDTH = 640;
+const HEIGHT = 480;
+
+// Frontal face centered at x = 320 (pixels): cheekbones 156 wide, forehead 132,
+// jaw 124, top → menton 280, glabella → nose base 110, nose base → menton 120
+function makeLandmarks(options = {}) {
+  const skew = options.skew || 0;
+  const points = Array.from({ length: 478 }, () => [0.5, 0.5, 0]);
+  const set = (index, x, y) => { points[index] = [x / WIDTH, y / HEIGHT, 0]; };
+  set(10, 320, 120); set(152, 320, 400); set(9, 320, 170); set(2, 320, 280);
+  set(54, 254, 150); set(284, 386 + skew, 150);
+  set(234, 242, 230); set(454, 398 + skew, 230);
+  set(172, 258, 330); set(397, 382 + skew, 330);
+  set(148, 295, 385); set(377, 345, 385);
+  set(127, 244, 200); set(356, 396 + skew, 200);
+  set(33, 275, 200); set(263, 365 + skew, 200);
+  set(61, 295, 320); set(291, 345 + skew, 320);
+  return { points, imageWidth: WIDTH, imageHeight: HEIGHT };
+}
+
+const EXPECTED = {
+  foreheadRatio: 0.846, // 132 / 156
+  jawRatio: 0.795, // 124 / 156
+  heightRatio: 1.795, // 280 / 156
+  jawAngle: 147.6,
+  chinPointedness: 0.74,
+  midfaceRatio: 0.324, // 110 / (2 · 110 + 120)
+  lowerFaceRatio: 0.353, // 120 / 340
+  symmetry: 1
+};
+
+test('measures the proportions of a frontal face', () => {
+  const landmarks = makeLandmarks();
+  assert.equal(validateLandmarks(landmarks), null);
+  assert.deepEqual(measureLandmarks(landmarks).faceProportions, EXPECTED);
+});
+
+test('the image aspect ratio does not skew widths', () => {
+  const landmarks = makeLandmarks();
+  landmarks.imageWidth = WIDTH * 2;
+  landmarks.points = landmarks.points.map(([x, y, z]) => [x / 2, y, z]);
+  assert.deepEqual(measureLandmarks(landmarks).faceProportions, EXPECTED);
+});
+
+test('head roll does not change the proportions', () => {
+  const landmarks = makeLandmarks();
+  const angle = 20 * Math.PI / 180;
+  landmarks.points = landmarks.points.map(([x, y, z]) => {
+    const dx = x * WIDTH - 320;
+    const dy = y * HEIGHT - 260;
+    return [
+      (320 + dx * Math.cos(angle) - dy * Math.sin(angle)) / WIDTH,
+      (260 + dx * Math.sin(angle) + dy * Math.cos(angle)) / HEIGHT,
+      z
+    ];
+  });
+  assert.deepEqual(measureLandmarks(landmarks).faceProportions, EXPECTED);
+});
+
+test('a one-sided face lowers symmetry', () => {
+  assert.equal(measureLandmarks(makeLandmarks({ skew: 20 })).faceProportions.symmetry, 0.862);
+});
+
+test('sampled pixels become part colors', () => {
+  const landmarks = makeLandmarks();
+  landmarks.samples = { skin: [[200, 160, 140], [210, 170, 150], [190, 150, 130]], hair: [[40, 30, 25]] };
+  assert.equal(validateLandmarks(landmarks), null);
+  const faceAnalysis = faceAnalysisFromLandmarks({ landmarks });
+  assert.deepEqual(faceAnalysis.skinColor, { rgb: { r: 200, g: 160, b: 140 }, lab: { l: 69, a: 11.9, b: 16 } });
+  assert.equal(faceAnalysis.landmarks, undefined);
+  assert.equal(faceAnalysis.geometry.version, 1);
+});
+
+test('refuses coinciding points', () => {
+  const landmarks = makeLandmarks();
+  landmarks.points = landmarks.points.map(() => [0.5, 0.5, 0]);
+  assert.match(validateLandmarks(landmarks), /face under 20 px/);
+});
+
+test('refuses cheekbones on the midline', () => {
+  const landmarks = makeLandmarks();
+  landmarks.points[234] = [0.5, 200 / HEIGHT, 0];
+  landmarks.points[454] = [0.5, 260 / HEIGHT, 0];
+  assert.match(validateLandmarks(landmarks), /not describe a frontal face/);
+});
+
+test('refuses a nose base above the glabella', () => {
+  const landmarks = makeLandmarks();
+  landmarks.points[2] = [0.5, 160 / HEIGHT, 0];
+  assert.equal(validateLandmarks(landmarks), 'landmarks give no valid face thirds');
+});
+
+test('refuses malformed payloads', () => {
+  const landmarks = makeLandmarks();
+  assert.match(validateLandmarks({ ...landmarks, points: landmarks.points.slice(1) }), /must be the 478/);
+  assert.match(validateLandmarks({ ...landmarks, imageWidth: 0 }), /must be positive numbers/);
+  assert.match(validateLandmarks({ ...landmarks, geometryVersion: 99 }), /geometryVersion must be one of/);
+  assert.match(validateLandmarks({ ...landmarks, samples: { nose: [[1, 2, 3]] } }), /samples\.nose is not one of/);
+  assert.equal(validateLandmarks(null), 'landmarks must be an object');
+});
@@ -0,0 +1,42 @@
+/**
+ * deltaE94 / deltaE2000 against the published reference vectors
+ * (data/deltaEReference.json), plus the shared round/median helpers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deltaE94, deltaE2000, deltaE76, round, median } = require('../lib/labUtils');
+const reference = require('../data/deltaEReference.json');
+
+// Sharma data is published to 4 decimals
+const TOLERANCE = 1e-4;
+
+test('deltaE2000 matches the Sharma reference pairs in both orders', () => {
+  reference.ciede2000.forEach((pair, i) => {
+    assert.ok(Math.abs(deltaE2000(pair.lab1, pair.lab2) - pair.deltaE) <= TOLERANCE, `pair ${i + 1}`);
+    assert.ok(Math.abs(deltaE2000(pair.lab2, pair.lab1) - pair.deltaE) <= TOLERANCE, `pair ${i + 1} swapped`);
+  });
+});
+
+test('deltaE94 matches the reference pairs for each application', () => {
+  reference.cie94.forEach((pair, i) => {
+    const actual = deltaE94(pair.lab1, pair.lab2, { application: pair.application });
+    assert.ok(Math.abs(actual - pair.deltaE) <= TOLERANCE, `pair ${i + 1} (${pair.application})`);
+  });
+});
+
+test('deltaE76 is the euclidean distance', () => {
+  assert.equal(deltaE76({ l: 50, a: 0, b: 0 }, { l: 53, a: 4, b: 0 }), 5);
+});
+
+test('round defaults to 2 decimals', () => {
+  assert.equal(round(1.23456), 1.23);
+  assert.equal(round(1.23456, 3), 1.235);
+  assert.equal(round(2.5, 0), 3);
+});
+
+test('median of odd, even and unsorted values', () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+  assert.equal(median([7]), 7);
+});
@@ -0,0 +1,98 @@
+/**
+ * Score → probability calibration and the type/season it reports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  typeProbabilities,
+  seasonProbabilities,
+  calibrationOf,
+  entropy,
+  propagateNoise
+} = require('../lib/probability');
+const { loadParameters, validateParameters } = require('../lib/parameters');
+const { classifyPersonalColor } = require('..');
+
+const SCORES = [
+  { type: 'Spring Light', score: 1 },
+  { type: 'Winter Deep', score: 0 }
+];
+
+test('temperature calibration is a softmax of score / T', () => {
+  const probs = typeProbabilities(SCORES, { method: 'temperature', temperature: 1 });
+  const expected = Math.E / (Math.E + 1);
+  assert.ok(Math.abs(probs['Spring Light'] - expected) < 1e-12);
+  assert.ok(Math.abs(probs['Spring Light'] + probs['Winter Deep'] - 1) < 1e-12);
+});
+
+test('a lower temperature is more confident', () => {
+  const scores = [{ type: 'Spring Light', score: 1 }, { type: 'Winter Deep', score: 0.92 }];
+  // 0.08 apart at T = 0.08 is the same e : 1 split as 1 apart at T = 1
+  const probs = typeProbabilities(scores, { method: 'temperature', temperature: 0.08 });
+  assert.ok(Math.abs(probs['Spring Light'] - Math.E / (Math.E + 1)) < 1e-12);
+});
+
+test('platt calibration normalizes sigmoid(a · score + b)', () => {
+  const probs = typeProbabilities(SCORES, { method: 'platt', a: 2, b: -1 });
+  const high = 1 / (1 + Math.exp(-1));
+  const low = 1 / (1 + Math.exp(1));
+  assert.ok(Math.abs(probs['Spring Light'] - high / (high + low)) < 1e-12);
+});
+
+test('seasons sum their types', () => {
+  const seasons = seasonProbabilities({ 'Spring Light': 0.3, 'Spring Soft': 0.2, 'Winter Deep': 0.5 });
+  assert.deepEqual(seasons, { Spring: 0.5, Summer: 0, Autumn: 0, Winter: 0.5 });
+});
+
+test('entropy in bits', () => {
+  assert.equal(entropy({ a: 0.5, b: 0.5 }), 1);
+  assert.equal(entropy({ a: 1, b: 0 }), 0);
+});
+
+test('calibrationOf falls back to the default and rejects unusable constants', () => {
+  assert.deepEqual(calibrationOf({}), { method: 'temperature', temperature: 0.08 });
+  assert.deepEqual(calibrationOf({ calibration: { method: 'platt', a: 9, b: -2, report: {} } }),
+    { method: 'platt', a: 9, b: -2 });
+  assert.throws(() => calibrationOf({ version: 3, calibration: { method: 'temperature', temperature: 0 } }),
+    /Invalid calibration in parameters v3/);
+  assert.throws(() => calibrationOf({ calibration: { method: 'platt', a: 1 } }), /Invalid calibration/);
+});
+
+// Spring holds 4 types, Autumn 3: summed, Spring wins on near-misses alone
+const AUTUMN_AHEAD = [
+  { type: 'Autumn Mute', score: 0.5 },
+  { type: 'Spring Light', score: 0.47 },
+  { type: 'Spring Clear', score: 0.47 },
+  { type: 'Spring Soft', score: 0.45 }
+];
+
+test('the classified type is the top scorer even when its season sums lower', () => {
+  const result = classifyPersonalColor({ skinColor: { lab: { l: 44, a: 4, b: 14 } } });
+  assert.equal(result.type, 'Autumn Mute');
+  assert.equal(result.season, 'Autumn');
+  assert.equal(result.type, result.typeScores[0].type);
+  assert.ok(result.probabilities.seasons.Spring > result.probabilities.seasons.Autumn);
+});
+
+test('tied top scores keep the type order', () => {
+  const result = classifyPersonalColor({ skinColor: { lab: { l: 40, a: 2, b: 2 } } });
+  assert.equal(result.type, 'Summer Light');
+  assert.equal(result.season, 'Summer');
+  assert.deepEqual(result.alternates.map(a => a.type).slice(0, 2), ['Summer Bright', 'Summer Mute']);
+});
+
+test('stability counts the top type and its season, not the summed seasons', () => {
+  const result = propagateNoise({ skin: { l: 44, a: 4, b: 14 } }, () => AUTUMN_AHEAD, { method: 'temperature', temperature: 0.08 },
+    { samples: 20, type: 'Autumn Mute' });
+  assert.equal(result.typeStability, 1);
+  assert.equal(result.seasonStability, 1);
+  assert.ok(result.seasons.Spring.mean > result.seasons.Autumn.mean);
+});
+
+test('validateParameters rejects a parameter set missing a type', () => {
+  const params = JSON.parse(JSON.stringify(loadParameters()));
+  assert.equal(validateParameters(params), params);
+  delete params.colorTypes['Autumn Deep'];
+  assert.throws(() => validateParameters(params), /missing color type "Autumn Deep"/);
+});
@@ -0,0 +1,76 @@
+/**
+ * Conversation Helpers
+ * Server-issued chat credentials and token-budget history trimming.
+ *
+ * A conversation is addressed by a public conversationId and authorized by a
+ * secret token returned once at creation. Only the SHA-256 of the token is
+ * stored.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Rough token estimate without a tokenizer:
+ *   CJK / Hangul / Kana ≈ 1 token per character, other text ≈ 4 chars per token
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(/[\u1100-\u11ff\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * Keep the most recent messages that fit in the token budget.
+ * The kept window always starts with a user turn so the model never sees an
+ * orphaned reply first.
+ *
+ * @param {Object[]} messages - [{ role: 'user' | 'model', text }], oldest first
+ * @param {number} budget - max estimated tokens
+ * @returns {Object[]} trimmed messages, oldest first
+ */
+function trimHistory(messages, budget) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].text);
+    if (used + cost > budget) break;
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+
+  while (kept.length > 0 && kept[0].role !== 'user') kept.shift();
+  return kept;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @returns {Object} { conversationId, token, tokenHash }
+ */
+function createCredentials() {
+  const conversationId = `CHAT-${crypto.randomBytes(12).toString('base64url')}`;
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { conversationId, token, tokenHash: hashToken(token) };
+}
+
+/**
+ * Constant-time check of a client token against the stored hash
+ */
+function verifyToken(token, tokenHash) {
+  if (!token || !tokenHash) return false;
+  const a = Buffer.from(hashToken(String(token)), 'hex');
+  const b = Buffer.from(tokenHash, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  estimateTokens,
+  trimHistory,
+  createCredentials,
+  verifyToken
+};
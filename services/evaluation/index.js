@@ -0,0 +1,133 @@
+/**
+ * Classifier Evaluation
+ *
+ * Runs the classifiers over a labeled consultation dataset and measures
+ * them, so every threshold change can be compared against the accuracies
+ * quoted in the classifier comments.
+ *
+ * Tasks (each only on records that have the needed input and label):
+ *   personalColor       — apl-color-classifier classifyPersonalColor, 14 types
+ *   personalColorSeason — the season of that 14-type result
+ *   warmCool            — warm-cool-classifier classifyWarmCool, Warm vs Cool (score ≥ 0.5)
+ *   season              — warm-cool-classifier classifySeason, 4 seasons
+ *   faceShape           — apl-color-classifier classifyFaceShape
+ *   bodyType            — apl-color-classifier classifyBodyType
+ *
+ * Labels not given explicitly are derived where unambiguous: season from
+ * type, warm/cool from type hue (or season).
+ *
+ * Usage:
+ *   const { loadDataset, evaluate, formatReport } = require('./evaluation');
+ *   const { records } = loadDataset('consultations.csv');
+ *   console.log(formatReport(evaluate(records)));
+ */
+
+const { loadDataset, parseDataset } = require('./lib/dataset');
+const { summarize, confusionMatrix, perClassMetrics, calibrationCurve } = require('./lib/metrics');
+const { TASKS, DEFAULT_CLASSIFIERS, UNCLASSIFIED, classifiersFor } = require('./lib/tasks');
+
+/**
+ * Evaluate classifiers on labeled records
+ *
+ * @param {Object[]} records - loadDataset() / parseDataset() records
+ * @param {Object} [options]
+ * @param {string[]} [options.tasks] - subset of TASKS (default: all)
+ * @param {number} [options.bins=10] - calibration bins
+ * @param {boolean} [options.extras=true] - pass hair/eye/lip/neck to the warm-cool module
+ * @param {Object} [options.classifiers] - replacement classifier functions (same signatures)
+ * @returns {Object} {
+ *   records,
+ *   tasks: { [task]: { evaluated, accuracy, macroF1, perClass, confusion, calibration,
+ *                      skipped: { noLabel, noInput } } }
+ * }
+ */
+function evaluate(records, options = {}) {
+  const taskNames = options.tasks || Object.keys(TASKS);
+  const unknown = taskNames.filter(t => !TASKS[t]);
+  if (unknown.length) throw new Error(`Unknown evaluation task(s): ${unknown.join(', ')}`);
+
+  const runOptions = {
+    extras: options.extras !== false,
+    classifiers: { ...DEFAULT_CLASSIFIERS, ...options.classifiers }
+  };
+
+  const tasks = {};
+  for (const name of taskNames) {
+    const task = TASKS[name];
+    const predictions = [];
+    const skipped = { noLabel: 0, noInput: 0 };
+
+    for (const record of records) {
+      const label = task.label(record);
+      if (!label) { skipped.noLabel++; continue; }
+      const prediction = task.predict(record, runOptions);
+      if (!prediction) { skipped.noInput++; continue; }
+      predictions.push({ id: record.id, label, ...prediction });
+    }
+
+    const classes = predictions.some(p => p.predicted === UNCLASSIFIED)
+      ? [...task.classes, UNCLASSIFIED]
+      : task.classes;
+    tasks[name] = { ...summarize(predictions, { classes, bins: options.bins }), skipped };
+  }
+
+  return { records: records.length, tasks };
+}
+
+// ─── Text report ───
+
+function pct(value) {
+  return value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function formatConfusion({ labels, matrix }) {
+  const used = labels.map((_, i) => matrix[i].some(v => v) || matrix.some(row => row[i]));
+  const shown = labels.filter((_, i) => used[i]);
+  const idx = labels.map((_, i) => i).filter(i => used[i]);
+  const width = Math.max(6, ...shown.map(l => l.length)) + 1;
+  const head = ''.padEnd(width) + idx.map(i => String(i + 1).padStart(5)).join('');
+  const rows = idx.map(i => `${labels[i].padEnd(width)}${idx.map(j => String(matrix[i][j]).padStart(5)).join('')}`);
+  const legend = idx.map(i => `${i + 1}=${labels[i]}`).join(', ');
+  return [`  actual \\ predicted (${legend})`, '  ' + head, ...rows.map(r => '  ' + r)].join('\n');
+}
+
+/**
+ * Human-readable report of evaluate() output
+ */
+function formatReport(report) {
+  const lines = [`Records: ${report.records}`];
+  for (const [name, t] of Object.entries(report.tasks)) {
+    lines.push('', `── ${name} ──`);
+    if (!t.evaluated) {
+      lines.push(`  no records with input and label (skipped: ${t.skipped.noLabel} no label, ${t.skipped.noInput} no input)`);
+      continue;
+    }
+    lines.push(`  evaluated ${t.evaluated} (skipped: ${t.skipped.noLabel} no label, ${t.skipped.noInput} no input)`);
+    lines.push(`  accuracy ${pct(t.accuracy)}   macro F1 ${t.macroF1.toFixed(3)}   ECE ${t.calibration.ece.toFixed(3)}   Brier ${t.calibration.brier.toFixed(3)}`);
+    lines.push('', '  class                  precision  recall      F1  support');
+    for (const [cls, m] of Object.entries(t.perClass)) {
+      if (!m.support && !m.precision) continue;
+      lines.push(`  ${cls.padEnd(22)} ${pct(m.precision)}  ${pct(m.recall)}  ${m.f1.toFixed(3).padStart(6)}  ${String(m.support).padStart(7)}`);
+    }
+    lines.push('', formatConfusion(t.confusion));
+    lines.push('', '  calibration   confidence  accuracy  count');
+    for (const b of t.calibration.bins) {
+      if (!b.count) continue;
+      lines.push(`  ${b.from.toFixed(1)}–${b.to.toFixed(1)}       ${pct(b.meanConfidence)}    ${pct(b.accuracy)}  ${String(b.count).padStart(5)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  evaluate,
+  formatReport,
+  loadDataset,
+  parseDataset,
+  confusionMatrix,
+  perClassMetrics,
+  calibrationCurve,
+  summarize,
+  classifiersFor,
+  TASKS
+};
@@ -0,0 +1,180 @@
+/**
+ * Probability Calibration
+ *
+ * Fits how classifyPersonalColor turns its 14 match scores into
+ * probabilities (apl-color-classifier lib/probability.js) by minimizing the
+ * negative log-likelihood of the expert label:
+ *   temperature  p ∝ exp(score / T)         — one constant, golden-section search
+ *   platt        p ∝ sigmoid(a · score + b) — two constants, gradient descent
+ * The match scores themselves (ranges, hue baseline) are left untouched, so
+ * the predicted type does not change, only how sure it claims to be.
+ */
+
+const {
+  classifyPersonalColor,
+  typeProbabilities,
+  DEFAULT_CALIBRATION
+} = require('../../apl-color-classifier');
+const { calibrationOf } = require('../../apl-color-classifier/lib/probability');
+const { TASKS, colorInput } = require('./tasks');
+const { calibrationCurve } = require('./metrics');
+const { createRandom, makeFolds } = require('./optimizer');
+const { round } = require('../../apl-color-classifier/lib/labUtils');
+
+const METHODS = ['temperature', 'platt'];
+const BETA_RANGE = [1, 400]; // 1 / T
+const EPSILON = 1e-12;
+
+/**
+ * Labeled records → [{ label, predicted, scores }] scored once with params
+ */
+function scoreRecords(records, params) {
+  const task = TASKS.personalColor;
+  return records
+    .map(record => ({ record, label: task.label(record) }))
+    .filter(r => r.label)
+    .map(({ record, label }) => {
+      const r = classifyPersonalColor(colorInput(record), { params });
+      return { label, predicted: r.type, scores: r.typeScores };
+    });
+}
+
+function negLogLikelihood(samples, calibration) {
+  let sum = 0;
+  for (const s of samples) {
+    const probs = typeProbabilities(s.scores, calibration);
+    sum -= Math.log(Math.max(probs[s.label] || 0, EPSILON));
+  }
+  return sum / samples.length;
+}
+
+/**
+ * Top-label reliability (ECE / Brier) of a calibration
+ */
+function reliability(samples, calibration) {
+  const predictions = samples.map(s => ({
+    label: s.label,
+    predicted: s.predicted,
+    confidence: typeProbabilities(s.scores, calibration)[s.predicted]
+  }));
+  const { ece, brier } = calibrationCurve(predictions);
+  return { ece, brier };
+}
+
+function fitTemperature(samples) {
+  const nll = beta => negLogLikelihood(samples, { method: 'temperature', temperature: 1 / beta });
+  // NLL is convex in 1/T: golden-section search
+  const phi = (Math.sqrt(5) - 1) / 2;
+  let [lo, hi] = BETA_RANGE;
+  let x1 = hi - phi * (hi - lo);
+  let x2 = lo + phi * (hi - lo);
+  let f1 = nll(x1);
+  let f2 = nll(x2);
+  while (hi - lo > 0.01) {
+    if (f1 < f2) {
+      hi = x2; x2 = x1; f2 = f1;
+      x1 = hi - phi * (hi - lo); f1 = nll(x1);
+    } else {
+      lo = x1; x1 = x2; f1 = f2;
+      x2 = lo + phi * (hi - lo); f2 = nll(x2);
+    }
+  }
+  return { method: 'temperature', temperature: round(2 / (lo + hi), 5) };
+}
+
+function fitPlatt(samples, options = {}) {
+  const iterations = options.iterations || 500;
+  const nll = ([a, b]) => negLogLikelihood(samples, { method: 'platt', a, b });
+  let point = [1 / DEFAULT_CALIBRATION.temperature, 0];
+  let value = nll(point);
+  let step = 1;
+  const h = 1e-4;
+
+  for (let i = 0; i < iterations && step > 1e-6; i++) {
+    const grad = point.map((_, d) => {
+      const shifted = point.slice();
+      shifted[d] += h;
+      return (nll(shifted) - value) / h;
+    });
+    // Backtracking: halve the step until the loss goes down
+    let moved = false;
+    while (step > 1e-6) {
+      const next = point.map((p, d) => p - step * grad[d]);
+      const nextValue = nll(next);
+      if (nextValue < value) {
+        point = next;
+        value = nextValue;
+        step *= 1.5;
+        moved = true;
+        break;
+      }
+      step /= 2;
+    }
+    if (!moved) break;
+  }
+  return { method: 'platt', a: round(point[0], 4), b: round(point[1], 4) };
+}
+
+function fitOn(samples, method) {
+  return method === 'platt' ? fitPlatt(samples) : fitTemperature(samples);
+}
+
+/**
+ * Fit a calibration with k-fold cross-validated NLL against the current one
+ *
+ * @param {Object[]} records - loadDataset() records (14-type labels used)
+ * @param {Object} params - apl-color-classifier parameter set to calibrate
+ * @param {Object} [options]
+ * @param {string} [options.method='temperature'] - temperature | platt
+ * @param {number} [options.folds=5]
+ * @param {number} [options.seed=1]
+ * @returns {Object} {
+ *   calibration: fitted on all records,
+ *   report: { method, records, baseVersion, baseline: { calibration, nll, ece, brier },
+ *             fitted: { nll, ece, brier }, cv: { k, baselineNll, fittedNll } | null }
+ * }
+ */
+function fitCalibration(records, params, options = {}) {
+  const method = options.method || 'temperature';
+  if (!METHODS.includes(method)) throw new Error(`Unknown calibration method: ${method} (use ${METHODS.join(', ')})`);
+  const folds = options.folds == null ? 5 : options.folds;
+
+  const samples = scoreRecords(records, params);
+  if (samples.length < Math.max(folds, 2) * 2) {
+    throw new Error(`Need at least ${Math.max(folds, 2) * 2} type-labeled records, got ${samples.length}`);
+  }
+  const baseCalibration = calibrationOf(params);
+
+  let cv = null;
+  if (folds > 1) {
+    let baselineSum = 0;
+    let fittedSum = 0;
+    for (const testIdx of makeFolds(samples.length, folds, createRandom(options.seed || 1))) {
+      const testSet = new Set(testIdx);
+      const test = testIdx.map(i => samples[i]);
+      const fitted = fitOn(samples.filter((_, i) => !testSet.has(i)), method);
+      baselineSum += negLogLikelihood(test, baseCalibration) * test.length;
+      fittedSum += negLogLikelihood(test, fitted) * test.length;
+    }
+    cv = { k: folds, baselineNll: round(baselineSum / samples.length, 4), fittedNll: round(fittedSum / samples.length, 4) };
+  }
+
+  const calibration = fitOn(samples, method);
+  return {
+    calibration,
+    report: {
+      method,
+      records: samples.length,
+      baseVersion: params.version,
+      baseline: { calibration: baseCalibration, nll: round(negLogLikelihood(samples, baseCalibration), 4), ...reliability(samples, baseCalibration) },
+      fitted: { nll: round(negLogLikelihood(samples, calibration), 4), ...reliability(samples, calibration) },
+      cv
+    }
+  };
+}
+
+module.exports = {
+  fitCalibration,
+  negLogLikelihood,
+  METHODS
+};
@@ -0,0 +1,195 @@
+/**
+ * Labeled Dataset Loader
+ *
+ * Reads consultation records (CSV or JSONL) into the measurement shape the
+ * classifiers take, plus the expert labels.
+ *
+ * CSV / flat JSONL columns (case and "_" ignored, so skin_l = skinL = SkinL):
+ *   skin_l, skin_a, skin_b          (required)
+ *   hair_*, eye_*, eyebrow_*, lip_*, neck_*   (optional, same l/a/b suffixes)
+ *   forehead_ratio, jaw_ratio, height_ratio, jaw_angle, chin_pointedness,
+ *   cheekbone_prominence (or cheekbone_width), midface_ratio, lower_face_ratio, symmetry
+ *   shoulder_hip_ratio, waist_hip_ratio, torso_leg_ratio
+ *   type, season, warm_cool, face_shape, body_type   (expert labels, any subset)
+ *
+ * Nested JSONL is accepted as well:
+ *   { "skin": { "l", "a", "b" }, "hair": {...}, "faceProportions": {...},
+ *     "bodyProportions": {...}, "label": { "type", "season", "warmCool", "faceShape", "bodyType" } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COLOR_PARTS = ['skin', 'hair', 'eye', 'eyebrow', 'lip', 'neck'];
+const FACE_FIELDS = [
+  'foreheadRatio', 'jawRatio', 'heightRatio', 'jawAngle', 'chinPointedness',
+  'cheekboneProminence', 'cheekboneWidth', 'midfaceRatio', 'lowerFaceRatio', 'symmetry'
+];
+const BODY_FIELDS = ['shoulderHipRatio', 'waistHipRatio', 'torsoLegRatio'];
+const LABEL_FIELDS = ['type', 'season', 'warmCool', 'faceShape', 'bodyType'];
+
+function keyOf(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Minimal RFC 4180 parser — quoted fields, escaped quotes, CRLF
+ *
+ * @param {string} text
+ * @returns {Object[]} one object per data row, keyed by header
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+  if (!nonEmpty.length) return [];
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => {
+    const obj = {};
+    header.forEach((h, i) => { obj[h] = values[i] !== undefined ? values[i].trim() : ''; });
+    return obj;
+  });
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toLabel(value) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  return s === '' ? null : s;
+}
+
+function labFrom(obj) {
+  if (!obj) return null;
+  const lab = obj.lab || obj;
+  const l = toNumber(lab.l), a = toNumber(lab.a), b = toNumber(lab.b);
+  return l === null || a === null || b === null ? null : { l, a, b };
+}
+
+function pick(flat, fields) {
+  const out = {};
+  let found = false;
+  for (const field of fields) {
+    const value = toNumber(flat[keyOf(field)]);
+    if (value !== null) { out[field] = value; found = true; }
+  }
+  return found ? out : null;
+}
+
+/**
+ * Raw row (CSV object or JSONL object) → { measurements, faceProportions, bodyProportions, label }
+ *
+ * @returns {Object|null} null when the row has no usable skin LAB
+ */
+function normalizeRecord(raw, index) {
+  const flat = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (v === null || typeof v !== 'object') flat[keyOf(k)] = v;
+  }
+
+  const colors = {};
+  for (const part of COLOR_PARTS) {
+    colors[part] = labFrom(raw[part] || raw[part + 'Color']) ||
+      labFrom({ l: flat[part + 'l'], a: flat[part + 'a'], b: flat[part + 'b'] });
+  }
+  if (!colors.skin) return null;
+
+  const labelSource = raw.label && typeof raw.label === 'object' ? raw.label : null;
+  const label = {};
+  for (const field of LABEL_FIELDS) {
+    label[field] = toLabel(labelSource ? labelSource[field] : flat[keyOf(field)]);
+  }
+
+  return {
+    id: toLabel(raw.id) || String(index + 1),
+    colors,
+    faceProportions: raw.faceProportions || pick(flat, FACE_FIELDS),
+    bodyProportions: raw.bodyProportions || pick(flat, BODY_FIELDS),
+    label
+  };
+}
+
+/**
+ * Parse dataset text
+ *
+ * @param {string} text
+ * @param {string} format - 'csv' | 'jsonl'
+ * @returns {Object} { records, skipped: [{ line, reason }] }
+ */
+function parseDataset(text, format) {
+  const skipped = [];
+  let rows;
+  if (format === 'jsonl') {
+    rows = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        rows.push({ line: i + 1, raw: JSON.parse(line) });
+      } catch (err) {
+        skipped.push({ line: i + 1, reason: 'invalid JSON' });
+      }
+    });
+  } else if (format === 'csv') {
+    rows = parseCsv(text).map((raw, i) => ({ line: i + 2, raw }));
+  } else {
+    throw new Error(`Unknown dataset format: ${format}`);
+  }
+
+  const records = [];
+  rows.forEach(({ line, raw }, i) => {
+    const record = normalizeRecord(raw, i);
+    if (record) records.push(record);
+    else skipped.push({ line, reason: 'missing skin L*a*b*' });
+  });
+  return { records, skipped };
+}
+
+/**
+ * Load a dataset file; format from the extension (.csv, .jsonl / .ndjson)
+ */
+function loadDataset(file) {
+  const ext = path.extname(file).toLowerCase();
+  const format = ext === '.csv' ? 'csv' : (ext === '.jsonl' || ext === '.ndjson') ? 'jsonl' : null;
+  if (!format) throw new Error(`Unsupported dataset extension "${ext}" (use .csv or .jsonl)`);
+  return parseDataset(fs.readFileSync(file, 'utf8'), format);
+}
+
+module.exports = {
+  loadDataset,
+  parseDataset,
+  parseCsv,
+  normalizeRecord
+};
@@ -0,0 +1,120 @@
+/**
+ * Classification Metrics
+ *
+ * Works on plain prediction lists: [{ label, predicted, confidence }]
+ * where confidence is the score the classifier gave its own answer (0..1).
+ */
+
+const { round } = require('../../apl-color-classifier/lib/labUtils');
+
+/**
+ * @param {Object[]} predictions
+ * @param {string[]} [classes] - fixed class order (default: all seen labels/predictions, sorted)
+ * @returns {Object} { labels, matrix } — matrix[actual][predicted] counts
+ */
+function confusionMatrix(predictions, classes) {
+  const labels = classes || [...new Set(predictions.flatMap(p => [p.label, p.predicted]))].sort();
+  const index = new Map(labels.map((l, i) => [l, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  for (const p of predictions) {
+    if (index.has(p.label) && index.has(p.predicted)) {
+      matrix[index.get(p.label)][index.get(p.predicted)]++;
+    }
+  }
+  return { labels, matrix };
+}
+
+/**
+ * Precision / recall / F1 per class from a confusion matrix
+ */
+function perClassMetrics({ labels, matrix }) {
+  const result = {};
+  labels.forEach((label, i) => {
+    const tp = matrix[i][i];
+    const support = matrix[i].reduce((s, v) => s + v, 0);
+    const predicted = matrix.reduce((s, row) => s + row[i], 0);
+    const precision = predicted ? tp / predicted : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? 2 * precision * recall / (precision + recall) : 0;
+    result[label] = { precision: round(precision, 3), recall: round(recall, 3), f1: round(f1, 3), support };
+  });
+  return result;
+}
+
+/**
+ * Reliability diagram data: equal-width confidence bins
+ *
+ * @param {Object[]} predictions
+ * @param {number} [binCount=10]
+ * @returns {Object} {
+ *   bins: [{ from, to, count, meanConfidence, accuracy }],
+ *   ece: expected calibration error,
+ *   brier: mean (confidence - correct)² of the top label
+ * }
+ */
+function calibrationCurve(predictions, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: i / binCount, to: (i + 1) / binCount, count: 0, confidenceSum: 0, correct: 0
+  }));
+  let brier = 0;
+
+  for (const p of predictions) {
+    const c = Math.min(1, Math.max(0, p.confidence));
+    const bin = bins[Math.min(binCount - 1, Math.floor(c * binCount))];
+    const correct = p.label === p.predicted ? 1 : 0;
+    bin.count++;
+    bin.confidenceSum += c;
+    bin.correct += correct;
+    brier += (c - correct) * (c - correct);
+  }
+
+  const n = predictions.length;
+  let ece = 0;
+  const out = bins.map(b => {
+    const meanConfidence = b.count ? b.confidenceSum / b.count : null;
+    const accuracy = b.count ? b.correct / b.count : null;
+    if (b.count) ece += (b.count / n) * Math.abs(accuracy - meanConfidence);
+    return {
+      from: round(b.from, 2),
+      to: round(b.to, 2),
+      count: b.count,
+      meanConfidence: meanConfidence === null ? null : round(meanConfidence, 3),
+      accuracy: accuracy === null ? null : round(accuracy, 3)
+    };
+  });
+
+  return { bins: out, ece: n ? round(ece, 3) : null, brier: n ? round(brier / n, 3) : null };
+}
+
+/**
+ * All metrics for one task
+ *
+ * @param {Object[]} predictions - [{ label, predicted, confidence }]
+ * @param {Object} [options]
+ * @param {string[]} [options.classes]
+ * @param {number} [options.bins=10]
+ */
+function summarize(predictions, options = {}) {
+  const n = predictions.length;
+  const correct = predictions.filter(p => p.label === p.predicted).length;
+  const confusion = confusionMatrix(predictions, options.classes);
+  const perClass = perClassMetrics(confusion);
+  const supported = Object.values(perClass).filter(c => c.support > 0);
+  const macroF1 = supported.length ? supported.reduce((s, c) => s + c.f1, 0) / supported.length : null;
+
+  return {
+    evaluated: n,
+    accuracy: n ? round(correct / n, 3) : null,
+    macroF1: macroF1 === null ? null : round(macroF1, 3),
+    perClass,
+    confusion,
+    calibration: calibrationCurve(predictions, options.bins)
+  };
+}
+
+module.exports = {
+  confusionMatrix,
+  perClassMetrics,
+  calibrationCurve,
+  summarize
+};
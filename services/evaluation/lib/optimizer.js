@@ -0,0 +1,360 @@
+/**
+ * Parameter Optimizer
+ *
+ * Fits a target's parameters (lib/targets.js) on labeled records:
+ *   1. search — full grid when the space is small enough, otherwise random
+ *      samples around the starting parameters (each value moved by up to
+ *      `spread` steps)
+ *   2. coordinate descent — one parameter at a time, ±step then ±step/2 and
+ *      ±step/4, until a full round brings no improvement
+ * The objective is the task accuracy (or macro F1). Generalisation is
+ * measured by k-fold cross-validation against the starting parameters.
+ */
+
+const crypto = require('crypto');
+const { TASKS, DEFAULT_CLASSIFIERS, UNCLASSIFIED, classifiersFor } = require('./tasks');
+const { summarize } = require('./metrics');
+const { TARGETS } = require('./targets');
+
+const DEFAULTS = {
+  folds: 5,
+  search: 'auto',      // 'auto' | 'grid' | 'random'
+  samples: 200,        // random search samples
+  spread: 3,           // random search: max steps away from the start
+  maxGrid: 5000,       // largest grid 'auto' will enumerate
+  rounds: 5,           // coordinate descent rounds
+  metric: 'accuracy',  // 'accuracy' | 'macroF1'
+  seed: 1
+};
+
+// ─── Helpers ───
+
+/**
+ * Seeded PRNG (mulberry32) so folds and samples are reproducible
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+function getPath(obj, path) {
+  return path.reduce((o, k) => o[k], obj);
+}
+
+function setPath(obj, path, value) {
+  const parent = getPath(obj, path.slice(0, -1));
+  parent[path[path.length - 1]] = value;
+}
+
+function tidy(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function readVector(params, space) {
+  return space.map(dim => getPath(params, dim.paths[0]));
+}
+
+function writeVector(base, space, vector) {
+  const params = clone(base);
+  space.forEach((dim, i) => {
+    for (const path of dim.paths) setPath(params, path, vector[i]);
+  });
+  return params;
+}
+
+function clampToDim(value, dim) {
+  return tidy(Math.min(dim.max, Math.max(dim.min, value)));
+}
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function std(values) {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) * (v - m), 0) / values.length);
+}
+
+// ─── Objective ───
+
+/**
+ * Records that have a label and input for the task, with the label resolved once
+ */
+function prepareRecords(records, task) {
+  return records
+    .map(record => ({ record, label: task.label(record) }))
+    .filter(r => r.label);
+}
+
+/**
+ * Score of a parameter set on prepared records; -Infinity when the
+ * parameters are invalid (e.g. a range with min > max)
+ */
+function scoreParameters(prepared, target, params, options) {
+  const task = TASKS[target.task];
+  let classifiers;
+  try {
+    classifiers = { ...DEFAULT_CLASSIFIERS, ...classifiersFor(params) };
+  } catch (err) {
+    return -Infinity;
+  }
+  const runOptions = { extras: options.extras !== false, classifiers };
+
+  const predictions = [];
+  try {
+    for (const { record, label } of prepared) {
+      const prediction = task.predict(record, runOptions);
+      if (prediction) predictions.push({ label, ...prediction });
+    }
+  } catch (err) {
+    return -Infinity;
+  }
+  if (!predictions.length) return -Infinity;
+
+  if (options.metric === 'macroF1') {
+    const classes = predictions.some(p => p.predicted === UNCLASSIFIED) ? [...task.classes, UNCLASSIFIED] : task.classes;
+    return summarize(predictions, { classes }).macroF1;
+  }
+  return predictions.filter(p => p.predicted === p.label).length / predictions.length;
+}
+
+// ─── Search ───
+
+function gridSize(space) {
+  return space.reduce((n, dim) => n * (Math.floor((dim.max - dim.min) / dim.step) + 1), 1);
+}
+
+function* gridVectors(space) {
+  const levels = space.map(dim => {
+    const values = [];
+    for (let v = dim.min; v <= dim.max + 1e-9; v += dim.step) values.push(tidy(v));
+    return values;
+  });
+  const idx = space.map(() => 0);
+  while (true) {
+    yield idx.map((i, d) => levels[d][i]);
+    let d = space.length - 1;
+    while (d >= 0 && ++idx[d] === levels[d].length) idx[d--] = 0;
+    if (d < 0) return;
+  }
+}
+
+function search(start, space, evaluateVector, options, random) {
+  let best = { vector: start, score: evaluateVector(start) };
+  const useGrid = options.search === 'grid' || (options.search === 'auto' && gridSize(space) <= options.maxGrid);
+
+  if (useGrid) {
+    if (gridSize(space) > options.maxGrid) {
+      throw new Error(`Grid of ${gridSize(space)} points exceeds maxGrid ${options.maxGrid}; use random search`);
+    }
+    for (const vector of gridVectors(space)) {
+      const score = evaluateVector(vector);
+      if (score > best.score) best = { vector, score };
+    }
+    return { ...best, method: 'grid' };
+  }
+
+  for (let i = 0; i < options.samples; i++) {
+    const vector = start.map((value, d) => {
+      const steps = Math.round((random() * 2 - 1) * options.spread);
+      return clampToDim(value + steps * space[d].step, space[d]);
+    });
+    const score = evaluateVector(vector);
+    if (score > best.score) best = { vector, score };
+  }
+  return { ...best, method: 'random' };
+}
+
+function coordinateDescent(start, startScore, space, evaluateVector, options) {
+  let vector = start.slice();
+  let score = startScore;
+  let rounds = 0;
+
+  while (rounds < options.rounds) {
+    rounds++;
+    let improved = false;
+    for (let d = 0; d < space.length; d++) {
+      for (const scale of [1, 0.5, 0.25]) {
+        for (const direction of [1, -1]) {
+          // Keep walking while it helps
+          while (true) {
+            const candidate = vector.slice();
+            candidate[d] = clampToDim(vector[d] + direction * scale * space[d].step, space[d]);
+            if (candidate[d] === vector[d]) break;
+            const candidateScore = evaluateVector(candidate);
+            if (candidateScore <= score) break;
+            vector = candidate;
+            score = candidateScore;
+            improved = true;
+          }
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return { vector, score, rounds };
+}
+
+/**
+ * Fit a target on records, starting from base parameters
+ *
+ * @returns {Object} { params, score, method, rounds }
+ */
+function fitParameters(records, target, base, options, random) {
+  const start = target.fit ? target.fit(clone(base), records, TASKS[target.task].label) : clone(base);
+  const prepared = prepareRecords(records, TASKS[target.task]);
+  const evaluateVector = vector => scoreParameters(prepared, target, writeVector(start, target.space, vector), options);
+
+  const searched = search(readVector(start, target.space), target.space, evaluateVector, options, random);
+  const descended = coordinateDescent(searched.vector, searched.score, target.space, evaluateVector, options);
+
+  return {
+    params: writeVector(start, target.space, descended.vector),
+    score: descended.score,
+    method: searched.method,
+    rounds: descended.rounds
+  };
+}
+
+/**
+ * Shuffle record indexes into k folds
+ */
+function makeFolds(count, k, random) {
+  const order = Array.from({ length: count }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return Array.from({ length: k }, (_, f) => order.filter((_, i) => i % k === f));
+}
+
+/**
+ * Optimize a target with k-fold cross-validation, then refit on all records
+ *
+ * @param {Object[]} records - loadDataset() records
+ * @param {string} targetName - warmCool | season | seasonExtras | personalColor
+ * @param {Object} [options] - see DEFAULTS; options.base overrides the starting parameters
+ * @returns {Object} {
+ *   params: new parameter set (not yet versioned),
+ *   report: { target, task, records, metric, search, cv: { baseline, optimized }, train }
+ * }
+ */
+function optimize(records, targetName, options = {}) {
+  const target = TARGETS[targetName];
+  if (!target) throw new Error(`Unknown optimizer target: ${targetName} (use ${Object.keys(TARGETS).join(', ')})`);
+  const opts = { ...DEFAULTS, ...options };
+  if (target.requiresExtras && opts.extras === false) {
+    throw new Error(`Target ${targetName} fits hair/eye/lip thresholds and cannot run skin-only`);
+  }
+  const base = opts.base || target.loadParameters();
+  const random = createRandom(opts.seed);
+
+  const usable = records.filter(r => TASKS[target.task].label(r));
+  if (usable.length < opts.folds * 2) {
+    throw new Error(`Need at least ${opts.folds * 2} labeled records for ${target.task}, got ${usable.length}`);
+  }
+
+  // k-fold: fit on k-1 folds, score the held-out fold against the base parameters
+  const folds = opts.folds > 1 ? makeFolds(usable.length, opts.folds, random) : [];
+  const baselineScores = [];
+  const optimizedScores = [];
+  for (const testIdx of folds) {
+    const testSet = new Set(testIdx);
+    const train = usable.filter((_, i) => !testSet.has(i));
+    const test = prepareRecords(testIdx.map(i => usable[i]), TASKS[target.task]);
+    const fitted = fitParameters(train, target, base, opts, random);
+    baselineScores.push(scoreParameters(test, target, base, opts));
+    optimizedScores.push(scoreParameters(test, target, fitted.params, opts));
+  }
+
+  const final = fitParameters(usable, target, base, opts, random);
+  const summary = scores => scores.length
+    ? { mean: tidy(mean(scores)), std: tidy(std(scores)), folds: scores.map(tidy) }
+    : null;
+
+  return {
+    params: final.params,
+    report: {
+      target: targetName,
+      task: target.task,
+      records: usable.length,
+      metric: opts.metric,
+      search: final.method,
+      rounds: final.rounds,
+      seed: opts.seed,
+      baseVersion: base.version,
+      cv: { k: opts.folds, baseline: summary(baselineScores), optimized: summary(optimizedScores) },
+      train: {
+        baseline: tidy(scoreParameters(prepareRecords(usable, TASKS[target.task]), target, base, opts)),
+        optimized: tidy(final.score)
+      }
+    }
+  };
+}
+
+/**
+ * Versioned parameter file content for an optimize() result
+ *
+ * @param {Object} result - optimize() output
+ * @param {Object} meta - { version, dataset: { file, sha256 } }
+ */
+function versionParameters(result, meta) {
+  const { package: pkg, version, createdAt, source, ...values } = result.params;
+  return {
+    package: pkg,
+    version: meta.version,
+    createdAt: new Date().toISOString(),
+    source: `optimizer (${result.report.target}, from v${result.report.baseVersion})`,
+    optimization: { ...result.report, dataset: meta.dataset },
+    ...values
+  };
+}
+
+/**
+ * JSON with short arrays / flat objects on one line, like the hand-written files
+ */
+function stringifyParameters(value, indent = '') {
+  const inner = indent + '  ';
+  const isScalar = v => v === null || typeof v !== 'object';
+  const isFlat = v => !isScalar(v) && Object.values(v).every(x => isScalar(x) || (Array.isArray(x) && x.every(isScalar)));
+  if (Array.isArray(value)) {
+    if (value.every(isScalar)) return '[' + value.map(v => JSON.stringify(v)).join(', ') + ']';
+    return '[\n' + value.map(v => inner + stringifyParameters(v, inner)).join(',\n') + '\n' + indent + ']';
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (isFlat(value) && entries.length <= 4 && entries.length > 0) {
+      return '{ ' + entries.map(([k, v]) => `${JSON.stringify(k)}: ${stringifyParameters(v)}`).join(', ') + ' }';
+    }
+    if (!entries.length) return '{}';
+    return '{\n' + entries.map(([k, v]) => `${inner}${JSON.stringify(k)}: ${stringifyParameters(v, inner)}`).join(',\n') + '\n' + indent + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = {
+  optimize,
+  fitParameters,
+  scoreParameters,
+  versionParameters,
+  stringifyParameters,
+  hashText,
+  createRandom,
+  makeFolds,
+  TARGETS,
+  DEFAULTS
+};
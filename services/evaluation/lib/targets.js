@@ -0,0 +1,137 @@
+/**
+ * Optimization Targets
+ *
+ * Which parameters each optimizer target may change, in which steps and
+ * bounds, and which evaluation task scores them.
+ *
+ *   warmCool      — warm-cool-classifier warmCool sigmoid centers / steepness / weights
+ *   season        — warm-cool-classifier Spring/Autumn and Summer/Winter sigmoids,
+ *                   hybrid ratio; season centroids are refitted as class means
+ *   seasonExtras  — warm-cool-classifier hair/eye/lip season sigmoids (extraThresholds);
+ *                   needs records with hair/eye/lip LAB, so not with --skin-only
+ *   personalColor — apl-color-classifier hue baseline and 14-type ranges
+ *                   (paired types keep identical ranges)
+ */
+
+const apl = require('../../apl-color-classifier');
+const warmCool = require('../../warm-cool-classifier');
+
+const SEASONS = Object.keys(apl.SEASON_MAP);
+
+function sigmoidSpace(section, keys, bounds) {
+  const space = [];
+  for (const key of keys) {
+    const [min, max] = bounds[key];
+    space.push({ name: `${section}.${key}.center`, paths: [[section, key, 'center']], step: (max - min) / 40, min, max });
+    space.push({ name: `${section}.${key}.steepness`, paths: [[section, key, 'steepness']], step: 0.05, min: 0.05, max: 2 });
+    space.push({ name: `${section}.${key}.weight`, paths: [[section, key, 'weight']], step: 0.05, min: 0, max: 1 });
+  }
+  return space;
+}
+
+/**
+ * Range ends of the 14 types; paired types (same 3-axis profile) move together
+ */
+function colorTypeSpace() {
+  const groups = [];
+  const seen = new Set();
+  for (const [type, def] of Object.entries(apl.COLOR_TYPES)) {
+    if (seen.has(type)) continue;
+    const members = def.pair ? [type, def.pair] : [type];
+    members.forEach(t => seen.add(t));
+    groups.push(members);
+  }
+
+  const bounds = { skinL: [30, 90], skinC: [0, 40], elemC: [0, 40] };
+  const space = [];
+  for (const members of groups) {
+    for (const key of ['skinL', 'skinC', 'elemC']) {
+      ['min', 'max'].forEach((end, i) => {
+        space.push({
+          name: `${members.join('/')}.${key}.${end}`,
+          paths: members.map(t => ['colorTypes', t, key, i]),
+          step: 1,
+          min: bounds[key][0],
+          max: bounds[key][1]
+        });
+      });
+    }
+  }
+  return space;
+}
+
+/**
+ * Season centroids = mean skin LAB of each season in the training records
+ */
+function fitSeasonCentroids(params, records, labelOf) {
+  const sums = {};
+  for (const record of records) {
+    const season = labelOf(record);
+    if (!season) continue;
+    const s = sums[season] || (sums[season] = { l: 0, a: 0, b: 0, n: 0 });
+    s.l += record.colors.skin.l;
+    s.a += record.colors.skin.a;
+    s.b += record.colors.skin.b;
+    s.n++;
+  }
+  for (const season of SEASONS) {
+    const s = sums[season];
+    if (!s) continue; // keep the previous centroid
+    params.seasonCentroids[season] = {
+      l: Math.round(s.l / s.n * 10) / 10,
+      a: Math.round(s.a / s.n * 10) / 10,
+      b: Math.round(s.b / s.n * 10) / 10
+    };
+  }
+  return params;
+}
+
+const TARGETS = {
+  warmCool: {
+    package: 'warm-cool-classifier',
+    task: 'warmCool',
+    loadParameters: warmCool.loadParameters,
+    listParameterVersions: warmCool.listParameterVersions,
+    space: sigmoidSpace('warmCool', ['chroma', 'bStar', 'aStar'], {
+      chroma: [8, 28], bStar: [6, 24], aStar: [4, 18]
+    })
+  },
+  season: {
+    package: 'warm-cool-classifier',
+    task: 'season',
+    loadParameters: warmCool.loadParameters,
+    listParameterVersions: warmCool.listParameterVersions,
+    space: [
+      ...sigmoidSpace('warmThresholds', ['lightness', 'chroma', 'bStar'], {
+        lightness: [50, 75], chroma: [8, 28], bStar: [6, 24]
+      }),
+      ...sigmoidSpace('coolThresholds', ['lightness', 'chroma', 'bStar'], {
+        lightness: [50, 75], chroma: [8, 28], bStar: [6, 24]
+      }),
+      { name: 'hybridRatio', paths: [['hybridRatio']], step: 0.05, min: 0, max: 1 }
+    ],
+    fit: fitSeasonCentroids
+  },
+  seasonExtras: {
+    package: 'warm-cool-classifier',
+    task: 'season',
+    loadParameters: warmCool.loadParameters,
+    listParameterVersions: warmCool.listParameterVersions,
+    requiresExtras: true,
+    space: sigmoidSpace('extraThresholds', ['hairL', 'eyeL', 'lipC'], {
+      hairL: [5, 60], eyeL: [5, 60], lipC: [10, 60]
+    })
+  },
+  personalColor: {
+    package: 'apl-color-classifier',
+    task: 'personalColor',
+    loadParameters: apl.loadParameters,
+    listParameterVersions: apl.listParameterVersions,
+    space: [
+      { name: 'hueBaseline', paths: [['hueBaseline']], step: 1, min: 40, max: 75 },
+      ...colorTypeSpace()
+    ]
+  }
+};
+
+module.exports = { TARGETS };
@@ -0,0 +1,177 @@
+/**
+ * Evaluation Tasks
+ *
+ * One entry per classifier output: how to read the expert label from a
+ * record and how to get the classifier's answer for it.
+ */
+
+const {
+  classifyPersonalColor,
+  classifyFaceShape,
+  classifyBodyType,
+  COLOR_TYPES,
+  SEASON_MAP,
+  FACE_REFERENCE,
+  BODY_REFERENCE
+} = require('../../apl-color-classifier');
+const { classifyWarmCool, classifySeason } = require('../../warm-cool-classifier');
+
+const SEASONS = Object.keys(SEASON_MAP);
+const WARM_SEASONS = ['Spring', 'Autumn'];
+const UNCLASSIFIED = 'Unclassified';
+
+function matchClass(value, classes) {
+  if (!value) return null;
+  const wanted = value.toLowerCase().replace(/\s+/g, ' ').trim();
+  return classes.find(c => c.toLowerCase() === wanted) || null;
+}
+
+function seasonOfType(type) {
+  return SEASONS.find(s => SEASON_MAP[s].includes(type)) || null;
+}
+
+// ─── Label resolution ───
+
+function typeLabel(record) {
+  return matchClass(record.label.type, Object.keys(COLOR_TYPES));
+}
+
+function seasonLabel(record) {
+  return matchClass(record.label.season, SEASONS) || seasonOfType(typeLabel(record));
+}
+
+function warmCoolLabel(record) {
+  const explicit = record.label.warmCool;
+  if (explicit) {
+    if (/warm/i.test(explicit)) return 'Warm';
+    if (/cool/i.test(explicit)) return 'Cool';
+    return null; // 'Neutral' has no binary ground truth
+  }
+  const type = typeLabel(record);
+  if (type && COLOR_TYPES[type].hue !== 'neutral') return COLOR_TYPES[type].hue === 'warm' ? 'Warm' : 'Cool';
+  const season = seasonLabel(record);
+  if (season) return WARM_SEASONS.includes(season) ? 'Warm' : 'Cool';
+  return null;
+}
+
+function extraOf(record) {
+  const extra = {};
+  for (const part of ['hair', 'eye', 'eyebrow', 'lip', 'neck']) {
+    if (record.colors[part]) extra[part] = record.colors[part];
+  }
+  return extra;
+}
+
+function colorInput(record) {
+  const c = record.colors;
+  return {
+    skinColor: { lab: c.skin },
+    hairColor: c.hair ? { lab: c.hair } : null,
+    eyeColor: c.eye ? { lab: c.eye } : null,
+    eyebrowColor: c.eyebrow ? { lab: c.eyebrow } : null
+  };
+}
+
+// Calibrated probability of the reported class when available, else the match score
+function typeConfidence(r) {
+  return r.probabilities ? r.probabilities.types.find(t => t.type === r.type).probability : r.confidence;
+}
+
+function seasonConfidence(r) {
+  return r.probabilities ? r.probabilities.seasons[r.season] : r.confidence;
+}
+
+// ─── Tasks ───
+// label(record)   → expert label or null (record skipped)
+// predict(record, options) → { predicted, confidence } or null (no input)
+
+const TASKS = {
+  personalColor: {
+    classes: Object.keys(COLOR_TYPES),
+    label: typeLabel,
+    predict: (record, options) => {
+      const r = options.classifiers.classifyPersonalColor(colorInput(record));
+      return { predicted: r.type, confidence: typeConfidence(r) };
+    }
+  },
+  personalColorSeason: {
+    classes: SEASONS,
+    label: seasonLabel,
+    predict: (record, options) => {
+      const r = options.classifiers.classifyPersonalColor(colorInput(record));
+      return { predicted: r.season, confidence: seasonConfidence(r) };
+    }
+  },
+  warmCool: {
+    classes: ['Warm', 'Cool'],
+    label: warmCoolLabel,
+    predict: (record, options) => {
+      const r = options.classifiers.classifyWarmCool(record.colors.skin, options.extras ? extraOf(record) : undefined);
+      return { predicted: r.score >= 0.5 ? 'Warm' : 'Cool', confidence: Math.max(r.score, 1 - r.score) };
+    }
+  },
+  season: {
+    classes: SEASONS,
+    label: seasonLabel,
+    predict: (record, options) => {
+      const r = options.classifiers.classifySeason(record.colors.skin, options.extras ? extraOf(record) : undefined);
+      if (!r.primary) return { predicted: UNCLASSIFIED, confidence: 0.25 };
+      return { predicted: r.primary, confidence: r.scores[r.primary] };
+    }
+  },
+  faceShape: {
+    classes: Object.keys(FACE_REFERENCE),
+    label: record => matchClass(record.label.faceShape, Object.keys(FACE_REFERENCE)),
+    predict: (record, options) => {
+      if (!record.faceProportions) return null;
+      const r = options.classifiers.classifyFaceShape(record.faceProportions);
+      if (!r.type) return { predicted: UNCLASSIFIED, confidence: 0 };
+      return { predicted: r.type, confidence: r.confidence };
+    }
+  },
+  bodyType: {
+    classes: Object.keys(BODY_REFERENCE),
+    label: record => matchClass(record.label.bodyType, Object.keys(BODY_REFERENCE)),
+    predict: (record, options) => {
+      if (!record.bodyProportions) return null;
+      const r = options.classifiers.classifyBodyType(record.bodyProportions);
+      return { predicted: r.type, confidence: r.confidence };
+    }
+  }
+};
+
+const DEFAULT_CLASSIFIERS = {
+  classifyPersonalColor,
+  classifyWarmCool,
+  classifySeason,
+  classifyFaceShape,
+  classifyBodyType
+};
+
+/**
+ * Classifier overrides bound to a parameter set (data/parameters/v*.json)
+ *
+ * @param {Object} params - apl-color-classifier or warm-cool-classifier parameters
+ * @returns {Object} classifier functions for evaluate({ classifiers })
+ */
+function classifiersFor(params) {
+  if (params.package === 'apl-color-classifier') {
+    return { classifyPersonalColor: m => classifyPersonalColor(m, { params }) };
+  }
+  if (params.package === 'warm-cool-classifier') {
+    return {
+      classifyWarmCool: (skin, extra) => classifyWarmCool(skin, extra, { params }),
+      classifySeason: (skin, extra) => classifySeason(skin, extra, { params })
+    };
+  }
+  throw new Error(`Unknown parameter package: ${params.package}`);
+}
+
+module.exports = {
+  TASKS,
+  DEFAULT_CLASSIFIERS,
+  UNCLASSIFIED,
+  classifiersFor,
+  extraOf,
+  colorInput
+};
@@ -0,0 +1,120 @@
+/**
+ * Calibrate the 14-type probabilities of classifyPersonalColor on a labeled
+ * dataset and write the next apl-color-classifier parameter version
+ *
+ * Usage:
+ *   node services/evaluation/scripts/calibrate.js <dataset.csv|.jsonl> [options]
+ *
+ * Options:
+ *   --method temperature|platt   softmax temperature or Platt scaling (default: temperature)
+ *   --folds 5                    cross-validation folds (1 = no CV)
+ *   --seed 1                     fold seed
+ *   --from 1                     calibrate this parameter version (default: latest)
+ *   --dry-run                    report only, write nothing
+ *   --out params.json            write here instead of the next data/parameters/vN.json
+ *   --force                      write even when the held-out NLL does not improve
+ *
+ * The new version keeps every range of the base version and only replaces
+ * "calibration", so classifications stay the same; probabilities change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDataset } = require('..');
+const { fitCalibration, METHODS } = require('../lib/calibration');
+const { stringifyParameters, hashText } = require('../lib/optimizer');
+const { loadParameters, listParameterVersions } = require('../../apl-color-classifier');
+const { PARAMETERS_DIR } = require('../../apl-color-classifier/lib/parameters');
+
+function parseArgs(argv) {
+  const args = { file: null, method: 'temperature', folds: 5, seed: 1, from: null, dryRun: false, out: null, force: false };
+  const int = (name, value) => {
+    const n = parseInt(value, 10);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive integer`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--method') args.method = argv[++i];
+    else if (arg === '--folds') args.folds = int('--folds', argv[++i]);
+    else if (arg === '--seed') args.seed = int('--seed', argv[++i]);
+    else if (arg === '--from') args.from = int('--from', argv[++i]);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--force') args.force = true;
+    else if (!arg.startsWith('--') && !args.file) args.file = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!METHODS.includes(args.method)) throw new Error(`--method must be ${METHODS.join(' or ')}`);
+  return args;
+}
+
+function describe(calibration) {
+  return calibration.method === 'platt'
+    ? `platt a=${calibration.a} b=${calibration.b}`
+    : `temperature T=${calibration.temperature}`;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  if (!args.file) {
+    console.error('Usage: node services/evaluation/scripts/calibrate.js <dataset.csv|.jsonl> ' +
+      '[--method temperature|platt] [--folds 5] [--seed 1] [--from N] [--dry-run] [--out file] [--force]');
+    process.exit(2);
+  }
+
+  const { records, skipped } = loadDataset(args.file);
+  if (skipped.length) console.log(`Skipped ${skipped.length} row(s) of ${args.file}`);
+
+  const base = loadParameters(args.from == null ? undefined : args.from);
+  const { calibration, report } = fitCalibration(records, base, { method: args.method, folds: args.folds, seed: args.seed });
+
+  console.log(`Calibration (${args.method}) of apl-color-classifier v${report.baseVersion}, ${report.records} type-labeled records`);
+  console.log(`  current  ${describe(report.baseline.calibration)}   NLL ${report.baseline.nll}   ECE ${report.baseline.ece}   Brier ${report.baseline.brier}`);
+  console.log(`  fitted   ${describe(calibration)}   NLL ${report.fitted.nll}   ECE ${report.fitted.ece}   Brier ${report.fitted.brier}`);
+  if (report.cv) {
+    console.log(`  ${report.cv.k}-fold CV NLL  current ${report.cv.baselineNll}   fitted ${report.cv.fittedNll}`);
+  }
+
+  if (args.dryRun) return;
+
+  const improved = report.cv ? report.cv.fittedNll < report.cv.baselineNll : report.fitted.nll < report.baseline.nll;
+  if (!improved && !args.force) {
+    console.log('No held-out improvement; nothing written (use --force to write anyway).');
+    return;
+  }
+
+  const versions = listParameterVersions();
+  const version = versions[versions.length - 1] + 1;
+  const { package: pkg, version: baseVersion, createdAt, source, calibration: previous, ...values } = base;
+  const content = {
+    package: pkg,
+    version,
+    createdAt: new Date().toISOString(),
+    source: `calibration (${args.method}, from v${baseVersion})`,
+    ...values,
+    calibration: {
+      ...calibration,
+      fit: {
+        ...report,
+        dataset: { file: path.basename(args.file), sha256: hashText(fs.readFileSync(args.file)) }
+      }
+    }
+  };
+  const file = args.out || path.join(PARAMETERS_DIR, `v${version}.json`);
+  fs.writeFileSync(file, stringifyParameters(content) + '\n');
+  console.log(`Wrote ${file}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,99 @@
+/**
+ * Evaluate the classifiers against a labeled dataset (CSV or JSONL)
+ *
+ * Usage:
+ *   node services/evaluation/scripts/evaluate.js <dataset.csv|.jsonl> [options]
+ *
+ * Options:
+ *   --tasks personalColor,season   only these tasks (default: all)
+ *   --bins 10                      calibration bins
+ *   --skin-only                    warm-cool module without hair/eye/lip/neck
+ *   --params v2.json               evaluate with this parameter file (repeatable;
+ *                                  its "package" field picks the classifier)
+ *   --season-model model.json      season task with a trained season model
+ *   --model-weight 0.5             model share in an ensemble with the rules (default: 1 = model only)
+ *   --json                         print the full report as JSON
+ *   --out report.json              also write the JSON report to a file
+ */
+
+const fs = require('fs');
+const { loadDataset, evaluate, formatReport, classifiersFor, TASKS } = require('..');
+const { classify: classifyWarmCoolModule } = require('../../warm-cool-classifier');
+const { validateSeasonModel } = require('../../warm-cool-classifier/lib/seasonModel');
+
+function parseArgs(argv) {
+  const args = { file: null, tasks: null, bins: 10, extras: true, params: [], seasonModel: null, modelWeight: 1, json: false, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--tasks') args.tasks = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+    else if (arg === '--bins') args.bins = parseInt(argv[++i], 10);
+    else if (arg === '--skin-only') args.extras = false;
+    else if (arg === '--params') args.params.push(argv[++i]);
+    else if (arg === '--season-model') args.seasonModel = argv[++i];
+    else if (arg === '--model-weight') args.modelWeight = parseFloat(argv[++i]);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (!arg.startsWith('--') && !args.file) args.file = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  if (!args.file) {
+    console.error('Usage: node services/evaluation/scripts/evaluate.js <dataset.csv|.jsonl> ' +
+      `[--tasks ${Object.keys(TASKS).join(',')}] [--bins 10] [--skin-only] [--params file.json] [--season-model model.json] [--model-weight 1] [--json] [--out report.json]`);
+    process.exit(2);
+  }
+  if (!Number.isInteger(args.bins) || args.bins < 1) {
+    console.error('--bins must be a positive integer');
+    process.exit(2);
+  }
+  if (!(args.modelWeight >= 0 && args.modelWeight <= 1)) {
+    console.error('--model-weight must be between 0 and 1');
+    process.exit(2);
+  }
+
+  const classifiers = {};
+  const parameters = {};
+  let warmCoolParams;
+  for (const file of args.params) {
+    const params = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.assign(classifiers, classifiersFor(params));
+    if (params.package === 'warm-cool-classifier') warmCoolParams = params;
+    parameters[params.package] = { file, version: params.version };
+  }
+  if (args.seasonModel) {
+    const seasonModel = validateSeasonModel(JSON.parse(fs.readFileSync(args.seasonModel, 'utf8')));
+    const options = { seasonModel, modelWeight: args.modelWeight, params: warmCoolParams };
+    classifiers.classifySeason = (skin, extra) => classifyWarmCoolModule(skin, extra, options).season;
+    parameters.seasonModel = { file: args.seasonModel, version: seasonModel.version, type: seasonModel.type, weight: args.modelWeight };
+  }
+
+  const { records, skipped } = loadDataset(args.file);
+  const report = evaluate(records, { tasks: args.tasks, bins: args.bins, extras: args.extras, classifiers });
+  report.dataset = { file: args.file, skippedRows: skipped };
+  if (args.params.length) report.parameters = parameters;
+
+  if (args.out) fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    if (skipped.length) console.log(`Skipped ${skipped.length} row(s): ${skipped.slice(0, 5).map(s => `line ${s.line} (${s.reason})`).join(', ')}${skipped.length > 5 ? ', ...' : ''}`);
+    console.log(formatReport(report));
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
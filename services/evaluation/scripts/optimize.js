@@ -0,0 +1,135 @@
+/**
+ * Fit classifier parameters on a labeled dataset and write the next
+ * parameter version (loaded by the classifier at its next start)
+ *
+ * Usage:
+ *   node services/evaluation/scripts/optimize.js <dataset.csv|.jsonl> --target season [options]
+ *
+ * Options:
+ *   --target warmCool|season|seasonExtras|personalColor   parameters to fit (required)
+ *   --folds 5                 cross-validation folds (1 = no CV)
+ *   --search auto|grid|random search before coordinate descent
+ *   --samples 200             random search samples
+ *   --rounds 5                coordinate descent rounds
+ *   --metric accuracy|macroF1 objective
+ *   --seed 1                  folds / random search seed
+ *   --skin-only               warm-cool module without hair/eye/lip/neck
+ *   --from 1                  start from this parameter version (default: latest)
+ *   --dry-run                 report only, write nothing
+ *   --out params.json         write here instead of the next data/parameters/vN.json
+ *   --force                   write even when CV accuracy does not improve
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDataset } = require('..');
+const { optimize, versionParameters, stringifyParameters, hashText, TARGETS } = require('../lib/optimizer');
+
+function parseArgs(argv) {
+  const args = {
+    file: null, target: null, folds: 5, search: 'auto', samples: 200, rounds: 5,
+    metric: 'accuracy', seed: 1, extras: true, from: null, dryRun: false, out: null, force: false
+  };
+  const int = (name, value) => {
+    const n = parseInt(value, 10);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive integer`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--target') args.target = argv[++i];
+    else if (arg === '--folds') args.folds = int('--folds', argv[++i]);
+    else if (arg === '--search') args.search = argv[++i];
+    else if (arg === '--samples') args.samples = int('--samples', argv[++i]);
+    else if (arg === '--rounds') args.rounds = int('--rounds', argv[++i]);
+    else if (arg === '--metric') args.metric = argv[++i];
+    else if (arg === '--seed') args.seed = int('--seed', argv[++i]);
+    else if (arg === '--skin-only') args.extras = false;
+    else if (arg === '--from') args.from = int('--from', argv[++i]);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--force') args.force = true;
+    else if (!arg.startsWith('--') && !args.file) args.file = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!['auto', 'grid', 'random'].includes(args.search)) throw new Error('--search must be auto, grid or random');
+  if (!['accuracy', 'macroF1'].includes(args.metric)) throw new Error('--metric must be accuracy or macroF1');
+  return args;
+}
+
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  if (!args.file || !args.target) {
+    console.error('Usage: node services/evaluation/scripts/optimize.js <dataset.csv|.jsonl> ' +
+      `--target ${Object.keys(TARGETS).join('|')} [--folds 5] [--search auto|grid|random] [--samples 200] ` +
+      '[--rounds 5] [--metric accuracy|macroF1] [--seed 1] [--skin-only] [--from N] [--dry-run] [--out file] [--force]');
+    process.exit(2);
+  }
+  const target = TARGETS[args.target];
+  if (!target) {
+    console.error(`Unknown target: ${args.target} (use ${Object.keys(TARGETS).join(', ')})`);
+    process.exit(2);
+  }
+
+  const { records, skipped } = loadDataset(args.file);
+  if (skipped.length) console.log(`Skipped ${skipped.length} row(s) of ${args.file}`);
+
+  const base = target.loadParameters(args.from == null ? undefined : args.from);
+  const result = optimize(records, args.target, {
+    base,
+    folds: args.folds,
+    search: args.search,
+    samples: args.samples,
+    rounds: args.rounds,
+    metric: args.metric,
+    seed: args.seed,
+    extras: args.extras
+  });
+
+  const { report } = result;
+  console.log(`Target ${report.target} (${target.package} v${report.baseVersion}), task ${report.task}, ${report.records} records`);
+  console.log(`  search ${report.search}, coordinate descent ${report.rounds} round(s), metric ${report.metric}`);
+  if (report.cv.optimized) {
+    console.log(`  ${report.cv.k}-fold CV  baseline ${pct(report.cv.baseline.mean)} ± ${pct(report.cv.baseline.std)}` +
+      `   optimized ${pct(report.cv.optimized.mean)} ± ${pct(report.cv.optimized.std)}`);
+  }
+  console.log(`  all records  baseline ${pct(report.train.baseline)}   optimized ${pct(report.train.optimized)}`);
+
+  if (args.dryRun) return;
+
+  const improved = report.cv.optimized
+    ? report.cv.optimized.mean > report.cv.baseline.mean
+    : report.train.optimized > report.train.baseline;
+  if (!improved && !args.force) {
+    console.log('No cross-validated improvement; nothing written (use --force to write anyway).');
+    return;
+  }
+
+  const dir = path.join(__dirname, '..', '..', target.package, 'data', 'parameters');
+  const versions = target.listParameterVersions();
+  const version = versions[versions.length - 1] + 1;
+  const content = versionParameters(result, {
+    version,
+    dataset: { file: path.basename(args.file), sha256: hashText(fs.readFileSync(args.file)) }
+  });
+  const file = args.out || path.join(dir, `v${version}.json`);
+  fs.writeFileSync(file, stringifyParameters(content) + '\n');
+  console.log(`Wrote ${file}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,152 @@
+/**
+ * Train the statistical season model (warm-cool-classifier lib/seasonModel)
+ * on a labeled dataset and write the next model version
+ *
+ * Usage:
+ *   node services/evaluation/scripts/trainSeasonModel.js <dataset.csv|.jsonl> [options]
+ *
+ * Options:
+ *   --type logistic|knn   model type (default: logistic)
+ *   --k 7                 kNN neighbours
+ *   --epochs 800          logistic: gradient descent epochs
+ *   --lr 0.2              logistic: learning rate
+ *   --l2 0.001            logistic: L2 penalty
+ *   --unbalanced          logistic: no inverse-frequency season weights
+ *   --folds 5             cross-validation folds (1 = no CV)
+ *   --seed 1              fold seed
+ *   --dry-run             report only, write nothing
+ *   --out model.json      write here instead of the next data/models/season/vN.json
+ *
+ * The cross-validated accuracy is stored in the model (validation) and
+ * becomes its reported reliability at runtime.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDataset, TASKS } = require('..');
+const { extraOf } = require('../lib/tasks');
+const { createRandom, makeFolds, stringifyParameters, hashText } = require('../lib/optimizer');
+const {
+  classifySeason,
+  trainSeasonModel,
+  classifySeasonModel,
+  listSeasonModelVersions
+} = require('../../warm-cool-classifier');
+const { MODELS_DIR } = require('../../warm-cool-classifier/lib/seasonModel');
+
+function parseArgs(argv) {
+  const args = { file: null, type: 'logistic', folds: 5, seed: 1, dryRun: false, out: null, train: {} };
+  const num = (name, value, integer) => {
+    const n = integer ? parseInt(value, 10) : parseFloat(value);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`${name} must be a positive number`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--type') args.type = argv[++i];
+    else if (arg === '--k') args.train.k = num('--k', argv[++i], true);
+    else if (arg === '--epochs') args.train.epochs = num('--epochs', argv[++i], true);
+    else if (arg === '--lr') args.train.learningRate = num('--lr', argv[++i]);
+    else if (arg === '--l2') args.train.l2 = num('--l2', argv[++i]);
+    else if (arg === '--unbalanced') args.train.balanced = false;
+    else if (arg === '--folds') args.folds = num('--folds', argv[++i], true);
+    else if (arg === '--seed') args.seed = num('--seed', argv[++i], true);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--out') args.out = argv[++i];
+    else if (!arg.startsWith('--') && !args.file) args.file = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!['logistic', 'knn'].includes(args.type)) throw new Error('--type must be logistic or knn');
+  return args;
+}
+
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function accuracy(samples, predict) {
+  return samples.filter(s => predict(s) === s.season).length / samples.length;
+}
+
+function meanStd(values) {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const std = Math.sqrt(values.reduce((s, v) => s + (v - mean) * (v - mean), 0) / values.length);
+  return { mean: Math.round(mean * 10000) / 10000, std: Math.round(std * 10000) / 10000 };
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  if (!args.file) {
+    console.error('Usage: node services/evaluation/scripts/trainSeasonModel.js <dataset.csv|.jsonl> ' +
+      '[--type logistic|knn] [--k 7] [--epochs 800] [--lr 0.2] [--l2 0.001] [--unbalanced] ' +
+      '[--folds 5] [--seed 1] [--dry-run] [--out model.json]');
+    process.exit(2);
+  }
+
+  const { records, skipped } = loadDataset(args.file);
+  if (skipped.length) console.log(`Skipped ${skipped.length} row(s) of ${args.file}`);
+  const samples = records
+    .map(r => ({ skin: r.colors.skin, extra: extraOf(r), season: TASKS.season.label(r) }))
+    .filter(s => s.season);
+  if (samples.length < Math.max(args.folds, 2) * 4) {
+    throw new Error(`Need at least ${Math.max(args.folds, 2) * 4} season-labeled records, got ${samples.length}`);
+  }
+
+  const trainOptions = { type: args.type, ...args.train };
+  const predictModel = model => s => classifySeasonModel(s.skin, s.extra, { model }).primary;
+  const predictRules = s => classifySeason(s.skin, s.extra).primary;
+
+  // k-fold: model trained on k-1 folds vs the rule-based classifier, same held-out fold
+  let validation = null;
+  if (args.folds > 1) {
+    const folds = makeFolds(samples.length, args.folds, createRandom(args.seed));
+    const modelScores = [];
+    const ruleScores = [];
+    for (const testIdx of folds) {
+      const testSet = new Set(testIdx);
+      const train = samples.filter((_, i) => !testSet.has(i));
+      const test = testIdx.map(i => samples[i]);
+      const model = trainSeasonModel(train, trainOptions);
+      modelScores.push(accuracy(test, predictModel(model)));
+      ruleScores.push(accuracy(test, predictRules));
+    }
+    const model = meanStd(modelScores);
+    validation = { folds: args.folds, seed: args.seed, accuracy: model.mean, std: model.std, rulesAccuracy: meanStd(ruleScores).mean };
+  }
+
+  const model = trainSeasonModel(samples, trainOptions);
+  console.log(`Season model (${args.type}), ${samples.length} records, ${model.features.length} features`);
+  if (validation) {
+    console.log(`  ${validation.folds}-fold CV  model ${pct(validation.accuracy)} ± ${pct(validation.std)}   rule-based classifySeason ${pct(validation.rulesAccuracy)}`);
+  }
+  console.log(`  training accuracy ${pct(accuracy(samples, predictModel(model)))}`);
+
+  if (args.dryRun) return;
+
+  const versions = listSeasonModelVersions();
+  const version = (versions.length ? versions[versions.length - 1] : 0) + 1;
+  const content = {
+    version,
+    createdAt: new Date().toISOString(),
+    dataset: { file: path.basename(args.file), sha256: hashText(fs.readFileSync(args.file)) },
+    validation,
+    ...model
+  };
+  const file = args.out || path.join(MODELS_DIR, `v${version}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, stringifyParameters(content) + '\n');
+  console.log(`Wrote ${file}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,59 @@
+/**
+ * Calibration fitting: the NLL it minimizes and what a fit on records
+ * labeled with the classifier's own answers must do
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitCalibration, negLogLikelihood } = require('../lib/calibration');
+const { classifyPersonalColor, loadParameters } = require('../../apl-color-classifier');
+
+const SCORES = [
+  { type: 'Spring Light', score: 1 },
+  { type: 'Winter Deep', score: 0 }
+];
+
+// Skin tones along a light → dark, pale → warm line, labeled with the current answer
+function selfLabeledRecords() {
+  return Array.from({ length: 12 }, (_, i) => {
+    const skin = { l: 40 + i * 3, a: 5 + i, b: 8 + i * 1.5 };
+    return { colors: { skin }, label: { type: classifyPersonalColor({ skinColor: { lab: skin } }).type } };
+  });
+}
+
+test('negLogLikelihood is the mean -ln p(label)', () => {
+  const calibration = { method: 'temperature', temperature: 1 };
+  const nll = negLogLikelihood([
+    { label: 'Spring Light', scores: SCORES },
+    { label: 'Winter Deep', scores: SCORES }
+  ], calibration);
+  // p = e / (e + 1) and 1 / (e + 1)
+  const expected = (Math.log(1 + 1 / Math.E) + Math.log(1 + Math.E)) / 2;
+  assert.ok(Math.abs(nll - expected) < 1e-12);
+});
+
+test('labels that agree with the classifier fit a sharper temperature', () => {
+  const params = loadParameters();
+  const { calibration, report } = fitCalibration(selfLabeledRecords(), params, { folds: 3 });
+  assert.equal(calibration.method, 'temperature');
+  assert.ok(calibration.temperature < report.baseline.calibration.temperature);
+  assert.ok(report.fitted.nll < report.baseline.nll);
+  assert.equal(report.cv.k, 3);
+  assert.ok(report.cv.fittedNll < report.cv.baselineNll);
+});
+
+test('platt fits these records at least as well as temperature', () => {
+  const params = loadParameters();
+  const records = selfLabeledRecords();
+  const temperature = fitCalibration(records, params, { folds: 1 });
+  const platt = fitCalibration(records, params, { method: 'platt', folds: 1 });
+  assert.equal(platt.calibration.method, 'platt');
+  assert.ok(platt.report.fitted.nll <= temperature.report.fitted.nll + 1e-3);
+  assert.equal(platt.report.cv, null);
+});
+
+test('refuses an unknown method and too few records', () => {
+  const params = loadParameters();
+  assert.throws(() => fitCalibration([], params, { method: 'isotonic' }), /Unknown calibration method: isotonic/);
+  assert.throws(() => fitCalibration(selfLabeledRecords().slice(0, 4), params), /Need at least 10 type-labeled records, got 4/);
+});
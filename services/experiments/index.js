@@ -0,0 +1,150 @@
+/**
+ * Classifier Variants (A/B assignment)
+ *
+ * A variant pins the parameter version of each classifier package
+ * (apl-color-classifier / warm-cool-classifier data/parameters/vN.json).
+ * Visitors are assigned deterministically: the same visitor id always lands
+ * in the same variant of an experiment, with probability proportional to
+ * the variant weight. Renaming the experiment reshuffles everyone.
+ *
+ * Config (config/classifierVariants.json, or CLASSIFIER_VARIANTS_FILE):
+ *   {
+ *     "experiment": "classifier-parameters",
+ *     "variants": [
+ *       { "name": "control",   "weight": 90, "versions": { "aplColorClassifier": 1, "warmCoolClassifier": 1 } },
+ *       { "name": "optimized", "weight": 10, "versions": { "aplColorClassifier": 2, "warmCoolClassifier": 2 } }
+ *     ]
+ *   }
+ * A null version means the latest version at startup.
+ * Optional per variant: "seasonModel": { "version": 1, "weight": 0.5 } mixes the
+ * trained season model (warm-cool-classifier data/models/season/vN.json) into
+ * the season scores; weight 1 replaces the rule-based seasons.
+ *
+ * Usage:
+ *   const { assignVariant } = require('./experiments');
+ *   const config = assignVariant(visitorId);
+ *   fullDiagnosis(input, { parametersVersion: config.versions.aplColorClassifier });
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const apl = require('../apl-color-classifier');
+const warmCool = require('../warm-cool-classifier');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'config', 'classifierVariants.json');
+
+const PACKAGES = {
+  aplColorClassifier: apl.listParameterVersions,
+  warmCoolClassifier: warmCool.listParameterVersions
+};
+
+/**
+ * Read and validate a variants file; null versions resolve to the latest
+ *
+ * @param {string} [file]
+ * @returns {Object} { experiment, variants: [{ name, weight, versions, seasonModel }], totalWeight }
+ */
+function loadVariants(file = process.env.CLASSIFIER_VARIANTS_FILE || DEFAULT_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!raw.experiment || typeof raw.experiment !== 'string') {
+    throw new Error(`${file}: "experiment" name is required`);
+  }
+  if (!Array.isArray(raw.variants) || !raw.variants.length) {
+    throw new Error(`${file}: at least one variant is required`);
+  }
+
+  const names = new Set();
+  const variants = raw.variants.map(v => {
+    if (!v.name || names.has(v.name)) throw new Error(`${file}: variant names must be unique and non-empty`);
+    names.add(v.name);
+    if (!(v.weight >= 0)) throw new Error(`${file}: variant "${v.name}" needs a weight ≥ 0`);
+
+    const versions = {};
+    for (const [pkg, listVersions] of Object.entries(PACKAGES)) {
+      const available = listVersions();
+      const wanted = v.versions ? v.versions[pkg] : null;
+      if (wanted == null) {
+        versions[pkg] = available[available.length - 1];
+      } else if (available.includes(wanted)) {
+        versions[pkg] = wanted;
+      } else {
+        throw new Error(`${file}: variant "${v.name}" uses unknown ${pkg} version ${wanted} (available: ${available.join(', ')})`);
+      }
+    }
+
+    let seasonModel = null;
+    if (v.seasonModel && v.seasonModel.weight > 0) {
+      const available = warmCool.listSeasonModelVersions();
+      const wanted = v.seasonModel.version == null ? available[available.length - 1] : v.seasonModel.version;
+      if (!available.includes(wanted)) {
+        throw new Error(`${file}: variant "${v.name}" uses season model version ${v.seasonModel.version == null ? '(latest)' : wanted}, but ${available.length ? `only ${available.join(', ')} exist` : 'no model has been trained'}`);
+      }
+      if (!(v.seasonModel.weight <= 1)) throw new Error(`${file}: variant "${v.name}" season model weight must be ≤ 1`);
+      seasonModel = { version: wanted, weight: v.seasonModel.weight };
+    }
+    return { name: v.name, weight: v.weight, versions, seasonModel };
+  });
+
+  const totalWeight = variants.reduce((s, v) => s + v.weight, 0);
+  if (!(totalWeight > 0)) throw new Error(`${file}: variant weights must not all be 0`);
+
+  return { experiment: raw.experiment, variants, totalWeight };
+}
+
+let activeConfig = null;
+
+function getVariants() {
+  if (!activeConfig) activeConfig = loadVariants();
+  return activeConfig;
+}
+
+/**
+ * Point in [0, 1) derived from experiment + visitor id
+ */
+function bucketOf(experiment, visitorId) {
+  const hash = crypto.createHash('sha256').update(`${experiment}:${visitorId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Variant for a visitor
+ *
+ * @param {string} visitorId - stable visitor id (falls back to IP at the caller)
+ * @param {Object} [options]
+ * @param {string} [options.requested] - force this variant by name (testing / QA)
+ * @param {Object} [options.config] - loadVariants() result (default: the active file)
+ * @returns {Object|null} { experiment, variant, assignment: 'hash' | 'requested', versions, seasonModel }
+ *   null when options.requested names no variant
+ */
+function assignVariant(visitorId, options = {}) {
+  const config = options.config || getVariants();
+  const shaped = (variant, assignment) => ({
+    experiment: config.experiment,
+    variant: variant.name,
+    assignment,
+    versions: { ...variant.versions },
+    seasonModel: variant.seasonModel ? { ...variant.seasonModel } : null
+  });
+
+  if (options.requested) {
+    const variant = config.variants.find(v => v.name === options.requested);
+    return variant ? shaped(variant, 'requested') : null;
+  }
+
+  const point = bucketOf(config.experiment, String(visitorId)) * config.totalWeight;
+  let cumulative = 0;
+  for (const variant of config.variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) return shaped(variant, 'hash');
+  }
+  return shaped(config.variants[config.variants.length - 1], 'hash');
+}
+
+module.exports = {
+  loadVariants,
+  getVariants,
+  assignVariant,
+  bucketOf,
+  PACKAGES
+};
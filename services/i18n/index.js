@@ -0,0 +1,94 @@
+/**
+ * Locale Helpers
+ * Language detection and localized labels shared by routes and text writers.
+ *
+ * Supported languages: ko, ja, zh, en (default)
+ */
+
+const SUPPORTED_LANGS = ['ko', 'ja', 'zh', 'en'];
+
+/**
+ * Normalize a client language tag (e.g. 'ko-KR', 'ja') to a supported 2-letter code
+ * @param {string} lang
+ * @returns {string} 'ko' | 'ja' | 'zh' | 'en'
+ */
+function langCode(lang) {
+  if (!lang) return 'en';
+  const code = String(lang).toLowerCase().slice(0, 2);
+  return SUPPORTED_LANGS.includes(code) ? code : 'en';
+}
+
+/**
+ * Guess the language of free text from its script (Hangul, Kana, Han)
+ * @param {string} text
+ * @returns {string} 'ko' | 'ja' | 'zh' | 'en'
+ */
+function detectLang(text) {
+  if (!text) return 'en';
+  if (/[\uac00-\ud7af\u1100-\u11ff]/.test(text)) return 'ko';
+  if (/[\u3040-\u30ff]/.test(text)) return 'ja';
+  if (/[\u4e00-\u9fff]/.test(text)) return 'zh';
+  return 'en';
+}
+
+/**
+ * Response language instruction appended to LLM prompts
+ */
+function getLangInstruction(lang) {
+  switch (langCode(lang)) {
+    case 'ko': return 'Respond entirely in Korean (한국어).';
+    case 'ja': return 'Respond entirely in Japanese (日本語).';
+    case 'zh': return 'Respond entirely in Chinese (中文).';
+    default: return 'Respond in English.';
+  }
+}
+
+/**
+ * Section headers and body-part labels used in personalColorDetail
+ */
+function getSectionLabels(lang) {
+  switch (langCode(lang)) {
+    case 'ko': return { measurements: '측정값 (Lab)', description: '설명', skin: '피부', hair: '머리카락', eyebrow: '눈썹', eye: '눈동자', lip: '입술', neck: '목' };
+    case 'ja': return { measurements: '測定値 (Lab)', description: '説明', skin: '肌', hair: '髪', eyebrow: '眉', eye: '瞳', lip: '唇', neck: '首' };
+    case 'zh': return { measurements: '测量值 (Lab)', description: '说明', skin: '皮肤', hair: '头发', eyebrow: '眉毛', eye: '瞳孔', lip: '嘴唇', neck: '脖子' };
+    default: return { measurements: 'Measurements (Lab)', description: 'Description', skin: 'Skin', hair: 'Hair', eyebrow: 'Eyebrow', eye: 'Eye', lip: 'Lip', neck: 'Neck' };
+  }
+}
+
+const SEASON_NAMES = {
+  ko: { Spring: '봄', Summer: '여름', Autumn: '가을', Winter: '겨울' },
+  ja: { Spring: '春', Summer: '夏', Autumn: '秋', Winter: '冬' },
+  zh: { Spring: '春季', Summer: '夏季', Autumn: '秋季', Winter: '冬季' },
+  en: { Spring: 'Spring', Summer: 'Summer', Autumn: 'Autumn', Winter: 'Winter' }
+};
+
+const TENDENCY_NAMES = {
+  ko: { Warm: '웜', 'Neutral Warm': '뉴트럴 웜', Neutral: '뉴트럴', 'Neutral Cool': '뉴트럴 쿨', Cool: '쿨' },
+  ja: { Warm: 'ウォーム', 'Neutral Warm': 'ニュートラルウォーム', Neutral: 'ニュートラル', 'Neutral Cool': 'ニュートラルクール', Cool: 'クール' },
+  zh: { Warm: '暖调', 'Neutral Warm': '中性偏暖', Neutral: '中性', 'Neutral Cool': '中性偏冷', Cool: '冷调' },
+  en: { Warm: 'Warm', 'Neutral Warm': 'Neutral Warm', Neutral: 'Neutral', 'Neutral Cool': 'Neutral Cool', Cool: 'Cool' }
+};
+
+/**
+ * Localized season name ('Spring' → '봄'); unknown values pass through
+ */
+function getSeasonName(season, lang) {
+  return SEASON_NAMES[langCode(lang)][season] || season;
+}
+
+/**
+ * Localized warm/cool tendency ('Neutral Warm' → '뉴트럴 웜'); unknown values pass through
+ */
+function getTendencyName(tendency, lang) {
+  return TENDENCY_NAMES[langCode(lang)][tendency] || tendency;
+}
+
+module.exports = {
+  SUPPORTED_LANGS,
+  langCode,
+  detectLang,
+  getLangInstruction,
+  getSectionLabels,
+  getSeasonName,
+  getTendencyName
+};
@@ -0,0 +1,233 @@
+/**
+ * LLM Provider Layer
+ *
+ * Shared interface over text-generation backends so routes never build
+ * SDK clients directly.
+ *
+ * Provider interface:
+ *   name:          'gemini' | 'openai' | 'offline'
+ *   available:     boolean — configured and usable
+ *   defaultModel:  string
+ *   generate(prompt, options)           → Promise<string>
+ *   generateStream(prompt, options)     → AsyncGenerator<string>
+ *   chat(conversation, options)         → Promise<string>
+ *   chatStream(conversation, options)   → AsyncGenerator<string>
+ *     conversation: { systemInstruction, history: [{ role, text }], message }
+ *     options.signal: AbortSignal — cancels the upstream request
+ *
+ * Selection (LLM_PROVIDER env):
+ *   gemini  — Google Generative AI (GEMINI_API_KEY)
+ *   openai  — any OpenAI-compatible server (OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL)
+ *   offline — deterministic templates from classifier output
+ * Unset → gemini when GEMINI_API_KEY is configured, otherwise offline.
+ *
+ * Usage:
+ *   const { generateWithFallback, chatWithFallback } = require('../services/llm');
+ *   const { text, provider } = await generateWithFallback(prompt, { model, context });
+ */
+
+const { createGeminiProvider } = require('./providers/gemini');
+const { createOpenAIProvider } = require('./providers/openai');
+const { createOfflineProvider } = require('./providers/offline');
+const { HYBRID_SCHEMA, FULL_SCHEMA, validateResponse } = require('./schema');
+const structured = require('./structured');
+const { createJsonFieldStream } = require('./jsonFieldStream');
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  offline: createOfflineProvider
+};
+
+const cache = {};
+
+/**
+ * Create a new provider instance
+ * @param {string} name - 'gemini' | 'openai' | 'offline'
+ * @param {Object} [config] - provider-specific overrides
+ */
+function createProvider(name, config) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return factory(config);
+}
+
+function cached(name) {
+  if (!cache[name]) cache[name] = createProvider(name);
+  return cache[name];
+}
+
+/**
+ * Configured primary provider (memoized)
+ */
+function getProvider() {
+  const configured = (process.env.LLM_PROVIDER || '').toLowerCase();
+  if (configured) return cached(configured);
+
+  const gemini = cached('gemini');
+  return gemini.available ? gemini : cached('offline');
+}
+
+/**
+ * Provider used when the primary one is unavailable or fails
+ */
+function getFallbackProvider() {
+  return cached('offline');
+}
+
+async function callWithFallback(method, args) {
+  const primary = getProvider();
+  const fallback = getFallbackProvider();
+
+  if (primary.available && primary !== fallback) {
+    try {
+      const text = await primary[method](...args);
+      return { text, provider: primary.name, fallbackReason: null };
+    } catch (error) {
+      console.warn(`[LLM] ${primary.name} ${method} failed, using ${fallback.name}:`, error.message);
+      const text = await fallback[method](...args);
+      return { text, provider: fallback.name, fallbackReason: error.message };
+    }
+  }
+
+  const text = await fallback[method](...args);
+  return {
+    text,
+    provider: fallback.name,
+    fallbackReason: primary === fallback ? null : `${primary.name} not configured`
+  };
+}
+
+/**
+ * Generate with the primary provider, falling back to offline templates
+ * when it is not configured or throws.
+ *
+ * @param {string} prompt
+ * @param {Object} [options] - { model, context }
+ * @returns {Promise<{ text: string, provider: string, fallbackReason: string|null }>}
+ */
+function generateWithFallback(prompt, options = {}) {
+  return callWithFallback('generate', [prompt, options]);
+}
+
+/**
+ * Chat with the primary provider, falling back to the offline canned reply
+ *
+ * @param {Object} conversation - { systemInstruction, history, message }
+ * @param {Object} [options] - { model }
+ * @returns {Promise<{ text: string, provider: string, fallbackReason: string|null }>}
+ */
+function chatWithFallback(conversation, options = {}) {
+  return callWithFallback('chat', [conversation, options]);
+}
+
+/**
+ * Stream from the primary provider. Falls back to offline only when the
+ * primary fails before its first chunk; a mid-stream failure or a client
+ * abort is rethrown.
+ *
+ * @returns {Object} { provider, chunks: AsyncGenerator<string> }
+ */
+function streamWithFallback(method, args, signal) {
+  const primary = getProvider();
+  const fallback = getFallbackProvider();
+  const state = { provider: primary.available ? primary.name : fallback.name };
+
+  async function* chunks() {
+    if (!primary.available || primary === fallback) {
+      yield* fallback[method](...args);
+      return;
+    }
+
+    let started = false;
+    try {
+      for await (const chunk of primary[method](...args)) {
+        started = true;
+        yield chunk;
+      }
+    } catch (error) {
+      if (started || (signal && signal.aborted)) throw error;
+      console.warn(`[LLM] ${primary.name} ${method} failed, using ${fallback.name}:`, error.message);
+      state.provider = fallback.name;
+      yield* fallback[method](...args);
+    }
+  }
+
+  state.chunks = chunks();
+  return state;
+}
+
+/**
+ * Streaming generate — see streamWithFallback()
+ * @param {string} prompt
+ * @param {Object} [options] - { model, context, signal }
+ */
+function generateStreamWithFallback(prompt, options = {}) {
+  return streamWithFallback('generateStream', [prompt, options], options.signal);
+}
+
+/**
+ * Streaming chat — see streamWithFallback()
+ * @param {Object} conversation - { systemInstruction, history, message }
+ * @param {Object} [options] - { model, signal }
+ */
+function chatStreamWithFallback(conversation, options = {}) {
+  return streamWithFallback('chatStream', [conversation, options], options.signal);
+}
+
+/**
+ * Generate JSON matching a declared schema — validates each field, re-asks
+ * once for the failing ones and fills the rest from offline templates.
+ *
+ * @param {string} prompt
+ * @param {Object} schema - HYBRID_SCHEMA | FULL_SCHEMA
+ * @param {Object} [options] - { model, context, lang }
+ * @returns {Promise<Object>} { data, provider, repairedFields, fallbackFields, droppedKeys }
+ */
+function generateStructured(prompt, schema, options = {}) {
+  return structured.generateStructured(
+    { generateWithFallback, getFallbackProvider },
+    prompt,
+    schema,
+    options
+  );
+}
+
+/**
+ * Validate/repair an answer that was already generated (e.g. streamed)
+ *
+ * @param {string} prompt
+ * @param {Object} first - { text, provider }
+ * @param {Object} schema
+ * @param {Object} [options] - { model, context, lang, signal }
+ */
+function completeStructured(prompt, first, schema, options = {}) {
+  return structured.completeStructured(
+    { generateWithFallback, getFallbackProvider },
+    prompt,
+    first,
+    schema,
+    options
+  );
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  getFallbackProvider,
+  generateWithFallback,
+  chatWithFallback,
+  generateStreamWithFallback,
+  chatStreamWithFallback,
+  generateStructured,
+  completeStructured,
+  createJsonFieldStream,
+  parseJsonResponse: structured.parseJsonResponse,
+  validateResponse,
+
+  // Response schemas
+  HYBRID_SCHEMA,
+  FULL_SCHEMA
+};
@@ -0,0 +1,115 @@
+/**
+ * Incremental JSON Field Extractor
+ *
+ * Feeds streamed LLM text and reports each top-level "key": value pair of
+ * the answer object as soon as its value is complete, so description fields
+ * can be forwarded before the whole JSON has arrived. Tolerates leading
+ * code fences or prose before the first "{".
+ *
+ * Usage:
+ *   const fields = createJsonFieldStream();
+ *   for await (const chunk of stream) {
+ *     for (const [key, value] of fields.push(chunk)) send(key, value);
+ *   }
+ *   fields.text();  // everything received so far
+ */
+
+/**
+ * Scan the buffer and return all completed top-level pairs
+ * @param {string} text
+ * @returns {Array<[string, *]>}
+ */
+function scanFields(text) {
+  const start = text.indexOf('{');
+  if (start < 0) return [];
+
+  const pairs = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let key = null;
+  let tokenStart = -1;   // start of current key string or value at depth 1
+  let expecting = 'key'; // 'key' | 'colon' | 'value'
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') {
+        inString = false;
+        if (depth === 1 && expecting === 'key') {
+          try { key = JSON.parse(text.slice(tokenStart, i + 1)); } catch (e) { key = null; }
+          expecting = 'colon';
+        }
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      if (depth === 1 && (expecting === 'key' || (expecting === 'value' && tokenStart < 0))) tokenStart = i;
+      continue;
+    }
+
+    if (depth === 1 && expecting === 'colon' && ch === ':') {
+      expecting = 'value';
+      tokenStart = -1;
+      continue;
+    }
+
+    if (depth === 1 && expecting === 'value' && tokenStart < 0 && !/\s/.test(ch)) {
+      tokenStart = i;
+    }
+
+    if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) {
+        // Closing brace of the answer object ends the last value
+        if (expecting === 'value' && tokenStart >= 0) pushPair(pairs, key, text.slice(tokenStart, i));
+        break;
+      }
+    } else if (ch === ',' && depth === 1 && expecting === 'value') {
+      if (tokenStart >= 0) pushPair(pairs, key, text.slice(tokenStart, i));
+      expecting = 'key';
+      key = null;
+      tokenStart = -1;
+    }
+  }
+
+  return pairs;
+}
+
+function pushPair(pairs, key, raw) {
+  if (key == null) return;
+  try {
+    pairs.push([key, JSON.parse(raw.trim())]);
+  } catch (e) {
+    // Incomplete or malformed value — left to the final parse
+  }
+}
+
+/**
+ * @returns {Object} { push(chunk) → Array<[key, value]> newly completed, text() }
+ */
+function createJsonFieldStream() {
+  let buffer = '';
+  const emitted = new Set();
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const fresh = scanFields(buffer).filter(([key]) => !emitted.has(key));
+      for (const [key] of fresh) emitted.add(key);
+      return fresh;
+    },
+    text() {
+      return buffer;
+    }
+  };
+}
+
+module.exports = { createJsonFieldStream };
@@ -0,0 +1,107 @@
+/**
+ * Gemini Provider
+ * Google Generative AI adapter for the shared LLM interface.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-lite';
+
+/**
+ * @param {Object} [config]
+ * @param {string} [config.apiKey] - defaults to GEMINI_API_KEY
+ * @returns {Object} provider
+ */
+function createGeminiProvider(config = {}) {
+  const apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+  const available = !!apiKey && apiKey !== 'YOUR_GEMINI_API_KEY_HERE';
+  const genAI = available ? new GoogleGenerativeAI(apiKey) : null;
+
+  function requestOptions(options) {
+    return options.signal ? { signal: options.signal } : {};
+  }
+
+  function toHistory(history) {
+    return (history || []).map(h => ({
+      role: h.role === 'user' ? 'user' : 'model',
+      parts: [{ text: h.text }]
+    }));
+  }
+
+  function getModel(options = {}) {
+    if (!genAI) throw new Error('GEMINI_API_KEY not configured');
+    return genAI.getGenerativeModel({
+      model: options.model || DEFAULT_MODEL,
+      ...(options.systemInstruction ? { systemInstruction: options.systemInstruction } : {})
+    });
+  }
+
+  /**
+   * Single-turn text generation
+   * @param {string} prompt
+   * @param {Object} [options] - { model, signal }
+   * @returns {Promise<string>}
+   */
+  async function generate(prompt, options = {}) {
+    const model = getModel(options);
+    const result = await model.generateContent(prompt, requestOptions(options));
+    return result.response.text();
+  }
+
+  /**
+   * Streaming text generation
+   * @param {string} prompt
+   * @param {Object} [options] - { model, signal }
+   * @returns {AsyncGenerator<string>} text chunks
+   */
+  async function* generateStream(prompt, options = {}) {
+    const model = getModel(options);
+    const result = await model.generateContentStream(prompt, requestOptions(options));
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  /**
+   * Multi-turn chat
+   * @param {Object} conversation
+   * @param {string} conversation.systemInstruction
+   * @param {Object[]} conversation.history - [{ role: 'user' | 'model', text }]
+   * @param {string} conversation.message
+   * @param {Object} [options] - { model, signal }
+   * @returns {Promise<string>}
+   */
+  async function chat(conversation, options = {}) {
+    const model = getModel({ ...options, systemInstruction: conversation.systemInstruction });
+    const session = model.startChat({ history: toHistory(conversation.history) });
+    const result = await session.sendMessage(conversation.message, requestOptions(options));
+    return result.response.text();
+  }
+
+  /**
+   * Streaming multi-turn chat
+   * @returns {AsyncGenerator<string>} text chunks
+   */
+  async function* chatStream(conversation, options = {}) {
+    const model = getModel({ ...options, systemInstruction: conversation.systemInstruction });
+    const session = model.startChat({ history: toHistory(conversation.history) });
+    const result = await session.sendMessageStream(conversation.message, requestOptions(options));
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  return {
+    name: 'gemini',
+    available,
+    defaultModel: DEFAULT_MODEL,
+    generate,
+    generateStream,
+    chat,
+    chatStream
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,194 @@
+/**
+ * Offline Provider
+ * Deterministic template writer — no network, no API key.
+ *
+ * generate() ignores the prompt text and writes the diagnosis description
+ * fields from options.context (the classifier output), returning the same
+ * JSON shape the hybrid prompt asks Gemini for. Used when no key is set,
+ * when the primary provider fails, and in tests.
+ */
+
+const { langCode, detectLang, getSectionLabels, getSeasonName, getTendencyName } = require('../../i18n');
+const { selectPalette, formatExplanation } = require('../../apl-color-classifier');
+
+const TEXT = {
+  ko: {
+    color: (t, s, l, c, h) => `피부 명도 L* ${l}, 채도 ${c}, 색상각 ${h}°로 측정되어 ${t} 경향의 ${s} 타입으로 분석되었습니다. 이 톤에서는 피부와 조화를 이루는 색을 얼굴 가까이에 두면 안색이 한층 맑아 보입니다.`,
+    face: (shape, detail) => `얼굴형 분석 결과: ${shape}${detail ? ` (${detail})` : ''}.`,
+    faceParts: ['이마', '턱', '세로 비율'],
+    separator: ', ',
+    body: (type, r) => `체형 분석 결과: ${type} (어깨/골반 비율 ${r}).`,
+    palette: (t, best, avoid) => `${best} 같은 컬러는 ${t} 경향의 피부 톤과 조화를 이루어 혈색을 살려 줍니다. 반대로 ${avoid} 같은 컬러는 톤이 어긋나 안색이 칙칙하거나 피곤해 보일 수 있습니다.`,
+    tip: (s, best) => `${s} 타입에는 ${best} 같은 컬러를 얼굴 가까이에 활용해 보세요.`,
+    chat: '현재 AI 상담이 일시적으로 오프라인 상태입니다. 무료 데모 진단을 먼저 받아 보시거나 잠시 후 다시 문의해 주세요.'
+  },
+  ja: {
+    color: (t, s, l, c, h) => `肌の明度 L* ${l}、彩度 ${c}、色相角 ${h}° の測定結果から、${t}傾向の${s}タイプと分析されました。肌になじむ色を顔周りに取り入れると、より明るい印象になります。`,
+    face: (shape, detail) => `顔型は${shape}と分析されました${detail ? `（${detail}）` : ''}。`,
+    faceParts: ['額', '顎', '縦横比'],
+    separator: '、',
+    body: (type, r) => `体型は${type}と分析されました（肩/腰比 ${r}）。`,
+    palette: (t, best, avoid) => `${best}などのカラーは${t}傾向の肌になじみ、血色をよく見せてくれます。一方で${avoid}などのカラーは肌のトーンとずれるため、顔色がくすんだり疲れて見えたりすることがあります。`,
+    tip: (s, best) => `${s}タイプには${best}などのカラーを顔周りに取り入れてみてください。`,
+    chat: '現在AIカウンセリングは一時的にオフラインです。まずは無料デモ診断をお試しいただくか、しばらくしてから再度お問い合わせください。'
+  },
+  zh: {
+    color: (t, s, l, c, h) => `根据皮肤明度 L* ${l}、彩度 ${c}、色相角 ${h}° 的测量结果，分析为${t}倾向的${s}类型。将与肤色协调的颜色放在脸部附近，会让气色更加明亮。`,
+    face: (shape, detail) => `脸型分析为${shape}${detail ? `（${detail}）` : ''}。`,
+    faceParts: ['额头', '下颌', '长宽比'],
+    separator: '，',
+    body: (type, r) => `体型分析为${type}（肩/臀比 ${r}）。`,
+    palette: (t, best, avoid) => `${best}等颜色与${t}倾向的肤色相协调，能提升气色。相反，${avoid}等颜色与肤色色调不符，可能让脸色显得暗沉或疲惫。`,
+    tip: (s, best) => `${s}类型适合在脸部附近使用${best}等颜色。`,
+    chat: 'AI咨询暂时离线。您可以先体验免费的演示诊断，或稍后再来咨询。'
+  },
+  en: {
+    color: (t, s, l, c, h) => `With a measured skin lightness of L* ${l}, chroma ${c} and hue angle ${h}°, your coloring reads as a ${t} ${s} type. Wearing harmonious colors close to the face will make your complexion look clearer and brighter.`,
+    face: (shape, detail) => `Your face shape was classified as ${shape}${detail ? ` (${detail})` : ''}.`,
+    faceParts: ['forehead', 'jaw', 'height ratio'],
+    separator: ', ',
+    body: (type, r) => `Your body type was classified as ${type} (shoulder/hip ratio ${r}).`,
+    palette: (t, best, avoid) => `Colors such as ${best} harmonize with your ${t} undertone and bring out a healthy glow. Colors such as ${avoid} clash with that undertone and can make the complexion look dull or tired.`,
+    tip: (s, best) => `As a ${s} type, try wearing colors such as ${best} near your face.`,
+    chat: 'Our AI consultant is temporarily offline. Please try the free demo diagnosis first, or ask again in a little while.'
+  }
+};
+
+function r1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+/**
+ * "forehead 0.9, jaw 0.8, …" — only the measured ratios
+ */
+function faceDetail(text, proportions) {
+  return [proportions.foreheadRatio, proportions.jawRatio, proportions.heightRatio]
+    .map((value, i) => (Number.isFinite(value) ? `${text.faceParts[i]} ${value}` : null))
+    .filter(Boolean)
+    .join(text.separator);
+}
+
+function colorLine(label, color) {
+  if (!color || !color.lab) return null;
+  return `- ${label}: ${r1(color.lab.l)} / ${r1(color.lab.a)} / ${r1(color.lab.b)}`;
+}
+
+/**
+ * Build the description JSON from classifier output
+ *
+ * @param {Object} context
+ * @param {Object} context.internalResult - fullDiagnosis() result (nullable)
+ * @param {Object} context.warmCoolModule - warm-cool-classifier classify() result (nullable)
+ * @param {Object} context.reconciliation - reconciliation reconcile() result (nullable)
+ * @param {Object} context.faceAnalysis - client measurements
+ * @param {Object} context.palette - selectPalette() result (nullable, derived when missing)
+ * @param {string} context.lang
+ * @returns {Object} { personalColorDetail, faceShapeDetail, bodyTypeDetail, paletteExplanation, stylingTip, ... }
+ */
+function describeDiagnosis(context = {}) {
+  const { internalResult, warmCoolModule, reconciliation, faceAnalysis = {} } = context;
+  const code = langCode(context.lang);
+  const text = TEXT[code];
+  const sl = getSectionLabels(code);
+  const pc = internalResult ? internalResult.personalColor : null;
+
+  const season = (reconciliation && reconciliation.season) ||
+    (warmCoolModule && warmCoolModule.season.primary) || (pc && pc.season) || 'Spring';
+  const subType = reconciliation ? reconciliation.subType : (pc ? pc.type : null);
+  const tendency = warmCoolModule
+    ? warmCoolModule.warmCool.tendency
+    : (pc ? pc.characteristics.hue : 'Neutral');
+
+  const seasonName = getSeasonName(season, code);
+  const tendencyName = getTendencyName(tendency, code);
+
+  // Measurements section
+  const lines = [
+    colorLine(sl.skin, faceAnalysis.skinColor),
+    colorLine(sl.hair, faceAnalysis.hairColor),
+    colorLine(sl.eyebrow, faceAnalysis.eyebrowColor),
+    colorLine(sl.eye, faceAnalysis.eyeColor),
+    colorLine(sl.lip, faceAnalysis.lipColor),
+    colorLine(sl.neck, faceAnalysis.neckColor)
+  ].filter(Boolean);
+
+  const skin = pc ? pc.debug : null;
+  const description = skin
+    ? text.color(tendencyName, seasonName, skin.skinL, skin.skinChromaValue, skin.hueAngle)
+    : text.color(tendencyName, seasonName, '-', '-', '-');
+
+  // Engine reasons, only when they explain the reported sub-type
+  const explanation = internalResult && internalResult.explanation &&
+    internalResult.explanation.type === subType ? internalResult.explanation : null;
+  const reasons = explanation ? '\n' + formatExplanation(explanation, code, { typeNames: false }).lines.join(' ') : '';
+
+  const personalColorDetail = `◼︎ ${sl.measurements}\n${lines.join('\n')}\n\n◼︎ ${sl.description}\n${description}${reasons}`;
+
+  // Palette — chosen by the catalogue, only explained here
+  const palette = context.palette || selectPalette({ type: subType, season }, code);
+  const bestNames = palette.best.map(c => c.name);
+  const avoidNames = palette.avoid.map(c => c.name);
+
+  // Face / body
+  const face = internalResult && internalResult.faceShape && internalResult.faceShape.type ? internalResult.faceShape : null;
+  const body = internalResult ? internalResult.bodyType : null;
+  const faceShapeDetail = face
+    ? text.face(face.type, faceDetail(text, face.proportions))
+    : null;
+  const bodyTypeDetail = body
+    ? text.body(body.type, body.proportions.shoulderHipRatio)
+    : null;
+
+  return {
+    personalColor: subType,
+    seasonGroup: season,
+    personalColorDetail,
+    faceShape: face ? face.type : null,
+    faceShapeDetail,
+    bodyType: body ? body.type : null,
+    bodyTypeDetail,
+    paletteExplanation: text.palette(tendencyName, bestNames.slice(0, 3).join(', '), avoidNames.slice(0, 2).join(', ')),
+    stylingTip: text.tip(seasonName, bestNames.slice(0, 2).join(', '))
+  };
+}
+
+/**
+ * @returns {Object} provider
+ */
+function createOfflineProvider() {
+  /**
+   * @param {string} prompt - ignored
+   * @param {Object} [options] - { context } see describeDiagnosis()
+   * @returns {Promise<string>} JSON string
+   */
+  async function generate(prompt, options = {}) {
+    return JSON.stringify(describeDiagnosis(options.context));
+  }
+
+  async function* generateStream(prompt, options = {}) {
+    yield await generate(prompt, options);
+  }
+
+  /**
+   * Canned reply in the visitor's language
+   */
+  async function chat(conversation) {
+    return TEXT[detectLang(conversation.message)].chat;
+  }
+
+  async function* chatStream(conversation) {
+    yield await chat(conversation);
+  }
+
+  return {
+    name: 'offline',
+    available: true,
+    defaultModel: 'template',
+    generate,
+    generateStream,
+    chat,
+    chatStream
+  };
+}
+
+module.exports = { createOfflineProvider, describeDiagnosis };
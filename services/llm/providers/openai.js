@@ -0,0 +1,135 @@
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any server implementing POST {baseUrl}/chat/completions
+ * (OpenAI, vLLM, llama.cpp server, Ollama, LM Studio, ...).
+ *
+ * Environment:
+ *   OPENAI_BASE_URL - e.g. http://localhost:11434/v1 (default: https://api.openai.com/v1)
+ *   OPENAI_API_KEY  - optional for local servers
+ *   OPENAI_MODEL    - model name sent to the server (default: gpt-4o-mini)
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl]
+ * @param {string} [config.apiKey]
+ * @param {string} [config.model]
+ * @param {number} [config.timeoutMs]
+ * @returns {Object} provider
+ */
+function createOpenAIProvider(config = {}) {
+  const baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+  const model = config.model || process.env.OPENAI_MODEL || DEFAULT_MODEL;
+  const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  // A custom base URL (local server) does not need a key; the public API does
+  const available = !!apiKey || baseUrl !== DEFAULT_BASE_URL;
+
+  async function request(messages, options, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model, messages, stream }),
+      signal: options.signal ? AbortSignal.any([options.signal, timeout]) : timeout
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`OpenAI-compatible request failed: ${response.status} ${body.slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  async function complete(messages, options = {}) {
+    const response = await request(messages, options, false);
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error('OpenAI-compatible response has no choices');
+    }
+    return choice.message.content || '';
+  }
+
+  /**
+   * Read `data: {...}` lines from a streamed completion
+   */
+  async function* completeStream(messages, options = {}) {
+    const response = await request(messages, options, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (!line.startsWith('data:')) continue;
+
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        const data = JSON.parse(payload);
+        const delta = data.choices && data.choices[0] && data.choices[0].delta;
+        if (delta && delta.content) yield delta.content;
+      }
+    }
+  }
+
+  function toMessages(conversation) {
+    const messages = [];
+    if (conversation.systemInstruction) {
+      messages.push({ role: 'system', content: conversation.systemInstruction });
+    }
+    for (const h of conversation.history || []) {
+      messages.push({ role: h.role === 'user' ? 'user' : 'assistant', content: h.text });
+    }
+    messages.push({ role: 'user', content: conversation.message });
+    return messages;
+  }
+
+  /**
+   * Single-turn text generation
+   * options.model is a Gemini model name at the call sites and is ignored here;
+   * the server model comes from OPENAI_MODEL.
+   */
+  async function generate(prompt, options = {}) {
+    return complete([{ role: 'user', content: prompt }], options);
+  }
+
+  function generateStream(prompt, options = {}) {
+    return completeStream([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Multi-turn chat — history roles 'user' | 'model' map to 'user' | 'assistant'
+   */
+  async function chat(conversation, options = {}) {
+    return complete(toMessages(conversation), options);
+  }
+
+  function chatStream(conversation, options = {}) {
+    return completeStream(toMessages(conversation), options);
+  }
+
+  return {
+    name: 'openai',
+    available,
+    defaultModel: model,
+    generate,
+    generateStream,
+    chat,
+    chatStream
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,151 @@
+/**
+ * Diagnosis Response Schemas
+ *
+ * Declared shapes for the JSON the hybrid and full prompts ask the LLM for,
+ * with a field-by-field validator. Unknown keys are dropped, failing fields
+ * are reported individually so they can be re-asked or filled by fallback.
+ *
+ * Field rule:
+ *   type:      'string' | 'array' | 'object'
+ *   nullable:  null allowed (default false)
+ *   optional:  key may be missing (default false)
+ *   enum:      allowed string values
+ *   minItems / maxItems / maxLength
+ *   format:    'sectionedDetail' — "◼︎ {measurements}\n- ...\n\n◼︎ {description}\n..."
+ *   hint:      human-readable description used in repair prompts
+ */
+
+const { getSectionLabels } = require('../i18n');
+const { COLOR_TYPES, FACE_REFERENCE } = require('../apl-color-classifier');
+
+const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
+
+const DESCRIPTION_FIELDS = {
+  personalColorDetail: {
+    type: 'string',
+    format: 'sectionedDetail',
+    hint: 'two sections: measurements header line, one "- label: L / a / b" line per color, a blank line, then description header and explanation'
+  },
+  faceShapeDetail: { type: 'string', nullable: true, maxLength: 1500, hint: 'plain explanation text' },
+  bodyTypeDetail: { type: 'string', nullable: true, optional: true, maxLength: 1500, hint: 'plain explanation text or null' },
+  paletteExplanation: { type: 'string', nullable: true, maxLength: 800, hint: 'why the given best colors suit and the avoid colors do not, or null when no palette was given' },
+  stylingTip: { type: 'string', maxLength: 400, hint: 'a brief 1-2 sentence recommendation' }
+};
+
+// Hybrid: internal classifier decided the types, LLM writes descriptions only
+const HYBRID_SCHEMA = { ...DESCRIPTION_FIELDS };
+
+// Full: LLM decides types as well (low-confidence fallback)
+const FULL_SCHEMA = {
+  personalColor: { type: 'string', enum: Object.keys(COLOR_TYPES), hint: `one of: ${Object.keys(COLOR_TYPES).join(', ')}` },
+  seasonGroup: { type: 'string', enum: SEASONS, hint: `one of: ${SEASONS.join(', ')}` },
+  personalColorCharacteristics: { type: 'object', optional: true, hint: '{ hue, value, chroma, contrast }' },
+  faceShape: { type: 'string', enum: Object.keys(FACE_REFERENCE), hint: `one of: ${Object.keys(FACE_REFERENCE).join(', ')}` },
+  bodyType: { type: 'string', nullable: true, optional: true, maxLength: 40, hint: 'body type name or null' },
+  ...DESCRIPTION_FIELDS
+};
+
+function checkSectionedDetail(value, lang) {
+  const sl = getSectionLabels(lang);
+  const marker = '◼︎?';
+  const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(
+    `^${marker} ${escape(sl.measurements)}\\n((?:- .+: .+\\n?)+)\\n${marker} ${escape(sl.description)}\\n\\S[\\s\\S]*$`
+  );
+  if (!pattern.test(value.trim())) {
+    return `must be "◼︎ ${sl.measurements}\\n- ...\\n\\n◼︎ ${sl.description}\\n..."`;
+  }
+  return null;
+}
+
+/**
+ * Validate a single field against its rule
+ * @returns {string|null} error message, or null when valid
+ */
+function validateField(value, rule, lang) {
+  if (value === undefined) return rule.optional ? null : 'missing';
+  if (value === null) return rule.nullable || rule.optional ? null : 'must not be null';
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) return 'must be an array';
+    if (rule.minItems != null && value.length < rule.minItems) return `needs at least ${rule.minItems} items`;
+    if (rule.maxItems != null && value.length > rule.maxItems) return `allows at most ${rule.maxItems} items`;
+    if (value.some(v => typeof v !== 'string' || !v.trim())) return 'items must be non-empty strings';
+    if (rule.maxLength != null && value.some(v => v.length > rule.maxLength)) return `items must be at most ${rule.maxLength} chars`;
+    return null;
+  }
+
+  if (rule.type === 'object') {
+    return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+  }
+
+  if (typeof value !== 'string') return 'must be a string';
+  if (!value.trim()) return 'must not be empty';
+  if (rule.maxLength != null && value.length > rule.maxLength) return `must be at most ${rule.maxLength} chars`;
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+  if (rule.format === 'sectionedDetail') return checkSectionedDetail(value, lang);
+  return null;
+}
+
+/**
+ * Validate a parsed LLM response field by field
+ *
+ * @param {Object} data - parsed JSON (nullable)
+ * @param {Object} schema - HYBRID_SCHEMA | FULL_SCHEMA
+ * @param {Object} [options] - { lang }
+ * @returns {Object} { value, errors: { field: message }, extraKeys }
+ *   value holds only the declared fields that passed
+ */
+function validateResponse(data, schema, options = {}) {
+  const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const error = validateField(source[field], rule, options.lang);
+    if (error) {
+      errors[field] = error;
+    } else if (source[field] !== undefined) {
+      value[field] = typeof source[field] === 'string' ? source[field].trim() : source[field];
+    }
+  }
+
+  const extraKeys = Object.keys(source).filter(k => !(k in schema));
+
+  return { value, errors, extraKeys };
+}
+
+/**
+ * Targeted re-ask listing only the failing fields
+ *
+ * @param {string} originalPrompt
+ * @param {Object} schema
+ * @param {Object} errors - { field: message } from validateResponse()
+ * @param {Object} [options] - { lang }
+ * @returns {string}
+ */
+function buildRepairPrompt(originalPrompt, schema, errors, options = {}) {
+  const sl = getSectionLabels(options.lang);
+  const lines = Object.entries(errors).map(([field, message]) => {
+    let hint = schema[field].hint || schema[field].type;
+    if (schema[field].format === 'sectionedDetail') {
+      hint += ` (headers: "◼︎ ${sl.measurements}" and "◼︎ ${sl.description}")`;
+    }
+    return `- "${field}": ${message}. Expected: ${hint}`;
+  });
+
+  return `${originalPrompt}
+
+## Correction Needed
+Your previous answer had problems in these fields only:
+${lines.join('\n')}
+
+Respond ONLY with pure JSON containing exactly these keys: ${Object.keys(errors).map(f => `"${f}"`).join(', ')}. No code blocks, no markdown, no other keys.`;
+}
+
+module.exports = {
+  HYBRID_SCHEMA,
+  FULL_SCHEMA,
+  validateResponse,
+  buildRepairPrompt
+};
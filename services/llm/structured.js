@@ -0,0 +1,110 @@
+/**
+ * Structured Output
+ *
+ * Generate → parse → validate → one targeted re-ask → deterministic fallback.
+ * Fields that still fail after the re-ask are filled from the offline
+ * provider, which always produces a schema-valid answer.
+ */
+
+const { validateResponse, buildRepairPrompt } = require('./schema');
+
+/**
+ * Parse JSON from raw LLM text — plain JSON, fenced code block, or first {...}
+ * @param {string} raw
+ * @returns {Object|null} parsed object, or null when nothing parses
+ */
+function parseJsonResponse(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (parseError) {
+    let jsonMatch = raw.match(/```json\s*([\s\S]*?)\s*```/);
+    if (!jsonMatch) jsonMatch = raw.match(/```\s*([\s\S]*?)\s*```/);
+    if (!jsonMatch) jsonMatch = raw.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    try {
+      return JSON.parse(jsonMatch[1] || jsonMatch[0]);
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Validate an already generated answer, re-ask once, then fall back
+ *
+ * @param {Object} llm - { generateWithFallback, getFallbackProvider }
+ * @param {string} prompt - original prompt (repeated in the re-ask)
+ * @param {Object} first - { text, provider } first answer
+ * @param {Object} schema - HYBRID_SCHEMA | FULL_SCHEMA
+ * @param {Object} [options] - { model, context, lang, signal }
+ * @returns {Promise<Object>} {
+ *   data, provider,
+ *   repairedFields: string[],   // fixed by the re-ask
+ *   fallbackFields: string[],   // filled by offline templates (also when the re-ask fell back to offline)
+ *   droppedKeys: string[]       // undeclared keys removed
+ * }
+ */
+async function completeStructured(llm, prompt, first, schema, options = {}) {
+  const lang = options.lang;
+  const firstCheck = validateResponse(parseJsonResponse(first.text), schema, { lang });
+
+  let data = firstCheck.value;
+  let errors = firstCheck.errors;
+  // Offline answers carry the keys of both schemas — nothing to report there
+  const droppedKeys = first.provider === 'offline' ? [] : [...firstCheck.extraKeys];
+  const repairedFields = [];
+  const offlineFields = [];
+
+  // One targeted re-ask (not for offline — it cannot do better)
+  if (Object.keys(errors).length > 0 && first.provider !== 'offline') {
+    console.warn(`[LLM] ${first.provider} response failed validation: ${Object.keys(errors).join(', ')} — re-asking`);
+    const repairPrompt = buildRepairPrompt(prompt, schema, errors, { lang });
+    const repairSchema = Object.fromEntries(Object.keys(errors).map(f => [f, schema[f]]));
+    const second = await llm.generateWithFallback(repairPrompt, options);
+    const secondCheck = validateResponse(parseJsonResponse(second.text), repairSchema, { lang });
+
+    // generateWithFallback may have answered the re-ask offline: those are template fields
+    if (second.provider === 'offline') {
+      offlineFields.push(...Object.keys(secondCheck.value));
+    } else {
+      repairedFields.push(...Object.keys(secondCheck.value));
+      droppedKeys.push(...secondCheck.extraKeys);
+    }
+    data = { ...data, ...secondCheck.value };
+    errors = secondCheck.errors;
+  }
+
+  // Deterministic fallback for anything still failing
+  const failing = Object.keys(errors);
+  if (failing.length > 0) {
+    const offlineText = await llm.getFallbackProvider().generate(prompt, options);
+    const offline = parseJsonResponse(offlineText) || {};
+    for (const field of failing) {
+      data[field] = offline[field] !== undefined ? offline[field] : null;
+    }
+  }
+
+  return {
+    data,
+    provider: first.provider,
+    repairedFields,
+    fallbackFields: [...offlineFields, ...failing],
+    droppedKeys: [...new Set(droppedKeys)]
+  };
+}
+
+/**
+ * Generate, then validate/repair — see completeStructured()
+ */
+async function generateStructured(llm, prompt, schema, options = {}) {
+  const first = await llm.generateWithFallback(prompt, options);
+  return completeStructured(llm, prompt, first, schema, options);
+}
+
+module.exports = {
+  parseJsonResponse,
+  completeStructured,
+  generateStructured
+};
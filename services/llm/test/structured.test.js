@@ -0,0 +1,50 @@
+/**
+ * completeStructured: what the re-ask fixed vs. what offline templates filled
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { completeStructured } = require('../structured');
+
+const SCHEMA = {
+  summary: { type: 'string' },
+  tips: { type: 'string', maxLength: 20 }
+};
+const OFFLINE_ANSWER = JSON.stringify({ summary: 'offline summary', tips: 'offline tips' });
+
+// The llm interface completeStructured needs, answering the re-ask from `second`
+function fakeLlm(second) {
+  return {
+    generateWithFallback: async () => second,
+    getFallbackProvider: () => ({ generate: async () => OFFLINE_ANSWER })
+  };
+}
+
+const FIRST = { provider: 'gemini', text: JSON.stringify({ summary: 'fine', tips: 'x'.repeat(30), extra: 1 }) };
+
+test('fields fixed by the provider on the re-ask are repaired fields', async () => {
+  const llm = fakeLlm({ provider: 'gemini', text: JSON.stringify({ tips: 'short tips' }) });
+  const result = await completeStructured(llm, 'prompt', FIRST, SCHEMA);
+  assert.deepEqual(result.data, { summary: 'fine', tips: 'short tips' });
+  assert.deepEqual(result.repairedFields, ['tips']);
+  assert.deepEqual(result.fallbackFields, []);
+  assert.deepEqual(result.droppedKeys, ['extra']);
+});
+
+test('a re-ask answered by the offline provider reports fallback fields', async () => {
+  const llm = fakeLlm({ provider: 'offline', text: OFFLINE_ANSWER });
+  const result = await completeStructured(llm, 'prompt', FIRST, SCHEMA);
+  assert.deepEqual(result.data, { summary: 'fine', tips: 'offline tips' });
+  assert.deepEqual(result.repairedFields, []);
+  assert.deepEqual(result.fallbackFields, ['tips']);
+  // offline answers carry every key; only the first answer's extra key is reported
+  assert.deepEqual(result.droppedKeys, ['extra']);
+});
+
+test('fields still failing after the re-ask come from offline templates', async () => {
+  const llm = fakeLlm({ provider: 'gemini', text: 'not json' });
+  const result = await completeStructured(llm, 'prompt', FIRST, SCHEMA);
+  assert.deepEqual(result.data, { summary: 'fine', tips: 'offline tips' });
+  assert.deepEqual(result.repairedFields, []);
+  assert.deepEqual(result.fallbackFields, ['tips']);
+});
@@ -0,0 +1,236 @@
+/**
+ * Classifier Reconciliation
+ *
+ * /diagnose runs two engines on the same measurements:
+ *   apl-color-classifier  — 14 sub-types from range rules (fullDiagnosis)
+ *   warm-cool-classifier  — warm/cool score + 4-season probabilities (classify)
+ *
+ * They can disagree (e.g. 'Winter Deep' next to a 'Spring' season). This
+ * module combines both into one season distribution and one sub-type
+ * distribution, lists every disagreement explicitly and records which
+ * engine decided each field.
+ *
+ *   season   — linear pool of both season distributions, each weighted by
+ *              its engine's reliability
+ *   subType  — P(type) = P(season) × P_apl(type | season), so the sub-type
+ *              always belongs to the reconciled season
+ *   warmCool — warm-cool-classifier (5 levels); apl hue label as fallback
+ *
+ * Usage:
+ *   const { reconcile } = require('./reconciliation');
+ *   const r = reconcile(fullDiagnosisResult, warmCoolResult);
+ *   r.season, r.subType, r.disagreements, r.decidedBy
+ */
+
+const { SEASON_MAP, typeProbabilities: calibratedTypeProbabilities } = require('../apl-color-classifier');
+const { round } = require('../apl-color-classifier/lib/labUtils');
+
+const ENGINES = {
+  TYPE: 'apl-color-classifier',
+  WARM_COOL: 'warm-cool-classifier',
+  RECONCILED: 'reconciled',
+  LLM: 'llm' // used by callers for fields the description provider decided
+};
+
+const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
+const WARM_SEASONS = ['Spring', 'Autumn'];
+
+function seasonOfType(type) {
+  return SEASONS.find(s => SEASON_MAP[s].includes(type)) || null;
+}
+
+function undertoneOf(label) {
+  if (!label) return null;
+  if (/cool/i.test(label)) return 'cool';
+  if (/warm/i.test(label)) return 'warm';
+  return 'neutral';
+}
+
+function normalize(dist) {
+  const total = Object.values(dist).reduce((s, v) => s + v, 0);
+  const out = {};
+  for (const key of Object.keys(dist)) out[key] = total > 0 ? dist[key] / total : 1 / Object.keys(dist).length;
+  return out;
+}
+
+function argmax(dist) {
+  return Object.entries(dist).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * 14-type probabilities: the classifier's calibrated distribution, or the
+ * default calibration (lib/probability.js) applied to the match scores
+ */
+function typeProbabilities(personalColor) {
+  if (!personalColor.probabilities) {
+    return calibratedTypeProbabilities(personalColor.typeScores || personalColor.debug.allScores);
+  }
+  const probs = {};
+  for (const { type, probability } of personalColor.probabilities.types) probs[type] = probability;
+  return normalize(probs);
+}
+
+function seasonsFromTypes(typeProbs) {
+  const seasons = {};
+  for (const season of SEASONS) {
+    seasons[season] = SEASON_MAP[season].reduce((s, type) => s + (typeProbs[type] || 0), 0);
+  }
+  return seasons;
+}
+
+/**
+ * Reconcile both engines
+ *
+ * @param {Object|null} internalResult - fullDiagnosis() result
+ * @param {Object|null} warmCoolModule - warm-cool-classifier classify() result
+ * @returns {Object|null} null when neither engine produced a result, otherwise {
+ *   season, subType,
+ *   seasonScores: { Spring, Summer, Autumn, Winter } (sum = 1),
+ *   typeScores: [{ type, probability }] best first,
+ *   warmCool: { tendency, score },
+ *   weights: { 'apl-color-classifier', 'warm-cool-classifier' },
+ *   engines: { per-engine raw answer },
+ *   agreement: boolean,
+ *   disagreements: [{ field, severity: 'major' | 'minor', values, resolvedTo, message }]
+ *     field: season | subType | warmCool | seasonUndertone,
+ *   decidedBy: { season, subType, warmCool }
+ * }
+ */
+function reconcile(internalResult, warmCoolModule) {
+  const pc = internalResult ? internalResult.personalColor : null;
+  const moduleSeason = warmCoolModule && warmCoolModule.season.primary ? warmCoolModule.season : null;
+  if (!pc && !warmCoolModule) return null;
+
+  // ─── Season distribution ───
+  const typeProbs = pc ? typeProbabilities(pc) : null;
+  const aplSeasons = typeProbs ? seasonsFromTypes(typeProbs) : null;
+
+  const weights = {
+    [ENGINES.TYPE]: pc ? internalResult.confidence.overall : 0,
+    [ENGINES.WARM_COOL]: moduleSeason ? moduleSeason.reliability : 0
+  };
+  const totalWeight = weights[ENGINES.TYPE] + weights[ENGINES.WARM_COOL];
+
+  let seasonScores = null;
+  if (aplSeasons || moduleSeason) {
+    seasonScores = {};
+    for (const season of SEASONS) {
+      const aplP = aplSeasons ? aplSeasons[season] : 0;
+      const moduleP = moduleSeason ? moduleSeason.scores[season] : 0;
+      seasonScores[season] = totalWeight > 0
+        ? (aplP * weights[ENGINES.TYPE] + moduleP * weights[ENGINES.WARM_COOL]) / totalWeight
+        : (aplP + moduleP) / ((aplSeasons ? 1 : 0) + (moduleSeason ? 1 : 0));
+    }
+    seasonScores = normalize(seasonScores);
+  }
+  const season = seasonScores ? argmax(seasonScores) : null;
+
+  // ─── Sub-type distribution, conditioned on the reconciled seasons ───
+  let typeScores = [];
+  let subType = null;
+  if (typeProbs) {
+    typeScores = Object.keys(typeProbs).map(type => {
+      const s = seasonOfType(type);
+      const withinSeason = aplSeasons[s] > 0 ? typeProbs[type] / aplSeasons[s] : 0;
+      return { type, probability: round(seasonScores[s] * withinSeason, 3) };
+    }).sort((a, b) => b.probability - a.probability);
+    subType = typeScores.find(t => seasonOfType(t.type) === season).type;
+  }
+
+  // ─── Warm / cool ───
+  let warmCool = null;
+  if (warmCoolModule) {
+    warmCool = { tendency: warmCoolModule.warmCool.tendency, score: warmCoolModule.warmCool.score };
+  } else if (pc) {
+    warmCool = { tendency: pc.characteristics.hue, score: pc.characteristics.hueScore };
+  }
+
+  // ─── Disagreements ───
+  const disagreements = [];
+  if (pc && moduleSeason && pc.season !== moduleSeason.primary) {
+    const crossesUndertone = WARM_SEASONS.includes(pc.season) !== WARM_SEASONS.includes(moduleSeason.primary);
+    disagreements.push({
+      field: 'season',
+      severity: crossesUndertone ? 'major' : 'minor',
+      values: { [ENGINES.TYPE]: pc.season, [ENGINES.WARM_COOL]: moduleSeason.primary },
+      resolvedTo: season,
+      message: `${ENGINES.TYPE} says ${pc.season}, ${ENGINES.WARM_COOL} says ${moduleSeason.primary}; combined probabilities favour ${season}`
+    });
+  }
+  if (pc && subType && pc.type !== subType) {
+    disagreements.push({
+      field: 'subType',
+      severity: 'major',
+      values: { [ENGINES.TYPE]: pc.type },
+      resolvedTo: subType,
+      message: `${pc.type} is outside the reconciled season ${season}; closest ${season} sub-type is ${subType}`
+    });
+  }
+  if (pc && warmCoolModule) {
+    const aplUndertone = undertoneOf(pc.characteristics.hue);
+    const moduleUndertone = undertoneOf(warmCoolModule.warmCool.tendency);
+    if (aplUndertone !== moduleUndertone) {
+      const opposite = aplUndertone !== 'neutral' && moduleUndertone !== 'neutral';
+      disagreements.push({
+        field: 'warmCool',
+        severity: opposite ? 'major' : 'minor',
+        values: { [ENGINES.TYPE]: pc.characteristics.hue, [ENGINES.WARM_COOL]: warmCoolModule.warmCool.tendency },
+        resolvedTo: warmCool.tendency,
+        message: `skin hue angle reads ${pc.characteristics.hue}, warm/cool score reads ${warmCoolModule.warmCool.tendency}`
+      });
+    }
+  }
+
+  // Reported tendency vs the undertone of the reconciled season (e.g. 'Warm / Winter')
+  if (season && warmCool) {
+    const tendency = undertoneOf(warmCool.tendency);
+    const seasonUndertone = WARM_SEASONS.includes(season) ? 'warm' : 'cool';
+    if (tendency !== 'neutral' && tendency !== seasonUndertone) {
+      disagreements.push({
+        field: 'seasonUndertone',
+        severity: /neutral/i.test(warmCool.tendency) ? 'minor' : 'major',
+        values: { warmCool: warmCool.tendency, season },
+        resolvedTo: season,
+        message: `${warmCool.tendency} tendency reported with ${seasonUndertone} season ${season}`
+      });
+    }
+  }
+
+  // ─── Deciding engine per field ───
+  let seasonEngine = null;
+  if (aplSeasons && moduleSeason) seasonEngine = ENGINES.RECONCILED;
+  else if (moduleSeason) seasonEngine = ENGINES.WARM_COOL;
+  else if (aplSeasons) seasonEngine = ENGINES.TYPE;
+
+  const decidedBy = {
+    season: seasonEngine,
+    subType: subType ? (seasonEngine === ENGINES.TYPE ? ENGINES.TYPE : ENGINES.RECONCILED) : null,
+    warmCool: warmCoolModule ? ENGINES.WARM_COOL : (pc ? ENGINES.TYPE : null)
+  };
+
+  const rounded = {};
+  if (seasonScores) for (const s of SEASONS) rounded[s] = round(seasonScores[s], 3);
+
+  return {
+    season,
+    subType,
+    seasonScores: seasonScores ? rounded : null,
+    typeScores,
+    warmCool,
+    weights: { [ENGINES.TYPE]: round(weights[ENGINES.TYPE], 3), [ENGINES.WARM_COOL]: round(weights[ENGINES.WARM_COOL], 3) },
+    engines: {
+      [ENGINES.TYPE]: pc ? { type: pc.type, season: pc.season, hue: pc.characteristics.hue } : null,
+      [ENGINES.WARM_COOL]: warmCoolModule
+        ? { season: warmCoolModule.season.primary, tendency: warmCoolModule.warmCool.tendency }
+        : null
+    },
+    agreement: disagreements.length === 0,
+    disagreements,
+    decidedBy
+  };
+}
+
+module.exports = {
+  reconcile,
+  ENGINES
+};
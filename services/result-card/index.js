@@ -0,0 +1,246 @@
+/**
+ * Result Card Renderer
+ *
+ * Shareable 1200×630 (Open Graph) card for a saved demo diagnosis:
+ * season, warm/cool bar, face shape, measured color swatches and
+ * best/avoid colors.
+ *
+ * SVG output is fully localized (ko / ja / zh / en). PNG output is
+ * rasterised in pure JavaScript with a built-in 5×7 bitmap font, which
+ * only covers Latin characters — PNG text is therefore always English
+ * (palette colors use their English catalogue names).
+ *
+ * Usage:
+ *   const { buildCardModel, renderSvg, renderPng } = require('./result-card');
+ *   const model = buildCardModel(demoRecord, 'ko');
+ *   res.type('image/svg+xml').send(renderSvg(model));
+ */
+
+const { labUtils, getPaletteColor } = require('../apl-color-classifier');
+const { langCode, getSectionLabels, getSeasonName, getTendencyName } = require('../i18n');
+const { createRaster } = require('./lib/raster');
+const { textWidth } = require('./lib/bitmapFont');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+const CARD_LABELS = {
+  ko: { title: '나의 퍼스널 컬러', warm: '웜', cool: '쿨', faceShape: '얼굴형', measured: '측정 컬러', best: '베스트 컬러', avoid: '피해야 할 컬러' },
+  ja: { title: '私のパーソナルカラー', warm: 'ウォーム', cool: 'クール', faceShape: '顔型', measured: '測定カラー', best: 'ベストカラー', avoid: '避けたいカラー' },
+  zh: { title: '我的个人色彩', warm: '暖', cool: '冷', faceShape: '脸型', measured: '测量颜色', best: '推荐颜色', avoid: '避免颜色' },
+  en: { title: 'My Personal Color', warm: 'Warm', cool: 'Cool', faceShape: 'Face Shape', measured: 'Measured Colors', best: 'Best Colors', avoid: 'Colors to Avoid' }
+};
+
+const SEASON_ACCENTS = {
+  Spring: '#F29E74',
+  Summer: '#8FB0DC',
+  Autumn: '#A8692F',
+  Winter: '#34437F'
+};
+
+// Approximate score for records saved before warmCoolScore existed
+const TENDENCY_SCORES = { Warm: 0.8, 'Neutral Warm': 0.6, Neutral: 0.5, 'Neutral Cool': 0.4, Cool: 0.2 };
+
+const SWATCH_PARTS = ['skin', 'hair', 'eyebrow', 'eye', 'lip'];
+
+const LIST_TOP = 230;
+const LIST_LINE = 32;
+
+const COOL_COLOR = { r: 0x7F, g: 0xA7, b: 0xE0 };
+const WARM_COLOR = { r: 0xF2, g: 0x9E, b: 0x4C };
+
+/**
+ * Build the render-independent card description
+ *
+ * @param {Object} record - DemoData document (lean) with diagnosis and colors
+ * @param {string} [lang] - defaults to record.lang
+ * @returns {Object} card model
+ */
+function buildCardModel(record, lang) {
+  const code = langCode(lang || record.lang);
+  const diagnosis = record.diagnosis || {};
+  const colors = record.colors || {};
+  const sl = getSectionLabels(code);
+
+  const season = diagnosis.seasonGroup || null;
+  const tendency = diagnosis.warmCool || null;
+  let warmScore = diagnosis.warmCoolScore;
+  if (warmScore == null) warmScore = tendency in TENDENCY_SCORES ? TENDENCY_SCORES[tendency] : 0.5;
+
+  const swatches = SWATCH_PARTS
+    .filter(part => colors[part] && colors[part].lab && colors[part].lab.l != null)
+    .map(part => {
+      const { l, a, b } = colors[part].lab;
+      return {
+        part,
+        label: sl[part],
+        rgb: labUtils.labToRgb(l, a, b),
+        css: labUtils.labToCssColor(l, a, b)
+      };
+    });
+
+  return {
+    lang: code,
+    labels: CARD_LABELS[code],
+    season,
+    seasonName: season ? getSeasonName(season, code) : (diagnosis.personalColor || ''),
+    tendency,
+    tendencyName: tendency ? getTendencyName(tendency, code) : '',
+    warmScore: Math.min(1, Math.max(0, warmScore)),
+    faceShape: diagnosis.faceShape || null,
+    accent: SEASON_ACCENTS[season] || '#999999',
+    swatches,
+    bestColors: cardColors(diagnosis.palette && diagnosis.palette.best, diagnosis.bestColors, code).slice(0, 5),
+    avoidColors: cardColors(diagnosis.palette && diagnosis.palette.avoid, diagnosis.avoidColors, code).slice(0, 4)
+  };
+}
+
+/**
+ * Catalogue ids → { id, name, hex } in the card language.
+ * Records saved before the catalogue only have names (no swatch).
+ */
+function cardColors(ids, names, lang) {
+  if (ids && ids.length) {
+    return ids.map(id => getPaletteColor(id, lang)).filter(Boolean)
+      .map(c => ({ id: c.id, name: c.name, hex: c.hex }));
+  }
+  return (names || []).map(name => ({ id: null, name, hex: null }));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return { r: (n >> 16) & 0xFF, g: (n >> 8) & 0xFF, b: n & 0xFF };
+}
+
+/**
+ * @param {Object} model - from buildCardModel()
+ * @returns {string} SVG document
+ */
+function renderSvg(model) {
+  const L = model.labels;
+  const barX = 80, barY = 280, barW = 600, barH = 24;
+  const markerX = barX + Math.round(model.warmScore * barW);
+  const warmPct = Math.round(model.warmScore * 100);
+  const avoidY = LIST_TOP + model.bestColors.length * LIST_LINE + 24;
+
+  const swatchSvg = model.swatches.map((s, i) => {
+    const cx = 112 + i * 120;
+    return `<circle cx="${cx}" cy="510" r="36" fill="${s.css}" stroke="#ffffff" stroke-width="4"/>` +
+      `<text x="${cx}" y="578" font-size="20" text-anchor="middle" fill="#555">${escapeXml(s.label)}</text>`;
+  }).join('');
+
+  const listSvg = (items, y) => items.map((c, i) => {
+    const cy = y + i * LIST_LINE;
+    const dot = c.hex
+      ? `<circle cx="810" cy="${cy - 8}" r="10" fill="${c.hex}" stroke="#ccc" stroke-width="1"/>`
+      : `<circle cx="810" cy="${cy - 8}" r="4" fill="#333"/>`;
+    return `${dot}<text x="832" y="${cy}" font-size="24" fill="#333">${escapeXml(c.name)}</text>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="'Noto Sans KR', 'Noto Sans JP', 'Noto Sans SC', 'Helvetica Neue', Arial, sans-serif">
+<defs><linearGradient id="wc" x1="0" x2="1" y1="0" y2="0"><stop offset="0" stop-color="#7FA7E0"/><stop offset="1" stop-color="#F29E4C"/></linearGradient></defs>
+<rect width="${WIDTH}" height="${HEIGHT}" fill="#FAF7F2"/>
+<rect width="24" height="${HEIGHT}" fill="${model.accent}"/>
+<text x="80" y="100" font-size="34" fill="#777">${escapeXml(L.title)}</text>
+<text x="${WIDTH - 60}" y="80" font-size="24" font-weight="700" text-anchor="end" fill="#aaa">APL COLOR</text>
+<text x="80" y="200" font-size="80" font-weight="700" fill="${model.accent}">${escapeXml(model.seasonName)}</text>
+<text x="${barX + barW}" y="200" font-size="32" text-anchor="end" fill="#555">${escapeXml(model.tendencyName)}</text>
+<rect x="${barX}" y="${barY}" width="${barW}" height="${barH}" rx="12" fill="url(#wc)"/>
+<circle cx="${markerX}" cy="${barY + barH / 2}" r="18" fill="#fff" stroke="#333" stroke-width="4"/>
+<text x="${barX}" y="${barY + 64}" font-size="22" fill="#555">${escapeXml(L.cool)} ${100 - warmPct}%</text>
+<text x="${barX + barW}" y="${barY + 64}" font-size="22" text-anchor="end" fill="#555">${escapeXml(L.warm)} ${warmPct}%</text>
+${model.faceShape ? `<text x="80" y="390" font-size="26" fill="#333">${escapeXml(L.faceShape)}: ${escapeXml(model.faceShape)}</text>` : ''}
+${model.swatches.length ? `<text x="80" y="450" font-size="22" fill="#777">${escapeXml(L.measured)}</text>` : ''}
+${swatchSvg}
+<text x="800" y="${LIST_TOP - 40}" font-size="26" font-weight="700" fill="#333">${escapeXml(L.best)}</text>
+${listSvg(model.bestColors, LIST_TOP)}
+<text x="800" y="${avoidY}" font-size="26" font-weight="700" fill="#333">${escapeXml(L.avoid)}</text>
+${listSvg(model.avoidColors, avoidY + 40)}
+</svg>`;
+}
+
+/**
+ * @param {Object} model - from buildCardModel()
+ * @returns {Buffer} PNG image
+ */
+function renderPng(model) {
+  // Bitmap font is Latin-only — always English labels
+  const en = CARD_LABELS.en;
+  const canvas = createRaster(WIDTH, HEIGHT, { r: 0xFA, g: 0xF7, b: 0xF2 });
+  const accent = hexToRgb(model.accent);
+  const ink = { r: 0x33, g: 0x33, b: 0x33 };
+  const muted = { r: 0x77, g: 0x77, b: 0x77 };
+
+  canvas.fillRect(0, 0, 24, HEIGHT, accent);
+  canvas.drawText(en.title, 80, 70, 4, muted);
+  canvas.drawText('APL COLOR', WIDTH - 60 - textWidth('APL COLOR', 3), 60, 3, { r: 0xAA, g: 0xAA, b: 0xAA });
+
+  if (model.season) canvas.drawText(model.season, 80, 130, 10, accent);
+  if (model.tendency) canvas.drawText(model.tendency, 80, 215, 4, muted);
+
+  // Warm/cool bar
+  const barX = 80, barY = 280, barW = 600, barH = 24;
+  canvas.fillGradient(barX, barY, barW, barH, COOL_COLOR, WARM_COLOR);
+  const markerX = barX + Math.round(model.warmScore * barW);
+  canvas.fillCircle(markerX, barY + barH / 2, 18, ink);
+  canvas.fillCircle(markerX, barY + barH / 2, 14, { r: 255, g: 255, b: 255 });
+  const warmPct = Math.round(model.warmScore * 100);
+  canvas.drawText(`${en.cool} ${100 - warmPct}%`, barX, barY + 44, 3, muted);
+  const warmText = `${en.warm} ${warmPct}%`;
+  canvas.drawText(warmText, barX + barW - textWidth(warmText, 3), barY + 44, 3, muted);
+
+  if (model.faceShape) canvas.drawText(`${en.faceShape}: ${model.faceShape}`, 80, 380, 4, ink);
+
+  // Measured swatches
+  if (model.swatches.length) canvas.drawText(en.measured, 80, 435, 3, muted);
+  model.swatches.forEach((s, i) => {
+    const cx = 112 + i * 120;
+    canvas.fillCircle(cx, 510, 40, { r: 255, g: 255, b: 255 });
+    canvas.fillCircle(cx, 510, 36, s.rgb);
+    canvas.drawText(s.part, cx - Math.round(textWidth(s.part, 2) / 2), 560, 2, muted);
+  });
+
+  // Catalogue colors have English names; legacy records only when saved in English
+  const drawable = c => c.id || model.lang === 'en';
+  const best = model.bestColors.filter(drawable);
+  const avoid = model.avoidColors.filter(drawable);
+  const drawList = (items, y) => items.forEach((c, i) => {
+    const top = y + i * LIST_LINE;
+    if (c.hex) {
+      canvas.fillCircle(810, top + 10, 11, { r: 0xCC, g: 0xCC, b: 0xCC });
+      canvas.fillCircle(810, top + 10, 10, hexToRgb(c.hex));
+    }
+    canvas.drawText(c.id ? getPaletteColor(c.id, 'en').name : c.name, 832, top, 3, ink);
+  });
+
+  if (best.length) {
+    canvas.drawText(en.best, 800, LIST_TOP - 60, 3, ink);
+    drawList(best, LIST_TOP - 16);
+  }
+  if (avoid.length) {
+    const avoidY = LIST_TOP + best.length * LIST_LINE + 24;
+    canvas.drawText(en.avoid, 800, avoidY - 20, 3, ink);
+    drawList(avoid, avoidY + 24);
+  }
+
+  return canvas.toPng();
+}
+
+module.exports = {
+  buildCardModel,
+  renderSvg,
+  renderPng,
+  CARD_LABELS,
+  WIDTH,
+  HEIGHT
+};
@@ -0,0 +1,143 @@
+/**
+ * Minimal RGB Raster + PNG Encoder
+ * Pure JavaScript drawing (rects, circles, bitmap text) and PNG output.
+ * Only Node's built-in zlib is used for the deflate step.
+ */
+
+const zlib = require('zlib');
+const { glyph, textWidth, GLYPH_WIDTH, GLYPH_HEIGHT } = require('./bitmapFont');
+
+// ─── CRC32 (PNG chunk checksum) ───
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+/**
+ * Create an RGB canvas
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} background - { r, g, b }
+ */
+function createRaster(width, height, background) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 3] = background.r;
+    pixels[i * 3 + 1] = background.g;
+    pixels[i * 3 + 2] = background.b;
+  }
+
+  function setPixel(x, y, color) {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 3;
+    pixels[i] = color.r;
+    pixels[i + 1] = color.g;
+    pixels[i + 2] = color.b;
+  }
+
+  return {
+    width,
+    height,
+
+    fillRect(x, y, w, h, color) {
+      for (let yy = Math.max(0, y); yy < Math.min(height, y + h); yy++) {
+        for (let xx = Math.max(0, x); xx < Math.min(width, x + w); xx++) setPixel(xx, yy, color);
+      }
+    },
+
+    /**
+     * Horizontal gradient between two colors
+     */
+    fillGradient(x, y, w, h, from, to) {
+      for (let xx = 0; xx < w; xx++) {
+        const t = w > 1 ? xx / (w - 1) : 0;
+        const color = {
+          r: Math.round(from.r + (to.r - from.r) * t),
+          g: Math.round(from.g + (to.g - from.g) * t),
+          b: Math.round(from.b + (to.b - from.b) * t)
+        };
+        for (let yy = y; yy < y + h; yy++) setPixel(x + xx, yy, color);
+      }
+    },
+
+    fillCircle(cx, cy, radius, color) {
+      const r2 = radius * radius;
+      for (let yy = -radius; yy <= radius; yy++) {
+        for (let xx = -radius; xx <= radius; xx++) {
+          if (xx * xx + yy * yy <= r2) setPixel(cx + xx, cy + yy, color);
+        }
+      }
+    },
+
+    /**
+     * Bitmap text; (x, y) is the top-left corner. Returns rendered width.
+     */
+    drawText(text, x, y, scale, color) {
+      let cursor = x;
+      for (const ch of text) {
+        const rows = glyph(ch);
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          for (let col = 0; col < GLYPH_WIDTH; col++) {
+            if (rows[row] & (1 << (GLYPH_WIDTH - 1 - col))) {
+              this.fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+            }
+          }
+        }
+        cursor += (GLYPH_WIDTH + 1) * scale;
+      }
+      return textWidth(text, scale);
+    },
+
+    /**
+     * Encode as an 8-bit RGB PNG
+     * @returns {Buffer}
+     */
+    toPng() {
+      const header = Buffer.alloc(13);
+      header.writeUInt32BE(width, 0);
+      header.writeUInt32BE(height, 4);
+      header[8] = 8;  // bit depth
+      header[9] = 2;  // color type: RGB
+      header[10] = 0; // compression
+      header[11] = 0; // filter
+      header[12] = 0; // interlace
+
+      // Each scanline prefixed with filter type 0 (None)
+      const stride = width * 3;
+      const raw = Buffer.alloc((stride + 1) * height);
+      for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+      }
+
+      return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+      ]);
+    }
+  };
+}
+
+module.exports = { createRaster, crc32 };
@@ -0,0 +1,63 @@
+/**
+ * Server-Sent Events Helper
+ *
+ * Turns an Express response into an event stream and ties an AbortSignal
+ * to the client connection, so upstream LLM requests stop when the visitor
+ * closes the page or aborts the fetch.
+ *
+ * Usage:
+ *   const stream = openEventStream(req, res);
+ *   stream.send('delta', { text });
+ *   if (stream.closed) return;
+ *   stream.end();
+ */
+
+const HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end(), signal, closed }
+ */
+function openEventStream(req, res) {
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable nginx buffering
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  const stream = {
+    signal: controller.signal,
+    get closed() {
+      return controller.signal.aborted || res.writableEnded;
+    },
+    send(event, data) {
+      if (stream.closed) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+
+  // Client went away before we finished — cancel upstream work
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) controller.abort();
+  });
+
+  return stream;
+}
+
+module.exports = { openEventStream };
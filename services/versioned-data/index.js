@@ -0,0 +1,77 @@
+/**
+ * Versioned Data Files
+ *
+ * Classifier data — parameters, face geometry, trained season models —
+ * lives in numbered JSON files (dir/v1.json, v2.json, ...). The highest
+ * version is used unless a caller asks for another. This helper lists the
+ * versions, reads one, validates it once and caches it. The directory is
+ * read once too — classifiers load on every call — so a running process
+ * only sees a new version file after a restart.
+ *
+ * Usage:
+ *   const { listVersions, load } = createVersionedLoader({
+ *     dir: PARAMETERS_DIR,
+ *     name: 'apl-color-classifier parameter',
+ *     validate: validateParameters
+ *   });
+ *   load();    // latest
+ *   load(2);   // data/parameters/v2.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - directory holding the vN.json files
+ * @param {string} options.name - what a version is of, for "Unknown <name> version" errors
+ * @param {Function} [options.validate] - data → data, throws when the file cannot be used
+ * @param {boolean} [options.optional=false] - the directory may be missing or empty;
+ *   loading the latest version then returns null
+ * @returns {Object} { listVersions(), load(version) }
+ */
+function createVersionedLoader({ dir, name, validate, optional = false }) {
+  const cache = new Map();
+  let versions = null;
+
+  function readVersions() {
+    if (optional && !fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .map(f => /^v(\d+)\.json$/.exec(f))
+      .filter(Boolean)
+      .map(m => parseInt(m[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Available versions, ascending
+   */
+  function listVersions() {
+    if (!versions) versions = readVersions();
+    return versions.slice();
+  }
+
+  /**
+   * Load a version (default: the latest); validated on first load
+   *
+   * @param {number} [version]
+   * @returns {Object|null}
+   */
+  function load(version) {
+    if (!versions) versions = readVersions();
+    if (optional && version == null && !versions.length) return null;
+    const wanted = version == null ? versions[versions.length - 1] : Number(version);
+    if (!versions.includes(wanted)) {
+      throw new Error(`Unknown ${name} version: ${version}`);
+    }
+    if (!cache.has(wanted)) {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, `v${wanted}.json`), 'utf8'));
+      cache.set(wanted, validate ? validate(data) : data);
+    }
+    return cache.get(wanted);
+  }
+
+  return { listVersions, load };
+}
+
+module.exports = { createVersionedLoader };
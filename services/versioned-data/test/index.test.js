@@ -0,0 +1,59 @@
+/**
+ * Versioned data loader: listing, latest/explicit versions, validation and caching
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVersionedLoader } = require('..');
+
+function makeDir(versions) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'versioned-data-'));
+  for (const version of versions) {
+    fs.writeFileSync(path.join(dir, `v${version}.json`), JSON.stringify({ version }));
+  }
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a version');
+  return dir;
+}
+
+test('lists versions numerically and loads the latest by default', t => {
+  const dir = makeDir([1, 2, 10]);
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const { listVersions, load } = createVersionedLoader({ dir, name: 'test' });
+  assert.deepEqual(listVersions(), [1, 2, 10]);
+  assert.deepEqual(load(), { version: 10 });
+  assert.deepEqual(load(2), { version: 2 });
+  assert.throws(() => load(3), /Unknown test version: 3/);
+});
+
+test('reads the directory and each file once', t => {
+  const dir = makeDir([1, 2]);
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const readdir = t.mock.method(fs, 'readdirSync');
+  const readFile = t.mock.method(fs, 'readFileSync');
+  let validated = 0;
+  const { listVersions, load } = createVersionedLoader({ dir, name: 'test', validate: data => { validated++; return data; } });
+
+  for (let i = 0; i < 1000; i++) load();
+  listVersions().push(99); // callers get a copy
+  assert.deepEqual(listVersions(), [1, 2]);
+  assert.equal(readdir.mock.callCount(), 1);
+  assert.equal(readFile.mock.callCount(), 1);
+  assert.equal(validated, 1);
+});
+
+test('validation errors surface on load', t => {
+  const dir = makeDir([1]);
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const { load } = createVersionedLoader({ dir, name: 'test', validate: () => { throw new Error('bad file'); } });
+  assert.throws(() => load(), /bad file/);
+});
+
+test('an optional missing directory has no versions', () => {
+  const { listVersions, load } = createVersionedLoader({ dir: path.join(os.tmpdir(), 'versioned-data-missing'), name: 'test', optional: true });
+  assert.deepEqual(listVersions(), []);
+  assert.equal(load(), null);
+  assert.throws(() => load(1), /Unknown test version: 1/);
+});
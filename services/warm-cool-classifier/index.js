@@ -12,26 +12,56 @@
  *   {
  *     warmCool: { tendency: 'Warm', score: 0.72, confidence: 'medium', ... },
  *     season:   { primary: 'Spring', scores: { Spring: 0.35, ... }, ... },
+ *     parametersVersion: 1,
+ *     seasonModel: null,
  *   }
+ *
+ * 학습 모델 (lib/seasonModel) 로 계절 교체 / 앙상블:
+ *   classify(skin, extra, { seasonModel: loadSeasonModel(), modelWeight: 0.5 });
  */
 
 const { classifyWarmCool } = require('./lib/warmCoolClassifier');
 const { classifySeason } = require('./lib/seasonClassifier');
+const { loadParameters, listParameterVersions } = require('./lib/parameters');
+const {
+  trainSeasonModel,
+  classifySeasonModel,
+  blendSeasonResults,
+  loadSeasonModel,
+  listSeasonModelVersions,
+} = require('./lib/seasonModel');
 const labUtils = require('./lib/labUtils');
 
 /**
  * 통합 분류 함수
  *
  * @param {Object} skin - { l, a, b } 피부 평균 LAB 값
- * @param {Object} [extra] - 추가 부위 LAB (미래 확장)
+ * @param {Object} [extra] - 추가 부위 LAB (있는 것만 반영)
  *   - hair: { l, a, b }
  *   - eye:  { l, a, b }
  *   - lip:  { l, a, b }
  *   - neck: { l, a, b }
- * @returns {Object} { warmCool, season }
+ * @param {Object} [options]
+ * @param {Function} [options.distance] - 계절 centroid 거리 함수 (기본: 가중 유클리드)
+ * @param {Object} [options.params] - 파라미터 세트 (기본: data/parameters 최신 버전)
+ * @param {number} [options.parametersVersion] - params 대신 불러올 data/parameters 버전
+ * @param {Object} [options.seasonModel] - 학습 모델 (lib/seasonModel, loadSeasonModel())
+ *   주면 계절 점수를 규칙 결과와 모델 결과의 선형 결합으로 계산
+ * @param {number} [options.modelWeight=1] - 모델 비율: 1 = 모델로 교체, 0.5 = 반반 앙상블
+ * @returns {Object} { warmCool, season, parametersVersion, seasonModel }
+ *   seasonModel: { type, version, weight } (모델 미사용 시 null)
  */
-function classify(skin, extra) {
-  const season = classifySeason(skin, extra);
+function classify(skin, extra, options = {}) {
+  const params = options.params || loadParameters(options.parametersVersion);
+  let season = classifySeason(skin, extra, { ...options, params });
+
+  let seasonModel = null;
+  if (options.seasonModel) {
+    const weight = options.modelWeight == null ? 1 : options.modelWeight;
+    const modelResult = classifySeasonModel(skin, extra, { model: options.seasonModel, params });
+    season = blendSeasonResults(season, modelResult, weight);
+    seasonModel = { type: options.seasonModel.type, version: options.seasonModel.version, weight };
+  }
 
   return {
     warmCool: season.warmCool,
@@ -40,7 +70,10 @@ function classify(skin, extra) {
       scores: season.scores,
       confidence: season.confidence,
       reliability: season.reliability,
+      dataSource: season.dataSource,
     },
+    parametersVersion: params.version,
+    seasonModel,
   };
 }
 
@@ -48,5 +81,12 @@ module.exports = {
   classify,
   classifyWarmCool,
   classifySeason,
+  loadParameters,
+  listParameterVersions,
+  trainSeasonModel,
+  classifySeasonModel,
+  blendSeasonResults,
+  loadSeasonModel,
+  listSeasonModelVersions,
   labUtils,
 };
@@ -0,0 +1,60 @@
+/**
+ * 분류 파라미터
+ *
+ * 웜/쿨 sigmoid 기준, 계절 sigmoid 기준, centroid, 하이브리드 비율은
+ * 버전별 JSON(data/parameters/v1.json, v2.json, ...)에 있음
+ * 시작 시 가장 높은 버전을 로드
+ * 새 버전은 services/evaluation/scripts/optimize.js 가 라벨 데이터로 생성
+ */
+
+const path = require('path');
+const { createVersionedLoader } = require('../../versioned-data');
+
+const PARAMETERS_DIR = path.join(__dirname, '..', 'data', 'parameters');
+const SECTIONS = ['warmCool', 'warmThresholds', 'coolThresholds', 'extraThresholds', 'seasonCentroids', 'centroidWeights'];
+
+/**
+ * 분류에 쓸 수 없는 파라미터면 에러
+ */
+function validateParameters(params) {
+  if (!params) throw new Error('Parameters are required');
+  for (const section of SECTIONS) {
+    if (!params[section] || typeof params[section] !== 'object') {
+      throw new Error(`Parameters are missing "${section}"`);
+    }
+  }
+  if (!(params.hybridRatio >= 0 && params.hybridRatio <= 1)) {
+    throw new Error('hybridRatio must be between 0 and 1');
+  }
+  return params;
+}
+
+const loader = createVersionedLoader({
+  dir: PARAMETERS_DIR,
+  name: 'warm-cool-classifier parameter',
+  validate: validateParameters
+});
+
+/**
+ * 사용 가능한 파라미터 버전 (오름차순)
+ */
+function listParameterVersions() {
+  return loader.listVersions();
+}
+
+/**
+ * 파라미터 버전 로드 (기본: 최신, 처음 로드할 때 검증)
+ *
+ * @param {number} [version]
+ * @returns {Object} { package, version, createdAt, source, warmCool, warmThresholds, ... }
+ */
+function loadParameters(version) {
+  return loader.load(version);
+}
+
+module.exports = {
+  loadParameters,
+  listParameterVersions,
+  validateParameters,
+  PARAMETERS_DIR
+};
@@ -9,46 +9,33 @@
  *   Spring(L*=62.1, b*=13.4)와 Winter(L*=62.1, b*=13.4) 평균이 거의 동일
  *   → 피부 LAB만으로는 Spring/Winter 구분 불가
  *   → 헤어/눈/입술 추가 시 ~70-80% 예상
+ *
+ * 헤어/눈/입술이 있으면 sigmoid 단계에도 반영 (extraThresholds)
  */
 
 const { chroma, sigmoid, round } = require('./labUtils');
 const { classifyWarmCool } = require('./warmCoolClassifier');
-
-// ─── 359건 데이터에서 계산된 계절별 centroid (평균 LAB) ───
-const SEASON_CENTROIDS = {
-  Spring: { l: 62.1, a: 9.4, b: 13.4 },
-  Summer: { l: 62.9, a: 9.2, b: 12.1 },
-  Autumn: { l: 60.6, a: 9.9, b: 14.9 },
-  Winter: { l: 62.1, a: 9.1, b: 13.4 },
-};
-
-// centroid 거리 계산 가중치 (a*, b* 차이 강조)
-const CENTROID_WEIGHTS = { l: 1.0, a: 1.5, b: 1.5 };
-
-// ─── Warm 내부: Spring vs Autumn sigmoid 기준 ───
-const WARM_THRESHOLDS = {
-  lightness: { center: 61.3, steepness: 0.5, weight: 0.45 },
-  chroma:    { center: 17.3, steepness: 0.6, weight: 0.35 },
-  bStar:     { center: 14.2, steepness: 0.5, weight: 0.20 },
-};
-
-// ─── Cool 내부: Summer vs Winter sigmoid 기준 ───
-const COOL_THRESHOLDS = {
-  lightness: { center: 62.5, steepness: 0.4, weight: 0.30 },
-  chroma:    { center: 15.8, steepness: 0.5, weight: 0.40 },
-  bStar:     { center: 12.8, steepness: 0.5, weight: 0.30 },
-};
-
-// 하이브리드 비율 (그리드 서치 최적: W/C 90% + Centroid 10%)
-const HYBRID_WC_RATIO = 0.9;
-const HYBRID_CENTROID_RATIO = 0.1;
+const { loadParameters } = require('./parameters');
+
+// ─── 기준값은 data/parameters (lib/parameters.js) ───
+// seasonCentroids: 359건 데이터에서 계산된 계절별 centroid (평균 LAB)
+// centroidWeights: centroid 거리 계산 가중치 (a*, b* 차이 강조)
+// warmThresholds:  Warm 내부 Spring vs Autumn sigmoid 기준
+// coolThresholds:  Cool 내부 Summer vs Winter sigmoid 기준
+// extraThresholds: 추가 부위 sigmoid 기준 (Spring/Summer 쪽 점수)
+//   아직 피팅되지 않아 weight 0 (반영 안 함) — 헤어/눈/입술 포함 라벨 데이터가 쌓이면
+//   optimize.js --target seasonExtras 로 피팅한 새 버전에서 활성화
+//   hairL: 밝은 헤어 → Spring/Summer, 어두운 헤어 → Autumn/Winter
+//   eyeL:  밝은 눈동자 → Spring/Summer
+//   lipC:  선명한 입술: Warm 내부 Spring, Cool 내부 Winter
+// hybridRatio: sigmoid 비율 (그리드 서치 최적: W/C 90% + Centroid 10%)
+const PARAMETERS = loadParameters();
 
 /**
- * Spring 점수 (Warm 내부)
- * Spring = 밝고(L* 높) + 채도 낮고 + b* 낮음
+ * 피부 sigmoid 점수 가중 평균 — 1에 가까울수록 Spring(Warm 내부) / Summer(Cool 내부)
+ * 밝고(L* 높) + 채도 낮고 + b* 낮음
  */
-function springScore(skin) {
-  const th = WARM_THRESHOLDS;
+function lightSideScore(skin, th) {
   const lightnessS = sigmoid(skin.l, th.lightness.center, th.lightness.steepness);
   const chromaS = 1 - sigmoid(chroma(skin.a, skin.b), th.chroma.center, th.chroma.steepness);
   const bStarS = 1 - sigmoid(skin.b, th.bStar.center, th.bStar.steepness);
@@ -57,45 +44,94 @@ function springScore(skin) {
     lightnessS * th.lightness.weight +
     chromaS * th.chroma.weight +
     bStarS * th.bStar.weight
-  );
+  ) / (th.lightness.weight + th.chroma.weight + th.bStar.weight);
 }
 
-function autumnScore(skin) {
-  return 1 - springScore(skin);
+/**
+ * Spring 점수 (Warm 내부)
+ * Spring = 밝고(L* 높) + 채도 낮고 + b* 낮음
+ */
+function springScore(skin, extra, params) {
+  // Spring = 선명한 입술
+  return blendExtras(lightSideScore(skin, params.warmThresholds), extra, true, params.extraThresholds).score;
+}
+
+function autumnScore(skin, extra, params) {
+  return 1 - springScore(skin, extra, params);
 }
 
 /**
  * Summer 점수 (Cool 내부)
  * Summer = 밝고(L* 높) + 채도 낮고 + b* 낮음
  */
-function summerScore(skin) {
-  const th = COOL_THRESHOLDS;
-  const lightnessS = sigmoid(skin.l, th.lightness.center, th.lightness.steepness);
-  const chromaS = 1 - sigmoid(chroma(skin.a, skin.b), th.chroma.center, th.chroma.steepness);
-  const bStarS = 1 - sigmoid(skin.b, th.bStar.center, th.bStar.steepness);
+function summerScore(skin, extra, params) {
+  // Summer = 차분한 입술 (선명하면 Winter)
+  return blendExtras(lightSideScore(skin, params.coolThresholds), extra, false, params.extraThresholds).score;
+}
 
-  return (
-    lightnessS * th.lightness.weight +
-    chromaS * th.chroma.weight +
-    bStarS * th.bStar.weight
-  );
+function winterScore(skin, extra, params) {
+  return 1 - summerScore(skin, extra, params);
+}
+
+/**
+ * 피부 점수(가중치 합 1.0)에 추가 부위 점수를 가중 평균으로 합산
+ * weight 0인 부위는 점수와 sources 모두에서 제외
+ *
+ * @param {number} skinScore - Spring 또는 Summer 쪽 피부 점수
+ * @param {Object} [extra] - { hair, eye, lip }
+ * @param {boolean} vividLipIsLight - true: 선명한 입술 → Spring, false: → Winter
+ * @param {Object} th - extraThresholds
+ * @returns {Object} { score, sources }
+ */
+function blendExtras(skinScore, extra, vividLipIsLight, th) {
+  let total = skinScore;
+  let weight = 1;
+  const sources = [];
+
+  if (extra) {
+    if (th.hairL.weight > 0 && extra.hair && extra.hair.l != null) {
+      total += sigmoid(extra.hair.l, th.hairL.center, th.hairL.steepness) * th.hairL.weight;
+      weight += th.hairL.weight;
+      sources.push('hair');
+    }
+    if (th.eyeL.weight > 0 && extra.eye && extra.eye.l != null) {
+      total += sigmoid(extra.eye.l, th.eyeL.center, th.eyeL.steepness) * th.eyeL.weight;
+      weight += th.eyeL.weight;
+      sources.push('eye');
+    }
+    if (th.lipC.weight > 0 && extra.lip && extra.lip.a != null && extra.lip.b != null) {
+      const vivid = sigmoid(chroma(extra.lip.a, extra.lip.b), th.lipC.center, th.lipC.steepness);
+      total += (vividLipIsLight ? vivid : 1 - vivid) * th.lipC.weight;
+      weight += th.lipC.weight;
+      sources.push('lip');
+    }
+  }
+
+  return { score: total / weight, sources };
 }
 
-function winterScore(skin) {
-  return 1 - summerScore(skin);
+/**
+ * 기본 centroid 거리 — a*, b* 가중 유클리드
+ */
+function weightedDistance(skin, centroid, weights = PARAMETERS.centroidWeights) {
+  const dL = (skin.l - centroid.l) * weights.l;
+  const dA = (skin.a - centroid.a) * weights.a;
+  const dB = (skin.b - centroid.b) * weights.b;
+  return Math.sqrt(dL * dL + dA * dA + dB * dB);
 }
 
 /**
  * Centroid 기반 점수 (역거리 가중)
+ *
+ * @param {Object} skin - { l, a, b }
+ * @param {Function} [distance] - (lab1, lab2) => number, 기본 weightedDistance
+ * @param {Object} [params] - 파라미터 세트
  */
-function centroidScores(skin) {
+function centroidScores(skin, distance, params = PARAMETERS) {
+  if (!distance) distance = (lab, centroid) => weightedDistance(lab, centroid, params.centroidWeights);
   const scores = {};
-  for (const [season, centroid] of Object.entries(SEASON_CENTROIDS)) {
-    const dL = (skin.l - centroid.l) * CENTROID_WEIGHTS.l;
-    const dA = (skin.a - centroid.a) * CENTROID_WEIGHTS.a;
-    const dB = (skin.b - centroid.b) * CENTROID_WEIGHTS.b;
-    const dist = Math.sqrt(dL * dL + dA * dA + dB * dB);
-    scores[season] = 1 / (1 + dist);
+  for (const [season, centroid] of Object.entries(params.seasonCentroids)) {
+    scores[season] = 1 / (1 + distance(skin, centroid));
   }
 
   // 정규화
@@ -110,18 +146,27 @@ function centroidScores(skin) {
  * 4계절 분류 (하이브리드)
  *
  * @param {Object} skin - { l, a, b } 피부 LAB 값
- * @param {Object} [extra] - 미래 확장용 (hair, eye, lip, neck)
+ * @param {Object} [extra] - 추가 부위 LAB (hair, eye, lip, neck)
+ *   웜/쿨 단계는 전부, sigmoid 단계는 hair/eye/lip 반영
+ * @param {Object} [options]
+ * @param {Function} [options.distance] - centroid 거리 함수 (lab1, lab2) => number
+ *   기본은 가중 유클리드. 예: apl-color-classifier labUtils.getDeltaE('ciede2000')
+ * @param {Object} [options.params] - 파라미터 세트 (기본: data/parameters 최신 버전)
+ * @param {number} [options.parametersVersion] - params 대신 불러올 data/parameters 버전
  * @returns {Object} {
  *   primary: 'Spring' | 'Summer' | 'Autumn' | 'Winter',
  *   scores: { Spring, Summer, Autumn, Winter } (합 = 1.0),
  *   warmCool: warmCoolClassifier 결과,
  *   confidence: 'high' | 'medium' | 'low',
- *   reliability: number
+ *   reliability: number,
+ *   dataSource: string[] — sigmoid 단계에 쓰인 부위 (skin + 추가 부위)
  * }
  */
-function classifySeason(skin, extra) {
+function classifySeason(skin, extra, options = {}) {
+  const params = options.params || loadParameters(options.parametersVersion);
+
   // 1단계: 웜/쿨 판정
-  const warmCool = classifyWarmCool(skin, extra);
+  const warmCool = classifyWarmCool(skin, extra, { params });
 
   if (warmCool.score === 0.5 && warmCool.tendency === 'Neutral') {
     return {
@@ -130,6 +175,7 @@ function classifySeason(skin, extra) {
       warmCool,
       confidence: 'low',
       reliability: 0,
+      dataSource: [],
     };
   }
 
@@ -137,10 +183,10 @@ function classifySeason(skin, extra) {
   const coolProb = 1 - warmProb;
 
   // 2단계: Sigmoid 기반 점수 (기존 2단계 방식)
-  const sprS = springScore(skin);
-  const autS = autumnScore(skin);
-  const sumS = summerScore(skin);
-  const winS = winterScore(skin);
+  const sprS = springScore(skin, extra, params);
+  const autS = autumnScore(skin, extra, params);
+  const sumS = summerScore(skin, extra, params);
+  const winS = winterScore(skin, extra, params);
 
   const sigmoidRaw = {
     Spring: warmProb * sprS,
@@ -157,13 +203,13 @@ function classifySeason(skin, extra) {
   }
 
   // 3단계: Centroid 기반 점수
-  const centroid = centroidScores(skin);
+  const centroid = centroidScores(skin, options.distance, params);
 
-  // 4단계: 하이브리드 블렌딩 (90% sigmoid + 10% centroid)
+  // 4단계: 하이브리드 블렌딩 (hybridRatio sigmoid + 나머지 centroid)
   const scores = {};
   for (const season of ['Spring', 'Summer', 'Autumn', 'Winter']) {
     scores[season] = round(
-      sigmoidNorm[season] * HYBRID_WC_RATIO + centroid[season] * HYBRID_CENTROID_RATIO,
+      sigmoidNorm[season] * params.hybridRatio + centroid[season] * (1 - params.hybridRatio),
       3
     );
   }
@@ -200,7 +246,8 @@ function classifySeason(skin, extra) {
     warmCool,
     confidence,
     reliability,
+    dataSource: ['skin', ...blendExtras(0, extra, true, params.extraThresholds).sources],
   };
 }
 
-module.exports = { classifySeason };
+module.exports = { classifySeason, weightedDistance, centroidScores, PARAMETERS };
@@ -0,0 +1,343 @@
+/**
+ * 통계 기반 4계절 모델 (학습형)
+ *
+ * 규칙 기반 classifySeason 은 피부 LAB만으로 Spring/Winter 구분이 안 됨.
+ * 이 모듈은 전체 특징 벡터로 학습한 모델을 JSON으로 저장/로드하고
+ * classifySeason 과 같은 출력 형태로 예측 → 교체 또는 앙상블 가능
+ *
+ * 모델 종류:
+ *   logistic — 다항 로지스틱 회귀 (softmax, L2, 전체 배치 경사하강)
+ *   knn      — 거리 가중 k-최근접 이웃 (표준화된 특징 공간)
+ *
+ * 특징 벡터 (FEATURES):
+ *   피부 L*a*b* + 채도
+ *   헤어/눈/눈썹/입술 L*a*b* + 측정 여부(0/1)
+ *   명도 대비: 피부-헤어, 피부-눈, 피부-눈썹 (L* 차이)
+ *   빠진 부위는 학습 평균으로 채움 (표준화 후 0)
+ *
+ * 모델 파일: data/models/season/v1.json, v2.json, ... (시작 시 최신 버전)
+ * 학습: services/evaluation/scripts/trainSeasonModel.js
+ */
+
+const path = require('path');
+const { createVersionedLoader } = require('../../versioned-data');
+const { chroma, round } = require('./labUtils');
+const { classifyWarmCool } = require('./warmCoolClassifier');
+
+const MODELS_DIR = path.join(__dirname, '..', 'data', 'models', 'season');
+const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
+const PARTS = ['hair', 'eye', 'eyebrow', 'lip'];
+const CONTRAST_PARTS = ['hair', 'eye', 'eyebrow'];
+
+const FEATURES = [
+  'skin_l', 'skin_a', 'skin_b', 'skin_c',
+  ...PARTS.flatMap(p => [`${p}_l`, `${p}_a`, `${p}_b`, `${p}_present`]),
+  ...CONTRAST_PARTS.map(p => `contrast_skin_${p}`),
+];
+
+const DEFAULTS = {
+  logistic: { epochs: 800, learningRate: 0.2, l2: 0.001, balanced: true },
+  knn: { k: 7 },
+};
+
+// ─── 특징 벡터 ───
+
+/**
+ * 원시 특징 벡터 (빠진 값은 NaN)
+ *
+ * @param {Object} skin - { l, a, b }
+ * @param {Object} [extra] - { hair, eye, eyebrow, lip } 각 { l, a, b }
+ * @returns {number[]} FEATURES 순서
+ */
+function featureVector(skin, extra = {}) {
+  const values = [skin.l, skin.a, skin.b, chroma(skin.a, skin.b)];
+  for (const part of PARTS) {
+    const lab = extra && extra[part];
+    if (lab && lab.l != null) values.push(lab.l, lab.a, lab.b, 1);
+    else values.push(NaN, NaN, NaN, 0);
+  }
+  for (const part of CONTRAST_PARTS) {
+    const lab = extra && extra[part];
+    values.push(lab && lab.l != null ? skin.l - lab.l : NaN);
+  }
+  return values;
+}
+
+/**
+ * 학습 데이터 기준 평균/표준편차 (NaN 제외)
+ */
+function fitStandardization(rows) {
+  const mean = [];
+  const std = [];
+  for (let j = 0; j < FEATURES.length; j++) {
+    const column = rows.map(r => r[j]).filter(v => !Number.isNaN(v));
+    const m = column.length ? column.reduce((s, v) => s + v, 0) / column.length : 0;
+    const variance = column.length ? column.reduce((s, v) => s + (v - m) * (v - m), 0) / column.length : 0;
+    mean.push(round(m, 4));
+    std.push(round(Math.sqrt(variance), 4) || 1);
+  }
+  return { mean, std };
+}
+
+/**
+ * 표준화 + 빠진 값 평균 대체 (= 0)
+ */
+function standardize(values, { mean, std }) {
+  return values.map((v, j) => (Number.isNaN(v) ? 0 : (v - mean[j]) / std[j]));
+}
+
+// ─── 학습 ───
+
+function softmax(logits) {
+  const max = Math.max(...logits);
+  const exps = logits.map(z => Math.exp(z - max));
+  const total = exps.reduce((s, v) => s + v, 0);
+  return exps.map(v => v / total);
+}
+
+function trainLogistic(X, y, opts) {
+  const n = X.length;
+  const d = FEATURES.length;
+  const K = SEASONS.length;
+  const W = SEASONS.map(() => new Array(d).fill(0));
+  const bias = new Array(K).fill(0);
+
+  // balanced: 적은 계절 샘플에 더 큰 가중치 (상담 데이터는 계절 분포가 치우침)
+  const counts = SEASONS.map((_, k) => y.filter(c => c === k).length);
+  const sampleWeight = y.map(c => (opts.balanced ? n / (K * counts[c]) : 1));
+
+  for (let epoch = 0; epoch < opts.epochs; epoch++) {
+    const gradW = SEASONS.map(() => new Array(d).fill(0));
+    const gradB = new Array(K).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      const logits = W.map((w, k) => bias[k] + w.reduce((s, wj, j) => s + wj * X[i][j], 0));
+      const p = softmax(logits);
+      for (let k = 0; k < K; k++) {
+        const err = (p[k] - (y[i] === k ? 1 : 0)) * sampleWeight[i];
+        gradB[k] += err;
+        for (let j = 0; j < d; j++) gradW[k][j] += err * X[i][j];
+      }
+    }
+
+    for (let k = 0; k < K; k++) {
+      bias[k] -= opts.learningRate * gradB[k] / n;
+      for (let j = 0; j < d; j++) {
+        W[k][j] -= opts.learningRate * (gradW[k][j] / n + opts.l2 * W[k][j]);
+      }
+    }
+  }
+
+  return {
+    weights: W.map(w => w.map(v => round(v, 5))),
+    bias: bias.map(v => round(v, 5)),
+  };
+}
+
+/**
+ * 모델 학습
+ *
+ * @param {Object[]} samples - [{ skin, extra, season }]
+ * @param {Object} [options]
+ * @param {string} [options.type='logistic'] - 'logistic' | 'knn'
+ * @param {number} [options.epochs] / [options.learningRate] / [options.l2] / [options.balanced] - logistic
+ * @param {number} [options.k] - knn
+ * @returns {Object} 모델 (JSON 저장 가능)
+ */
+function trainSeasonModel(samples, options = {}) {
+  const type = options.type || 'logistic';
+  if (!DEFAULTS[type]) throw new Error(`Unknown season model type: ${type}`);
+  const opts = { ...DEFAULTS[type], ...options };
+
+  const usable = samples.filter(s => s.skin && SEASONS.includes(s.season));
+  const missing = SEASONS.filter(season => !usable.some(s => s.season === season));
+  if (missing.length) throw new Error(`Training data has no ${missing.join(', ')} samples`);
+
+  const raw = usable.map(s => featureVector(s.skin, s.extra));
+  const standardization = fitStandardization(raw);
+  const X = raw.map(r => standardize(r, standardization));
+  const y = usable.map(s => SEASONS.indexOf(s.season));
+
+  const model = {
+    type,
+    classes: SEASONS,
+    features: FEATURES,
+    standardization,
+    samples: usable.length,
+  };
+
+  if (type === 'logistic') {
+    Object.assign(model, trainLogistic(X, y, opts), {
+      hyperparameters: { epochs: opts.epochs, learningRate: opts.learningRate, l2: opts.l2, balanced: opts.balanced },
+    });
+  } else {
+    Object.assign(model, {
+      hyperparameters: { k: Math.min(opts.k, usable.length) },
+      points: X.map(x => x.map(v => round(v, 3))),
+      labels: y,
+    });
+  }
+  return model;
+}
+
+// ─── 예측 ───
+
+/**
+ * 계절 확률 { Spring, Summer, Autumn, Winter } (합 = 1.0)
+ */
+function predictSeasonScores(model, skin, extra) {
+  const x = standardize(featureVector(skin, extra), model.standardization);
+  let probs;
+
+  if (model.type === 'logistic') {
+    probs = softmax(model.weights.map((w, k) => model.bias[k] + w.reduce((s, wj, j) => s + wj * x[j], 0)));
+  } else {
+    const neighbours = model.points
+      .map((p, i) => ({ label: model.labels[i], dist: Math.sqrt(p.reduce((s, v, j) => s + (v - x[j]) * (v - x[j]), 0)) }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, model.hyperparameters.k);
+    // 거리 가중 투표 + 작은 평활화 (확률 0 방지)
+    const votes = SEASONS.map(() => 0.01);
+    for (const nb of neighbours) votes[nb.label] += 1 / (nb.dist + 0.1);
+    const total = votes.reduce((s, v) => s + v, 0);
+    probs = votes.map(v => v / total);
+  }
+
+  const scores = {};
+  SEASONS.forEach((season, k) => { scores[season] = round(probs[k], 3); });
+  return scores;
+}
+
+/**
+ * 점수 → primary / confidence (classifySeason 과 같은 기준)
+ */
+function rankScores(scores, warmCool) {
+  const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const gap = sorted[0][1] - sorted[1][1];
+  let confidence;
+  if (gap >= 0.12 && warmCool.confidence !== 'low') confidence = 'high';
+  else if (gap >= 0.05) confidence = 'medium';
+  else confidence = 'low';
+  return { primary: sorted[0][0], confidence };
+}
+
+function modelDataSource(extra) {
+  return ['skin', ...PARTS.filter(p => extra && extra[p] && extra[p].l != null)];
+}
+
+/**
+ * 학습 모델로 4계절 분류 — classifySeason 과 같은 출력 형태
+ *
+ * @param {Object} skin - { l, a, b }
+ * @param {Object} [extra] - { hair, eye, eyebrow, lip, neck }
+ * @param {Object} options
+ * @param {Object} options.model - trainSeasonModel() / loadSeasonModel() 결과
+ * @param {Object} [options.params] - 웜/쿨 단계 파라미터 세트
+ * @returns {Object} { primary, scores, warmCool, confidence, reliability, dataSource }
+ *   reliability: 모델 검증 정확도 (학습 시 교차검증 결과가 있으면)
+ */
+function classifySeasonModel(skin, extra, options = {}) {
+  const { model } = options;
+  if (!model) throw new Error('A season model is required');
+
+  const warmCool = classifyWarmCool(skin, extra, { params: options.params });
+  const scores = predictSeasonScores(model, skin, extra);
+  const { primary, confidence } = rankScores(scores, warmCool);
+
+  return {
+    primary,
+    scores,
+    warmCool,
+    confidence,
+    reliability: model.validation ? round(model.validation.accuracy, 2) : 0.5,
+    dataSource: modelDataSource(extra),
+  };
+}
+
+/**
+ * 규칙 기반 결과와 모델 결과 앙상블 (계절 확률 선형 결합)
+ *
+ * @param {Object} ruleResult - classifySeason 결과
+ * @param {Object} modelResult - classifySeasonModel 결과
+ * @param {number} modelWeight - 0 (규칙만) ~ 1 (모델만)
+ */
+function blendSeasonResults(ruleResult, modelResult, modelWeight) {
+  const w = Math.min(1, Math.max(0, modelWeight));
+  const ruleScores = ruleResult.primary ? ruleResult.scores : null;
+  const scores = {};
+  for (const season of SEASONS) {
+    scores[season] = ruleScores
+      ? ruleScores[season] * (1 - w) + modelResult.scores[season] * w
+      : modelResult.scores[season];
+  }
+  const total = Object.values(scores).reduce((s, v) => s + v, 0);
+  for (const season of SEASONS) scores[season] = round(scores[season] / total, 3);
+
+  const { primary, confidence } = rankScores(scores, ruleResult.warmCool);
+  return {
+    primary,
+    scores,
+    warmCool: ruleResult.warmCool,
+    confidence,
+    reliability: round(ruleResult.reliability * (1 - w) + modelResult.reliability * w, 2),
+    dataSource: [...new Set([...ruleResult.dataSource, ...modelResult.dataSource])],
+  };
+}
+
+// ─── 모델 파일 ───
+
+/**
+ * 저장된 모델 버전 (오름차순, 없으면 [])
+ */
+function listSeasonModelVersions() {
+  return loader.listVersions();
+}
+
+/**
+ * 모델에 필요한 필드가 없거나 특징 목록이 다르면 에러
+ */
+function validateSeasonModel(model) {
+  if (!model || !DEFAULTS[model.type]) throw new Error('Season model needs type "logistic" or "knn"');
+  if (JSON.stringify(model.features) !== JSON.stringify(FEATURES)) {
+    throw new Error('Season model was trained on a different feature list');
+  }
+  if (!model.standardization || model.standardization.mean.length !== FEATURES.length) {
+    throw new Error('Season model standardization does not match the features');
+  }
+  if (model.type === 'logistic' && (!Array.isArray(model.weights) || model.weights.length !== SEASONS.length)) {
+    throw new Error('Logistic season model needs one weight row per season');
+  }
+  if (model.type === 'knn' && (!Array.isArray(model.points) || model.points.length !== model.labels.length)) {
+    throw new Error('kNN season model needs one label per point');
+  }
+  return model;
+}
+
+const loader = createVersionedLoader({
+  dir: MODELS_DIR,
+  name: 'season model',
+  validate: validateSeasonModel,
+  optional: true
+});
+
+/**
+ * 모델 버전 로드 (기본: 최신, 모델이 하나도 없으면 null)
+ *
+ * @param {number} [version]
+ */
+function loadSeasonModel(version) {
+  return loader.load(version);
+}
+
+module.exports = {
+  trainSeasonModel,
+  predictSeasonScores,
+  classifySeasonModel,
+  blendSeasonResults,
+  featureVector,
+  loadSeasonModel,
+  listSeasonModelVersions,
+  validateSeasonModel,
+  FEATURES,
+  MODELS_DIR,
+};
@@ -14,28 +14,26 @@
  */
 
 const { chroma, hueAngle, sigmoid, round } = require('./labUtils');
+const { loadParameters } = require('./parameters');
 
-// ─── 분석에서 도출된 기준값 ───
+// ─── 분석에서 도출된 기준값 (data/parameters, warmCool 섹션) ───
 // 8타입 248건 데이터 기반
 // 그리드 서치 최적화 결과 (359건, 2026.03)
 // 최적 정확도: 69.1% (248/359) — 100% 커버리지
-const THRESHOLDS = {
-  // Warm Chroma avg=17.3 vs Cool avg=15.8 → 최적 center=16
-  chroma: { center: 16.0, steepness: 1.0, weight: 0.40 },
-
-  // Warm b* avg=14.2 vs Cool b* avg=12.8 → 최적 center=14
-  bStar: { center: 14.0, steepness: 1.0, weight: 0.35 },
-
-  // Warm a* avg=9.6 vs Cool a* avg=9.1 → 최적 center=10
-  // a* steepness는 chroma/b* 대비 60%로 약화 (분리력 약함)
-  aStar: { center: 10.0, steepness: 0.6, weight: 0.25 },
-};
+//   chroma: Warm avg=17.3 vs Cool avg=15.8 → 최적 center=16
+//   bStar:  Warm b* avg=14.2 vs Cool b* avg=12.8 → 최적 center=14
+//   aStar:  Warm a* avg=9.6 vs Cool a* avg=9.1 → 최적 center=10
+//           steepness는 chroma/b* 대비 60%로 약화 (분리력 약함)
+const PARAMETERS = loadParameters();
 
 /**
  * 웜/쿨 경향 판정
  *
  * @param {Object} skin - { l, a, b } 피부 LAB 값
- * @param {Object} [extra] - 미래 확장용 (hair, eye, lip, neck)
+ * @param {Object} [extra] - 추가 부위 LAB (hair, eye, lip, neck), 있는 것만 반영
+ * @param {Object} [options]
+ * @param {Object} [options.params] - 파라미터 세트 (기본: data/parameters 최신 버전)
+ * @param {number} [options.parametersVersion] - params 대신 불러올 data/parameters 버전
  * @returns {Object} {
  *   tendency: 'Warm' | 'Neutral Warm' | 'Neutral' | 'Neutral Cool' | 'Cool',
  *   score: 0~1 (1에 가까울수록 Warm),
@@ -44,7 +42,9 @@ const THRESHOLDS = {
  *   dataSource: string[]
  * }
  */
-function classifyWarmCool(skin, extra) {
+function classifyWarmCool(skin, extra, options = {}) {
+  const thresholds = (options.params || loadParameters(options.parametersVersion)).warmCool;
+
   if (!skin || skin.l == null || skin.a == null || skin.b == null) {
     return {
       tendency: 'Neutral',
@@ -59,19 +59,19 @@ function classifyWarmCool(skin, extra) {
   const dataSources = ['skin'];
 
   // ─── 각 지표별 Warm 점수 (0~1, 1=Warm) ───
-  const chromaScore = sigmoid(skinChroma, THRESHOLDS.chroma.center, THRESHOLDS.chroma.steepness);
-  const bStarScore = sigmoid(skin.b, THRESHOLDS.bStar.center, THRESHOLDS.bStar.steepness);
-  const aStarScore = sigmoid(skin.a, THRESHOLDS.aStar.center, THRESHOLDS.aStar.steepness);
+  const chromaScore = sigmoid(skinChroma, thresholds.chroma.center, thresholds.chroma.steepness);
+  const bStarScore = sigmoid(skin.b, thresholds.bStar.center, thresholds.bStar.steepness);
+  const aStarScore = sigmoid(skin.a, thresholds.aStar.center, thresholds.aStar.steepness);
 
   // ─── 가중 평균 ───
-  let totalWeight = THRESHOLDS.chroma.weight + THRESHOLDS.bStar.weight + THRESHOLDS.aStar.weight;
+  let totalWeight = thresholds.chroma.weight + thresholds.bStar.weight + thresholds.aStar.weight;
   let warmScore = (
-    chromaScore * THRESHOLDS.chroma.weight +
-    bStarScore * THRESHOLDS.bStar.weight +
-    aStarScore * THRESHOLDS.aStar.weight
+    chromaScore * thresholds.chroma.weight +
+    bStarScore * thresholds.bStar.weight +
+    aStarScore * thresholds.aStar.weight
   ) / totalWeight;
 
-  // ─── 미래 확장: 추가 데이터가 있으면 정확도 향상 ───
+  // ─── 추가 부위: 있으면 가중 평균에 합산 ───
   if (extra) {
     if (extra.hair && extra.hair.l != null) {
       // 피부↔헤어 대비: 대비 클수록 겨울(Cool) 경향
@@ -95,6 +95,13 @@ function classifyWarmCool(skin, extra) {
       totalWeight += 0.10;
       dataSources.push('lip');
     }
+    if (extra.neck && extra.neck.b != null) {
+      // 목 b*: 메이크업 영향이 적은 피부 — 피부 b*와 같은 기준
+      const neckScore = sigmoid(extra.neck.b, thresholds.bStar.center, thresholds.bStar.steepness);
+      warmScore = (warmScore * totalWeight + neckScore * 0.10) / (totalWeight + 0.10);
+      totalWeight += 0.10;
+      dataSources.push('neck');
+    }
   }
 
   // ─── 5단계 결과 결정 ───
@@ -128,4 +135,4 @@ function classifyWarmCool(skin, extra) {
   };
 }
 
-module.exports = { classifyWarmCool };
+module.exports = { classifyWarmCool, PARAMETERS };
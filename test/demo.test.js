@@ -0,0 +1,171 @@
+/**
+ * /api/demo routes end to end: the router mounted on a bare Express app,
+ * the offline description provider and no database (saving fails and is
+ * logged, the response carries sessionId null)
+ */
+
+process.env.LLM_PROVIDER = 'offline';
+process.env.RATE_LIMIT_MAX = '1000';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Fail saves at once instead of waiting for a connection that never comes
+mongoose.set('bufferCommands', false);
+
+const demoRouter = require('../routes/demo');
+const { labToRgb } = require('../services/apl-color-classifier/lib/labUtils');
+
+const FACE_ANALYSIS = {
+    skinColor: { lab: { l: 64.2, a: 10.1, b: 16.8 } },
+    hairColor: { lab: { l: 18.5, a: 2.1, b: 3.4 } },
+    eyeColor: { lab: { l: 22.3, a: 3.2, b: 5.1 } },
+    eyebrowColor: { lab: { l: 25.1, a: 3.0, b: 6.2 } },
+    lipColor: { lab: { l: 48.0, a: 28.0, b: 12.0 } },
+    neckColor: { lab: { l: 62.0, a: 9.0, b: 17.0 } },
+    backgroundColor: { rgb: { r: 220, g: 215, b: 200 } },
+    contrast: { skinHair: 180, skinEye: 170, skinLip: 60, skinNeck: 8 },
+    faceProportions: { foreheadRatio: 0.9, jawRatio: 0.8, heightRatio: 1.4 }
+};
+
+let server;
+let base;
+
+test.before(() => new Promise(resolve => {
+    const app = express();
+    app.use(express.json({ limit: '20mb' }));
+    app.use('/api/demo', demoRouter);
+    server = app.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}/api/demo`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+}));
+
+async function post(path, body) {
+    const response = await fetch(base + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function withBackground(backgroundColor) {
+    return { ...FACE_ANALYSIS, backgroundColor };
+}
+
+// ─── White balance ───
+
+test('/classify leaves colors uncorrected against a black background', async () => {
+    const { status, body } = await post('/classify', { faceAnalysis: withBackground({ rgb: { r: 0, g: 0, b: 0 } }) });
+    assert.equal(status, 200);
+    const { whiteBalance, personalColor, confidence } = body.result;
+    assert.equal(whiteBalance.method, 'none');
+    assert.deepEqual(whiteBalance.gains, [1, 1, 1]);
+    assert.ok(whiteBalance.reasons.some(r => r.startsWith('background is too dark')));
+    assert.ok(Number.isFinite(personalColor.confidence));
+    assert.ok(Number.isFinite(confidence.overall));
+});
+
+test('/classify ignores a near-black tinted background', async () => {
+    const { status, body } = await post('/classify', { faceAnalysis: withBackground({ lab: { l: 0.5, a: 2, b: -3 } }) });
+    assert.equal(status, 200);
+    assert.equal(body.result.whiteBalance.method, 'none');
+    assert.deepEqual(body.result.captures, null);
+});
+
+test('/classify skips a dark background but still balances on the sclera', async () => {
+    const faceAnalysis = { ...withBackground({ rgb: { r: 3, g: 0, b: 1 } }), scleraColor: { lab: { l: 85, a: 1, b: 14 } } };
+    const { status, body } = await post('/classify', { faceAnalysis });
+    assert.equal(status, 200);
+    const { whiteBalance } = body.result;
+    assert.equal(whiteBalance.method, 'whitePatch');
+    assert.deepEqual(whiteBalance.estimates.whitePatch.references, ['sclera']);
+    assert.deepEqual(whiteBalance.gains, [1.0234, 0.9963, 0.8605]);
+});
+
+for (const [name, backgroundColor] of [
+    ['black', { rgb: { r: 0, g: 0, b: 0 } }],
+    ['very dark tinted', { lab: { l: 0.5, a: 2, b: -3 } }]
+]) {
+    test(`/diagnose reports the measured skin against a ${name} background`, async () => {
+        const { status, body } = await post('/diagnose', { faceAnalysis: withBackground(backgroundColor), lang: 'en' });
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.diagnosis.seasonGroup, 'Spring');
+        assert.match(body.diagnosis.personalColorDetail, /64\.2 \/ 10\.1 \/ 16\.8/);
+    });
+}
+
+// ─── RGB-only colors ───
+
+// The same capture as a client that only reads pixels would send it
+const RGB_ONLY = Object.fromEntries(Object.entries(FACE_ANALYSIS).map(([key, value]) => (
+    value && value.lab ? [key, { rgb: labToRgb(value.lab.l, value.lab.a, value.lab.b) }] : [key, value]
+)));
+
+test('/classify converts RGB-only colors to LAB', async () => {
+    const [lab, rgb] = await Promise.all([
+        post('/classify', { faceAnalysis: FACE_ANALYSIS }),
+        post('/classify', { faceAnalysis: RGB_ONLY })
+    ]);
+    assert.equal(rgb.status, 200);
+    assert.equal(rgb.body.result.personalColor.type, lab.body.result.personalColor.type);
+    assert.equal(rgb.body.result.personalColor.season, lab.body.result.personalColor.season);
+});
+
+test('/diagnose classifies RGB-only colors instead of rejecting them', async () => {
+    const { status, body } = await post('/diagnose', { faceAnalysis: RGB_ONLY, lang: 'en' });
+    assert.equal(status, 200);
+    assert.equal(body.diagnosis.seasonGroup, 'Spring');
+});
+
+for (const path of ['/classify', '/diagnose']) {
+    test(`${path} rejects an rgb outside 0-255`, async () => {
+        const faceAnalysis = { ...RGB_ONLY, skinColor: { rgb: { r: 300, g: 180, b: 150 } } };
+        const { status, body } = await post(path, { faceAnalysis });
+        assert.equal(status, 400);
+        assert.equal(body.message, 'faceAnalysis.skinColor.rgb must have r, g and b from 0 to 255.');
+    });
+}
+
+test('/classify still requires a skin color', async () => {
+    const { status, body } = await post('/classify', { faceAnalysis: { ...RGB_ONLY, skinColor: undefined } });
+    assert.equal(status, 400);
+    assert.equal(body.message, 'faceAnalysis.skinColor.lab or .rgb is required.');
+});
+
+// ─── Stability options ───
+
+for (const [stability, message] of [
+    [{ samples: 20, bounds: { lab: { skin: 'x' } } }, 'stability.bounds.lab.skin must be a non-negative number.'],
+    [{ samples: 20, bounds: { lab: { skin: -1 } } }, 'stability.bounds.lab.skin must be a non-negative number.'],
+    [{ samples: 20, bounds: { lab: { nose: 1 } } }, 'stability.bounds.lab.nose is not one of: skin, hair, eye, eyebrow, neck, background, sclera, teeth.'],
+    [{ samples: 20, bounds: { ratio: '0.1' } }, 'stability.bounds.ratio must be a number from 0 to below 1.'],
+    [{ samples: 20, bounds: [] }, 'stability.bounds must be an object.'],
+    [{ samples: 20, seed: 1.5 }, 'stability.seed must be an integer.'],
+    [{ samples: 20, seed: 'abc' }, 'stability.seed must be an integer.'],
+    ['yes', 'stability must be true or an object.']
+]) {
+    test(`/classify rejects stability ${JSON.stringify(stability)}`, async () => {
+        const { status, body } = await post('/classify', { faceAnalysis: FACE_ANALYSIS, stability });
+        assert.equal(status, 400);
+        assert.equal(body.message, message);
+    });
+}
+
+test('/classify samples with custom bounds and seed', async () => {
+    const stability = { samples: 20, bounds: { lab: { skin: 0 }, ratio: 0 }, seed: 7 };
+    const { status, body } = await post('/classify', { faceAnalysis: FACE_ANALYSIS, stability });
+    assert.equal(status, 200);
+    assert.equal(body.result.stability.samples, 20);
+    assert.equal(body.result.stability.bounds.lab.skin, 0);
+    assert.equal(body.result.stability.fields.faceShape.stability, 1);
+});